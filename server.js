@@ -87,12 +87,39 @@ const TURN_CONFIG = {
   ttl: parseInt(process.env.TURN_TTL, 10) || 86400,
 };
 
+// Roll oracle: signs server-generated roll seeds for rooms in "server" roll mode.
+// Set ROLL_SIGNING_KEY (PKCS#8 PEM, P-256) so all instances share one key;
+// otherwise a fresh key is generated on every start.
+const ROLL_SIGNING = createRollSigningKeys(process.env.ROLL_SIGNING_KEY);
+
+function createRollSigningKeys(pem) {
+  const privateKey = pem
+    ? crypto.createPrivateKey(pem.replace(/\\n/g, "\n"))
+    : crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }).privateKey;
+
+  return {
+    privateKey,
+    publicJwk: crypto.createPublicKey(privateKey).export({ format: "jwk" }),
+  };
+}
+
 // Rate limiting configuration
 const RATE_LIMIT = {
   windowMs: 1000,
   maxMessages: 50,
   maxConnectionsPerIp: 10,
   maxMessageSize: 64 * 1024, // 64KB - more than enough for signaling messages
+  // Data messages relayed between peers have a budget of their own, so a
+  // busy table can't crowd out signaling
+  maxRelayMessages: 200,
+};
+
+// Relayed data messages too large for one WebSocket message are split into
+// parts by the client (see signaling-client.js), and put together again by
+// the peer they are for
+const RELAY_LIMIT = {
+  maxParts: 16,
+  maxPartLength: 16 * 1024, // Characters, at most 3 bytes each as UTF-8
 };
 
 // HTTP endpoint rate limiting (per IP)
@@ -133,6 +160,7 @@ const wsConnections = new Map(); // peerId -> ws
 // Track connections per IP for rate limiting (local per instance)
 const connectionsByIp = new Map(); // ip -> Set of ws connections
 const messageRates = new Map(); // peerId -> { count, windowStart }
+const relayRates = new Map(); // peerId -> { count, windowStart }
 
 // State storage (Redis or in-memory)
 let storage;
@@ -190,6 +218,37 @@ app.get("/api/turn-credentials", httpRateLimiter, (req, res) => {
   res.json(credentials);
 });
 
+// API: Public key for verifying server-signed rolls
+app.get("/api/roll-key", httpRateLimiter, (req, res) => {
+  res.json({ algorithm: "ES256", publicKey: ROLL_SIGNING.publicJwk });
+});
+
+/**
+ * Generate and sign a roll seed for a peer.
+ * The payload is signed as the exact JSON string sent, so clients can verify
+ * it without re-serializing. Signatures use the IEEE P1363 format WebCrypto expects.
+ */
+async function signRoll(roomId, peerId, requestId) {
+  const sequence = await storage.nextRollSequence(roomId, peerId);
+
+  const payload = JSON.stringify({
+    roomId,
+    peerId,
+    requestId,
+    sequence,
+    seed: crypto.randomBytes(32).toString("hex"),
+    issuedAt: Date.now(),
+  });
+  const signature = crypto
+    .sign("sha256", Buffer.from(payload), {
+      key: ROLL_SIGNING.privateKey,
+      dsaEncoding: "ieee-p1363",
+    })
+    .toString("base64");
+
+  return { payload, signature };
+}
+
 // API: Health check
 app.get("/api/health", httpRateLimiter, async (req, res) => {
   try {
@@ -318,17 +377,37 @@ function isValidPeerId(peerId) {
 }
 
 // Check rate limit for a peer
-function checkRateLimit(peerId) {
+function checkRateLimit(
+  peerId,
+  rates = messageRates,
+  maxMessages = RATE_LIMIT.maxMessages,
+) {
   const now = Date.now();
-  let rateData = messageRates.get(peerId);
+  let rateData = rates.get(peerId);
 
   if (!rateData || now - rateData.windowStart > RATE_LIMIT.windowMs) {
     rateData = { count: 0, windowStart: now };
-    messageRates.set(peerId, rateData);
+    rates.set(peerId, rateData);
   }
 
   rateData.count++;
-  return rateData.count <= RATE_LIMIT.maxMessages;
+  return rateData.count <= maxMessages;
+}
+
+// A part of a relayed data message: { id, index, count, text }
+function isValidRelayPart(part) {
+  return (
+    typeof part?.id === "string" &&
+    /^[\w-]{1,64}$/.test(part.id) &&
+    Number.isInteger(part.count) &&
+    part.count >= 1 &&
+    part.count <= RELAY_LIMIT.maxParts &&
+    Number.isInteger(part.index) &&
+    part.index >= 0 &&
+    part.index < part.count &&
+    typeof part.text === "string" &&
+    part.text.length <= RELAY_LIMIT.maxPartLength
+  );
 }
 
 // Get client IP from WebSocket upgrade request.
@@ -572,7 +651,11 @@ wss.on("connection", (ws, req) => {
     }
 
     // Check rate limit (after peerId is assigned)
-    if (!checkRateLimit(peerId)) {
+    const withinLimit =
+      message.type === "relay"
+        ? checkRateLimit(peerId, relayRates, RATE_LIMIT.maxRelayMessages)
+        : checkRateLimit(peerId);
+    if (!withinLimit) {
       sendError(ws, "rate-limit", "Too many messages");
       return;
     }
@@ -659,7 +742,7 @@ wss.on("connection", (ws, req) => {
         await storage.setRoom(roomId, {
           createdAt: Date.now(),
           diceConfig: diceConfig || {
-            diceSets: [{ id: "set-1", count: 2, color: "#ffffff" }],
+            diceSets: [{ id: "set-1", count: 2, color: "#ffffff", sides: 6 }],
           },
         });
 
@@ -766,6 +849,63 @@ wss.on("connection", (ws, req) => {
         break;
       }
 
+      // Data messages relayed for peers that can't open a data channel to
+      // each other. Only between members of the same room. A message comes
+      // whole as `data`, or as one `part` of a larger one.
+      case "relay": {
+        const { targetPeerId, data, part } = message;
+
+        if (!isValidPeerId(targetPeerId)) {
+          sendError(ws, "invalid-peer", "Invalid target peer ID");
+          return;
+        }
+        if (part !== undefined && !isValidRelayPart(part)) {
+          sendError(ws, "invalid-message", "Invalid relayed message part");
+          return;
+        }
+
+        const target = await storage.getPeer(targetPeerId);
+        if (!peer?.roomId || target?.roomId !== peer.roomId) {
+          sendError(ws, "peer-not-found", "Target peer is not in your room");
+          return;
+        }
+
+        sendToPeer(
+          targetPeerId,
+          part
+            ? { type: "relay", fromPeerId: peerId, part }
+            : { type: "relay", fromPeerId: peerId, data },
+        );
+        break;
+      }
+
+      // Server-signed roll for rooms in "server" roll mode
+      case "request-roll": {
+        const { requestId } = message;
+
+        if (typeof requestId !== "string" || !/^[\w-]{1,64}$/.test(requestId)) {
+          sendError(ws, "invalid-message", "Invalid roll request ID");
+          return;
+        }
+
+        const room = peer?.roomId ? await storage.getRoom(peer.roomId) : null;
+        if (room?.diceConfig?.rollMode !== "server") {
+          sendTo(ws, {
+            type: "roll-failed",
+            requestId,
+            reason: "Room doesn't use server-signed rolls",
+          });
+          return;
+        }
+
+        sendTo(ws, {
+          type: "roll-signed",
+          requestId,
+          ...(await signRoll(peer.roomId, peerId, requestId)),
+        });
+        break;
+      }
+
       // Leave room
       case "leave-room": {
         if (peer && peer.roomId) {
@@ -836,6 +976,7 @@ wss.on("connection", (ws, req) => {
     }
 
     messageRates.delete(peerId);
+    relayRates.delete(peerId);
     wsConnections.delete(peerId);
     await storage.deletePeer(peerId);
     logger.debug({ peerId: truncatePeerId(peerId) }, "Peer disconnected");
@@ -852,9 +993,11 @@ wss.on("connection", (ws, req) => {
 // Cleanup stale rate limit entries periodically
 const rateLimitCleanupInterval = setInterval(() => {
   const now = Date.now();
-  for (const [peerId, rateData] of messageRates) {
-    if (now - rateData.windowStart > RATE_LIMIT.windowMs * 10) {
-      messageRates.delete(peerId);
+  for (const rates of [messageRates, relayRates]) {
+    for (const [peerId, rateData] of rates) {
+      if (now - rateData.windowStart > RATE_LIMIT.windowMs * 10) {
+        rates.delete(peerId);
+      }
     }
   }
   for (const [ip, rateData] of httpRates) {
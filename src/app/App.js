@@ -2,9 +2,16 @@ import { Container } from "./Container.js";
 import { DiceStore } from "../features/dice-rolling/state/DiceStore.js";
 import {
   createStrategy,
+  hasStrategy,
   DEFAULT_STRATEGY,
 } from "../features/dice-rolling/strategies/index.js";
 import { MessageBus } from "../infrastructure/messaging/MessageBus.js";
+import { CryptoRng } from "../infrastructure/random/Rng.js";
+import { checkSchema } from "../infrastructure/network/index.js";
+import {
+  parseNotation,
+  evaluateNotation,
+} from "../features/dice-rolling/notation/DiceNotation.js";
 
 // Import UI components to register them
 import "../ui/containers/DiceRollerContainer.js";
@@ -25,12 +32,14 @@ export class App {
   #currentStrategyId;
   #currentStrategy;
   #rollerContainer;
+  #unsubscribers;
 
   constructor() {
     this.#container = new Container();
     this.#currentStrategyId = null;
     this.#currentStrategy = null;
     this.#rollerContainer = null;
+    this.#unsubscribers = [];
   }
 
   /**
@@ -39,7 +48,10 @@ export class App {
    * @param {object} options
    * @param {object} options.diceConfig - Dice configuration
    * @param {object} options.localPlayer - Local player { id, username }
-   * @param {object} options.network - Network service (or mock)
+   * @param {object} options.network - Network service (NetworkAdapter or mock): broadcast() and onMessage()
+   * @param {object} [options.fairRolls] - Shared randomness for verifiable rolls (FairRollCoordinator)
+   * @param {object} [options.rng] - Random number source for local rolls (defaults to CryptoRng)
+   * @param {object} [options.players] - Players in the room (MeshState): getPeerList() and peer-added/peer-removed events
    * @param {string} options.strategyId - Initial strategy ID
    */
   init(options) {
@@ -47,12 +59,18 @@ export class App {
       diceConfig,
       localPlayer,
       network,
+      fairRolls = null,
+      rng = new CryptoRng(),
+      players = null,
       strategyId = DEFAULT_STRATEGY,
     } = options;
 
     // Register core services
     this.#container.registerInstance("localPlayer", localPlayer);
     this.#container.registerInstance("network", network);
+    this.#container.registerInstance("fairRolls", fairRolls);
+    this.#container.registerInstance("rng", rng);
+    this.#container.registerInstance("players", players);
 
     // Create and configure dice store
     const diceStore = new DiceStore();
@@ -116,11 +134,15 @@ export class App {
       state: this.#container.get("diceStore"),
       network: this.#container.get("network"),
       localPlayer: this.#container.get("localPlayer"),
+      rng: this.#container.get("rng"),
+      fairRolls: this.#container.get("fairRolls"),
+      players: this.#container.get("players"),
     };
 
     // Create new strategy
     this.#currentStrategy = createStrategy(strategyId, context);
     this.#currentStrategyId = strategyId;
+    this.#subscribeStrategy(this.#currentStrategy);
 
     // Update UI if mounted
     if (this.#rollerContainer) {
@@ -130,6 +152,32 @@ export class App {
     return this;
   }
 
+  /**
+   * Deliver the strategy's messages to it through the message bus, both
+   * from the network and handed to handleMessage(). Replaces the previous
+   * strategy's subscriptions.
+   * @param {DiceRollingStrategy} strategy
+   */
+  #subscribeStrategy(strategy) {
+    for (const unsubscribe of this.#unsubscribers) unsubscribe();
+
+    const network = this.#container.get("network");
+    const messageBus = this.messageBus;
+    const { messageTypes } = strategy.constructor;
+
+    this.#unsubscribers = ["dice:roll", ...messageTypes].map((type) =>
+      messageBus.on(type, (payload, { fromPeerId }) =>
+        strategy.handleMessage(type, payload, fromPeerId),
+      ),
+    );
+    for (const type of messageTypes) {
+      const unsubscribe = network.onMessage?.(type, (payload, context) =>
+        messageBus.dispatch({ type, payload }, context),
+      );
+      if (unsubscribe) this.#unsubscribers.push(unsubscribe);
+    }
+  }
+
   /**
    * Get the current strategy ID.
    * @returns {string}
@@ -171,15 +219,87 @@ export class App {
   }
 
   /**
-   * Handle incoming network message.
-   * Delegates to current strategy.
+   * Handle a message from outside the network adapter, such as each set's
+   * result of a roll. Dispatched to the current strategy if it takes it.
    *
    * @param {string} type - Message type
    * @param {object} payload - Message data
    * @param {string} fromPeerId - Sender's peer ID
+   * @returns {Promise<void>}
    */
   handleMessage(type, payload, fromPeerId) {
-    this.#currentStrategy?.handleMessage(type, payload, fromPeerId);
+    return this.messageBus.dispatch({ type, payload }, { fromPeerId });
+  }
+
+  /**
+   * Check one of the current strategy's messages from the network against
+   * the schema the strategy declares for it.
+   * @param {string} type - Message type (e.g., 'dice:grab')
+   * @param {object} payload - Message data
+   * @returns {string|null} Why the message is invalid, or null if it's fine
+   */
+  checkMessage(type, payload) {
+    const schema = this.#currentStrategy?.constructor.messageSchemas[type];
+    if (!schema) return `${type} is not a message of the current strategy`;
+    return checkSchema(schema, payload, type);
+  }
+
+  /**
+   * Whether the current strategy lets a player roll a set right now.
+   * @param {string} playerId
+   * @param {string} setId
+   * @returns {boolean}
+   */
+  acceptsRoll(playerId, setId) {
+    return this.#currentStrategy?.acceptsRoll(playerId, setId) ?? true;
+  }
+
+  /**
+   * Whether the current strategy lets a player make a notation roll now.
+   * @param {string} playerId
+   * @returns {boolean}
+   */
+  acceptsNotationRoll(playerId) {
+    return this.#currentStrategy?.acceptsNotationRoll(playerId) ?? true;
+  }
+
+  /**
+   * Roll a dice notation expression (e.g. "4d6kh3") and broadcast it.
+   * Notation rolls are free-standing: they don't change the dice on the table.
+   *
+   * @param {string} expression - Dice notation
+   * @param {object} [options]
+   * @param {string[]} [options.secretTo] - Roll in secret: only these peers see the result
+   * @returns {Promise<object>} Evaluated notation result
+   * @throws {Error} If the expression is invalid, or the strategy doesn't
+   *   let us roll now
+   */
+  async rollNotation(expression, { secretTo = null } = {}) {
+    const localPlayer = this.#container.get("localPlayer");
+    if (!this.acceptsNotationRoll(localPlayer.id)) {
+      throw new Error("It's not your turn to roll");
+    }
+    const parsed = parseNotation(expression);
+
+    const randomness = await this.#container.get("fairRolls")?.acquire();
+    const rng = this.#container.get("rng");
+    const notation = evaluateNotation(
+      parsed,
+      randomness
+        ? await randomness.createRoller("notation")
+        : (sides) => rng.rollDie(sides),
+    );
+
+    this.#container.get("network").broadcast("dice:roll", {
+      notation,
+      total: notation.total,
+      playerId: localPlayer.id,
+      username: localPlayer.username,
+      fairness: randomness?.proof,
+      secretTo,
+    });
+
+    return notation;
   }
 
   /**
@@ -194,15 +314,22 @@ export class App {
   }
 
   /**
-   * Load state from a peer.
+   * Load state from a peer. The dice in it are checked against our config
+   * first.
    * @param {object} state
    */
   loadState(state) {
-    if (state.strategyId && state.strategyId !== this.#currentStrategyId) {
+    if (
+      hasStrategy(state.strategyId) &&
+      state.strategyId !== this.#currentStrategyId
+    ) {
       this.setStrategy(state.strategyId);
     }
     if (state.strategyState) {
-      this.#currentStrategy?.loadState(state.strategyState);
+      this.#currentStrategy?.loadState({
+        ...state.strategyState,
+        ...this.diceStore.checkSnapshot(state.strategyState),
+      });
     }
   }
 }
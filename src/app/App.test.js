@@ -0,0 +1,147 @@
+import { describe, it, expect } from "vitest";
+import { createApp } from "./App.js";
+import { SeededRng } from "../infrastructure/random/Rng.js";
+import { NetworkAdapter } from "../infrastructure/network/NetworkAdapter.js";
+
+const CONFIG = {
+  diceSets: [
+    { id: "red", count: 2, color: "#ff0000", sides: 6 },
+    { id: "blue", count: 1, color: "#0000ff", sides: 20 },
+  ],
+};
+
+function createPlayer(id, options = {}) {
+  return createApp({
+    diceConfig: CONFIG,
+    localPlayer: { id, username: id.toUpperCase() },
+    network: { broadcast: () => {} },
+    rng: new SeededRng(id),
+    ...options,
+  });
+}
+
+/**
+ * Players whose apps talk through NetworkAdapters over a fake WebRTC
+ * manager that delivers every broadcast at once.
+ */
+function createMesh() {
+  const managers = new Map();
+  return {
+    join(id, strategyId) {
+      const manager = new EventTarget();
+      manager.broadcast = (message) => {
+        for (const [peerId, other] of managers) {
+          if (peerId === id) continue;
+          other.dispatchEvent(
+            new CustomEvent("message", {
+              detail: { peerId: id, message: structuredClone(message) },
+            }),
+          );
+        }
+      };
+      managers.set(id, manager);
+      return createPlayer(id, {
+        network: new NetworkAdapter(manager),
+        strategyId,
+      });
+    },
+  };
+}
+
+describe("App", () => {
+  describe("state", () => {
+    it("should give a player who joins the dice as they lie", async () => {
+      const alice = createPlayer("alice");
+      await alice.strategy.rollPickedDice(new Set([0, 1, 2]));
+      alice.diceStore.setHolder("blue", "alice", "ALICE");
+      alice.diceStore.setLocked("red", 1, true);
+
+      const bob = createPlayer("bob");
+      bob.loadState(structuredClone(alice.getState()));
+
+      const { diceStore } = bob;
+      expect(diceStore.diceValues).toEqual(alice.diceStore.diceValues);
+      expect(diceStore.holders.get("blue")).toEqual({
+        playerId: "alice",
+        username: "ALICE",
+      });
+      expect(diceStore.lastRoller.get("red").playerId).toBe("alice");
+      expect(diceStore.isLocked("red", 1)).toBe(true);
+      expect(bob.strategy.getAllDice()).toEqual(alice.strategy.getAllDice());
+    });
+
+    it("should leave out dice that don't fit the room's config", () => {
+      const bob = createPlayer("bob");
+      bob.loadState({
+        strategyId: "drag-pickup",
+        strategyState: {
+          config: { diceSets: [{ id: "green", count: 9, sides: 6 }] },
+          values: { red: [1, 6], blue: ['"><img src=x>'], green: [3] },
+          holders: { red: { playerId: "alice" }, blue: "mallory" },
+          locks: { red: [0, 5] },
+        },
+      });
+
+      const { diceStore } = bob;
+      expect(diceStore.diceConfig).toBe(CONFIG);
+      expect([...diceStore.diceValues]).toEqual([["red", [1, 6]]]);
+      expect(diceStore.holders.size).toBe(0);
+      expect(diceStore.locks.size).toBe(0);
+    });
+  });
+
+  describe("messages", () => {
+    it("should deliver a strategy's own messages from the network", () => {
+      const mesh = createMesh();
+      const alice = mesh.join("alice", "grab-hold");
+      const bob = mesh.join("bob", "grab-hold");
+
+      alice.strategy.grab("blue");
+
+      expect(bob.diceStore.holders.get("blue")).toEqual({
+        playerId: "alice",
+        username: "ALICE",
+      });
+    });
+
+    it("should stop delivering messages of a strategy switched away from", () => {
+      const mesh = createMesh();
+      const alice = mesh.join("alice", "grab-hold");
+      const bob = mesh.join("bob", "grab-hold");
+
+      bob.setStrategy("drag-pickup");
+      alice.strategy.grab("blue");
+
+      expect(bob.diceStore.holders.size).toBe(0);
+    });
+
+    it("should check a strategy's messages against its schemas", () => {
+      const bob = createPlayer("bob", { strategyId: "grab-hold" });
+      const grab = {
+        setId: "blue",
+        version: 1,
+        grabbedAt: 0,
+        playerId: "alice",
+        username: "ALICE",
+      };
+
+      expect(bob.checkMessage("dice:grab", grab)).toBeNull();
+      expect(bob.checkMessage("dice:grab", { ...grab, version: "1" })).toBe(
+        "dice:grab.version must be an integer from 0 to 9007199254740991",
+      );
+      expect(bob.checkMessage("dice:turn", {})).toMatch(/not a message/);
+    });
+
+    it("should hand each set of a roll to the strategy", async () => {
+      const bob = createPlayer("bob");
+
+      await bob.handleMessage(
+        "dice:roll",
+        { setId: "red", values: [2, 5], playerId: "alice", username: "ALICE" },
+        "alice",
+      );
+
+      expect(bob.diceStore.diceValues.get("red")).toEqual([2, 5]);
+    });
+  });
+});
@@ -13,10 +13,28 @@ import { signalingClient } from "../services/signaling-client.js";
 import { webrtcManager } from "../services/webrtc-manager.js";
 import { ConnectionManager } from "../services/connection-manager.js";
 import { RoomManager } from "../services/room-manager.js";
-import { MessageRouter, MSG } from "../services/message-router.js";
+import {
+  MessageRouter,
+  MSG,
+  PROTOCOL_VERSION,
+  SIGNING_VERSION,
+} from "../services/message-router.js";
+import { validateMessage } from "../services/message-schemas.js";
+import { FairRollCoordinator } from "../services/fair-roll-coordinator.js";
+import { RollOracle } from "../services/roll-oracle.js";
+import { BlindRoundCoordinator } from "../services/blind-round-coordinator.js";
+import { StateReconciler } from "../services/state-reconciler.js";
+import { PeerIdentity } from "../services/peer-identity.js";
+import { VERIFICATION } from "../features/dice-rolling/fairness/FairRoll.js";
+import { NetworkAdapter } from "../infrastructure/network/index.js";
+import { createRollId } from "../state/logical-clock.js";
 
 // Dice app
 import { createApp } from "./App.js";
+import {
+  hasStrategy,
+  DEFAULT_STRATEGY,
+} from "../features/dice-rolling/strategies/index.js";
 
 // UI Components (register custom elements)
 import "../ui/components/shared/play-frame.js";
@@ -28,14 +46,107 @@ import "../ui/components/room/room-view.js";
 import "../ui/components/room/room-code-input.js";
 import "../ui/components/room/dice-config.js";
 import "../ui/components/room/dice-history.js";
+import "../ui/components/room/roll-command.js";
 import "../ui/components/room/peer-list.js";
+import "../ui/components/room/strategy-select.js";
 
 class DiceBoxApp {
   constructor() {
     // Initialize managers
     this.connectionManager = new ConnectionManager();
     this.roomManager = new RoomManager();
-    this.messageRouter = new MessageRouter();
+    // Our messages are signed, and other peers' checked against their keys
+    this.identity = new PeerIdentity();
+    this.identity
+      .init()
+      .then(() => {
+        webrtcManager.messageSigner = (message) => this.identity.sign(message);
+      })
+      .catch((error) => console.warn("Can't sign messages:", error));
+    this.messageRouter = new MessageRouter({
+      validate: validateMessage,
+      identity: this.identity,
+    });
+    // The peer that handed us the message, which isn't who it claims to be
+    // from if it was passed on
+    this.messageRouter.addEventListener("message-rejected", (e) => {
+      this.peerList?.flagPeer(e.detail.relayedBy ?? e.detail.peerId);
+    });
+    // The dice strategies' own messages ("dice:grab", ...) go through here
+    this.network = new NetworkAdapter(webrtcManager, this.messageRouter);
+    this.fairRolls = new FairRollCoordinator({
+      router: this.messageRouter,
+      getPeerIds: () => webrtcManager.getConnectedPeers(),
+      getLocalPeerId: () => this.connectionManager.getEffectiveId(),
+      getDiceStore: () => this.diceApp?.diceStore,
+    });
+    this.rollOracle = new RollOracle({
+      signaling: signalingClient,
+      getRoomId: () => this.roomManager.roomId,
+      getDiceStore: () => this.diceApp?.diceStore,
+    });
+    // Where rolls get their randomness: set from the room's roll mode
+    this.rollSource = this.fairRolls;
+
+    const meshState = this.roomManager.getMeshState();
+    this.blindRounds = new BlindRoundCoordinator({
+      router: this.messageRouter,
+      clock: meshState.clock,
+      getParticipants: () => meshState.getPeerList(),
+      getLocalPeer: () => ({
+        id: this.connectionManager.getEffectiveId(),
+        username: this.roomManager.username,
+      }),
+    });
+    this.blindRounds.addEventListener("round-updated", (e) => {
+      const { entry } = e.detail;
+      this.diceHistory?.updateRoll(entry);
+      // Finished rounds are passed on to players who join later
+      if (entry.blindRound.complete) meshState.replaceRoll(entry);
+    });
+
+    // Peers compare state every few seconds and pull in what they missed
+    this.reconciler = new StateReconciler({
+      router: this.messageRouter,
+      meshState,
+      identity: this.identity,
+      getLocalPeerId: () => this.connectionManager.getEffectiveId(),
+      isConnectedTo: (peerId) => webrtcManager.isConnectedTo(peerId),
+      getDiceState: () => this.diceApp?.getState() ?? null,
+      loadDiceState: (dice) => this.diceApp?.loadState(dice),
+    });
+    this.reconciler.addEventListener("rolls-recovered", (e) => {
+      this.#showPastRolls(e.detail.rolls);
+    });
+    this.reconciler.addEventListener("peers-changed", (e) => {
+      const { added, removed } = e.detail;
+      // Players are only added once we're connected to them
+      for (const { peerId, username } of added) {
+        this.peerList?.addPeer(peerId, username, "connected");
+      }
+      for (const { peerId } of removed) {
+        this.peerList?.removePeer(peerId);
+      }
+    });
+
+    meshState.addEventListener("peer-removed", (e) => {
+      this.blindRounds.removePeer(e.detail.peerId);
+      this.reconciler.removePeer(e.detail.peerId);
+      // Dice sets held by a player who left are free again, and dice they
+      // were picking up are put back
+      this.diceApp?.diceStore.releaseHolder(e.detail.peerId);
+      this.diceApp?.diceStore.clearPickup(e.detail.peerId);
+    });
+
+    // Rolls and strategy messages waiting to change the table. Rolls are
+    // checked first, so everything after them waits its turn: a turn
+    // handed on after a roll mustn't overtake it.
+    this.tableUpdates = Promise.resolve();
+
+    // Our secret rolls that haven't been revealed yet: rollId -> DICE_ROLL message
+    this.secretRolls = new Map();
+    // Who has our recent rolls: rollId -> { total, delivered: Set of peerIds }
+    this.rollDeliveries = new Map();
 
     // UI components
     this.headerBar = document.querySelector("header-bar");
@@ -120,12 +231,28 @@ class DiceBoxApp {
   // === MESSAGE HANDLERS SETUP (Mesh topology - all handlers are equal) ===
 
   setupMessageHandlers() {
+    // Whatever arrives is checked before anything handles it
+    webrtcManager.messageFilter = (peerId, message, relayedBy) =>
+      this.messageRouter.accept(peerId, message, relayedBy);
+
     this.messageRouter
       .onMessage(MSG.HELLO, (peerId, msg) => this.handleHello(peerId, msg))
       .onMessage(MSG.WELCOME, (peerId, msg) => this.handleWelcome(peerId, msg))
       .onMessage(MSG.REQUEST_STATE, (peerId, msg) =>
         this.handleRequestState(peerId, msg),
       )
+      .onMessage(MSG.ERROR, (peerId, { error }) =>
+        console.warn(`Peer ${peerId} turned down our message: ${error}`),
+      )
+      .onMessage(MSG.STATE_DIGEST, (peerId, msg) =>
+        this.reconciler.handleDigest(peerId, msg),
+      )
+      .onMessage(MSG.STATE_PULL, (peerId, msg) =>
+        this.reconciler.handlePull(peerId, msg),
+      )
+      .onMessage(MSG.STATE_ENTRIES, (peerId, msg) =>
+        this.reconciler.handleEntries(peerId, msg),
+      )
       .onMessage(MSG.PEER_JOINED, (peerId, msg) =>
         this.handlePeerJoinedMsg(peerId, msg),
       )
@@ -133,8 +260,64 @@ class DiceBoxApp {
         this.handlePeerLeftMsg(peerId, msg),
       )
       .onMessage(MSG.DICE_ROLL, (peerId, msg) =>
-        this.handleDiceRollMsg(peerId, msg),
+        this.#updateTable(() => this.handleDiceRollMsg(peerId, msg)),
+      )
+      .onMessage(MSG.STRATEGY_CHANGE, (peerId, msg) =>
+        this.handleStrategyChangeMsg(peerId, msg),
+      )
+      .onMessage(MSG.SECRET_ROLL, (peerId, msg) =>
+        this.handleSecretRollMsg(peerId, msg),
+      )
+      .onMessage(MSG.SECRET_ROLL_REVEAL, (peerId, msg) =>
+        this.handleSecretRevealMsg(peerId, msg),
+      )
+      .onMessage(MSG.FAIR_ROLL_START, (peerId, msg) =>
+        this.fairRolls.handleStart(peerId, msg),
+      )
+      .onMessage(MSG.FAIR_ROLL_COMMIT, (peerId, msg) =>
+        this.fairRolls.handleCommit(peerId, msg),
+      )
+      .onMessage(MSG.FAIR_ROLL_COMMITMENTS, (peerId, msg) =>
+        this.fairRolls.handleCommitments(peerId, msg),
+      )
+      .onMessage(MSG.FAIR_ROLL_REVEAL, (peerId, msg) =>
+        this.fairRolls.handleReveal(peerId, msg),
+      )
+      .onMessage(MSG.BLIND_ROUND_START, (peerId, msg) =>
+        this.blindRounds.handleStart(peerId, msg),
+      )
+      .onMessage(MSG.BLIND_ROUND_COMMIT, (peerId, msg) =>
+        this.blindRounds.handleCommit(peerId, msg),
+      )
+      .onMessage(MSG.BLIND_ROUND_REVEAL, (peerId, msg) =>
+        this.blindRounds.handleReveal(peerId, msg),
       );
+
+    // Strategy messages reach the dice app through the network adapter.
+    // Rolls are the exception: the adapter names the room's DICE_ROLL
+    // "dice:roll" too, but those are checked and handed on by
+    // handleDiceRollMsg. Everything else must come from a player in the room
+    // and match the current strategy's schema for it.
+    this.network.use((message, { fromPeerId }) => {
+      const { type, payload } = message;
+      if (!type?.startsWith("dice:") || type === "dice:roll") return null;
+      if (!this.diceApp) return null;
+
+      if (!this.roomManager.getMeshState().getPeer(fromPeerId)) {
+        console.warn(`Dropped ${type} from unknown peer ${fromPeerId}`);
+        return null;
+      }
+      const error = this.diceApp.checkMessage(type, payload);
+      if (error) {
+        console.warn(`Dropped ${type} from ${fromPeerId}: ${error}`);
+        return null;
+      }
+      return message;
+    });
+    this.network.use((message, { fromPeerId }) => {
+      console.log(`Message from ${fromPeerId}:`, message.type);
+      return message;
+    });
   }
 
   // === MANAGER EVENTS SETUP ===
@@ -180,6 +363,11 @@ class DiceBoxApp {
       onJoinFailed: ({ reason }) => {
         console.error("Failed to join room:", reason);
       },
+      onPeerLeft: ({ peerId }) => {
+        // They won't be back for what we kept for them
+        webrtcManager.forgetPeer(peerId);
+        this.identity.forget(peerId);
+      },
       onPeerDisconnected: ({ peerId }) => {
         // Handle WebRTC disconnection
         webrtcManager.closePeerConnection(peerId);
@@ -243,6 +431,37 @@ class DiceBoxApp {
       this.retryConnection();
     });
 
+    document.addEventListener("notation-roll", (e) => {
+      const { expression, secretTo } = e.detail;
+      this.diceApp?.rollNotation(expression, { secretTo }).catch((error) => {
+        console.error("Notation roll failed:", error);
+      });
+    });
+
+    document.addEventListener("reveal-roll", (e) => {
+      this.revealSecretRoll(e.detail.rollId);
+    });
+
+    // Starting a blind round rolls for us straight away
+    document.addEventListener("blind-round", (e) => {
+      const roundId = this.blindRounds.start(e.detail.expression);
+      this.blindRounds.roll(roundId);
+    });
+
+    document.addEventListener("blind-roll", (e) => {
+      this.blindRounds.roll(e.detail.roundId);
+    });
+
+    // Switching strategy in the room switches it for everyone
+    this.roomView.addEventListener("strategy-change", (e) => {
+      this.changeStrategy(e.detail.strategyId);
+    });
+
+    // Tapping ourselves in the player list drops the dice we hold
+    document.addEventListener("dice-dropped", () => {
+      this.diceApp?.strategy.dropAll?.();
+    });
+
     // Note: Local dice events (dice-rolled, dice-grabbed, etc.) are now handled
     // internally by the new strategy-based dice app. We only handle network
     // messages via the messageRouter handlers.
@@ -273,10 +492,14 @@ class DiceBoxApp {
 
       this.roomManager.markPeerConnected(peerId);
 
-      // Send HELLO to introduce ourselves
+      // Send HELLO to introduce ourselves. Without a key we can't sign, so
+      // we speak the protocol from before signing.
+      const publicKey = this.identity.getPublicKey();
       this.messageRouter.sendToPeer(peerId, {
         type: MSG.HELLO,
         username: this.roomManager.username,
+        protocolVersion: publicKey ? PROTOCOL_VERSION : SIGNING_VERSION - 1,
+        publicKey,
       });
 
       // If we don't have state yet, request it from this peer
@@ -288,13 +511,33 @@ class DiceBoxApp {
     });
 
     webrtcManager.addEventListener("message", (e) => {
-      this.messageRouter.route(e.detail.peerId, e.detail.message);
+      const { peerId, message, relayedBy } = e.detail;
+      this.messageRouter.route(peerId, message, relayedBy);
+    });
+
+    webrtcManager.addEventListener("message-delivered", (e) => {
+      const { peerId, message } = e.detail;
+      const delivery = this.rollDeliveries.get(message.rollId);
+      if (!delivery) return;
+
+      delivery.delivered.add(peerId);
+      this.diceHistory?.setDelivery(
+        message.rollId,
+        delivery.delivered.size,
+        delivery.total,
+      );
     });
 
     webrtcManager.addEventListener("peer-disconnected", (e) => {
       this.handlePeerDisconnected(e.detail.peerId);
     });
 
+    // Peers whose direct connection failed are relayed by the server
+    webrtcManager.addEventListener("transport-change", (e) => {
+      const { peerId, relayed } = e.detail;
+      this.peerList?.setRelayed(peerId, relayed);
+    });
+
     webrtcManager.addEventListener("connection-state-change", (e) => {
       const { peerId, state } = e.detail;
       if (this.peerList) {
@@ -315,7 +558,10 @@ class DiceBoxApp {
   // === MESSAGE HANDLERS (Mesh topology - unified handlers) ===
 
   handleHello(peerId, { username }) {
-    console.log(`Peer ${peerId} introduced as ${username}`);
+    const version = this.messageRouter.getPeerVersion(peerId);
+    console.log(
+      `Peer ${peerId} introduced as ${username} (protocol ${version})`,
+    );
     const meshState = this.roomManager.getMeshState();
 
     // Add peer to our state
@@ -333,6 +579,7 @@ class DiceBoxApp {
           type: MSG.PEER_JOINED,
           peerId,
           username,
+          publicKey: this.identity.getKey(peerId),
         },
         peerId,
       );
@@ -343,14 +590,16 @@ class DiceBoxApp {
     console.log(`Peer ${peerId} requested state`);
     const meshState = this.roomManager.getMeshState();
 
-    // Send our current state to this peer
+    // Send our current state to this peer, with the dice as they lie
     this.messageRouter.sendToPeer(peerId, {
       type: MSG.WELCOME,
       state: meshState.getSnapshot(),
+      dice: this.diceApp?.getState(),
+      keys: this.identity.getKeys(),
     });
   }
 
-  handleWelcome(peerId, { state }) {
+  async handleWelcome(peerId, { state, dice, keys }) {
     console.log(`Received state from ${peerId}`);
 
     // Only accept state if we haven't received it yet
@@ -362,11 +611,21 @@ class DiceBoxApp {
     this.roomManager.setReceivedStateFrom(peerId);
     const meshState = this.roomManager.getMeshState();
 
+    // Keys of the players we may not reach ourselves
+    for (const [keyPeerId, key] of Object.entries(keys ?? {})) {
+      if (keyPeerId !== this.connectionManager.peerId) {
+        this.identity.addKey(keyPeerId, key);
+      }
+    }
+
     // Load the state (includes diceConfig)
     meshState.loadSnapshot(state);
 
-    // Now enter the room UI
+    // Now enter the room UI, with the dice as the rest of the room sees them
     this.enterRoom();
+    if (dice) {
+      this.diceApp.loadState(dice);
+    }
 
     // Populate peer list and history from state
     for (const peer of state.peers || []) {
@@ -375,14 +634,30 @@ class DiceBoxApp {
       }
     }
 
-    for (const roll of (state.rollHistory || []).slice().reverse()) {
-      this.diceHistory.addRoll(roll);
+    await this.#showPastRolls((state.rollHistory || []).slice().reverse());
+  }
+
+  /**
+   * Add rolls made while we weren't there to history. We didn't take part
+   * in them, but can still check their proofs: pass them oldest first, so
+   * signed roll sequences are checked in order.
+   */
+  async #showPastRolls(rolls) {
+    for (const roll of rolls) {
+      const verification = await this.rollSource.verifyRoll(roll);
+      this.diceHistory?.addRoll({ ...roll, verification });
     }
   }
 
-  handlePeerJoinedMsg(peerId, { peerId: newPeerId, username }) {
+  handlePeerJoinedMsg(peerId, { peerId: newPeerId, username, publicKey }) {
     if (newPeerId === this.connectionManager.peerId) return;
 
+    // Second hand, so only for a peer whose own HELLO we won't get. It's
+    // dropped if another peer tells us a different key (see peer-identity.js)
+    if (publicKey && !webrtcManager.isConnectedTo(newPeerId)) {
+      this.identity.addKey(newPeerId, publicKey);
+    }
+
     const meshState = this.roomManager.getMeshState();
     meshState.addPeer(newPeerId, username);
 
@@ -392,6 +667,11 @@ class DiceBoxApp {
   }
 
   handlePeerLeftMsg(peerId, { peerId: leftPeerId }) {
+    // The sender only lost its link to them, and we can still reach them
+    if (leftPeerId !== peerId && webrtcManager.isConnectedTo(leftPeerId)) {
+      return;
+    }
+
     const meshState = this.roomManager.getMeshState();
     meshState.removePeer(leftPeerId);
 
@@ -400,41 +680,193 @@ class DiceBoxApp {
     }
   }
 
-  handleDiceRollMsg(peerId, roll) {
+  async handleDiceRollMsg(peerId, roll) {
     const meshState = this.roomManager.getMeshState();
 
     // Check for duplicate
     if (meshState.hasRoll(roll.rollId)) {
       return;
     }
+    if (!meshState.clock.accepts(roll.clock)) {
+      console.warn(
+        `Dropped roll ${roll.rollId} from ${peerId}: clock too far ahead`,
+      );
+      return;
+    }
+
+    // Check the values against the proof. A roll that fails it is never
+    // applied, only shown to us, flagged in history. A server-signed room
+    // also leaves out rolls the server doesn't vouch for.
+    const verification = await this.rollSource.verifyRoll(roll);
+    if (meshState.hasRoll(roll.rollId)) return; // Came another way meanwhile
+
+    // Rolls the strategy doesn't allow (e.g. out of turn) aren't kept at all
+    const allowed =
+      (!roll.notation || (this.diceApp?.acceptsNotationRoll(peerId) ?? true)) &&
+      (roll.setResults || []).every(
+        (sr) => this.diceApp?.acceptsRoll(peerId, sr.setId) ?? true,
+      );
+    if (!allowed) {
+      console.warn(`Dropped roll ${roll.rollId} from ${peerId}: not theirs`);
+      return;
+    }
+    const rejected =
+      verification === VERIFICATION.FAILED ||
+      (verification !== VERIFICATION.VERIFIED &&
+        this.rollSource === this.rollOracle);
+    if (rejected) {
+      console.warn(`Roll ${roll.rollId} from ${peerId} failed verification`);
+    }
 
-    // Add to state
-    meshState.addRoll(roll);
+    // Add to state. Secret rolls are kept redacted so they aren't passed on
+    // to peers that join later.
+    if (!rejected) {
+      meshState.addRoll(roll.secret ? this.#redactRoll(roll) : roll);
+    }
 
     // Update state
-    for (const sr of roll.setResults || []) {
+    for (const sr of rejected ? [] : roll.setResults || []) {
       meshState.setLastRoller(sr.setId, sr.holderId, sr.holderUsername);
 
-      // Update DiceStore
-      if (this.diceApp) {
-        this.diceApp.diceStore.applyRoll({
+      // Update DiceStore through the strategy
+      this.diceApp?.handleMessage(
+        "dice:roll",
+        {
           setId: sr.setId,
-          values: sr.values,
+          values: this.#rolledValues(sr),
+          transforms: sr.transforms,
           playerId: sr.holderId,
           username: sr.holderUsername,
-        });
-      }
+        },
+        peerId,
+      );
     }
 
     if (this.diceHistory) {
-      this.diceHistory.addRoll(roll);
+      this.diceHistory.addRoll({ ...roll, verification });
+    }
+  }
+
+  /**
+   * A set's values after a roll. Only the dice it rolled are checked
+   * against its proof, so only those change; the rest stay as they lie.
+   */
+  #rolledValues({ setId, values, rolledIndices }) {
+    if (!Array.isArray(rolledIndices)) return values;
+
+    // Dice that never had a value start at 1, as they do for the roller
+    const current = this.diceApp?.diceStore?.diceValues.get(setId);
+    const before =
+      current?.length === values.length
+        ? current
+        : Array(values.length).fill(1);
+    return before.map((value, i) =>
+      rolledIndices.includes(i) ? values[i] : value,
+    );
+  }
+
+  async handleSecretRollMsg(peerId, msg) {
+    const meshState = this.roomManager.getMeshState();
+    if (!meshState.addRoll(msg)) return;
+
+    // Nothing to check yet, but the roll oracle notes the hidden roll
+    await this.rollSource.verifyRoll(msg);
+    this.diceHistory?.addRoll(msg);
+  }
+
+  async handleSecretRevealMsg(peerId, { roll }) {
+    // Only the roller can reveal their roll
+    const holderId =
+      roll?.notation?.holderId ?? roll?.setResults?.[0]?.holderId;
+    if (!roll?.rollId || holderId !== peerId) return;
+
+    // It can only stand in for the hidden roll the roller sent
+    const revealed = { ...roll, revealed: true };
+    const replaced = this.roomManager
+      .getMeshState()
+      .replaceRoll(
+        revealed,
+        (entry) => entry.type === MSG.SECRET_ROLL && entry.holderId === peerId,
+      );
+    if (!replaced) return;
+
+    const verification = await this.rollSource.verifyRoll(revealed);
+    this.diceHistory?.updateRoll({ ...revealed, verification });
+  }
+
+  /**
+   * Change the table once the updates before this one are done.
+   * @param {function} update
+   * @returns {Promise<void>}
+   */
+  #updateTable(update) {
+    this.tableUpdates = this.tableUpdates
+      .then(update)
+      .catch((error) => console.error("Error updating the table:", error));
+    return this.tableUpdates;
+  }
+
+  // === SECRET ROLLS ===
+
+  /**
+   * What peers outside a secret roll's audience see: who rolled, not what.
+   */
+  #redactRoll(roll) {
+    const holder = roll.notation ?? roll.setResults?.[0] ?? {};
+    return {
+      type: MSG.SECRET_ROLL,
+      rollId: roll.rollId,
+      clock: roll.clock,
+      timestamp: roll.timestamp,
+      redacted: true,
+      holderId: holder.holderId,
+      holderUsername: holder.holderUsername,
+      fairness: this.rollSource.redactProof?.(roll.fairness),
+    };
+  }
+
+  /**
+   * Send a secret roll in full to its recipients only.
+   */
+  #sendSecretRoll(msg) {
+    const recipients = new Set(msg.secret.recipients);
+    const redacted = this.#redactRoll(msg);
+    for (const peerId of webrtcManager.getKnownPeers()) {
+      this.messageRouter.sendToPeer(
+        peerId,
+        recipients.has(peerId) ? msg : redacted,
+      );
     }
+    this.secretRolls.set(msg.rollId, msg);
+  }
+
+  /**
+   * Publish one of our secret rolls to the whole room.
+   */
+  async revealSecretRoll(rollId) {
+    const roll = this.secretRolls.get(rollId);
+    if (!roll) return;
+    this.secretRolls.delete(rollId);
+
+    // Signed on its own, so it can be checked wherever it is passed on
+    const revealed = await this.identity
+      .sign({ ...roll, revealed: true })
+      .catch(() => ({ ...roll, revealed: true }));
+    this.messageRouter.broadcast({
+      type: MSG.SECRET_ROLL_REVEAL,
+      roll: revealed,
+    });
+    this.roomManager.getMeshState().replaceRoll(revealed);
+
+    const verification = await this.rollSource.verifyRoll(revealed);
+    this.diceHistory?.updateRoll({ ...revealed, verification });
   }
 
   // === PEER DISCONNECTION ===
 
   handlePeerDisconnected(peerId) {
     console.log(`Peer disconnected: ${peerId}`);
+    this.messageRouter.forgetPeer(peerId);
     const meshState = this.roomManager.getMeshState();
 
     const peer = meshState.getPeer(peerId);
@@ -442,11 +874,14 @@ class DiceBoxApp {
       meshState.removePeer(peerId);
 
       // Broadcast peer left to others
-      this.messageRouter.broadcast({
-        type: MSG.PEER_LEFT,
+      this.messageRouter.broadcast(
+        {
+          type: MSG.PEER_LEFT,
+          peerId,
+          username: peer.username,
+        },
         peerId,
-        username: peer.username,
-      });
+      );
 
       if (this.peerList) {
         this.peerList.removePeer(peerId);
@@ -454,6 +889,64 @@ class DiceBoxApp {
     }
   }
 
+  // === STRATEGY ===
+
+  /**
+   * Switch every player in the room to another dice rolling strategy.
+   * @param {string} strategyId
+   */
+  changeStrategy(strategyId) {
+    const diceConfig = this.roomManager.getMeshState().getDiceConfig() || {};
+    if (!hasStrategy(strategyId) || strategyId === diceConfig.strategyId) {
+      return;
+    }
+
+    // Later than the switch we know of, even if our clock is behind
+    const changedAt = Math.max(
+      Date.now(),
+      (diceConfig.strategyChangedAt ?? 0) + 1,
+    );
+    this.#applyStrategy(strategyId, changedAt);
+    this.messageRouter.broadcast({
+      type: MSG.STRATEGY_CHANGE,
+      strategyId,
+      changedAt,
+    });
+  }
+
+  handleStrategyChangeMsg(peerId, { strategyId, changedAt }) {
+    if (!hasStrategy(strategyId) || !Number.isFinite(changedAt)) return;
+
+    // Two players can switch at once: everyone keeps the latest switch, and
+    // of two at the same moment the strategy whose ID sorts last
+    const diceConfig = this.roomManager.getMeshState().getDiceConfig() || {};
+    const current = diceConfig.strategyChangedAt ?? 0;
+    if (
+      changedAt < current ||
+      (changedAt === current && strategyId <= (diceConfig.strategyId ?? ""))
+    ) {
+      return;
+    }
+
+    console.log(`Peer ${peerId} switched strategy to ${strategyId}`);
+    this.#applyStrategy(strategyId, changedAt);
+  }
+
+  #applyStrategy(strategyId, changedAt) {
+    // Kept in the dice config so players who join later start with it
+    const meshState = this.roomManager.getMeshState();
+    meshState.setDiceConfig({
+      ...meshState.getDiceConfig(),
+      strategyId,
+      strategyChangedAt: changedAt,
+    });
+
+    if (this.diceApp) {
+      this.diceApp.setStrategy(strategyId);
+      this.roomView.querySelector("strategy-select").value = strategyId;
+    }
+  }
+
   // === ROOM UI ===
 
   enterRoom() {
@@ -485,27 +978,41 @@ class DiceBoxApp {
     // Initialize dice app
     const meshState = this.roomManager.getMeshState();
     const diceConfig = meshState.getDiceConfig() || {
-      diceSets: [{ id: "default", count: 5, color: "#ffffff" }],
+      diceSets: [{ id: "default", count: 5, color: "#ffffff", sides: 6 }],
     };
+    this.rollSource =
+      diceConfig.rollMode === "server" ? this.rollOracle : this.fairRolls;
 
     const localPlayer = {
       id: this.connectionManager.getEffectiveId(),
       username: this.roomManager.username,
     };
 
-    // Create network adapter for the dice app
+    // Other players can be picked as secret roll recipients
+    const rollCommand = this.roomView.querySelector("roll-command");
+    const updateRecipients = () => {
+      rollCommand.peers = meshState
+        .getPeerList()
+        .filter((peer) => peer.peerId !== localPlayer.id);
+    };
+    meshState.addEventListener("peer-added", updateRecipients);
+    meshState.addEventListener("peer-removed", updateRecipients);
+    updateRecipients();
+
+    // Network for the dice app: strategies' messages go out as they are,
+    // rolls as the room's DICE_ROLL
     const networkAdapter = {
       broadcast: (type, payload) => {
-        const msg = this.#convertToNetworkMessage(type, payload);
-        if (msg) {
-          this.messageRouter.broadcast(msg);
-
-          // Also add to local history for dice rolls
-          if (type === "dice:roll" && this.diceHistory) {
-            this.diceHistory.addRoll(msg);
-          }
+        if (type === "dice:roll") {
+          this.#broadcastRoll(payload);
+        } else {
+          this.network.broadcast(type, payload);
         }
       },
+      onMessage: (type, handler) =>
+        this.network.onMessage(type, (payload, context) =>
+          this.#updateTable(() => handler(payload, context)),
+        ),
     };
 
     // Create dice app
@@ -513,43 +1020,140 @@ class DiceBoxApp {
       diceConfig,
       localPlayer,
       network: networkAdapter,
-      strategyId: "drag-pickup",
+      fairRolls: this.rollSource,
+      players: meshState,
+      strategyId: hasStrategy(diceConfig.strategyId)
+        ? diceConfig.strategyId
+        : DEFAULT_STRATEGY,
     });
+    this.roomView.querySelector("strategy-select").value =
+      this.diceApp.currentStrategyId;
+
+    // Dice sets held when we joined, and holders from here on: shown in the
+    // player list and kept in mesh state for players who join later
+    const diceStore = this.diceApp.diceStore;
+    for (const [setId, holder] of meshState.getHolders()) {
+      diceStore.setHolder(setId, holder.peerId, holder.username);
+    }
+    let shownHolders = null;
+    const syncHolders = () => {
+      if (diceStore.holders === shownHolders) return;
+      shownHolders = diceStore.holders;
+
+      meshState.clearAllHolders();
+      const holderColors = new Map();
+      for (const [setId, { playerId, username }] of shownHolders) {
+        meshState.setHolder(setId, playerId, username);
+        holderColors.set(playerId, diceStore.getSetConfig(setId)?.color);
+      }
+      this.peerList.setHolders(holderColors);
+    };
+    diceStore.subscribe(syncHolders);
+    syncHolders();
+
+    // Whose turn it is, when the strategy takes turns
+    const syncTurn = () =>
+      this.peerList.setCurrentTurn(diceStore.currentTurn?.playerId ?? null);
+    diceStore.subscribe(syncTurn);
+    syncTurn();
 
     // Mount to the container
     if (diceRollerContainer) {
       this.diceApp.mount(diceRollerContainer);
     }
 
+    this.reconciler.start();
+
     console.log(
       `Entered room ${this.roomManager.roomId} as ${this.roomManager.username}`,
     );
   }
 
-  #convertToNetworkMessage(type, payload) {
-    switch (type) {
-      case "dice:roll":
-        return {
-          type: MSG.DICE_ROLL,
-          rollId: payload.rollId || `roll-${Date.now()}`,
-          timestamp: payload.timestamp || Date.now(),
-          total:
-            payload.total || payload.values?.reduce((a, b) => a + b, 0) || 0,
-          setResults: payload.setResults || [
-            {
-              setId: payload.setId,
-              color: payload.color,
-              values: payload.values,
-              holderId: payload.playerId,
-              holderUsername: payload.username,
-            },
-          ],
-        };
-      default:
-        return null;
+  /**
+   * Send a roll from the dice app to the room, and add it to our history.
+   */
+  #broadcastRoll(payload) {
+    const msg = this.#toRollMessage(payload);
+    this.#trackDelivery(msg.rollId, webrtcManager.getKnownPeers());
+    if (msg.secret) {
+      this.#sendSecretRoll(msg);
+    } else {
+      this.messageRouter.broadcast(msg);
+    }
+    // Kept like peers' rolls, so players who join later see ours too
+    this.roomManager
+      .getMeshState()
+      .addRoll(msg.secret ? this.#redactRoll(msg) : msg);
+
+    if (this.diceHistory) {
+      this.rollSource.verifyRoll(msg).then((verification) => {
+        this.diceHistory.addRoll({ ...msg, verification });
+      });
     }
   }
 
+  /**
+   * Count the players who acknowledge one of our rolls, for history.
+   */
+  #trackDelivery(rollId, peerIds) {
+    if (peerIds.length === 0) return;
+
+    this.rollDeliveries.set(rollId, {
+      total: peerIds.length,
+      delivered: new Set(),
+    });
+    if (this.rollDeliveries.size > 50) {
+      this.rollDeliveries.delete(this.rollDeliveries.keys().next().value);
+    }
+    this.diceHistory?.setDelivery(rollId, 0, peerIds.length);
+  }
+
+  #toRollMessage(payload) {
+    // Our next logical time, so every peer files the roll in the same place
+    const clock = this.roomManager.getMeshState().clock.tick();
+    if (payload.notation) {
+      return {
+        type: MSG.DICE_ROLL,
+        rollId: payload.fairness?.id ?? createRollId(),
+        clock,
+        timestamp: Date.now(),
+        total: payload.notation.total,
+        fairness: payload.fairness,
+        secret: payload.secretTo ? { recipients: payload.secretTo } : undefined,
+        setResults: [],
+        notation: {
+          ...payload.notation,
+          holderId: payload.playerId,
+          holderUsername: payload.username,
+        },
+      };
+    }
+    // One set's result, or several sets rolled together as `setResults`
+    return {
+      type: MSG.DICE_ROLL,
+      // A fair roll is named for its session, which ties the proof to it
+      rollId: payload.fairness?.id ?? payload.rollId ?? createRollId(),
+      clock,
+      timestamp: payload.timestamp || Date.now(),
+      total: payload.total ?? payload.values?.reduce((a, b) => a + b, 0) ?? 0,
+      fairness: payload.fairness,
+      setResults: (payload.setResults || [payload]).map((result) => ({
+        setId: result.setId,
+        color: result.color,
+        sides: result.sides,
+        values: result.values,
+        rolledIndices: result.rolledIndices,
+        transforms: result.transforms,
+        faces: result.faces,
+        details: result.details,
+        successes: result.successes,
+        successAt: result.successAt,
+        holderId: result.playerId,
+        holderUsername: result.username,
+      })),
+    };
+  }
+
   // === LEAVE ROOM ===
 
   leaveRoom() {
@@ -560,6 +1164,7 @@ class DiceBoxApp {
       username: this.roomManager.username,
     });
 
+    this.reconciler.stop();
     this.roomManager.leaveRoom();
     this.connectionManager.peerId = signalingClient.peerId;
 
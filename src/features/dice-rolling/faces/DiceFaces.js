@@ -0,0 +1,172 @@
+/**
+ * Custom-face dice: Fudge/FATE, coins, symbol dice or any list of labels.
+ *
+ * Faces are stored on a dice set in the room's diceConfig:
+ *   { id, count, color, sides, faces: [{ label, value }] }
+ *
+ * A rolled die still holds its face index (1..faces.length) like any other
+ * die, so rolling, syncing and pickup work unchanged. `value` is an optional
+ * number used for totals (null when a face doesn't count).
+ *
+ * @example
+ * const faces = parseFaces("Hit=1, Hit=1, Miss, Crit=2");
+ * getFace(faces, 4); // { label: "Crit", value: 2 }
+ */
+
+/**
+ * Bounds for a custom face list.
+ */
+export const FACE_LIMITS = {
+  minFaces: 2,
+  maxFaces: 20,
+  maxLabelLength: 6,
+};
+
+/**
+ * Built-in face sets offered in the dice config.
+ */
+export const FACE_PRESETS = {
+  fudge: {
+    name: "Fudge",
+    faces: [
+      { label: "-", value: -1 },
+      { label: "-", value: -1 },
+      { label: "0", value: 0 },
+      { label: "0", value: 0 },
+      { label: "+", value: 1 },
+      { label: "+", value: 1 },
+    ],
+  },
+  coin: {
+    name: "Coin",
+    faces: [
+      { label: "H", value: 1 },
+      { label: "T", value: 0 },
+    ],
+  },
+  symbols: {
+    name: "Symbols",
+    faces: [
+      { label: "✶✶", value: 2 },
+      { label: "✶", value: 1 },
+      { label: "✶", value: 1 },
+      { label: "○", value: 0 },
+      { label: "○", value: 0 },
+      { label: "☠", value: -1 },
+    ],
+  },
+};
+
+// One face in the text format: a label, optionally followed by =number
+const FACE_PATTERN = /^(.+?)(?:=(-?\d+))?$/;
+
+/**
+ * Parse a comma-separated face list, e.g. "Hit=1, Miss, Crit=2".
+ *
+ * @param {string} text
+ * @returns {Array<{ label: string, value: number|null }>}
+ * @throws {Error} If a face is malformed or the list exceeds limits
+ */
+export function parseFaces(text) {
+  const parts = String(text ?? "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  if (parts.length < FACE_LIMITS.minFaces) {
+    throw new Error(`Enter at least ${FACE_LIMITS.minFaces} faces`);
+  }
+  if (parts.length > FACE_LIMITS.maxFaces) {
+    throw new Error(`Too many faces (max ${FACE_LIMITS.maxFaces})`);
+  }
+
+  return parts.map((part) => {
+    const [, rawLabel, value] = part.match(FACE_PATTERN);
+    const label = rawLabel.trim();
+    if (!label || [...label].length > FACE_LIMITS.maxLabelLength) {
+      throw new Error(
+        `Face labels must be 1 to ${FACE_LIMITS.maxLabelLength} characters`,
+      );
+    }
+    return { label, value: value === undefined ? null : parseInt(value, 10) };
+  });
+}
+
+/**
+ * Format faces back into the text accepted by parseFaces().
+ * @param {Array<{ label: string, value: number|null }>} faces
+ * @returns {string}
+ */
+export function formatFaces(faces) {
+  return faces
+    .map(({ label, value }) => (value === null ? label : `${label}=${value}`))
+    .join(", ");
+}
+
+/**
+ * Sanitize a face list received from the network or storage.
+ * @param {*} faces
+ * @returns {Array<{ label: string, value: number|null }>|null} null if not a valid face list
+ */
+export function normalizeFaces(faces) {
+  if (
+    !Array.isArray(faces) ||
+    faces.length < FACE_LIMITS.minFaces ||
+    faces.length > FACE_LIMITS.maxFaces
+  ) {
+    return null;
+  }
+
+  return faces.map((face) => ({
+    label: [...String(face?.label ?? "?")]
+      .slice(0, FACE_LIMITS.maxLabelLength)
+      .join(""),
+    value: Number.isFinite(face?.value) ? face.value : null,
+  }));
+}
+
+/**
+ * Look up the face a die is showing.
+ * @param {Array<{ label: string, value: number|null }>} faces
+ * @param {number} index - Face index (1-based, as stored in dice values)
+ * @returns {{ label: string, value: number|null }|null}
+ */
+export function getFace(faces, index) {
+  return faces[index - 1] || null;
+}
+
+/**
+ * Whether any face carries a numeric value.
+ * @param {Array<{ value: number|null }>} faces
+ * @returns {boolean}
+ */
+export function hasFaceValues(faces) {
+  return faces.some((face) => face.value !== null);
+}
+
+/**
+ * Sum the numeric values of the faces shown. Faces without a value count as 0.
+ * @param {Array<{ value: number|null }>} faces
+ * @param {number[]} indices - Face indices (1-based)
+ * @returns {number}
+ */
+export function facesTotal(faces, indices) {
+  return indices.reduce(
+    (sum, index) => sum + (getFace(faces, index)?.value ?? 0),
+    0,
+  );
+}
+
+/**
+ * Find the preset a face list was created from.
+ * @param {Array<{ label: string, value: number|null }>} faces
+ * @returns {string|null} Preset ID, or null for a custom list
+ */
+export function findPreset(faces) {
+  const key = JSON.stringify(faces);
+  return (
+    Object.keys(FACE_PRESETS).find(
+      (id) => JSON.stringify(FACE_PRESETS[id].faces) === key,
+    ) || null
+  );
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseFaces,
+  formatFaces,
+  normalizeFaces,
+  getFace,
+  hasFaceValues,
+  facesTotal,
+  findPreset,
+  FACE_PRESETS,
+  FACE_LIMITS,
+} from "./DiceFaces.js";
+
+describe("DiceFaces", () => {
+  describe("parseFaces", () => {
+    it("should parse labels with optional values", () => {
+      expect(parseFaces("Hit=1, Miss ,Crit=2, Fumble=-1")).toEqual([
+        { label: "Hit", value: 1 },
+        { label: "Miss", value: null },
+        { label: "Crit", value: 2 },
+        { label: "Fumble", value: -1 },
+      ]);
+    });
+
+    it("should round-trip through formatFaces", () => {
+      const text = "H=1, T";
+
+      expect(formatFaces(parseFaces(text))).toBe(text);
+    });
+
+    it("should reject lists outside the limits", () => {
+      expect(() => parseFaces("only")).toThrow("at least 2");
+      expect(() =>
+        parseFaces(
+          Array(FACE_LIMITS.maxFaces + 1)
+            .fill("x")
+            .join(","),
+        ),
+      ).toThrow("Too many faces");
+      expect(() => parseFaces("a, toolonglabel")).toThrow("1 to 6");
+    });
+  });
+
+  describe("normalizeFaces", () => {
+    it("should sanitize labels and values", () => {
+      expect(
+        normalizeFaces([{ label: "abcdefgh", value: "2" }, { value: 3 }]),
+      ).toEqual([
+        { label: "abcdef", value: null },
+        { label: "?", value: 3 },
+      ]);
+    });
+
+    it("should return null for anything that isn't a face list", () => {
+      expect(normalizeFaces(undefined)).toBeNull();
+      expect(normalizeFaces([{ label: "a" }])).toBeNull();
+    });
+  });
+
+  describe("totals", () => {
+    it("should sum face values by index", () => {
+      const faces = FACE_PRESETS.fudge.faces;
+
+      expect(getFace(faces, 5)).toEqual({ label: "+", value: 1 });
+      expect(facesTotal(faces, [1, 3, 5, 6])).toBe(1);
+    });
+
+    it("should count faces without a value as zero", () => {
+      const faces = parseFaces("Hit=1, Miss");
+
+      expect(hasFaceValues(faces)).toBe(true);
+      expect(hasFaceValues(parseFaces("A, B"))).toBe(false);
+      expect(facesTotal(faces, [1, 2, 2])).toBe(1);
+    });
+  });
+
+  describe("findPreset", () => {
+    it("should recognize preset face lists", () => {
+      expect(findPreset(structuredClone(FACE_PRESETS.coin.faces))).toBe("coin");
+      expect(findPreset(parseFaces("Hit=1, Miss"))).toBeNull();
+    });
+  });
+});
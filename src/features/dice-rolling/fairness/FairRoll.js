@@ -0,0 +1,213 @@
+/**
+ * Verifiable randomness for rolls: commit-reveal seeds and a seeded die roller.
+ *
+ * Every peer taking part in a roll picks a secret seed and first publishes
+ * only its commitment (a hash). Once all commitments are known the seeds are
+ * revealed and combined into the roll seed, so nobody (including the roller)
+ * can steer the result. The roll message carries a proof:
+ *   { id, roller, commitments: { peerId: hash }, seeds: { peerId: seed }, missing: peerId[] }
+ * which lets any peer re-derive the dice values and check them.
+ *
+ * @example
+ * const seed = createSeed();
+ * const commitment = await commitSeed(seed, sessionId);
+ * // ...after the reveal phase
+ * const rollDie = await createProofRoller(proof, setId);
+ */
+import { rollSetWithRules, normalizeRules } from "../rules/DiceRules.js";
+import { parseNotation, evaluateNotation } from "../notation/DiceNotation.js";
+import { SeededRng } from "../../../infrastructure/random/Rng.js";
+
+/**
+ * Verification status shown on a roll.
+ */
+export const VERIFICATION = {
+  VERIFIED: "verified", // Values derive from the revealed seeds of all participants
+  UNVERIFIED: "unverified", // Consistent, but not every participant revealed (or too few took part)
+  FAILED: "failed", // Values or seeds don't match the commitments
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * SHA-256 of a string, as hex.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function sha256(text) {
+  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(text));
+  return Array.from(new Uint8Array(digest), (b) =>
+    b.toString(16).padStart(2, "0"),
+  ).join("");
+}
+
+/**
+ * Create a new secret seed (256 bits, hex).
+ * @returns {string}
+ */
+export function createSeed() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Commitment to a seed for one roll session.
+ * Binding the session ID stops a commitment being replayed in another roll.
+ *
+ * @param {string} seed
+ * @param {string} sessionId
+ * @returns {Promise<string>}
+ */
+export function commitSeed(seed, sessionId) {
+  return sha256(`${sessionId}:${seed}`);
+}
+
+/**
+ * Combine the revealed seeds into the seed for one part of the roll.
+ * Seeds are ordered by peer ID so every peer derives the same value.
+ *
+ * @param {Object<string, string>} seeds - peerId -> seed
+ * @param {string} sessionId
+ * @param {string} label - Which part of the roll (a set ID, or "notation")
+ * @returns {Promise<string>}
+ */
+export function deriveSeed(seeds, sessionId, label) {
+  const ordered = Object.keys(seeds)
+    .sort()
+    .map((peerId) => `${peerId}=${seeds[peerId]}`);
+  return sha256(`${sessionId}:${label}:${ordered.join(",")}`);
+}
+
+/**
+ * Create a deterministic die roller from a hex seed.
+ * @param {string} seedHex - At least 32 hex characters
+ * @returns {function} (sides) => value in 1..sides
+ */
+export function createSeededRoller(seedHex) {
+  const rng = new SeededRng(seedHex);
+  return (sides) => rng.rollDie(sides);
+}
+
+/**
+ * Create the die roller a proof defines for one part of the roll.
+ * @param {object} proof
+ * @param {string} label - Set ID, or "notation"
+ * @returns {Promise<function>}
+ */
+export async function createProofRoller(proof, label) {
+  return createSeededRoller(await deriveSeed(proof.seeds, proof.id, label));
+}
+
+/**
+ * Check that every revealed seed matches its commitment.
+ * @param {object} proof
+ * @returns {Promise<boolean>}
+ */
+export async function checkProofSeeds(proof) {
+  if (!proof.commitments?.[proof.roller]) return false;
+
+  const participants = Object.keys(proof.commitments);
+  const missing = new Set(proof.missing || []);
+
+  for (const peerId of participants) {
+    const seed = proof.seeds?.[peerId];
+    if (seed === undefined) {
+      if (missing.has(peerId)) continue;
+      return false;
+    }
+    if ((await commitSeed(seed, proof.id)) !== proof.commitments[peerId]) {
+      return false;
+    }
+  }
+
+  // Seeds nobody committed to could have been picked after the fact
+  return Object.keys(proof.seeds || {}).every((peerId) =>
+    participants.includes(peerId),
+  );
+}
+
+/**
+ * Check a set result against its proof. Only the dice in `rolledIndices`
+ * come from the proof, so those are the only ones a roll may change (see
+ * handleDiceRollMsg in main.js); the values of the others are taken as
+ * they are.
+ *
+ * @param {object} setResult - { setId, values, rolledIndices, sides, details? }
+ * @param {object} proof
+ * @param {object} rules - Normalized rules of the set
+ * @returns {Promise<boolean>}
+ */
+export async function checkSetResult(setResult, proof, rules) {
+  const { setId, values, rolledIndices, sides } = setResult;
+  if (!Array.isArray(values) || !Array.isArray(rolledIndices)) return false;
+
+  // At least one die rolled, each once
+  const inSet = (i) => Number.isInteger(i) && i >= 0 && i < values.length;
+  if (
+    rolledIndices.length === 0 ||
+    !rolledIndices.every(inSet) ||
+    new Set(rolledIndices).size !== rolledIndices.length
+  ) {
+    return false;
+  }
+
+  const rolled = rollSetWithRules(
+    { sides, rules, currentValues: values, indices: rolledIndices },
+    await createProofRoller(proof, setId),
+  );
+
+  return (
+    JSON.stringify(rolled.values) === JSON.stringify(values) &&
+    JSON.stringify(rolled.details) === JSON.stringify(setResult.details)
+  );
+}
+
+/**
+ * Check a dice notation result against its proof.
+ * @param {object} notation - { expression, terms, total }
+ * @param {object} proof
+ * @returns {Promise<boolean>}
+ */
+export async function checkNotationResult(notation, proof) {
+  let expected;
+  try {
+    expected = evaluateNotation(
+      parseNotation(notation.expression),
+      await createProofRoller(proof, "notation"),
+    );
+  } catch {
+    return false;
+  }
+
+  return (
+    expected.total === notation.total &&
+    JSON.stringify(expected.terms) === JSON.stringify(notation.terms)
+  );
+}
+
+/**
+ * Check every result in a roll message against its proof.
+ * Sides and rules come from our own copy of the dice config, not the message.
+ *
+ * @param {object} roll - DICE_ROLL message with `setResults` or `notation`
+ * @param {object} proof - Anything with `id` and `seeds`
+ * @param {object|null} store - DiceStore holding the room's dice config
+ * @returns {Promise<boolean>}
+ */
+export async function checkRollResults(roll, proof, store) {
+  if (roll.notation) return checkNotationResult(roll.notation, proof);
+
+  const setResults = roll.setResults || [];
+  for (const setResult of setResults) {
+    const { setId } = setResult;
+    const count = store?.getSetConfig(setId)?.count;
+    if (store && setResult.values?.length !== count) return false;
+
+    const sides = store ? store.getSides(setId) : setResult.sides;
+    const rules = store ? store.getRules(setId) : normalizeRules();
+    if (!(await checkSetResult({ ...setResult, sides }, proof, rules))) {
+      return false;
+    }
+  }
+  return setResults.length > 0;
+}
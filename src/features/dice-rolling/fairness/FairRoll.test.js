@@ -0,0 +1,168 @@
+import { describe, it, expect } from "vitest";
+import {
+  createSeed,
+  commitSeed,
+  deriveSeed,
+  createSeededRoller,
+  createProofRoller,
+  checkProofSeeds,
+  checkSetResult,
+  checkNotationResult,
+} from "./FairRoll.js";
+import { normalizeRules, rollSetWithRules } from "../rules/DiceRules.js";
+import { rollNotation } from "../notation/DiceNotation.js";
+
+/**
+ * Build a proof the way the roller would after a complete reveal phase.
+ */
+async function createProof(peerIds) {
+  const id = "fair-test";
+  const seeds = {};
+  const commitments = {};
+  for (const peerId of peerIds) {
+    seeds[peerId] = createSeed();
+    commitments[peerId] = await commitSeed(seeds[peerId], id);
+  }
+  return { id, roller: peerIds[0], commitments, seeds, missing: [] };
+}
+
+describe("FairRoll", () => {
+  describe("seeds", () => {
+    it("should create distinct 256-bit seeds", () => {
+      const seed = createSeed();
+
+      expect(seed).toMatch(/^[0-9a-f]{64}$/);
+      expect(createSeed()).not.toBe(seed);
+    });
+
+    it("should bind commitments to the session", async () => {
+      const seed = createSeed();
+
+      expect(await commitSeed(seed, "a")).toBe(await commitSeed(seed, "a"));
+      expect(await commitSeed(seed, "a")).not.toBe(await commitSeed(seed, "b"));
+    });
+
+    it("should derive the same seed regardless of key order", async () => {
+      const a = await deriveSeed({ p1: "x", p2: "y" }, "s", "set-1");
+      const b = await deriveSeed({ p2: "y", p1: "x" }, "s", "set-1");
+
+      expect(a).toBe(b);
+      expect(await deriveSeed({ p1: "x", p2: "y" }, "s", "set-2")).not.toBe(a);
+    });
+  });
+
+  describe("createSeededRoller", () => {
+    it("should be deterministic and stay in range", () => {
+      const seed = "0123456789abcdef0123456789abcdef";
+      const first = createSeededRoller(seed);
+      const second = createSeededRoller(seed);
+
+      for (let i = 0; i < 200; i++) {
+        const value = first(20);
+        expect(value).toBe(second(20));
+        expect(value).toBeGreaterThanOrEqual(1);
+        expect(value).toBeLessThanOrEqual(20);
+      }
+    });
+  });
+
+  describe("checkProofSeeds", () => {
+    it("should accept a complete proof", async () => {
+      expect(await checkProofSeeds(await createProof(["p1", "p2"]))).toBe(true);
+    });
+
+    it("should reject a swapped seed", async () => {
+      const proof = await createProof(["p1", "p2"]);
+      proof.seeds.p2 = createSeed();
+
+      expect(await checkProofSeeds(proof)).toBe(false);
+    });
+
+    it("should only allow missing seeds for listed peers", async () => {
+      const proof = await createProof(["p1", "p2"]);
+      delete proof.seeds.p2;
+
+      expect(await checkProofSeeds(proof)).toBe(false);
+      expect(await checkProofSeeds({ ...proof, missing: ["p2"] })).toBe(true);
+    });
+
+    it("should reject seeds without a commitment", async () => {
+      const proof = await createProof(["p1", "p2"]);
+      proof.seeds.p3 = createSeed();
+
+      expect(await checkProofSeeds(proof)).toBe(false);
+    });
+  });
+
+  describe("checkSetResult", () => {
+    it("should accept values derived from the proof", async () => {
+      const proof = await createProof(["p1", "p2"]);
+      const rules = normalizeRules({ explode: true });
+      const rolled = rollSetWithRules(
+        { sides: 6, rules, currentValues: [1, 1, 1], indices: [0, 2] },
+        await createProofRoller(proof, "set-1"),
+      );
+      const setResult = {
+        setId: "set-1",
+        sides: 6,
+        values: rolled.values,
+        details: rolled.details,
+        rolledIndices: [0, 2],
+      };
+
+      expect(await checkSetResult(setResult, proof, rules)).toBe(true);
+    });
+
+    it("should reject altered values", async () => {
+      const proof = await createProof(["p1", "p2"]);
+      const rules = normalizeRules();
+      const rolled = rollSetWithRules(
+        { sides: 6, rules, currentValues: [1, 1], indices: [0, 1] },
+        await createProofRoller(proof, "set-1"),
+      );
+      const values = rolled.values.map((v) => (v % 6) + 1);
+
+      expect(
+        await checkSetResult(
+          { setId: "set-1", sides: 6, values, rolledIndices: [0, 1] },
+          proof,
+          rules,
+        ),
+      ).toBe(false);
+    });
+
+    it("should reject a roll that rolled no dice, or one die twice", async () => {
+      const proof = await createProof(["p1", "p2"]);
+      const rules = normalizeRules();
+      const sixes = {
+        setId: "set-1",
+        sides: 6,
+        values: [6, 6, 6, 6, 6],
+        rolledIndices: [],
+      };
+
+      expect(await checkSetResult(sixes, proof, rules)).toBe(false);
+      expect(
+        await checkSetResult({ ...sixes, rolledIndices: [0, 0] }, proof, rules),
+      ).toBe(false);
+      expect(
+        await checkSetResult({ ...sixes, rolledIndices: [5] }, proof, rules),
+      ).toBe(false);
+    });
+  });
+
+  describe("checkNotationResult", () => {
+    it("should re-derive notation rolls", async () => {
+      const proof = await createProof(["p1", "p2"]);
+      const notation = rollNotation(
+        "4d6kh3+2",
+        await createProofRoller(proof, "notation"),
+      );
+
+      expect(await checkNotationResult(notation, proof)).toBe(true);
+      expect(await checkNotationResult({ ...notation, total: 99 }, proof)).toBe(
+        false,
+      );
+    });
+  });
+});
@@ -16,3 +16,29 @@ export {
 
 // State
 export { DiceStore } from "./state/DiceStore.js";
+
+// Dice notation
+export {
+  parseNotation,
+  evaluateNotation,
+  rollNotation,
+  NOTATION_LIMITS,
+} from "./notation/DiceNotation.js";
+
+// Dice rules
+export {
+  DEFAULT_RULES,
+  normalizeRules,
+  rollSetWithRules,
+} from "./rules/DiceRules.js";
+
+// Custom-face dice
+export {
+  FACE_PRESETS,
+  parseFaces,
+  normalizeFaces,
+  facesTotal,
+} from "./faces/DiceFaces.js";
+
+// Verifiable rolls
+export { VERIFICATION } from "./fairness/FairRoll.js";
@@ -0,0 +1,195 @@
+/**
+ * Dice notation parser and evaluator.
+ *
+ * Supported syntax (case-insensitive, whitespace ignored):
+ * - `NdS`      roll N dice with S sides (N defaults to 1), `d%` is a d100
+ * - `NdSkhX`   keep the highest X dice (`k` is shorthand for `kh`)
+ * - `NdSklX`   keep the lowest X dice
+ * - `NdSdlX`   drop the lowest X dice (`d` is shorthand for `dl`)
+ * - `NdSdhX`   drop the highest X dice
+ * - `+N`/`-N`  flat modifiers
+ * Terms are combined with `+` and `-`, e.g. `4d6kh3 + 1d4 - 1`.
+ *
+ * @example
+ * const parsed = parseNotation("2d20kl1+5");
+ * const result = evaluateNotation(parsed);
+ * console.log(result.total);
+ */
+
+/**
+ * Upper bounds to keep a single expression sane (and cheap to broadcast).
+ */
+export const NOTATION_LIMITS = {
+  maxTerms: 10,
+  maxDice: 100,
+  maxSides: 1000,
+  maxModifier: 1000,
+};
+
+// One term of an expression, matched at the current position (sticky)
+const TERM_PATTERN =
+  /([+-])?(?:(\d*)d(\d+|%)(?:(kh|kl|dh|dl|k|d)(\d+))?|(\d+))/iy;
+
+// Normalize shorthand modifiers to their explicit form
+const MODIFIER_ALIASES = { k: "kh", d: "dl" };
+
+/**
+ * Parse a dice notation expression.
+ *
+ * @param {string} expression - e.g. "3d6+2"
+ * @returns {{ expression: string, terms: object[] }} Parsed expression
+ * @throws {Error} If the expression is empty, malformed or exceeds limits
+ */
+export function parseNotation(expression) {
+  const source = String(expression ?? "")
+    .replace(/\s+/g, "")
+    .toLowerCase();
+
+  if (!source) {
+    throw new Error("Enter a roll, e.g. 3d6+2");
+  }
+
+  const terms = [];
+  let position = 0;
+
+  while (position < source.length) {
+    TERM_PATTERN.lastIndex = position;
+    const match = TERM_PATTERN.exec(source);
+
+    // Every term after the first must be joined with + or -
+    if (!match || (terms.length > 0 && !match[1])) {
+      throw new Error(`Invalid dice notation near "${source.slice(position)}"`);
+    }
+
+    terms.push(parseTerm(match));
+    position = TERM_PATTERN.lastIndex;
+
+    if (terms.length > NOTATION_LIMITS.maxTerms) {
+      throw new Error(`Too many terms (max ${NOTATION_LIMITS.maxTerms})`);
+    }
+  }
+
+  const totalDice = terms.reduce((sum, t) => sum + (t.count || 0), 0);
+  if (totalDice > NOTATION_LIMITS.maxDice) {
+    throw new Error(`Too many dice (max ${NOTATION_LIMITS.maxDice})`);
+  }
+
+  return { expression: source, terms };
+}
+
+function parseTerm(match) {
+  const [, signChar, countStr, sidesStr, modifier, modifierCount, flat] = match;
+  const sign = signChar === "-" ? -1 : 1;
+
+  if (flat !== undefined) {
+    const value = parseInt(flat, 10);
+    if (value > NOTATION_LIMITS.maxModifier) {
+      throw new Error(
+        `Modifier too large (max ${NOTATION_LIMITS.maxModifier})`,
+      );
+    }
+    return { type: "modifier", sign, value };
+  }
+
+  const count = countStr ? parseInt(countStr, 10) : 1;
+  const sides = sidesStr === "%" ? 100 : parseInt(sidesStr, 10);
+
+  if (count < 1) {
+    throw new Error("Roll at least one die");
+  }
+  if (sides < 2 || sides > NOTATION_LIMITS.maxSides) {
+    throw new Error(`Dice must have 2 to ${NOTATION_LIMITS.maxSides} sides`);
+  }
+
+  const term = { type: "dice", sign, count, sides };
+
+  if (modifier) {
+    const mode = MODIFIER_ALIASES[modifier] || modifier;
+    const amount = parseInt(modifierCount, 10);
+    if (amount > count) {
+      throw new Error(
+        `Cannot ${mode.startsWith("k") ? "keep" : "drop"} ${amount} of ${count} dice`,
+      );
+    }
+    term.modifier = { mode, amount };
+  }
+
+  return term;
+}
+
+/**
+ * Default die roller (uniform 1..sides).
+ * @param {number} sides
+ * @returns {number}
+ */
+function defaultRollDie(sides) {
+  return Math.floor(Math.random() * sides) + 1;
+}
+
+/**
+ * Roll a parsed expression.
+ *
+ * @param {{ expression: string, terms: object[] }} parsed - From parseNotation()
+ * @param {function} rollDie - (sides) => value, defaults to Math.random
+ * @returns {{ expression: string, terms: object[], total: number }}
+ *   Each dice term gains `rolls: [{ value, kept }]` and a signed `total`.
+ */
+export function evaluateNotation(parsed, rollDie = defaultRollDie) {
+  const terms = parsed.terms.map((term) => {
+    if (term.type === "modifier") {
+      return { ...term, total: term.sign * term.value };
+    }
+
+    const values = Array.from({ length: term.count }, () =>
+      rollDie(term.sides),
+    );
+    const kept = getKeptIndices(values, term.modifier);
+    const rolls = values.map((value, i) => ({ value, kept: kept.has(i) }));
+    const sum = rolls.reduce((acc, r) => acc + (r.kept ? r.value : 0), 0);
+
+    return { ...term, rolls, total: term.sign * sum };
+  });
+
+  return {
+    expression: parsed.expression,
+    terms,
+    total: terms.reduce((sum, t) => sum + t.total, 0),
+  };
+}
+
+/**
+ * Work out which dice survive a keep/drop modifier.
+ * Ties are broken by roll order so the result is deterministic.
+ */
+function getKeptIndices(values, modifier) {
+  const all = values.map((_, i) => i);
+  if (!modifier) return new Set(all);
+
+  // Indices sorted from lowest to highest value
+  const ascending = [...all].sort((a, b) => values[a] - values[b] || a - b);
+  const { mode, amount } = modifier;
+
+  switch (mode) {
+    case "kh":
+      return new Set(ascending.slice(values.length - amount));
+    case "kl":
+      return new Set(ascending.slice(0, amount));
+    case "dl":
+      return new Set(ascending.slice(amount));
+    case "dh":
+      return new Set(ascending.slice(0, values.length - amount));
+    default:
+      return new Set(all);
+  }
+}
+
+/**
+ * Parse and roll an expression in one go.
+ *
+ * @param {string} expression
+ * @param {function} rollDie - (sides) => value
+ * @returns {{ expression: string, terms: object[], total: number }}
+ */
+export function rollNotation(expression, rollDie = defaultRollDie) {
+  return evaluateNotation(parseNotation(expression), rollDie);
+}
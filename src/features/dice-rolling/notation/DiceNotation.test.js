@@ -0,0 +1,136 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseNotation,
+  evaluateNotation,
+  rollNotation,
+  NOTATION_LIMITS,
+} from "./DiceNotation.js";
+
+/**
+ * Create a die roller that returns the given values in order.
+ */
+function sequence(...values) {
+  let i = 0;
+  return () => values[i++];
+}
+
+describe("DiceNotation", () => {
+  describe("parseNotation", () => {
+    it("should parse a simple dice term", () => {
+      const parsed = parseNotation("3d6");
+
+      expect(parsed.terms).toEqual([
+        { type: "dice", sign: 1, count: 3, sides: 6 },
+      ]);
+    });
+
+    it("should default count to 1 and treat d% as d100", () => {
+      const parsed = parseNotation("d%");
+
+      expect(parsed.terms[0]).toMatchObject({ count: 1, sides: 100 });
+    });
+
+    it("should parse modifiers and multiple terms", () => {
+      const parsed = parseNotation("2d8 + 1d4 - 3");
+
+      expect(parsed.expression).toBe("2d8+1d4-3");
+      expect(parsed.terms).toHaveLength(3);
+      expect(parsed.terms[2]).toEqual({ type: "modifier", sign: -1, value: 3 });
+    });
+
+    it("should normalize keep and drop shorthands", () => {
+      expect(parseNotation("4d6k3").terms[0].modifier).toEqual({
+        mode: "kh",
+        amount: 3,
+      });
+      expect(parseNotation("4d6d1").terms[0].modifier).toEqual({
+        mode: "dl",
+        amount: 1,
+      });
+      expect(parseNotation("2D20KL1").terms[0].modifier).toEqual({
+        mode: "kl",
+        amount: 1,
+      });
+    });
+
+    it("should reject empty and malformed expressions", () => {
+      expect(() => parseNotation("")).toThrow("Enter a roll");
+      expect(() => parseNotation("3d")).toThrow("Invalid dice notation");
+      expect(() => parseNotation("3d6++2")).toThrow("Invalid dice notation");
+      expect(() => parseNotation("3d6*2")).toThrow("Invalid dice notation");
+      expect(() => parseNotation("fireball")).toThrow("Invalid dice notation");
+    });
+
+    it("should reject expressions exceeding limits", () => {
+      expect(() => parseNotation(`${NOTATION_LIMITS.maxDice + 1}d6`)).toThrow(
+        "Too many dice",
+      );
+      expect(() => parseNotation("1d1")).toThrow("sides");
+      expect(() => parseNotation("0d6")).toThrow("at least one");
+      expect(() => parseNotation("2d6kh3")).toThrow("Cannot keep 3 of 2");
+    });
+  });
+
+  describe("evaluateNotation", () => {
+    it("should sum dice and modifiers", () => {
+      const result = evaluateNotation(
+        parseNotation("3d6+2"),
+        sequence(1, 4, 6),
+      );
+
+      expect(result.terms[0].rolls.map((r) => r.value)).toEqual([1, 4, 6]);
+      expect(result.total).toBe(13);
+    });
+
+    it("should keep the highest dice", () => {
+      const result = evaluateNotation(
+        parseNotation("4d6kh3"),
+        sequence(2, 5, 1, 5),
+      );
+
+      expect(result.terms[0].rolls.map((r) => r.kept)).toEqual([
+        true,
+        true,
+        false,
+        true,
+      ]);
+      expect(result.total).toBe(12);
+    });
+
+    it("should keep the lowest dice", () => {
+      const result = evaluateNotation(
+        parseNotation("2d20kl1"),
+        sequence(17, 3),
+      );
+
+      expect(result.total).toBe(3);
+    });
+
+    it("should drop the highest dice", () => {
+      const result = evaluateNotation(
+        parseNotation("3d6dh1"),
+        sequence(6, 2, 3),
+      );
+
+      expect(result.total).toBe(5);
+    });
+
+    it("should subtract negative dice terms", () => {
+      const result = evaluateNotation(parseNotation("1d8-1d4"), sequence(7, 3));
+
+      expect(result.terms[1].total).toBe(-3);
+      expect(result.total).toBe(4);
+    });
+  });
+
+  describe("rollNotation", () => {
+    it("should produce values within range", () => {
+      const result = rollNotation("10d12");
+
+      for (const roll of result.terms[0].rolls) {
+        expect(roll.value).toBeGreaterThanOrEqual(1);
+        expect(roll.value).toBeLessThanOrEqual(12);
+      }
+    });
+  });
+});
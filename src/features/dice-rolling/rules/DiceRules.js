@@ -0,0 +1,131 @@
+/**
+ * Per-set dice rules: exploding dice, rerolling ones and success counting.
+ *
+ * Rules are stored on each dice set in the room's diceConfig:
+ *   { id, count, color, sides, rules: { explode, rerollOnes, successAt } }
+ *
+ * All functions take a `rollDie(sides)` function so the same logic can be
+ * driven by any random source.
+ */
+
+/**
+ * Rules applied when a dice set doesn't define any.
+ */
+export const DEFAULT_RULES = {
+  explode: false, // Roll again (and add) whenever a die shows its max face
+  rerollOnes: false, // Reroll a natural 1 once, keeping the second result
+  successAt: null, // Count dice showing this value or higher as successes
+};
+
+/**
+ * Safety cap on how many times a single die can explode.
+ */
+export const MAX_EXPLOSIONS = 20;
+
+/**
+ * Merge a set's rules with the defaults.
+ * @param {object} [rules]
+ * @returns {object}
+ */
+export function normalizeRules(rules) {
+  return { ...DEFAULT_RULES, ...rules };
+}
+
+/**
+ * Whether any rule changes how a set is rolled or scored.
+ * @param {object} rules - Normalized rules
+ * @returns {boolean}
+ */
+export function hasActiveRules(rules) {
+  return rules.explode || rules.rerollOnes || rules.successAt !== null;
+}
+
+/**
+ * Roll one die applying the rules.
+ *
+ * @param {number} sides
+ * @param {object} rules - Normalized rules
+ * @param {function} rollDie - (sides) => value
+ * @returns {{ rolls: number[], rerolled: number|null }}
+ *   `rolls` is the explosion chain (first entry is the face that stays on the
+ *   table), `rerolled` is the discarded first result if it was rerolled.
+ */
+export function rollDieWithRules(sides, rules, rollDie) {
+  let first = rollDie(sides);
+  let rerolled = null;
+
+  if (rules.rerollOnes && first === 1) {
+    rerolled = first;
+    first = rollDie(sides);
+  }
+
+  const rolls = [first];
+  if (rules.explode && sides > 1) {
+    while (rolls.at(-1) === sides && rolls.length <= MAX_EXPLOSIONS) {
+      rolls.push(rollDie(sides));
+    }
+  }
+
+  return { rolls, rerolled };
+}
+
+/**
+ * Count successes across a list of rolled dice. Every die in an explosion
+ * chain counts on its own.
+ *
+ * @param {Array<{ rolls: number[] }>} details
+ * @param {number|null} successAt
+ * @returns {number|null} Number of successes, or null if not counting
+ */
+export function countSuccesses(details, successAt) {
+  if (successAt === null) return null;
+
+  let successes = 0;
+  for (const { rolls } of details) {
+    successes += rolls.filter((v) => v >= successAt).length;
+  }
+  return successes;
+}
+
+/**
+ * Roll selected dice of a set, applying the set's rules.
+ *
+ * @param {object} options
+ * @param {number} options.sides - Sides per die
+ * @param {object} options.rules - Normalized rules
+ * @param {number[]} options.currentValues - Current faces of every die in the set
+ * @param {number[]} options.indices - Which dice to roll
+ * @param {function} rollDie - (sides) => value
+ * @returns {{ values: number[], details: object[]|undefined, successes: number|null, total: number }}
+ *   `details` lists `{ index, rolls, rerolled }` for each rolled die when any
+ *   rule is active; `total` sums whole explosion chains for rolled dice.
+ */
+export function rollSetWithRules(
+  { sides, rules, currentValues, indices },
+  rollDie,
+) {
+  const values = [...currentValues];
+  const details = [];
+
+  for (const index of indices) {
+    const { rolls, rerolled } = rollDieWithRules(sides, rules, rollDie);
+    values[index] = rolls[0];
+    details.push({ index, rolls, rerolled });
+  }
+
+  const chainTotals = new Map(
+    details.map((d) => [d.index, d.rolls.reduce((a, b) => a + b, 0)]),
+  );
+  const total = values.reduce(
+    (sum, value, index) => sum + (chainTotals.get(index) ?? value),
+    0,
+  );
+
+  const active = hasActiveRules(rules);
+  return {
+    values,
+    details: active ? details : undefined,
+    successes: countSuccesses(details, rules.successAt),
+    total,
+  };
+}
@@ -0,0 +1,122 @@
+import { describe, it, expect } from "vitest";
+import {
+  normalizeRules,
+  hasActiveRules,
+  rollDieWithRules,
+  countSuccesses,
+  rollSetWithRules,
+  MAX_EXPLOSIONS,
+} from "./DiceRules.js";
+
+/**
+ * Create a die roller that returns the given values in order.
+ */
+function sequence(...values) {
+  let i = 0;
+  return () => values[i++];
+}
+
+describe("DiceRules", () => {
+  describe("normalizeRules", () => {
+    it("should fill in defaults", () => {
+      expect(normalizeRules(undefined)).toEqual({
+        explode: false,
+        rerollOnes: false,
+        successAt: null,
+      });
+      expect(normalizeRules({ explode: true }).explode).toBe(true);
+    });
+
+    it("should detect active rules", () => {
+      expect(hasActiveRules(normalizeRules({}))).toBe(false);
+      expect(hasActiveRules(normalizeRules({ successAt: 5 }))).toBe(true);
+    });
+  });
+
+  describe("rollDieWithRules", () => {
+    it("should roll once without rules", () => {
+      const result = rollDieWithRules(6, normalizeRules({}), sequence(6, 6));
+
+      expect(result).toEqual({ rolls: [6], rerolled: null });
+    });
+
+    it("should explode on the max face", () => {
+      const rules = normalizeRules({ explode: true });
+      const result = rollDieWithRules(6, rules, sequence(6, 6, 2));
+
+      expect(result.rolls).toEqual([6, 6, 2]);
+    });
+
+    it("should cap explosions", () => {
+      const rules = normalizeRules({ explode: true });
+      const result = rollDieWithRules(6, rules, () => 6);
+
+      expect(result.rolls).toHaveLength(MAX_EXPLOSIONS + 1);
+    });
+
+    it("should reroll a one only once", () => {
+      const rules = normalizeRules({ rerollOnes: true });
+      const result = rollDieWithRules(6, rules, sequence(1, 1));
+
+      expect(result).toEqual({ rolls: [1], rerolled: 1 });
+    });
+
+    it("should explode a rerolled die", () => {
+      const rules = normalizeRules({ rerollOnes: true, explode: true });
+      const result = rollDieWithRules(8, rules, sequence(1, 8, 3));
+
+      expect(result).toEqual({ rolls: [8, 3], rerolled: 1 });
+    });
+  });
+
+  describe("countSuccesses", () => {
+    it("should return null when not counting", () => {
+      expect(countSuccesses([{ rolls: [6] }], null)).toBeNull();
+    });
+
+    it("should count every die in a chain", () => {
+      const details = [{ rolls: [10, 10, 4] }, { rolls: [8] }, { rolls: [2] }];
+
+      expect(countSuccesses(details, 8)).toBe(3);
+    });
+  });
+
+  describe("rollSetWithRules", () => {
+    it("should only roll the selected dice", () => {
+      const result = rollSetWithRules(
+        {
+          sides: 6,
+          rules: normalizeRules({}),
+          currentValues: [2, 2, 2],
+          indices: [1],
+        },
+        sequence(5),
+      );
+
+      expect(result.values).toEqual([2, 5, 2]);
+      expect(result.details).toBeUndefined();
+      expect(result.successes).toBeNull();
+      expect(result.total).toBe(9);
+    });
+
+    it("should record chains and include them in the total", () => {
+      const result = rollSetWithRules(
+        {
+          sides: 6,
+          rules: normalizeRules({ explode: true, successAt: 5 }),
+          currentValues: [1, 1],
+          indices: [0, 1],
+        },
+        sequence(6, 5, 3),
+      );
+
+      expect(result.values).toEqual([6, 3]);
+      expect(result.details).toEqual([
+        { index: 0, rolls: [6, 5], rerolled: null },
+        { index: 1, rolls: [3], rerolled: null },
+      ]);
+      expect(result.successes).toBe(2);
+      expect(result.total).toBe(14);
+    });
+  });
+});
@@ -1,4 +1,7 @@
 import { Store } from "../../../infrastructure/state/core/Store.js";
+import { DEFAULT_SIDES } from "../../../utils/dice-utils.js";
+import { normalizeRules } from "../rules/DiceRules.js";
+import { normalizeFaces } from "../faces/DiceFaces.js";
 
 /**
  * Initial state for the dice store.
@@ -6,12 +9,16 @@ import { Store } from "../../../infrastructure/state/core/Store.js";
 const initialState = {
   // Dice configuration (set at room creation)
   config: {
-    diceSets: [], // [{ id, count, color }]
+    diceSets: [], // [{ id, count, color, sides, rules, faces }]
   },
 
   // Current dice values: Map<setId, number[]>
   values: new Map(),
 
+  // How each die lies on the table after its last roll, so every player sees
+  // the same table: Map<setId, Array<{ rotation, offsetX, offsetY }|null>>
+  transforms: new Map(),
+
   // Who holds each set: Map<setId, { playerId, username }>
   holders: new Map(),
 
@@ -20,6 +27,20 @@ const initialState = {
 
   // Whether the current holder has rolled: Map<setId, boolean>
   holderHasRolled: new Map(),
+
+  // Dice kept out of the next roll: Map<setId, number[]> (sorted die indices)
+  locks: new Map(),
+
+  // Whose turn it is: whoever rolled last. Locks only last for one turn.
+  turnPlayerId: null,
+
+  // Enforced turn order: { playerId, number } of the player allowed to roll,
+  // null when anyone can roll
+  currentTurn: null,
+
+  // Dice other players are picking up or rolling right now (not synced to
+  // joiners): Map<playerId, { username, dice: [{ setId, dieIndex }], rolling }>
+  pickups: new Map(),
 };
 
 /**
@@ -43,6 +64,50 @@ export class DiceStore extends Store {
     this.update({ config });
   }
 
+  /**
+   * Get the configuration of a single dice set.
+   * @param {string} setId
+   * @returns {object|null} { id, count, color, sides, rules, faces }
+   */
+  getSetConfig(setId) {
+    return this.state.config.diceSets.find((s) => s.id === setId) || null;
+  }
+
+  /**
+   * Number of sides for a dice set. Sets created before polyhedral
+   * support have no `sides` field and are treated as d6.
+   * Custom-face dice have one side per face.
+   * @param {string} setId
+   * @returns {number}
+   */
+  getSides(setId) {
+    return (
+      this.getFaces(setId)?.length ||
+      this.getSetConfig(setId)?.sides ||
+      DEFAULT_SIDES
+    );
+  }
+
+  /**
+   * Custom faces for a dice set.
+   * @param {string} setId
+   * @returns {Array<{ label: string, value: number|null }>|null} null for numbered dice
+   */
+  getFaces(setId) {
+    return normalizeFaces(this.getSetConfig(setId)?.faces);
+  }
+
+  /**
+   * Rolling rules for a dice set, with defaults filled in.
+   * Rules are based on face numbers, so custom-face dice never have any.
+   * @param {string} setId
+   * @returns {{ explode: boolean, rerollOnes: boolean, successAt: number|null }}
+   */
+  getRules(setId) {
+    if (this.getFaces(setId)) return normalizeRules();
+    return normalizeRules(this.getSetConfig(setId)?.rules);
+  }
+
   // ─────────────────────────────────────────────────────────────
   // VALUES
   // ─────────────────────────────────────────────────────────────
@@ -58,6 +123,10 @@ export class DiceStore extends Store {
     }));
   }
 
+  get transforms() {
+    return this.state.transforms;
+  }
+
   // ─────────────────────────────────────────────────────────────
   // HOLDERS
   // ─────────────────────────────────────────────────────────────
@@ -96,6 +165,16 @@ export class DiceStore extends Store {
     });
   }
 
+  /**
+   * Release every set a player holds (e.g. when they disconnect).
+   * @param {string} playerId
+   */
+  releaseHolder(playerId) {
+    for (const [setId, holder] of this.state.holders) {
+      if (holder.playerId === playerId) this.clearHolder(setId);
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────
   // ROLLING
   // ─────────────────────────────────────────────────────────────
@@ -110,15 +189,21 @@ export class DiceStore extends Store {
 
   /**
    * Apply a roll result to the state.
-   * @param {object} rollResult - { setId, values, playerId, username }
+   * A roll by anyone other than the current turn's player ends that turn.
+   * @param {object} rollResult - { setId, values, playerId, username, transforms? }
    */
   applyRoll(rollResult) {
-    const { setId, values, playerId, username } = rollResult;
+    const { setId, values, playerId, username, transforms } = rollResult;
     this.update((state) => ({
       ...state,
       values: new Map(state.values).set(setId, values),
+      ...(transforms && {
+        transforms: new Map(state.transforms).set(setId, transforms),
+      }),
       lastRoller: new Map(state.lastRoller).set(setId, { playerId, username }),
       holderHasRolled: new Map(state.holderHasRolled).set(setId, true),
+      ...this.#startTurn(state, playerId),
+      ...this.#endPickup(state, playerId),
     }));
   }
 
@@ -129,11 +214,13 @@ export class DiceStore extends Store {
   applyRolls(rollResults) {
     this.update((state) => {
       const values = new Map(state.values);
+      const transforms = new Map(state.transforms);
       const lastRoller = new Map(state.lastRoller);
       const holderHasRolled = new Map(state.holderHasRolled);
 
       for (const result of rollResults) {
         values.set(result.setId, result.values);
+        if (result.transforms) transforms.set(result.setId, result.transforms);
         lastRoller.set(result.setId, {
           playerId: result.playerId,
           username: result.username,
@@ -141,10 +228,138 @@ export class DiceStore extends Store {
         holderHasRolled.set(result.setId, true);
       }
 
-      return { ...state, values, lastRoller, holderHasRolled };
+      const lastPlayerId = rollResults.at(-1)?.playerId ?? state.turnPlayerId;
+      return {
+        ...state,
+        values,
+        transforms,
+        lastRoller,
+        holderHasRolled,
+        ...this.#startTurn(state, lastPlayerId),
+        ...this.#endPickup(state, lastPlayerId),
+      };
+    });
+  }
+
+  /**
+   * Turn state after `playerId` rolls: a new player clears the old turn's locks.
+   */
+  #startTurn(state, playerId) {
+    if (state.turnPlayerId && state.turnPlayerId !== playerId) {
+      return { turnPlayerId: playerId, locks: new Map() };
+    }
+    return { turnPlayerId: playerId };
+  }
+
+  /**
+   * Pickup state after `playerId` rolls: the dice they held have landed.
+   */
+  #endPickup(state, playerId) {
+    if (!state.pickups.has(playerId)) return {};
+    const pickups = new Map(state.pickups);
+    pickups.delete(playerId);
+    return { pickups };
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // PICKUPS
+  // ─────────────────────────────────────────────────────────────
+
+  get pickups() {
+    return this.state.pickups;
+  }
+
+  /**
+   * Show which dice another player is picking up or rolling.
+   * @param {string} playerId
+   * @param {{ username: string, dice: Array<{setId: string, dieIndex: number}>, rolling: boolean }} pickup
+   */
+  setPickup(playerId, pickup) {
+    this.update((state) => ({
+      ...state,
+      pickups: new Map(state.pickups).set(playerId, pickup),
+    }));
+  }
+
+  /**
+   * Forget a player's pickup (they put the dice down or disconnected).
+   * @param {string} playerId
+   */
+  clearPickup(playerId) {
+    if (!this.state.pickups.has(playerId)) return;
+    this.update(this.#endPickup(this.state, playerId));
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // TURN ORDER
+  // ─────────────────────────────────────────────────────────────
+
+  get currentTurn() {
+    return this.state.currentTurn;
+  }
+
+  /**
+   * Hand the turn to a player. Their turn starts without locked dice.
+   * @param {{ playerId: string, number: number }|null} turn
+   */
+  setCurrentTurn(turn) {
+    this.update({ currentTurn: turn, locks: new Map() });
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // LOCKS
+  // ─────────────────────────────────────────────────────────────
+
+  get locks() {
+    return this.state.locks;
+  }
+
+  /**
+   * @param {string} setId
+   * @param {number} dieIndex
+   * @returns {boolean}
+   */
+  isLocked(setId, dieIndex) {
+    return this.state.locks.get(setId)?.includes(dieIndex) ?? false;
+  }
+
+  /**
+   * Lock or unlock one die. Ignores dice that don't exist.
+   * @param {string} setId
+   * @param {number} dieIndex
+   * @param {boolean} locked
+   */
+  setLocked(setId, dieIndex, locked) {
+    const set = this.getSetConfig(setId);
+    if (!set || !Number.isInteger(dieIndex) || dieIndex < 0) return;
+    if (dieIndex >= set.count || this.isLocked(setId, dieIndex) === locked) {
+      return;
+    }
+
+    this.update((state) => {
+      const current = state.locks.get(setId) || [];
+      const indices = locked
+        ? [...current, dieIndex].sort((a, b) => a - b)
+        : current.filter((i) => i !== dieIndex);
+
+      const locks = new Map(state.locks);
+      if (indices.length > 0) {
+        locks.set(setId, indices);
+      } else {
+        locks.delete(setId);
+      }
+      return { ...state, locks };
     });
   }
 
+  /**
+   * Unlock every die.
+   */
+  clearLocks() {
+    if (this.state.locks.size === 0) return;
+    this.update({ locks: new Map() });
+  }
+
   // ─────────────────────────────────────────────────────────────
   // SERIALIZATION (for P2P sync)
   // ─────────────────────────────────────────────────────────────
@@ -154,9 +369,13 @@ export class DiceStore extends Store {
     return {
       config: state.config,
       values: Object.fromEntries(state.values),
+      transforms: Object.fromEntries(state.transforms),
       holders: Object.fromEntries(state.holders),
       lastRoller: Object.fromEntries(state.lastRoller),
       holderHasRolled: Object.fromEntries(state.holderHasRolled),
+      locks: Object.fromEntries(state.locks),
+      turnPlayerId: state.turnPlayerId,
+      currentTurn: state.currentTurn,
     };
   }
 
@@ -164,12 +383,86 @@ export class DiceStore extends Store {
     this.update({
       config: snapshot.config,
       values: new Map(Object.entries(snapshot.values || {})),
+      transforms: new Map(Object.entries(snapshot.transforms || {})),
       holders: new Map(Object.entries(snapshot.holders || {})),
       lastRoller: new Map(Object.entries(snapshot.lastRoller || {})),
       holderHasRolled: new Map(Object.entries(snapshot.holderHasRolled || {})),
+      locks: new Map(Object.entries(snapshot.locks || {})),
+      turnPlayerId: snapshot.turnPlayerId ?? null,
+      currentTurn: snapshot.currentTurn ?? null,
     });
   }
 
+  /**
+   * Check a snapshot from a peer against our dice config before loading it.
+   * Sets we don't have and values, locks, holders or transforms that don't
+   * fit the set are left out; the config is always our own.
+   * @param {object} snapshot
+   * @returns {object} A snapshot safe to load
+   */
+  checkSnapshot(snapshot) {
+    const fits = (entries, check) =>
+      Object.fromEntries(
+        Object.entries(isObject(entries) ? entries : {}).filter(
+          ([setId, value]) => {
+            const set = this.getSetConfig(setId);
+            return set && check(value, set);
+          },
+        ),
+      );
+    const dieIndices = (list, { count }) =>
+      Array.isArray(list) &&
+      list.length <= count &&
+      list.every((i) => Number.isInteger(i) && i >= 0 && i < count);
+
+    return {
+      config: this.state.config,
+      values: fits(
+        snapshot.values,
+        (values, set) =>
+          Array.isArray(values) &&
+          values.length <= set.count &&
+          values.every(
+            (v) => Number.isInteger(v) && v >= 1 && v <= this.getSides(set.id),
+          ),
+      ),
+      transforms: fits(
+        snapshot.transforms,
+        (transforms, { count }) =>
+          Array.isArray(transforms) &&
+          transforms.length === count &&
+          transforms.every(
+            (t) =>
+              t === null ||
+              (isObject(t) &&
+                ["rotation", "offsetX", "offsetY"].every((key) =>
+                  Number.isFinite(t[key]),
+                )),
+          ),
+      ),
+      holders: fits(snapshot.holders, isPlayer),
+      lastRoller: fits(snapshot.lastRoller, isPlayer),
+      holderHasRolled: fits(
+        snapshot.holderHasRolled,
+        (rolled) => typeof rolled === "boolean",
+      ),
+      locks: fits(snapshot.locks, dieIndices),
+      turnPlayerId:
+        typeof snapshot.turnPlayerId === "string"
+          ? snapshot.turnPlayerId
+          : null,
+      currentTurn:
+        typeof snapshot.currentTurn?.playerId === "string" &&
+        Number.isInteger(snapshot.currentTurn.number) &&
+        snapshot.currentTurn.number >= 0
+          ? {
+              playerId: snapshot.currentTurn.playerId,
+              number: snapshot.currentTurn.number,
+            }
+          : null,
+    };
+  }
+
   /**
    * Reset to initial state.
    */
@@ -177,3 +470,12 @@ export class DiceStore extends Store {
     this.update(structuredClone(initialState));
   }
 }
+
+const isObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// A holder or last roller: { playerId, username }
+const isPlayer = (player) =>
+  isObject(player) &&
+  typeof player.playerId === "string" &&
+  typeof player.username === "string";
@@ -34,6 +34,72 @@ describe("DiceStore", () => {
 
       expect(store.diceConfig).toEqual(config);
     });
+
+    it("should look up a set by id", () => {
+      store.setConfig({
+        diceSets: [
+          { id: "set1", count: 2, color: "#ff0000", sides: 20 },
+          { id: "set2", count: 1, color: "#00ff00" },
+        ],
+      });
+
+      expect(store.getSetConfig("set1").color).toBe("#ff0000");
+      expect(store.getSetConfig("missing")).toBeNull();
+    });
+
+    it("should return configured sides, defaulting to d6", () => {
+      store.setConfig({
+        diceSets: [
+          { id: "set1", count: 2, color: "#ff0000", sides: 20 },
+          { id: "set2", count: 1, color: "#00ff00" },
+        ],
+      });
+
+      expect(store.getSides("set1")).toBe(20);
+      expect(store.getSides("set2")).toBe(6);
+      expect(store.getSides("missing")).toBe(6);
+    });
+
+    it("should return set rules merged with defaults", () => {
+      store.setConfig({
+        diceSets: [
+          { id: "set1", count: 5, color: "#ff0000", rules: { explode: true } },
+          { id: "set2", count: 1, color: "#00ff00" },
+        ],
+      });
+
+      expect(store.getRules("set1")).toEqual({
+        explode: true,
+        rerollOnes: false,
+        successAt: null,
+      });
+      expect(store.getRules("set2").explode).toBe(false);
+    });
+
+    it("should use custom faces for sides and ignore rules", () => {
+      const faces = [
+        { label: "H", value: 1 },
+        { label: "T", value: 0 },
+      ];
+      store.setConfig({
+        diceSets: [
+          {
+            id: "coin",
+            count: 3,
+            color: "#ffffff",
+            sides: 6,
+            faces,
+            rules: { explode: true },
+          },
+          { id: "d6", count: 1, color: "#00ff00" },
+        ],
+      });
+
+      expect(store.getFaces("coin")).toEqual(faces);
+      expect(store.getFaces("d6")).toBeNull();
+      expect(store.getSides("coin")).toBe(2);
+      expect(store.getRules("coin").explode).toBe(false);
+    });
   });
 
   describe("holders", () => {
@@ -69,6 +135,16 @@ describe("DiceStore", () => {
       expect(store.holderHasRolled.has("set1")).toBe(false);
     });
 
+    it("should release every set a player holds", () => {
+      store.setHolder("set1", "player1", "Alice");
+      store.setHolder("set2", "player2", "Bob");
+      store.setHolder("set3", "player1", "Alice");
+
+      store.releaseHolder("player1");
+
+      expect([...store.holders.keys()]).toEqual(["set2"]);
+    });
+
     describe("tryGrab", () => {
       it("should succeed if set is not held", () => {
         const result = store.tryGrab("set1", "player1", "Alice");
@@ -187,6 +263,48 @@ describe("DiceStore", () => {
       expect(store.lastRoller.get("s1").username).toBe("Bob");
     });
 
+    it("should keep how rolled dice lie through a snapshot", () => {
+      const transforms = [{ rotation: 10, offsetX: -2, offsetY: 3 }, null];
+      store.setConfig({
+        diceSets: [{ id: "s1", count: 2, color: "#f00" }],
+      });
+      store.applyRoll({
+        setId: "s1",
+        values: [1, 2],
+        playerId: "p1",
+        username: "Alice",
+        transforms,
+      });
+
+      const snapshot = store.getSnapshot();
+      expect(snapshot.transforms).toEqual({ s1: transforms });
+
+      const other = new DiceStore();
+      other.loadSnapshot(structuredClone(snapshot));
+      expect(other.transforms.get("s1")).toEqual(transforms);
+    });
+
+    it("should check a peer's snapshot against its own config", () => {
+      store.setConfig({
+        diceSets: [{ id: "s1", count: 2, color: "#f00", sides: 4 }],
+      });
+
+      const checked = store.checkSnapshot({
+        values: { s1: [4, 5] },
+        transforms: { s1: [{ rotation: "1deg); background: red" }, null] },
+        lastRoller: { s1: { playerId: "p2", username: "Bob" } },
+        currentTurn: { playerId: "p2", number: -1 },
+      });
+
+      expect(checked.config).toBe(store.diceConfig);
+      expect(checked.values).toEqual({});
+      expect(checked.transforms).toEqual({});
+      expect(checked.lastRoller).toEqual({
+        s1: { playerId: "p2", username: "Bob" },
+      });
+      expect(checked.currentTurn).toBeNull();
+    });
+
     it("should handle empty snapshot gracefully", () => {
       const snapshot = { config: { diceSets: [] } };
 
@@ -197,6 +315,110 @@ describe("DiceStore", () => {
     });
   });
 
+  describe("locks", () => {
+    beforeEach(() => {
+      store.setConfig({
+        diceSets: [{ id: "s1", count: 5, color: "#f00" }],
+      });
+    });
+
+    const roll = (playerId) =>
+      store.applyRoll({
+        setId: "s1",
+        values: [1, 2, 3, 4, 5],
+        playerId,
+        username: playerId,
+      });
+
+    it("should lock and unlock single dice", () => {
+      store.setLocked("s1", 3, true);
+      store.setLocked("s1", 1, true);
+
+      expect(store.locks.get("s1")).toEqual([1, 3]);
+      expect(store.isLocked("s1", 3)).toBe(true);
+
+      store.setLocked("s1", 3, false);
+      store.setLocked("s1", 1, false);
+
+      expect(store.locks.has("s1")).toBe(false);
+    });
+
+    it("should ignore dice that don't exist", () => {
+      store.setLocked("s1", 5, true);
+      store.setLocked("missing", 0, true);
+
+      expect(store.locks.size).toBe(0);
+    });
+
+    it("should keep locks while the same player rolls", () => {
+      roll("p1");
+      store.setLocked("s1", 0, true);
+      roll("p1");
+
+      expect(store.isLocked("s1", 0)).toBe(true);
+    });
+
+    it("should clear locks when another player's turn starts", () => {
+      roll("p1");
+      store.setLocked("s1", 0, true);
+      roll("p2");
+
+      expect(store.locks.size).toBe(0);
+    });
+
+    it("should survive a snapshot round trip", () => {
+      store.setLocked("s1", 2, true);
+
+      const other = new DiceStore();
+      other.loadSnapshot(structuredClone(store.getSnapshot()));
+
+      expect(other.isLocked("s1", 2)).toBe(true);
+    });
+  });
+
+  describe("turn order", () => {
+    it("should start each turn without locks", () => {
+      store.setConfig({
+        diceSets: [{ id: "s1", count: 5, color: "#f00" }],
+      });
+      store.setLocked("s1", 1, true);
+
+      store.setCurrentTurn({ playerId: "p2", number: 3 });
+
+      expect(store.currentTurn).toEqual({ playerId: "p2", number: 3 });
+      expect(store.locks.size).toBe(0);
+      expect(store.getSnapshot().currentTurn).toEqual({
+        playerId: "p2",
+        number: 3,
+      });
+    });
+  });
+
+  describe("pickups", () => {
+    it("should forget a pickup once its dice are rolled", () => {
+      const pickup = {
+        username: "Alice",
+        dice: [{ setId: "s1", dieIndex: 0 }],
+        rolling: true,
+      };
+      store.setPickup("p1", pickup);
+      store.setPickup("p2", { ...pickup, rolling: false });
+
+      expect(store.pickups.get("p1")).toEqual(pickup);
+      store.applyRoll({
+        setId: "s1",
+        values: [4],
+        playerId: "p1",
+        username: "Alice",
+      });
+      expect([...store.pickups.keys()]).toEqual(["p2"]);
+
+      store.clearPickup("p2");
+      expect(store.pickups.size).toBe(0);
+      expect(store.getSnapshot().pickups).toBeUndefined();
+    });
+  });
+
   describe("reset", () => {
     it("should reset to initial state", () => {
       store.setConfig({
@@ -13,6 +13,9 @@ export class DiceRollingStrategy {
    * @param {object} context.state - DiceStore instance
    * @param {object} context.network - NetworkService instance
    * @param {object} context.localPlayer - Local player info { id, username }
+   * @param {object} context.rng - Random number source (Rng) for anything not covered by fairRolls
+   * @param {object} [context.fairRolls] - Shared randomness for verifiable rolls, null for local rolls
+   * @param {object} [context.players] - Players in the room (MeshState), null when playing alone
    */
   constructor(context) {
     if (new.target === DiceRollingStrategy) {
@@ -95,6 +98,49 @@ export class DiceRollingStrategy {
     throw new Error("Not implemented: roll");
   }
 
+  /**
+   * Message types this strategy sends its peers, e.g. 'dice:grab'. The app
+   * delivers these to handleMessage() as they arrive. Rolls are not among
+   * them: the app sends and checks those, and hands every strategy each
+   * set's result as a 'dice:roll'.
+   * @returns {string[]}
+   */
+  static get messageTypes() {
+    return Object.keys(this.messageSchemas);
+  }
+
+  /**
+   * What each of this strategy's messages must look like, by type: checks
+   * from the network Schema module. Messages that don't match are dropped
+   * before they reach handleMessage(), which still checks what only it
+   * knows, such as whether a set exists.
+   * @returns {Object<string, function>}
+   */
+  static get messageSchemas() {
+    return {};
+  }
+
+  /**
+   * Whether a player may roll a set right now. Rolls that aren't allowed
+   * (e.g. out of turn) don't change the table and aren't kept.
+   * @param {string} playerId - Who rolled
+   * @param {string} setId - The set they rolled
+   * @returns {boolean}
+   */
+  acceptsRoll(playerId, setId) {
+    return true;
+  }
+
+  /**
+   * Whether a player may make a notation roll right now. Notation rolls
+   * that aren't allowed aren't kept.
+   * @param {string} playerId - Who rolled
+   * @returns {boolean}
+   */
+  acceptsNotationRoll(playerId) {
+    return true;
+  }
+
   /**
    * Handle incoming network message related to dice.
    * @param {string} type - Message type (e.g., 'dice:roll')
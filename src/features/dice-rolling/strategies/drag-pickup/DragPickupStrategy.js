@@ -1,5 +1,23 @@
 import { DiceRollingStrategy } from "../DiceRollingStrategy.js";
 import { DragPickupView } from "./DragPickupView.js";
+import { rollSetWithRules } from "../../rules/DiceRules.js";
+import { facesTotal } from "../../faces/DiceFaces.js";
+import {
+  string,
+  integer,
+  boolean,
+  optional,
+  object,
+  array,
+} from "../../../../infrastructure/network/index.js";
+
+// How far rolled dice lie turned (degrees) and moved (pixels) either way
+const MAX_ROTATION = 15;
+const MAX_OFFSET = 5;
+
+// Checks for the fields of our messages
+const SET_ID = string(128);
+const DIE_INDEX = integer(0, 99);
 
 /**
  * "Drag to Pick Up" strategy - touch/mouse friendly dice rolling.
@@ -7,6 +25,11 @@ import { DragPickupView } from "./DragPickupView.js";
  * Users drag across dice to pick them up, then release to roll.
  * Only the picked-up dice are rolled; others keep their values.
  * Any player can roll any dice at any time (no grabbing/holding).
+ * Dice can be locked to keep them out of the next roll; a turn (and its
+ * locks) ends when a different player rolls. Other players see the dice
+ * being picked up and rolled as it happens, before the roll arrives.
+ * Rolled dice land at a random angle and offset that travels with the roll,
+ * so the table looks the same to everyone.
  */
 export class DragPickupStrategy extends DiceRollingStrategy {
   get name() {
@@ -41,20 +64,39 @@ export class DragPickupStrategy extends DiceRollingStrategy {
 
   /**
    * Get all dice as a flat array with their set info.
-   * @returns {Array<{setId: string, dieIndex: number, color: string, value: number|null}>}
+   * `pickedBy` is the other player picking the die up or rolling it, if any.
+   * `transform` is how the die lies since its last roll.
+   * @returns {Array<{setId: string, dieIndex: number, color: string, sides: number, faces: object[]|null, value: number|null, locked: boolean, pickedBy: {playerId: string, username: string, rolling: boolean}|null, transform: {rotation: number, offsetX: number, offsetY: number}|null}>}
    */
   getAllDice() {
     const { state } = this.context;
     const dice = [];
 
+    // "setId:dieIndex" -> who is holding that die
+    const pickedBy = new Map();
+    for (const [playerId, pickup] of state.pickups) {
+      const { username, rolling } = pickup;
+      for (const { setId, dieIndex } of pickup.dice) {
+        pickedBy.set(`${setId}:${dieIndex}`, { playerId, username, rolling });
+      }
+    }
+
     for (const set of state.diceConfig.diceSets) {
       const values = state.diceValues.get(set.id) || [];
+      const transforms = state.transforms.get(set.id) || [];
+      const sides = state.getSides(set.id);
+      const faces = state.getFaces(set.id);
       for (let i = 0; i < set.count; i++) {
         dice.push({
           setId: set.id,
           dieIndex: i,
           color: set.color,
+          sides,
+          faces,
           value: values[i] ?? null,
+          locked: state.isLocked(set.id, i),
+          pickedBy: pickedBy.get(`${set.id}:${i}`) ?? null,
+          transform: transforms[i] ?? null,
         });
       }
     }
@@ -71,7 +113,7 @@ export class DragPickupStrategy extends DiceRollingStrategy {
   async rollPickedDice(pickedIndices) {
     if (pickedIndices.size === 0) return;
 
-    const { state, network, localPlayer } = this.context;
+    const { state, network, localPlayer, rng, fairRolls } = this.context;
     const allDice = this.getAllDice();
 
     // Group picked dice by set
@@ -79,7 +121,7 @@ export class DragPickupStrategy extends DiceRollingStrategy {
 
     for (const globalIndex of pickedIndices) {
       const die = allDice[globalIndex];
-      if (!die) continue;
+      if (!die || die.locked) continue;
 
       if (!setUpdates.has(die.setId)) {
         // Get current values for this set
@@ -93,6 +135,11 @@ export class DragPickupStrategy extends DiceRollingStrategy {
       setUpdates.get(die.setId).indices.push(die.dieIndex);
     }
 
+    if (setUpdates.size === 0) return;
+
+    // Agree on a seed with the other peers so the roll can be verified
+    const randomness = fairRolls ? await fairRolls.acquire() : null;
+
     // Generate new values and apply rolls
     const results = [];
 
@@ -101,25 +148,63 @@ export class DragPickupStrategy extends DiceRollingStrategy {
       if (!setConfig) continue;
 
       // Ensure we have an array of the right size
-      const newValues =
+      const currentValues =
         update.currentValues.length === setConfig.count
-          ? [...update.currentValues]
+          ? update.currentValues
           : Array(setConfig.count).fill(1);
 
-      // Roll only the picked dice in this set
-      for (const dieIndex of update.indices) {
-        newValues[dieIndex] = Math.floor(Math.random() * 6) + 1;
+      // Roll only the picked dice in this set, applying the set's rules
+      const sides = state.getSides(setId);
+      const rules = state.getRules(setId);
+      const rollDie = randomness
+        ? await randomness.createRoller(setId)
+        : (n) => rng.rollDie(n);
+      const rolled = rollSetWithRules(
+        { sides, rules, currentValues, indices: update.indices },
+        rollDie,
+      );
+
+      // Custom-face dice total their faces' values instead of face numbers
+      const faces = state.getFaces(setId);
+
+      // Rolled dice land in a new position; the others stay as they lie
+      const transforms = Array.from(
+        { length: setConfig.count },
+        (_, i) => state.transforms.get(setId)?.[i] ?? null,
+      );
+      for (const index of update.indices) {
+        transforms[index] = {
+          rotation: rng.range(-MAX_ROTATION, MAX_ROTATION),
+          offsetX: rng.range(-MAX_OFFSET, MAX_OFFSET),
+          offsetY: rng.range(-MAX_OFFSET, MAX_OFFSET),
+        };
       }
 
       const result = {
         setId,
         color: setConfig.color,
-        values: newValues,
+        sides,
+        values: rolled.values,
+        total: faces ? facesTotal(faces, rolled.values) : rolled.total,
         playerId: localPlayer.id,
         username: localPlayer.username,
         rolledIndices: update.indices, // Track which dice were actually rolled
+        transforms,
       };
 
+      // Face labels travel with the roll so history can show them
+      if (faces) result.faces = faces;
+
+      // Proof that lets every peer re-derive the values
+      if (randomness) result.fairness = randomness.proof;
+
+      // Extra and rerolled dice, and success counts, only when rules apply
+      if (rolled.details) result.details = rolled.details;
+      if (rolled.successes !== null) {
+        result.successes = rolled.successes;
+        result.successAt = rules.successAt;
+      }
+
       results.push(result);
       state.applyRoll(result);
     }
@@ -132,6 +217,57 @@ export class DragPickupStrategy extends DiceRollingStrategy {
     return results;
   }
 
+  /**
+   * Show the other players which dice we hold and whether we're rolling
+   * them. Sharing no dice means we put them down.
+   *
+   * @param {Set<number>} pickedIndices - Global indices of the dice we hold
+   * @param {boolean} [rolling] - Whether the roll has started
+   */
+  sharePickup(pickedIndices, rolling = false) {
+    const { network, localPlayer } = this.context;
+    const allDice = this.getAllDice();
+    const dice = [...pickedIndices]
+      .filter((index) => allDice[index])
+      .map((index) => ({
+        setId: allDice[index].setId,
+        dieIndex: allDice[index].dieIndex,
+      }));
+
+    network.broadcast("dice:pickup", {
+      username: localPlayer.username,
+      dice,
+      rolling,
+    });
+  }
+
+  /**
+   * Lock or unlock a die (identified by global index in the flat array).
+   * @param {number} globalIndex
+   */
+  toggleLock(globalIndex) {
+    const { state, network } = this.context;
+    const die = this.getAllDice()[globalIndex];
+    if (!die) return;
+
+    const payload = {
+      setId: die.setId,
+      dieIndex: die.dieIndex,
+      locked: !die.locked,
+    };
+    state.setLocked(payload.setId, payload.dieIndex, payload.locked === true);
+    network.broadcast("dice:lock", payload);
+  }
+
+  /**
+   * Unlock every die, for everyone.
+   */
+  clearLocks() {
+    const { state, network } = this.context;
+    state.clearLocks();
+    network.broadcast("dice:locks-clear", {});
+  }
+
   // ─────────────────────────────────────────────────────────────
   // CORE INTERFACE IMPLEMENTATION
   // ─────────────────────────────────────────────────────────────
@@ -144,11 +280,62 @@ export class DragPickupStrategy extends DiceRollingStrategy {
     );
   }
 
+  static get messageSchemas() {
+    return {
+      "dice:lock": object({
+        setId: SET_ID,
+        dieIndex: DIE_INDEX,
+        locked: boolean(),
+      }),
+      "dice:locks-clear": object(),
+      "dice:pickup": object({
+        username: string(64),
+        dice: array(object({ setId: SET_ID, dieIndex: DIE_INDEX }), 2000),
+        rolling: optional(boolean()),
+      }),
+    };
+  }
+
   handleMessage(type, payload, fromPeerId) {
     const { state } = this.context;
 
     if (type === "dice:roll") {
-      state.applyRoll(payload);
+      // A roll has to fit one of our sets: a value for every die, each a face
+      const count = state.getSetConfig(payload.setId)?.count ?? 0;
+      const sides = state.getSides(payload.setId);
+      const fits =
+        count > 0 &&
+        Array.isArray(payload.values) &&
+        payload.values.length === count &&
+        payload.values.every(
+          (v) => Number.isInteger(v) && v >= 1 && v <= sides,
+        );
+      if (!fits) return;
+
+      const transforms = toTransforms(payload.transforms, count);
+      state.applyRoll({ ...payload, transforms });
+    } else if (type === "dice:lock") {
+      state.setLocked(payload.setId, payload.dieIndex, payload.locked === true);
+    } else if (type === "dice:locks-clear") {
+      state.clearLocks();
+    } else if (type === "dice:pickup") {
+      const dice = (Array.isArray(payload.dice) ? payload.dice : [])
+        .filter(
+          (die) =>
+            Number.isInteger(die?.dieIndex) &&
+            die.dieIndex >= 0 &&
+            die.dieIndex < (state.getSetConfig(die.setId)?.count ?? 0),
+        )
+        .map(({ setId, dieIndex }) => ({ setId, dieIndex }));
+      if (dice.length === 0) {
+        state.clearPickup(fromPeerId);
+      } else {
+        state.setPickup(fromPeerId, {
+          username: String(payload.username),
+          dice,
+          rolling: payload.rolling === true,
+        });
+      }
     }
   }
 
@@ -160,3 +347,26 @@ export class DragPickupStrategy extends DiceRollingStrategy {
     this.context.state.loadSnapshot(snapshot);
   }
 }
+
+/**
+ * Validate the resting transforms of a roll from the network.
+ * @returns {Array<{rotation: number, offsetX: number, offsetY: number}|null>|undefined}
+ */
+function toTransforms(transforms, count) {
+  if (!Array.isArray(transforms) || transforms.length !== count) return;
+
+  return transforms.map((t) => {
+    if (!t) return null;
+    const { rotation, offsetX, offsetY } = t;
+    if (![rotation, offsetX, offsetY].every(Number.isFinite)) return null;
+    return {
+      rotation: clamp(rotation, MAX_ROTATION),
+      offsetX: clamp(offsetX, MAX_OFFSET),
+      offsetY: clamp(offsetY, MAX_OFFSET),
+    };
+  });
+}
+
+function clamp(value, limit) {
+  return Math.min(limit, Math.max(-limit, value));
+}
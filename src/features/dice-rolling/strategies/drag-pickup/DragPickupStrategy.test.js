@@ -0,0 +1,168 @@
+import { describe, it, expect } from "vitest";
+import { DragPickupStrategy } from "./DragPickupStrategy.js";
+import { DiceStore } from "../../state/DiceStore.js";
+import { SeededRng } from "../../../../infrastructure/random/Rng.js";
+
+const CONFIG = {
+  diceSets: [
+    { id: "red", count: 2, color: "#ff0000", sides: 6 },
+    { id: "blue", count: 1, color: "#0000ff", sides: 20 },
+  ],
+};
+
+function createPlayer(id, sent = []) {
+  const state = new DiceStore();
+  state.setConfig(CONFIG);
+  return new DragPickupStrategy({
+    state,
+    network: { broadcast: (type, payload) => sent.push({ type, payload }) },
+    localPlayer: { id, username: id.toUpperCase() },
+    rng: new SeededRng(id),
+    fairRolls: null,
+  });
+}
+
+const pickedBy = (player) =>
+  player.getAllDice().map((die) => die.pickedBy?.playerId ?? null);
+
+describe("DragPickupStrategy", () => {
+  describe("pickups", () => {
+    it("should show other players the dice being picked up and rolled", async () => {
+      const sent = [];
+      const alice = createPlayer("alice", sent);
+      const bob = createPlayer("bob");
+      const deliver = () => {
+        for (const { type, payload } of sent.splice(0)) {
+          bob.handleMessage(type, structuredClone(payload), "alice");
+        }
+      };
+
+      alice.sharePickup(new Set([1, 2]));
+      deliver();
+      expect(pickedBy(bob)).toEqual([null, "alice", "alice"]);
+      expect(bob.getAllDice()[1].pickedBy).toEqual({
+        playerId: "alice",
+        username: "ALICE",
+        rolling: false,
+      });
+
+      alice.sharePickup(new Set([1, 2]), true);
+      deliver();
+      expect(bob.getAllDice()[2].pickedBy.rolling).toBe(true);
+
+      // Each landed set puts its player's dice down
+      await alice.rollPickedDice(new Set([1, 2]));
+      deliver();
+      expect(pickedBy(bob)).toEqual([null, null, null]);
+    });
+
+    it("should put dice down when a player lets go", () => {
+      const bob = createPlayer("bob");
+
+      bob.handleMessage(
+        "dice:pickup",
+        {
+          username: "ALICE",
+          dice: [
+            { setId: "red", dieIndex: 0 },
+            { setId: "red", dieIndex: 5 },
+            { setId: "green", dieIndex: 0 },
+            null,
+          ],
+        },
+        "alice",
+      );
+      expect(pickedBy(bob)).toEqual(["alice", null, null]);
+
+      bob.handleMessage(
+        "dice:pickup",
+        { username: "ALICE", dice: [] },
+        "alice",
+      );
+      expect(pickedBy(bob)).toEqual([null, null, null]);
+    });
+  });
+
+  describe("transforms", () => {
+    it("should land rolled dice the same way for everyone", async () => {
+      const sent = [];
+      const alice = createPlayer("alice", sent);
+      const bob = createPlayer("bob");
+
+      await alice.rollPickedDice(new Set([1]));
+      const roll = sent.find((m) => m.type === "dice:roll").payload;
+      bob.handleMessage("dice:roll", structuredClone(roll), "alice");
+
+      const transforms = alice.getAllDice().map((die) => die.transform);
+      expect(transforms[0]).toBeNull();
+      expect(transforms[1]).toEqual({
+        rotation: expect.any(Number),
+        offsetX: expect.any(Number),
+        offsetY: expect.any(Number),
+      });
+      expect(bob.getAllDice().map((die) => die.transform)).toEqual(transforms);
+    });
+
+    it("should ignore or clamp bad transforms from the network", () => {
+      const bob = createPlayer("bob");
+      const roll = {
+        setId: "red",
+        values: [3, 4],
+        playerId: "alice",
+        username: "ALICE",
+      };
+
+      bob.handleMessage(
+        "dice:roll",
+        {
+          ...roll,
+          transforms: [
+            { rotation: 900, offsetX: -50, offsetY: 1 },
+            { rotation: "spin", offsetX: 0, offsetY: 0 },
+          ],
+        },
+        "alice",
+      );
+      expect(bob.getAllDice().map((die) => die.transform)).toEqual([
+        { rotation: 15, offsetX: -5, offsetY: 1 },
+        null,
+        null,
+      ]);
+
+      // The wrong number of transforms leaves the dice as they lay
+      bob.handleMessage(
+        "dice:roll",
+        { ...roll, values: [5, 6], transforms: [null] },
+        "alice",
+      );
+      expect(bob.getAllDice()[0].transform).toEqual({
+        rotation: 15,
+        offsetX: -5,
+        offsetY: 1,
+      });
+    });
+
+    it("should ignore rolls that don't fit our dice", () => {
+      const bob = createPlayer("bob");
+      const roll = { playerId: "alice", username: "ALICE" };
+      const values = () => bob.getAllDice().map((die) => die.value);
+      const before = values();
+
+      for (const bad of [
+        { setId: "green", values: [1, 2] },
+        { setId: "red", values: [3] },
+        { setId: "red", values: [3, 4, 5] },
+        { setId: "red", values: [3, 7] },
+        { setId: "red", values: [0, 2] },
+        { setId: "blue", values: [2.5] },
+        { setId: "blue", values: "20" },
+      ]) {
+        bob.handleMessage("dice:roll", { ...roll, ...bad }, "alice");
+      }
+      expect(values()).toEqual(before);
+
+      bob.handleMessage("dice:roll", { ...roll, setId: "blue", values: [20] });
+      expect(values()).toEqual([...before.slice(0, 2), 20]);
+    });
+  });
+});
@@ -1,4 +1,8 @@
 import "../../../../ui/components/dice/Die.js";
+import { escapeAttribute, escapeHtml } from "../../../../utils/html-utils.js";
+import { getPlayerColor } from "../../../../utils/dice-utils.js";
+
+const LOCK_ICON = `<svg viewBox="0 0 16 16" aria-hidden="true"><rect x="3" y="7" width="10" height="8" rx="1.5" fill="currentColor"/><path d="M5 7V5a3 3 0 0 1 6 0v2" fill="none" stroke="currentColor" stroke-width="1.6"/></svg>`;
 
 /**
  * View component for the "Drag to Pick Up" strategy.
@@ -8,6 +12,9 @@ import "../../../../ui/components/dice/Die.js";
  * - Picked dice are visually lifted
  * - Release inside the area to roll picked dice
  * - Drag outside the area and release to cancel
+ * - Tap a die's lock button to keep it out of rolls (locked dice can't be picked up)
+ * - Dice other players pick up are lifted in their color, and tumble while
+ *   they roll them
  */
 export class DragPickupView extends HTMLElement {
   #strategy = null;
@@ -18,9 +25,8 @@ export class DragPickupView extends HTMLElement {
   #isRolling = false;
   #pickedUpDice = new Set(); // Global indices of picked dice
   #isCancelled = false;
-
-  // Store random transforms for visual variety
-  #diceTransforms = [];
+  #sharedCount = 0; // Number of picked dice the other players know about
+  #remoteAnimation = null; // Interval tumbling dice other players roll
 
   setStrategy(strategy) {
     this.#strategy = strategy;
@@ -40,6 +46,8 @@ export class DragPickupView extends HTMLElement {
   disconnectedCallback() {
     this.#unsubscribe?.();
     this.#removeEventListeners();
+    clearInterval(this.#remoteAnimation);
+    this.#remoteAnimation = null;
   }
 
   // ─────────────────────────────────────────────────────────────
@@ -61,6 +69,9 @@ export class DragPickupView extends HTMLElement {
     this.addEventListener("mousedown", this.#handleDragStart);
     document.addEventListener("mousemove", this.#handleDragMove);
     document.addEventListener("mouseup", this.#handleDragEnd);
+
+    // Lock buttons
+    this.addEventListener("click", this.#handleClick);
   }
 
   #removeEventListeners() {
@@ -72,6 +83,8 @@ export class DragPickupView extends HTMLElement {
     this.removeEventListener("mousedown", this.#handleDragStart);
     document.removeEventListener("mousemove", this.#handleDragMove);
     document.removeEventListener("mouseup", this.#handleDragEnd);
+
+    this.removeEventListener("click", this.#handleClick);
   }
 
   #getPointFromEvent(e) {
@@ -92,6 +105,10 @@ export class DragPickupView extends HTMLElement {
     return null;
   }
 
+  #isLocked(index) {
+    return this.#strategy.getAllDice()[index]?.locked ?? false;
+  }
+
   #isPointInDiceArea(x, y) {
     const diceArea = this.querySelector(".drag-pickup-container");
     if (!diceArea) return false;
@@ -104,6 +121,9 @@ export class DragPickupView extends HTMLElement {
   #handleDragStart = (e) => {
     if (this.#isRolling) return;
 
+    // Buttons get a plain click instead
+    if (e.target.closest?.("button")) return;
+
     const point = this.#getPointFromEvent(e);
     if (!this.#isPointInDiceArea(point.x, point.y)) return;
 
@@ -113,11 +133,12 @@ export class DragPickupView extends HTMLElement {
 
     // Check if we started on a die
     const dieIndex = this.#getDieAtPoint(point.x, point.y);
-    if (dieIndex !== null) {
+    if (dieIndex !== null && !this.#isLocked(dieIndex)) {
       this.#pickedUpDice.add(dieIndex);
     }
 
     this.#updateDragState();
+    this.#sharePickup();
     e.preventDefault();
   };
 
@@ -138,11 +159,16 @@ export class DragPickupView extends HTMLElement {
 
     // Check if touching a die
     const dieIndex = this.#getDieAtPoint(point.x, point.y);
-    if (dieIndex !== null && !this.#pickedUpDice.has(dieIndex)) {
+    if (
+      dieIndex !== null &&
+      !this.#pickedUpDice.has(dieIndex) &&
+      !this.#isLocked(dieIndex)
+    ) {
       this.#pickedUpDice.add(dieIndex);
     }
 
     this.#updateDragState();
+    this.#sharePickup();
     e.preventDefault();
   };
 
@@ -160,6 +186,7 @@ export class DragPickupView extends HTMLElement {
       // Cancel - clear state
       this.#pickedUpDice.clear();
       this.#isCancelled = false;
+      this.#sharePickup();
       this.#render();
       return;
     }
@@ -168,6 +195,26 @@ export class DragPickupView extends HTMLElement {
     this.#rollPickedDice();
   };
 
+  #handleClick = (e) => {
+    if (this.#isRolling || this.#isDragging) return;
+
+    const lockButton = e.target.closest(".lock-toggle");
+    if (lockButton) {
+      this.#strategy.toggleLock(parseInt(lockButton.dataset.dieIndex, 10));
+    } else if (e.target.closest(".clear-locks-btn")) {
+      this.#strategy.clearLocks();
+    }
+  };
+
+  /**
+   * Tell the other players when the dice we hold change.
+   */
+  #sharePickup() {
+    if (this.#pickedUpDice.size === this.#sharedCount) return;
+    this.#sharedCount = this.#pickedUpDice.size;
+    this.#strategy.sharePickup(this.#pickedUpDice);
+  }
+
   #updateDragState() {
     const container = this.querySelector(".drag-pickup-container");
     const hint = this.querySelector(".hint");
@@ -200,6 +247,7 @@ export class DragPickupView extends HTMLElement {
   #updateDiceClasses() {
     const wrappers = this.querySelectorAll(".die-wrapper");
     const hasPickedUp = this.#pickedUpDice.size > 0;
+    const allDice = this.#strategy.getAllDice();
 
     wrappers.forEach((wrapper, index) => {
       const dieEl = wrapper.querySelector("dice-die");
@@ -213,8 +261,8 @@ export class DragPickupView extends HTMLElement {
       // restore it when not picked up
       if (isPickedUp) {
         dieEl.style.transform = "";
-      } else if (this.#diceTransforms[index]) {
-        dieEl.style.transform = this.#diceTransforms[index];
+      } else if (allDice[index]?.transform) {
+        dieEl.style.transform = cssTransform(allDice[index].transform);
       }
     });
   }
@@ -230,29 +278,38 @@ export class DragPickupView extends HTMLElement {
     const diceToRoll = new Set(this.#pickedUpDice);
     const allDice = this.#strategy.getAllDice();
 
-    // Show rolling animation
+    // Show rolling animation, for the other players too
     this.#showRollingAnimation(diceToRoll);
+    this.#strategy.sharePickup(diceToRoll, true);
 
     // Animate random values
+    const { rng } = this.#strategy.context;
     const animateInterval = setInterval(() => {
       this.querySelectorAll("dice-die.rolling").forEach((die) => {
-        die.setAttribute("value", Math.floor(Math.random() * 6) + 1);
+        const sides = parseInt(die.getAttribute("sides"), 10);
+        die.setAttribute("value", rng.rollDie(sides));
       });
     }, 120);
 
     await new Promise((r) => setTimeout(r, 1000));
     clearInterval(animateInterval);
 
-    // Actually roll the dice
-    await this.#strategy.rollPickedDice(diceToRoll);
-
-    // Generate new transforms for rolled dice
-    for (const index of diceToRoll) {
-      this.#diceTransforms[index] = this.#getRandomTransform();
+    // Actually roll the dice. This can fail (e.g. the server won't sign
+    // the roll); the dice then just drop back with their old values.
+    let rolled = false;
+    try {
+      const results = await this.#strategy.rollPickedDice(diceToRoll);
+      rolled = results?.length > 0;
+    } catch (error) {
+      console.error("Roll failed:", error);
     }
 
+    // The roll itself tells the other players the dice have landed
+    if (!rolled) this.#strategy.sharePickup(new Set());
+
     // Clear state and re-render
     this.#pickedUpDice.clear();
+    this.#sharedCount = 0;
     this.#isRolling = false;
     this.#render();
   }
@@ -282,13 +339,6 @@ export class DragPickupView extends HTMLElement {
     }
   }
 
-  #getRandomTransform() {
-    const rotation = Math.floor(Math.random() * 31) - 15;
-    const offsetX = Math.floor(Math.random() * 11) - 5;
-    const offsetY = Math.floor(Math.random() * 11) - 5;
-    return `rotate(${rotation}deg) translate(${offsetX}px, ${offsetY}px)`;
-  }
-
   // ─────────────────────────────────────────────────────────────
   // RENDERING
   // ─────────────────────────────────────────────────────────────
@@ -297,53 +347,116 @@ export class DragPickupView extends HTMLElement {
     const allDice = this.#strategy.getAllDice();
     const hasPickedUp = this.#pickedUpDice.size > 0;
     const hasValues = allDice.some((d) => d.value !== null);
-
-    // Ensure transforms array is sized correctly
-    while (this.#diceTransforms.length < allDice.length) {
-      this.#diceTransforms.push("");
-    }
+    const hasLocks = allDice.some((d) => d.locked);
+
+    // Custom-face dice pass their labels to <dice-die>
+    const facesAttr = (die) =>
+      die.faces
+        ? `faces="${escapeAttribute(JSON.stringify(die.faces.map((f) => f.label)))}"`
+        : "";
+
+    // Dice another player holds are lifted in their color
+    const remoteAttrs = (die) => {
+      if (!die.pickedBy) return { classes: [], style: "" };
+      const classes = ["remote-picked"];
+      if (die.pickedBy.rolling) classes.push("remote-rolling");
+      return {
+        classes,
+        style: `--picker-color: ${getPlayerColor(die.pickedBy.playerId)};`,
+      };
+    };
 
     const diceHtml = allDice
       .map((die, index) => {
         const isPickedUp = this.#pickedUpDice.has(index);
-        const transform = isPickedUp ? "" : this.#diceTransforms[index] || "";
+        const remote = remoteAttrs(die);
+        const transform =
+          isPickedUp || die.pickedBy ? "" : cssTransform(die.transform);
 
         if (die.value === null) {
           // Placeholder state
-          const classes = ["placeholder"];
+          const classes = ["placeholder", ...remote.classes];
           if (isPickedUp) classes.push("picked-up");
           else if (hasPickedUp) classes.push("not-picked");
 
+          const styleAttr = remote.style ? `style="${remote.style}"` : "";
           return `
             <div class="die-wrapper" data-die-index="${index}">
-              <dice-die class="${classes.join(" ")}" color="${die.color}" value="1"></dice-die>
+              <dice-die class="${classes.join(" ")}" color="${die.color}" sides="${die.sides}" ${facesAttr(die)} value="1" ${die.pickedBy?.rolling ? "rolling" : ""} ${styleAttr}></dice-die>
             </div>
           `;
         }
 
         // Show actual value
-        const classes = [];
+        const classes = [...remote.classes];
         if (isPickedUp) classes.push("picked-up");
         else if (hasPickedUp) classes.push("not-picked");
 
-        const styleAttr = transform ? `style="transform: ${transform}"` : "";
+        const style = `${transform ? `transform: ${transform};` : ""}${remote.style}`;
+        const styleAttr = style ? `style="${style}"` : "";
+        const lockLabel = die.locked ? "Unlock die" : "Lock die";
         return `
           <div class="die-wrapper" data-die-index="${index}">
-            <dice-die class="${classes.join(" ")}" color="${die.color}" value="${die.value}" ${styleAttr}></dice-die>
+            <dice-die class="${classes.join(" ")}" color="${die.color}" sides="${die.sides}" ${facesAttr(die)} value="${die.value}" ${die.locked ? "locked" : ""} ${die.pickedBy?.rolling ? "rolling" : ""} ${styleAttr}></dice-die>
+            <button class="lock-toggle${die.locked ? " locked" : ""}" data-die-index="${index}" aria-pressed="${die.locked}" title="${lockLabel}" aria-label="${lockLabel}">${LOCK_ICON}</button>
           </div>
         `;
       })
       .join("");
 
+    // Someone else is busy with the dice
+    const picker = allDice.find((die) => die.pickedBy)?.pickedBy;
+    let hint = "Drag across dice to pick up";
+    if (picker) {
+      hint = picker.rolling
+        ? `${escapeHtml(picker.username)} is rolling...`
+        : `${escapeHtml(picker.username)} is picking up dice`;
+    }
+
     this.innerHTML = `
       <div class="drag-pickup-container">
         <div class="dice-display">
           ${diceHtml}
         </div>
-        <div class="hint">Drag across dice to pick up</div>
+        <div class="hint">${hint}</div>
+        ${hasLocks ? '<button class="clear-locks-btn">Clear locks</button>' : ""}
       </div>
     `;
+
+    this.#animateRemoteRolls(allDice.some((die) => die.pickedBy?.rolling));
   }
+
+  /**
+   * Tumble the dice other players are rolling until their roll arrives.
+   * @param {boolean} rolling - Whether anyone else is rolling
+   */
+  #animateRemoteRolls(rolling) {
+    if (!rolling) {
+      clearInterval(this.#remoteAnimation);
+      this.#remoteAnimation = null;
+      return;
+    }
+    if (this.#remoteAnimation) return;
+
+    const { rng } = this.#strategy.context;
+    this.#remoteAnimation = setInterval(() => {
+      this.querySelectorAll("dice-die.remote-rolling").forEach((die) => {
+        const sides = parseInt(die.getAttribute("sides"), 10);
+        die.setAttribute("value", rng.rollDie(sides));
+      });
+    }, 120);
+  }
+}
+
+/**
+ * CSS transform for how a die lies on the table.
+ * @param {{rotation: number, offsetX: number, offsetY: number}|null} transform
+ * @returns {string}
+ */
+function cssTransform(transform) {
+  if (!transform) return "";
+  const { rotation, offsetX, offsetY } = transform;
+  return `rotate(${Number(rotation)}deg) translate(${Number(offsetX)}px, ${Number(offsetY)}px)`;
 }
 
 // Register the custom element
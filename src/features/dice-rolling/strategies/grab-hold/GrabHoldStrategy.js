@@ -0,0 +1,374 @@
+import { DiceRollingStrategy } from "../DiceRollingStrategy.js";
+import { GrabHoldView } from "./GrabHoldView.js";
+import { rollSetWithRules } from "../../rules/DiceRules.js";
+import { facesTotal } from "../../faces/DiceFaces.js";
+import {
+  string,
+  integer,
+  number,
+  boolean,
+  optional,
+  object,
+} from "../../../../infrastructure/network/index.js";
+
+// Checks for the fields of our messages
+const SET_ID = string(128);
+const VERSION = integer(0, Number.MAX_SAFE_INTEGER);
+const GRAB = {
+  version: VERSION,
+  grabbedAt: number(),
+  playerId: string(128),
+  username: string(64),
+};
+
+/**
+ * "Grab and Hold" strategy - one player holds a dice set at a time.
+ *
+ * A player grabs a whole set and becomes its only holder across the mesh,
+ * rolls it as often as they like, then drops it for the next player.
+ * Sets held by a player who disconnects are released automatically.
+ *
+ * Two players can grab the same set before hearing about each other. Every
+ * grab carries a version (one more than the last grab its sender saw for
+ * the set); all peers keep the grab with the highest version, then the
+ * lowest player ID, so they settle on the same holder whatever order the
+ * messages arrive in. A set that is held can't be grabbed from its holder:
+ * only a grab made at the same time, for the same version, can win it, and
+ * one for the next version waits for the holder's drop in case it arrives
+ * late. When a grab is turned down, the player of the grab that was kept
+ * announces it, so a player who was behind (e.g. one who just joined)
+ * learns they lost. Hold state is only taken from the players it is about.
+ */
+export class GrabHoldStrategy extends DiceRollingStrategy {
+  // Last accepted grab per set, kept after a drop: setId -> { version, grabbedAt, playerId, username }
+  #grabs = new Map();
+  // Grabs for the next version of a held set, waiting for its drop: setId -> grab
+  #waiting = new Map();
+
+  get name() {
+    return "Grab and Hold";
+  }
+
+  get description() {
+    return "Grab a dice set to hold it, roll it, then drop it for the next player.";
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // VIEW FACTORY
+  // ─────────────────────────────────────────────────────────────
+
+  static get viewTagName() {
+    return "dice-grab-hold";
+  }
+
+  static get viewComponent() {
+    return GrabHoldView;
+  }
+
+  createView() {
+    const view = document.createElement("dice-grab-hold");
+    view.setStrategy(this);
+    return view;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // STRATEGY-SPECIFIC LOGIC
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Get every dice set with its values and holder.
+   * @returns {Array<{setId: string, color: string, count: number, sides: number, faces: object[]|null, values: number[], holder: object|null, isMine: boolean, hasRolled: boolean}>}
+   */
+  getSets() {
+    const { state, localPlayer } = this.context;
+
+    return state.diceConfig.diceSets.map((set) => {
+      const holder = state.holders.get(set.id) || null;
+      return {
+        setId: set.id,
+        color: set.color,
+        count: set.count,
+        sides: state.getSides(set.id),
+        faces: state.getFaces(set.id),
+        values: state.diceValues.get(set.id) || [],
+        holder,
+        isMine: holder?.playerId === localPlayer.id,
+        hasRolled: state.holderHasRolled.get(set.id) === true,
+      };
+    });
+  }
+
+  /**
+   * Grab a set that nobody holds.
+   * @param {string} setId
+   * @returns {boolean} Whether we now hold the set
+   */
+  grab(setId) {
+    const { state, network, localPlayer } = this.context;
+    if (!state.getSetConfig(setId) || state.holders.has(setId)) return false;
+
+    const grab = {
+      version: (this.#grabs.get(setId)?.version ?? 0) + 1,
+      grabbedAt: Date.now(),
+      playerId: localPlayer.id,
+      username: localPlayer.username,
+    };
+    if (!this.#acceptGrab(setId, grab)) return false;
+
+    network.broadcast("dice:grab", { setId, ...grab });
+    return true;
+  }
+
+  /**
+   * Drop a set we hold.
+   * @param {string} setId
+   */
+  drop(setId) {
+    const { state, network, localPlayer } = this.context;
+    if (state.holders.get(setId)?.playerId !== localPlayer.id) return;
+
+    state.clearHolder(setId);
+    network.broadcast("dice:drop", {
+      setId,
+      version: this.#grabs.get(setId)?.version,
+    });
+  }
+
+  /**
+   * Drop every set we hold.
+   */
+  dropAll() {
+    for (const { setId, isMine } of this.getSets()) {
+      if (isMine) this.drop(setId);
+    }
+  }
+
+  /**
+   * Roll every die in the sets we hold.
+   * @returns {Promise<object[]>} Roll results, one per set
+   */
+  async rollHeld() {
+    const { state, network, localPlayer, rng, fairRolls } = this.context;
+    const held = this.getSets().filter((set) => set.isMine);
+    if (held.length === 0) return [];
+
+    // Agree on a seed with the other peers so the roll can be verified
+    const randomness = fairRolls ? await fairRolls.acquire() : null;
+
+    const results = [];
+    for (const set of held) {
+      const indices = Array.from({ length: set.count }, (_, i) => i);
+      const rules = state.getRules(set.setId);
+      const rollDie = randomness
+        ? await randomness.createRoller(set.setId)
+        : (n) => rng.rollDie(n);
+      const rolled = rollSetWithRules(
+        {
+          sides: set.sides,
+          rules,
+          currentValues: Array(set.count).fill(1),
+          indices,
+        },
+        rollDie,
+      );
+
+      const result = {
+        setId: set.setId,
+        color: set.color,
+        sides: set.sides,
+        values: rolled.values,
+        total: set.faces ? facesTotal(set.faces, rolled.values) : rolled.total,
+        playerId: localPlayer.id,
+        username: localPlayer.username,
+        rolledIndices: indices,
+      };
+
+      if (set.faces) result.faces = set.faces;
+      if (randomness) result.fairness = randomness.proof;
+      if (rolled.details) result.details = rolled.details;
+      if (rolled.successes !== null) {
+        result.successes = rolled.successes;
+        result.successAt = rules.successAt;
+      }
+
+      results.push(result);
+      state.applyRoll(result);
+    }
+
+    for (const result of results) {
+      network.broadcast("dice:roll", result);
+    }
+
+    return results;
+  }
+
+  /**
+   * Take a grab if it beats the last one we accepted for the set, and the
+   * set is free or held under the same version.
+   * @returns {boolean} Whether the grab now holds the set
+   */
+  #acceptGrab(setId, grab) {
+    const last = this.#grabs.get(setId);
+    if (last && !grabBeats(grab, last)) return false;
+    if (
+      this.context.state.holders.has(setId) &&
+      grab.version !== last?.version
+    ) {
+      const waiting = this.#waiting.get(setId);
+      if (
+        grab.version === last?.version + 1 &&
+        (!waiting || grabBeats(grab, waiting))
+      ) {
+        this.#waiting.set(setId, grab);
+      }
+      return false;
+    }
+
+    this.#waiting.delete(setId);
+    this.#grabs.set(setId, grab);
+    this.context.state.setHolder(setId, grab.playerId, grab.username);
+    return true;
+  }
+
+  /**
+   * Catch up with another peer's view of a set, if it has seen a later grab.
+   */
+  #adoptHoldState({ setId, grab, held }) {
+    const last = this.#grabs.get(setId);
+    if (last && !grabBeats(grab, last)) return;
+
+    this.#grabs.set(setId, grab);
+    if (held) {
+      this.context.state.setHolder(setId, grab.playerId, grab.username);
+    } else {
+      this.context.state.clearHolder(setId);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // CORE INTERFACE IMPLEMENTATION
+  // ─────────────────────────────────────────────────────────────
+
+  async roll(playerId, setIds) {
+    // Sets are rolled by whoever holds them
+    return this.rollHeld();
+  }
+
+  static get messageSchemas() {
+    return {
+      "dice:grab": object({ setId: SET_ID, ...GRAB }),
+      "dice:drop": object({ setId: SET_ID, version: optional(VERSION) }),
+      "dice:hold-state": object({
+        setId: SET_ID,
+        grab: object(GRAB),
+        held: boolean(),
+      }),
+    };
+  }
+
+  acceptsRoll(playerId, setId) {
+    // Only the holder rolls a held set
+    return this.context.state.holders.get(setId)?.playerId === playerId;
+  }
+
+  handleMessage(type, payload, fromPeerId) {
+    const { state, network } = this.context;
+    const { setId } = payload;
+
+    if (type === "dice:roll") {
+      if (this.acceptsRoll(fromPeerId, setId)) state.applyRoll(payload);
+    } else if (type === "dice:grab") {
+      const grab = toGrab({ ...payload, playerId: fromPeerId });
+      if (!state.getSetConfig(setId) || !grab) return;
+
+      // The player whose grab we kept tells the other they lost
+      const kept = this.#grabs.get(setId);
+      if (
+        !this.#acceptGrab(setId, grab) &&
+        kept.playerId === this.context.localPlayer.id
+      ) {
+        network.broadcast("dice:hold-state", {
+          setId,
+          grab: kept,
+          held: state.holders.get(setId)?.playerId === kept.playerId,
+        });
+      }
+    } else if (type === "dice:hold-state") {
+      const grab = toGrab(payload.grab || {});
+      if (!state.getSetConfig(setId) || !grab) return;
+
+      // Only the holder, or the player the grab is for, speaks for the set:
+      // a third party can't hand it to anyone
+      const involved =
+        fromPeerId === grab.playerId ||
+        fromPeerId === state.holders.get(setId)?.playerId;
+      if (!involved) return;
+      this.#adoptHoldState({ setId, grab, held: payload.held === true });
+    } else if (type === "dice:drop") {
+      // Only the holder can drop, and only the grab they made: a drop that
+      // arrives after someone else's newer grab is stale
+      const last = this.#grabs.get(setId);
+      if (
+        state.holders.get(setId)?.playerId === fromPeerId &&
+        (!last ||
+          (last.playerId === fromPeerId && last.version === payload.version))
+      ) {
+        state.clearHolder(setId);
+        const waiting = this.#waiting.get(setId);
+        if (waiting) this.#acceptGrab(setId, waiting);
+      }
+    }
+  }
+
+  getState() {
+    return {
+      ...this.context.state.getSnapshot(),
+      grabs: Object.fromEntries(this.#grabs),
+    };
+  }
+
+  loadState(snapshot) {
+    this.#waiting.clear();
+    this.#grabs = new Map(
+      Object.entries(snapshot.grabs || {})
+        .map(([setId, grab]) => [setId, toGrab(grab ?? {})])
+        .filter(
+          ([setId, grab]) => grab && this.context.state.getSetConfig(setId),
+        ),
+    );
+    this.context.state.loadSnapshot(snapshot);
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // LIFECYCLE
+  // ─────────────────────────────────────────────────────────────
+
+  deactivate() {
+    // Other strategies don't hold sets
+    const { state } = this.context;
+    for (const setId of [...state.holders.keys()]) state.clearHolder(setId);
+  }
+}
+
+/**
+ * Validate a grab from the network.
+ * @returns {{ version: number, grabbedAt: number, playerId: string, username: string }|null}
+ */
+function toGrab({ version, grabbedAt, playerId, username }) {
+  if (!Number.isInteger(version) || typeof playerId !== "string") return null;
+  return {
+    version,
+    grabbedAt: Number(grabbedAt) || 0,
+    playerId,
+    username: String(username),
+  };
+}
+
+/**
+ * Whether grab `a` wins over grab `b` for the same set. The time a grab
+ * says it was made is up to its sender, so it doesn't count.
+ */
+function grabBeats(a, b) {
+  if (a.version !== b.version) return a.version > b.version;
+  return a.playerId < b.playerId;
+}
@@ -0,0 +1,244 @@
+import { describe, it, expect } from "vitest";
+import { GrabHoldStrategy } from "./GrabHoldStrategy.js";
+import { DiceStore } from "../../state/DiceStore.js";
+import { SeededRng } from "../../../../infrastructure/random/Rng.js";
+
+const CONFIG = {
+  diceSets: [
+    { id: "red", count: 2, color: "#ff0000", sides: 6 },
+    { id: "blue", count: 1, color: "#0000ff", sides: 20 },
+  ],
+};
+
+/**
+ * One strategy per player, connected through a mesh whose messages are
+ * queued until `flush()` so tests can interleave them.
+ */
+function createPlayers(ids) {
+  const queue = [];
+  const players = new Map();
+
+  for (const id of ids) {
+    const state = new DiceStore();
+    state.setConfig(CONFIG);
+    const network = {
+      broadcast: (type, payload) => {
+        for (const to of ids) {
+          if (to !== id) queue.push({ from: id, to, type, payload });
+        }
+      },
+    };
+    players.set(
+      id,
+      new GrabHoldStrategy({
+        state,
+        network,
+        localPlayer: { id, username: id.toUpperCase() },
+        rng: new SeededRng(id),
+        fairRolls: null,
+      }),
+    );
+  }
+
+  const deliver = ({ from, to, type, payload }) =>
+    players.get(to).handleMessage(type, structuredClone(payload), from);
+
+  return {
+    players,
+    queue,
+    flush() {
+      while (queue.length > 0) deliver(queue.shift());
+    },
+    // Deliver queued messages in reverse order
+    flushReversed() {
+      while (queue.length > 0) deliver(queue.pop());
+    },
+  };
+}
+
+const holderOf = (player, setId) =>
+  player.context.state.holders.get(setId)?.playerId ?? null;
+
+describe("GrabHoldStrategy", () => {
+  it("should make the grabber the only holder everywhere", () => {
+    const mesh = createPlayers(["alice", "bob"]);
+    const alice = mesh.players.get("alice");
+    const bob = mesh.players.get("bob");
+
+    expect(alice.grab("red")).toBe(true);
+    mesh.flush();
+
+    expect(holderOf(bob, "red")).toBe("alice");
+    expect(bob.grab("red")).toBe(false);
+    expect(bob.getSets()[0].isMine).toBe(false);
+  });
+
+  it("should only let the holder roll and drop", async () => {
+    const mesh = createPlayers(["alice", "bob"]);
+    const alice = mesh.players.get("alice");
+    const bob = mesh.players.get("bob");
+
+    alice.grab("red");
+    mesh.flush();
+
+    expect(await bob.rollHeld()).toEqual([]);
+    const [result] = await alice.rollHeld();
+    expect(result.setId).toBe("red");
+    expect(result.values).toHaveLength(2);
+    mesh.flush();
+    expect(bob.context.state.diceValues.get("red")).toEqual(result.values);
+
+    bob.drop("red");
+    mesh.flush();
+    expect(holderOf(alice, "red")).toBe("alice");
+
+    alice.dropAll();
+    mesh.flush();
+    expect(holderOf(bob, "red")).toBeNull();
+    expect(bob.grab("red")).toBe(true);
+  });
+
+  it("should ignore rolls of a set from players who don't hold it", () => {
+    const mesh = createPlayers(["alice", "bob"]);
+    const bob = mesh.players.get("bob");
+
+    mesh.players.get("alice").grab("red");
+    mesh.flush();
+    bob.handleMessage(
+      "dice:roll",
+      { setId: "red", values: [6, 6], playerId: "carol", username: "CAROL" },
+      "carol",
+    );
+
+    expect(bob.context.state.diceValues.get("red")).not.toEqual([6, 6]);
+  });
+
+  it("should only take hold state from the players it is about", () => {
+    const mesh = createPlayers(["alice", "bob"]);
+    const bob = mesh.players.get("bob");
+
+    mesh.players.get("alice").grab("red");
+    mesh.flush();
+    const grab = {
+      version: 5,
+      grabbedAt: 0,
+      playerId: "mallory",
+      username: "MALLORY",
+    };
+    bob.handleMessage(
+      "dice:hold-state",
+      { setId: "red", grab, held: true },
+      "carol",
+    );
+    expect(holderOf(bob, "red")).toBe("alice");
+
+    bob.handleMessage(
+      "dice:hold-state",
+      { setId: "red", grab, held: true },
+      "mallory",
+    );
+    expect(holderOf(bob, "red")).toBe("mallory");
+  });
+
+  it("should settle simultaneous grabs on the same holder", () => {
+    for (const flush of ["flush", "flushReversed"]) {
+      const mesh = createPlayers(["alice", "bob", "carol"]);
+
+      // Both grab before hearing about each other
+      mesh.players.get("carol").grab("blue");
+      mesh.players.get("bob").grab("blue");
+      mesh[flush]();
+      mesh.flush();
+
+      const holders = [...mesh.players.values()].map((p) =>
+        holderOf(p, "blue"),
+      );
+      expect(new Set(holders).size).toBe(1);
+      expect(["bob", "carol"]).toContain(holders[0]);
+    }
+  });
+
+  it("should not let anyone grab a set from its holder", () => {
+    const mesh = createPlayers(["alice", "bob"]);
+    const bob = mesh.players.get("bob");
+
+    bob.grab("red");
+    mesh.flush();
+    const grab = { setId: "red", grabbedAt: 0, username: "ALICE" };
+    bob.handleMessage("dice:grab", { ...grab, version: 2 }, "alice");
+    bob.handleMessage("dice:grab", { ...grab, version: 9 }, "alice");
+    expect(holderOf(bob, "red")).toBe("bob");
+
+    // Unless it was grabbed at the same time, whatever time it claims
+    const carol = createPlayers(["carol"]).players.get("carol");
+    carol.grab("red");
+    carol.handleMessage(
+      "dice:grab",
+      { ...grab, version: 1, grabbedAt: Date.now() + 60000 },
+      "alice",
+    );
+    expect(holderOf(carol, "red")).toBe("alice");
+  });
+
+  it("should not let a drop undo a newer grab", () => {
+    const mesh = createPlayers(["alice", "bob", "carol"]);
+    const alice = mesh.players.get("alice");
+    const bob = mesh.players.get("bob");
+    const carol = mesh.players.get("carol");
+
+    alice.grab("red");
+    mesh.flush();
+    alice.drop("red");
+
+    // Bob hears about the drop and grabs; Carol gets Bob's grab first
+    bob.handleMessage("dice:drop", mesh.queue.shift().payload, "alice");
+    bob.grab("red");
+    const toCarol = mesh.queue.filter((m) => m.to === "carol").reverse();
+    mesh.queue.length = 0;
+    for (const m of toCarol) carol.handleMessage(m.type, m.payload, m.from);
+
+    expect(holderOf(carol, "red")).toBe("bob");
+  });
+
+  it("should let a player who fell behind learn they lost the set", () => {
+    const mesh = createPlayers(["alice", "bob"]);
+    const alice = mesh.players.get("alice");
+    const bob = mesh.players.get("bob");
+
+    alice.grab("red");
+    alice.drop("red");
+    alice.grab("red");
+    // Bob missed all of that (e.g. he joined later) and grabs too
+    mesh.queue.length = 0;
+    bob.grab("red");
+    mesh.flush();
+    mesh.flush();
+
+    expect(holderOf(alice, "red")).toBe("alice");
+    expect(holderOf(bob, "red")).toBe("alice");
+  });
+
+  it("should release the sets of a player who disconnects", () => {
+    const mesh = createPlayers(["alice", "bob"]);
+    const bob = mesh.players.get("bob");
+
+    mesh.players.get("alice").grab("red");
+    mesh.flush();
+    bob.context.state.releaseHolder("alice");
+
+    expect(holderOf(bob, "red")).toBeNull();
+    expect(bob.grab("red")).toBe(true);
+  });
+
+  it("should let go of every set when another strategy takes over", () => {
+    const mesh = createPlayers(["alice", "bob"]);
+    const bob = mesh.players.get("bob");
+
+    mesh.players.get("alice").grab("red");
+    bob.grab("blue");
+    mesh.flush();
+    bob.deactivate();
+
+    expect(bob.context.state.holders.size).toBe(0);
+  });
+});
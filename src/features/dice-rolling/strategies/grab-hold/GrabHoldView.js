@@ -0,0 +1,139 @@
+import "../../../../ui/components/dice/Die.js";
+import { escapeAttribute, escapeHtml } from "../../../../utils/html-utils.js";
+
+/**
+ * View component for the "Grab and Hold" strategy.
+ *
+ * Interaction model:
+ * - Each dice set is shown on its own tray with its holder
+ * - Tap "Grab" on a free set to hold it
+ * - Tap "Roll" to roll every set you hold
+ * - Tap "Drop" (or your name in the player list) to let someone else have it
+ */
+export class GrabHoldView extends HTMLElement {
+  #strategy = null;
+  #unsubscribe = null;
+  #isRolling = false;
+
+  setStrategy(strategy) {
+    this.#strategy = strategy;
+  }
+
+  connectedCallback() {
+    this.#unsubscribe = this.#strategy.context.state.subscribe(() => {
+      if (!this.#isRolling) this.#render();
+    });
+
+    this.addEventListener("click", this.#handleClick);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    this.#unsubscribe?.();
+    this.removeEventListener("click", this.#handleClick);
+  }
+
+  #handleClick = (e) => {
+    if (this.#isRolling) return;
+
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+
+    const { action, setId } = button.dataset;
+    if (action === "grab") {
+      this.#strategy.grab(setId);
+    } else if (action === "drop") {
+      this.#strategy.drop(setId);
+    } else if (action === "roll") {
+      this.#roll();
+    }
+  };
+
+  // ─────────────────────────────────────────────────────────────
+  // ROLLING
+  // ─────────────────────────────────────────────────────────────
+
+  async #roll() {
+    this.#isRolling = true;
+
+    const held = this.querySelectorAll(".grab-hold-set.mine dice-die");
+    held.forEach((die) => {
+      die.setAttribute("rolling", "");
+      die.classList.add("rolling");
+      die.classList.remove("placeholder");
+    });
+
+    // Animate random values
+    const { rng } = this.#strategy.context;
+    const animateInterval = setInterval(() => {
+      held.forEach((die) => {
+        const sides = parseInt(die.getAttribute("sides"), 10);
+        die.setAttribute("value", rng.rollDie(sides));
+      });
+    }, 120);
+
+    await new Promise((r) => setTimeout(r, 800));
+    clearInterval(animateInterval);
+
+    // The roll can fail (e.g. the server won't sign it); the dice then
+    // just keep their old values
+    try {
+      await this.#strategy.rollHeld();
+    } catch (error) {
+      console.error("Roll failed:", error);
+    }
+
+    this.#isRolling = false;
+    this.#render();
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // RENDERING
+  // ─────────────────────────────────────────────────────────────
+
+  #render() {
+    const sets = this.#strategy.getSets();
+    const holdsAny = sets.some((set) => set.isMine);
+
+    const setsHtml = sets
+      .map((set) => {
+        const facesAttr = set.faces
+          ? `faces="${escapeAttribute(JSON.stringify(set.faces.map((f) => f.label)))}"`
+          : "";
+
+        const diceHtml = Array.from({ length: set.count }, (_, i) => {
+          const value = set.values[i];
+          return `<dice-die class="${value == null ? "placeholder" : ""}" color="${set.color}" sides="${set.sides}" ${facesAttr} value="${value ?? 1}"></dice-die>`;
+        }).join("");
+
+        const setIdAttr = escapeAttribute(set.setId);
+        let actionsHtml;
+        if (set.isMine) {
+          actionsHtml = `<button class="drop-btn" data-action="drop" data-set-id="${setIdAttr}">Drop</button>`;
+        } else if (set.holder) {
+          actionsHtml = `<span class="holder-name">Held by ${escapeHtml(set.holder.username)}</span>`;
+        } else {
+          actionsHtml = `<button class="grab-btn" data-action="grab" data-set-id="${setIdAttr}">Grab</button>`;
+        }
+
+        return `
+          <div class="grab-hold-set ${set.isMine ? "mine" : ""} ${set.holder && !set.isMine ? "held" : ""}" style="--set-color: ${set.color}">
+            <div class="dice-display">${diceHtml}</div>
+            <div class="grab-hold-actions">${actionsHtml}</div>
+          </div>
+        `;
+      })
+      .join("");
+
+    this.innerHTML = `
+      <div class="grab-hold-container">
+        ${setsHtml}
+        ${holdsAny ? '<button class="roll-btn" data-action="roll">Roll</button>' : ""}
+        <div class="hint">${holdsAny ? "Roll as often as you like, then drop the dice" : "Grab a set to roll it"}</div>
+      </div>
+    `;
+  }
+}
+
+// Register the custom element
+customElements.define("dice-grab-hold", GrabHoldView);
@@ -3,6 +3,9 @@
  */
 
 import { DragPickupStrategy } from "./drag-pickup/DragPickupStrategy.js";
+import { GrabHoldStrategy } from "./grab-hold/GrabHoldStrategy.js";
+import { TurnOrderStrategy } from "./turn-order/TurnOrderStrategy.js";
+import { PhysicsTrayStrategy } from "./physics-tray/PhysicsTrayStrategy.js";
 
 /**
  * Available dice rolling strategies.
@@ -10,6 +13,9 @@ import { DragPickupStrategy } from "./drag-pickup/DragPickupStrategy.js";
  */
 export const strategies = {
   "drag-pickup": DragPickupStrategy,
+  "grab-hold": GrabHoldStrategy,
+  "turn-order": TurnOrderStrategy,
+  "physics-tray": PhysicsTrayStrategy,
 };
 
 /**
@@ -17,11 +23,34 @@ export const strategies = {
  */
 export const DEFAULT_STRATEGY = "drag-pickup";
 
+/**
+ * Whether a strategy ID is known, e.g. one received from another peer.
+ *
+ * @param {string} strategyId - Strategy identifier
+ * @returns {boolean}
+ */
+export function hasStrategy(strategyId) {
+  return Object.hasOwn(strategies, strategyId);
+}
+
+/**
+ * Name and description of every available strategy, for strategy pickers.
+ *
+ * @returns {Array<{id: string, name: string, description: string}>}
+ */
+export function describeStrategies() {
+  return Object.entries(strategies).map(([id, Strategy]) => ({
+    id,
+    name: Strategy.prototype.name,
+    description: Strategy.prototype.description,
+  }));
+}
+
 /**
  * Create a strategy instance by ID.
  *
  * @param {string} strategyId - Strategy identifier
- * @param {object} context - Strategy context { state, network, localPlayer }
+ * @param {object} context - Strategy context { state, network, localPlayer, rng, fairRolls, players }
  * @returns {DiceRollingStrategy}
  * @throws {Error} If strategy ID is unknown
  */
@@ -0,0 +1,28 @@
+import { describe, it, expect } from "vitest";
+import {
+  strategies,
+  describeStrategies,
+  hasStrategy,
+  DEFAULT_STRATEGY,
+} from "./index.js";
+
+describe("strategy registry", () => {
+  it("should describe every strategy without creating one", () => {
+    const described = describeStrategies();
+
+    expect(described.map((s) => s.id)).toEqual(Object.keys(strategies));
+    expect(described.find((s) => s.id === "grab-hold")).toEqual({
+      id: "grab-hold",
+      name: "Grab and Hold",
+      description:
+        "Grab a dice set to hold it, roll it, then drop it for the next player.",
+    });
+  });
+
+  it("should only know registered strategy IDs", () => {
+    expect(hasStrategy(DEFAULT_STRATEGY)).toBe(true);
+    expect(hasStrategy("turn-order")).toBe(true);
+    expect(hasStrategy("toString")).toBe(false);
+    expect(hasStrategy(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,264 @@
+import { DiceRollingStrategy } from "../DiceRollingStrategy.js";
+import { PhysicsTrayView } from "./PhysicsTrayView.js";
+import { rollSetWithRules } from "../../rules/DiceRules.js";
+import { facesTotal } from "../../faces/DiceFaces.js";
+import {
+  TRAY_WIDTH,
+  TRAY_HEIGHT,
+  defaultLayout,
+  simulateThrow,
+} from "./TraySimulation.js";
+
+/**
+ * "Dice Tray" strategy - dice tumble across a tray when thrown.
+ *
+ * Throwing rolls every die and sends one roll with a result per set. The
+ * dice are thrown into the tray from where they lie, bouncing off the walls
+ * and each other. The throw is simulated from a seed made of the roll
+ * itself (who rolled which sets, and the values), so every peer that
+ * receives the roll replays the same trajectory and the dice come to rest
+ * in the same places, showing the rolled values. Resting places are part
+ * of the strategy state, for players who join later.
+ */
+export class PhysicsTrayStrategy extends DiceRollingStrategy {
+  // Where each set's dice lie: setId -> [{ x, y, angle }]
+  #layout = new Map();
+
+  // Most recent throw, for the view to play back
+  #lastThrow = null;
+
+  // Set results of a roll from the network, thrown together once all arrived
+  #pending = [];
+
+  get name() {
+    return "Dice Tray";
+  }
+
+  get description() {
+    return "Throw the dice into a tray and watch them tumble. Everyone sees the same throw.";
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // VIEW FACTORY
+  // ─────────────────────────────────────────────────────────────
+
+  static get viewTagName() {
+    return "dice-physics-tray";
+  }
+
+  static get viewComponent() {
+    return PhysicsTrayView;
+  }
+
+  createView() {
+    const view = document.createElement("dice-physics-tray");
+    view.setStrategy(this);
+    return view;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // STRATEGY-SPECIFIC LOGIC
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Get all dice as a flat array with their set info and place on the tray.
+   * @returns {Array<{setId: string, dieIndex: number, color: string, sides: number, faces: object[]|null, value: number|null, x: number, y: number, angle: number}>}
+   */
+  getDice() {
+    const { state } = this.context;
+    const sets = state.diceConfig.diceSets;
+    const fallback = defaultLayout(sets.reduce((n, set) => n + set.count, 0));
+
+    const dice = [];
+    for (const set of sets) {
+      const values = state.diceValues.get(set.id) || [];
+      const layout = this.#layout.get(set.id);
+      for (let i = 0; i < set.count; i++) {
+        dice.push({
+          setId: set.id,
+          dieIndex: i,
+          color: set.color,
+          sides: state.getSides(set.id),
+          faces: state.getFaces(set.id),
+          value: values[i] ?? null,
+          ...(layout?.[i] ?? fallback[dice.length]),
+        });
+      }
+    }
+    return dice;
+  }
+
+  /**
+   * The latest throw: which dice (indices into getDice()) moved, and every
+   * die's position per frame.
+   * @returns {{thrown: number[], frames: Array<Array<{x: number, y: number, angle: number}>>}|null}
+   */
+  get lastThrow() {
+    return this.#lastThrow;
+  }
+
+  /**
+   * Throw every die into the tray.
+   * @returns {Promise<object[]>} Roll results, one per set
+   */
+  async throwDice() {
+    const { state, network, localPlayer, rng, fairRolls } = this.context;
+
+    // Agree on a seed with the other peers so the roll can be verified
+    const randomness = fairRolls ? await fairRolls.acquire() : null;
+
+    const results = [];
+    for (const set of state.diceConfig.diceSets) {
+      const sides = state.getSides(set.id);
+      const rules = state.getRules(set.id);
+      const faces = state.getFaces(set.id);
+      const indices = Array.from({ length: set.count }, (_, i) => i);
+      const rollDie = randomness
+        ? await randomness.createRoller(set.id)
+        : (n) => rng.rollDie(n);
+      const rolled = rollSetWithRules(
+        {
+          sides,
+          rules,
+          currentValues: Array(set.count).fill(1),
+          indices,
+        },
+        rollDie,
+      );
+
+      const result = {
+        setId: set.id,
+        color: set.color,
+        sides,
+        values: rolled.values,
+        total: faces ? facesTotal(faces, rolled.values) : rolled.total,
+        playerId: localPlayer.id,
+        username: localPlayer.username,
+        rolledIndices: indices,
+      };
+
+      if (faces) result.faces = faces;
+      if (randomness) result.fairness = randomness.proof;
+      if (rolled.details) result.details = rolled.details;
+      if (rolled.successes !== null) {
+        result.successes = rolled.successes;
+        result.successAt = rules.successAt;
+      }
+
+      results.push(result);
+    }
+
+    // One roll for the whole throw, so peers throw every set together
+    this.#land(results);
+    network.broadcast("dice:roll", {
+      setResults: results,
+      total: results.reduce((sum, result) => sum + result.total, 0),
+      fairness: randomness?.proof,
+    });
+
+    return results;
+  }
+
+  /**
+   * Throw rolled sets into the tray together and show their values.
+   * @param {object[]} rolls - One roll result per set
+   */
+  #land(rolls) {
+    const { state } = this.context;
+    rolls = rolls.filter(
+      (roll) => state.getSetConfig(roll.setId) && Array.isArray(roll.values),
+    );
+    if (rolls.length === 0) return;
+
+    const setIds = new Set(rolls.map((roll) => roll.setId));
+    const dice = this.getDice();
+    const thrown = dice.flatMap((die, i) => (setIds.has(die.setId) ? i : []));
+    const { frames, rest } = simulateThrow({
+      layout: dice.map(({ x, y, angle }) => ({ x, y, angle })),
+      thrown,
+      seed: rolls
+        .map(
+          (roll) => `${roll.playerId}:${roll.setId}:${roll.values.join(",")}`,
+        )
+        .join("|"),
+    });
+
+    for (const setId of setIds) {
+      this.#layout.set(
+        setId,
+        thrown.filter((i) => dice[i].setId === setId).map((i) => rest[i]),
+      );
+    }
+    this.#lastThrow = { thrown, frames };
+    state.applyRolls(rolls);
+  }
+
+  /**
+   * Validate a layout from the network: only sets we have, with a place on
+   * the tray for each of their dice. Other sets lie where they fall.
+   * @returns {Map} setId -> [{ x, y, angle }]
+   */
+  #toLayout(layout) {
+    const { state } = this.context;
+    const onTray = (place) =>
+      Number.isFinite(place?.x) &&
+      Number.isFinite(place.y) &&
+      Number.isFinite(place.angle) &&
+      place.x >= 0 &&
+      place.x <= TRAY_WIDTH &&
+      place.y >= 0 &&
+      place.y <= TRAY_HEIGHT;
+
+    return new Map(
+      Object.entries(layout && typeof layout === "object" ? layout : {})
+        .filter(
+          ([setId, places]) =>
+            Array.isArray(places) &&
+            places.length === state.getSetConfig(setId)?.count &&
+            places.every(onTray),
+        )
+        .map(([setId, places]) => [
+          setId,
+          places.map(({ x, y, angle }) => ({ x, y, angle })),
+        ]),
+    );
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // CORE INTERFACE IMPLEMENTATION
+  // ─────────────────────────────────────────────────────────────
+
+  async roll(playerId, setIds) {
+    // Every throw rolls the whole tray
+    return this.throwDice();
+  }
+
+  handleMessage(type, payload, fromPeerId) {
+    if (type !== "dice:roll") return;
+
+    // A roll's set results are handed over one after another in one go;
+    // throw them together, as the roller did
+    this.#pending.push(payload);
+    if (this.#pending.length === 1) {
+      queueMicrotask(() => {
+        const rolls = this.#pending;
+        this.#pending = [];
+        this.#land(rolls);
+      });
+    }
+  }
+
+  getState() {
+    return {
+      ...this.context.state.getSnapshot(),
+      layout: Object.fromEntries(this.#layout),
+    };
+  }
+
+  loadState(snapshot) {
+    // Before the store notifies the view, so it draws the loaded layout
+    this.#layout = this.#toLayout(snapshot.layout);
+    this.#lastThrow = null;
+    this.context.state.loadSnapshot(snapshot);
+  }
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect } from "vitest";
+import { PhysicsTrayStrategy } from "./PhysicsTrayStrategy.js";
+import { DiceStore } from "../../state/DiceStore.js";
+import { SeededRng } from "../../../../infrastructure/random/Rng.js";
+
+const CONFIG = {
+  diceSets: [
+    { id: "red", count: 2, color: "#ff0000", sides: 6 },
+    { id: "blue", count: 1, color: "#0000ff", sides: 20 },
+  ],
+};
+
+function createPlayer(id, sent = []) {
+  const state = new DiceStore();
+  state.setConfig(CONFIG);
+  return new PhysicsTrayStrategy({
+    state,
+    network: { broadcast: (type, payload) => sent.push({ type, payload }) },
+    localPlayer: { id, username: id.toUpperCase() },
+    rng: new SeededRng(id),
+    fairRolls: null,
+  });
+}
+
+// Hand a roll over the way main.js does: one set result at a time
+async function receive(player, { payload }, fromPeerId) {
+  for (const result of payload.setResults) {
+    player.handleMessage(
+      "dice:roll",
+      {
+        setId: result.setId,
+        values: result.values,
+        playerId: result.playerId,
+        username: result.username,
+      },
+      fromPeerId,
+    );
+  }
+  // Let the results land together
+  await Promise.resolve();
+}
+
+const layoutOf = (player) =>
+  player.getDice().map(({ x, y, angle }) => ({ x, y, angle }));
+
+describe("PhysicsTrayStrategy", () => {
+  it("should throw every set in one roll", async () => {
+    const sent = [];
+    const alice = createPlayer("alice", sent);
+
+    const results = await alice.throwDice();
+
+    expect(results.map((r) => r.setId)).toEqual(["red", "blue"]);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].payload.setResults).toBe(results);
+    expect(alice.lastThrow.thrown).toEqual([0, 1, 2]);
+    expect(alice.getDice().map((die) => die.value)).toEqual([
+      ...results[0].values,
+      ...results[1].values,
+    ]);
+  });
+
+  it("should land the dice in the same places for every peer", async () => {
+    const sent = [];
+    const alice = createPlayer("alice", sent);
+    const bob = createPlayer("bob");
+
+    await alice.throwDice();
+    await receive(bob, sent[0], "alice");
+    await alice.throwDice();
+    await receive(bob, sent[1], "alice");
+
+    expect(layoutOf(bob)).toEqual(layoutOf(alice));
+    expect(bob.lastThrow).toEqual(alice.lastThrow);
+    expect(bob.context.state.diceValues).toEqual(
+      alice.context.state.diceValues,
+    );
+  });
+
+  it("should give players who join later the resting layout", async () => {
+    const alice = createPlayer("alice");
+    await alice.throwDice();
+
+    const carol = createPlayer("carol");
+    carol.loadState(JSON.parse(JSON.stringify(alice.getState())));
+
+    expect(layoutOf(carol)).toEqual(layoutOf(alice));
+    expect(carol.getDice().map((die) => die.value)).toEqual(
+      alice.getDice().map((die) => die.value),
+    );
+  });
+
+  it("should only load places on the tray for the dice we have", () => {
+    const carol = createPlayer("carol");
+    const fallback = layoutOf(carol);
+    const place = { x: 20, y: 30, angle: 1 };
+
+    carol.loadState({
+      ...carol.getState(),
+      layout: {
+        red: [place, { ...place, x: 1e9 }],
+        blue: [place, place],
+        green: [place],
+      },
+    });
+    expect(layoutOf(carol)).toEqual(fallback);
+
+    carol.loadState({
+      ...carol.getState(),
+      layout: { blue: [{ ...place, extra: "x" }] },
+    });
+    expect(layoutOf(carol)[2]).toEqual(place);
+  });
+});
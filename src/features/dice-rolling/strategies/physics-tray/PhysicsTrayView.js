@@ -0,0 +1,211 @@
+import { getPipColor } from "../../../../utils/dice-utils.js";
+import { getFace } from "../../faces/DiceFaces.js";
+import { TRAY_WIDTH, TRAY_HEIGHT, DIE_SIZE } from "./TraySimulation.js";
+
+const FRAME_MS = 1000 / 30; // Throws are recorded at 30 frames per second
+
+// Pip positions for a d6 face, relative to a die of size 1 centered on 0,0
+const PIPS = {
+  1: [[0, 0]],
+  2: [
+    [0.22, -0.22],
+    [-0.22, 0.22],
+  ],
+  3: [
+    [0.22, -0.22],
+    [0, 0],
+    [-0.22, 0.22],
+  ],
+  4: [
+    [-0.22, -0.22],
+    [0.22, -0.22],
+    [-0.22, 0.22],
+    [0.22, 0.22],
+  ],
+  5: [
+    [-0.22, -0.22],
+    [0.22, -0.22],
+    [0, 0],
+    [-0.22, 0.22],
+    [0.22, 0.22],
+  ],
+  6: [
+    [-0.22, -0.22],
+    [0.22, -0.22],
+    [-0.22, 0],
+    [0.22, 0],
+    [-0.22, 0.22],
+    [0.22, 0.22],
+  ],
+};
+
+/**
+ * View component for the "Dice Tray" strategy.
+ *
+ * Draws the tray on a plain 2D canvas and plays each throw back frame by
+ * frame. Thrown dice flicker through their faces while they tumble and
+ * show the rolled values once they rest.
+ */
+export class PhysicsTrayView extends HTMLElement {
+  #strategy = null;
+  #unsubscribe = null;
+  #canvas = null;
+  #playing = null; // Throw last played back
+  #frameRequest = null; // Pending animation frame while a throw plays
+
+  setStrategy(strategy) {
+    this.#strategy = strategy;
+  }
+
+  connectedCallback() {
+    this.innerHTML = `
+      <div class="physics-tray-container">
+        <canvas class="physics-tray-canvas"></canvas>
+        <button class="roll-btn">Throw</button>
+      </div>
+    `;
+
+    this.#canvas = this.querySelector("canvas");
+    const scale = window.devicePixelRatio || 1;
+    this.#canvas.width = TRAY_WIDTH * scale;
+    this.#canvas.height = TRAY_HEIGHT * scale;
+
+    this.querySelector(".roll-btn").addEventListener("click", () =>
+      this.#throw(),
+    );
+
+    this.#unsubscribe = this.#strategy.context.state.subscribe(() =>
+      this.#update(),
+    );
+    this.#update();
+  }
+
+  disconnectedCallback() {
+    this.#unsubscribe?.();
+    cancelAnimationFrame(this.#frameRequest);
+    this.#frameRequest = null;
+  }
+
+  async #throw() {
+    const button = this.querySelector(".roll-btn");
+    button.disabled = true;
+
+    // The roll can fail (e.g. the server won't sign it); the dice then
+    // just stay where they are
+    try {
+      await this.#strategy.throwDice();
+    } catch (error) {
+      console.error("Roll failed:", error);
+    }
+
+    button.disabled = false;
+  }
+
+  /**
+   * Start playing a new throw, or redraw the dice where they lie.
+   */
+  #update() {
+    const lastThrow = this.#strategy.lastThrow;
+    if (lastThrow && lastThrow !== this.#playing) {
+      this.#play(lastThrow);
+    } else if (this.#frameRequest === null) {
+      this.#draw(null, 0);
+    }
+  }
+
+  #play(lastThrow) {
+    this.#playing = lastThrow;
+    cancelAnimationFrame(this.#frameRequest);
+
+    const start = performance.now();
+    const step = (now) => {
+      const frame = Math.floor((now - start) / FRAME_MS);
+      if (frame < lastThrow.frames.length - 1) {
+        this.#draw(lastThrow, frame);
+        this.#frameRequest = requestAnimationFrame(step);
+      } else {
+        this.#frameRequest = null;
+        this.#draw(null, 0);
+      }
+    };
+    this.#frameRequest = requestAnimationFrame(step);
+  }
+
+  /**
+   * Draw the tray, with the dice at `frame` of `playing` if a throw is
+   * being played back.
+   */
+  #draw(playing, frame) {
+    const ctx = this.#canvas.getContext("2d");
+    if (!ctx) return;
+
+    const scale = this.#canvas.width / TRAY_WIDTH;
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, TRAY_WIDTH, TRAY_HEIGHT);
+
+    const thrown = new Set(playing?.thrown);
+    this.#strategy.getDice().forEach((die, i) => {
+      const position = playing ? playing.frames[frame][i] : die;
+      // Tumbling dice flicker through their faces
+      const value = thrown.has(i)
+        ? ((frame + i * 3) % die.sides) + 1
+        : die.value;
+      drawDie(ctx, die, position, value);
+    });
+  }
+}
+
+/**
+ * Draw one die, centered on its position and turned by its angle.
+ */
+function drawDie(ctx, die, { x, y, angle }, value) {
+  const half = DIE_SIZE / 2;
+  const ink = getPipColor(die.color);
+
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(angle);
+
+  ctx.beginPath();
+  ctx.moveTo(-half + 6, -half);
+  ctx.arcTo(half, -half, half, half, 6);
+  ctx.arcTo(half, half, -half, half, 6);
+  ctx.arcTo(-half, half, -half, -half, 6);
+  ctx.arcTo(-half, -half, half, -half, 6);
+  ctx.closePath();
+  ctx.fillStyle = die.color;
+  ctx.shadowColor = "rgba(0, 0, 0, 0.3)";
+  ctx.shadowBlur = 4;
+  ctx.shadowOffsetY = 2;
+  ctx.fill();
+  ctx.shadowColor = "transparent";
+
+  ctx.fillStyle = ink;
+  if (!Number.isInteger(value) || value < 1 || value > die.sides) {
+    // Not rolled yet, or a value the die doesn't have: a blank die
+  } else if (die.faces) {
+    drawLabel(ctx, getFace(die.faces, value)?.label ?? "");
+  } else if (die.sides === 6) {
+    for (const [px, py] of PIPS[value]) {
+      ctx.beginPath();
+      ctx.arc(px * DIE_SIZE, py * DIE_SIZE, DIE_SIZE * 0.09, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  } else {
+    drawLabel(ctx, String(value));
+  }
+
+  ctx.restore();
+}
+
+function drawLabel(ctx, label) {
+  const length = [...label].length;
+  const fontSize = length > 4 ? 9 : length > 2 ? 12 : 18;
+  ctx.font = `700 ${fontSize}px Oswald, sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(label, 0, 1);
+}
+
+// Register the custom element
+customElements.define("dice-physics-tray", PhysicsTrayView);
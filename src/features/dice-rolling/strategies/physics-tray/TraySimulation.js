@@ -0,0 +1,213 @@
+import { SeededRng } from "../../../../infrastructure/random/Rng.js";
+
+/**
+ * Deterministic 2D physics for the dice tray.
+ *
+ * Dice slide on a rectangular tray as discs: they bounce off the walls and
+ * off each other, spin, and slow down with friction until they rest. The
+ * simulation uses a fixed time step and only +, -, *, / and Math.sqrt,
+ * which every JavaScript engine computes to the same bits, so peers that
+ * replay a throw from the same seed and layout get the same trajectory and
+ * the same resting places. (Math.sin and friends are not exact across
+ * engines; they are only used for drawing.)
+ */
+
+// Tray size in tray units; the view scales it to the canvas
+export const TRAY_WIDTH = 400;
+export const TRAY_HEIGHT = 260;
+
+// Edge length of a die
+export const DIE_SIZE = 40;
+
+// Dice collide as discs a little larger than the square they're drawn in
+const RADIUS = DIE_SIZE * 0.6;
+
+const STEP = 1 / 60; // Seconds per simulation step
+const MAX_STEPS = 360; // Dice rest after at most six seconds
+const FRAME_EVERY = 2; // Steps per recorded frame (30 frames per second)
+
+const FRICTION = 0.985; // Speed kept per step
+const SPIN_FRICTION = 0.97;
+const WALL_BOUNCE = 0.6; // Speed kept bouncing off a wall
+const DIE_BOUNCE = 0.8; // ...or off another die
+const REST_SPEED = 4; // Dice slower than this have stopped
+
+/**
+ * Where dice lie before they are first thrown: in rows from the top left.
+ * @param {number} count - Number of dice
+ * @returns {Array<{x: number, y: number, angle: number}>}
+ */
+export function defaultLayout(count) {
+  const spacing = DIE_SIZE * 1.5;
+  const perRow = Math.floor((TRAY_WIDTH - DIE_SIZE) / spacing);
+
+  return Array.from({ length: count }, (_, i) => ({
+    x: DIE_SIZE + (i % perRow) * spacing,
+    y: DIE_SIZE + Math.floor(i / perRow) * spacing,
+    angle: 0,
+  }));
+}
+
+/**
+ * Throw some of the dice on the tray. The others stay where they lie, and
+ * thrown dice bounce off them.
+ *
+ * @param {object} options
+ * @param {Array<{x: number, y: number, angle: number}>} options.layout - Where every die lies now
+ * @param {number[]} options.thrown - Indices into `layout` of the dice to throw
+ * @param {string} options.seed - Seed for the throw; the same seed and layout always give the same throw
+ * @returns {{frames: Array<Array<{x: number, y: number, angle: number}>>, rest: Array<{x: number, y: number, angle: number}>}}
+ *   Every die's position per frame, and where they came to rest
+ */
+export function simulateThrow({ layout, thrown, seed }) {
+  const rng = new SeededRng(seed);
+  const bodies = layout.map(({ x, y, angle }) => ({
+    x,
+    y,
+    angle,
+    vx: 0,
+    vy: 0,
+    spin: 0,
+    moving: false,
+  }));
+
+  for (const index of thrown) {
+    const body = bodies[index];
+    if (!body) continue;
+
+    // A random direction from two uniform numbers, normalised without trig
+    const dx = rng.int(2001) - 1000;
+    const dy = rng.int(2001) - 1000;
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+    const speed = 500 + rng.int(400);
+
+    body.vx = (dx / length) * speed;
+    body.vy = (dy / length) * speed;
+    body.spin = ((rng.int(2001) - 1000) / 1000) * 12;
+    body.moving = true;
+  }
+
+  const frames = [snapshot(bodies)];
+  for (let step = 1; step <= MAX_STEPS; step++) {
+    advance(bodies);
+    if (step % FRAME_EVERY === 0) frames.push(snapshot(bodies));
+    if (bodies.every(isResting)) break;
+  }
+
+  const rest = snapshot(bodies);
+  frames.push(rest);
+  return { frames, rest };
+}
+
+/**
+ * Move every thrown die on by one step.
+ */
+function advance(bodies) {
+  for (const body of bodies) {
+    if (!body.moving) continue;
+
+    body.x += body.vx * STEP;
+    body.y += body.vy * STEP;
+    body.angle += body.spin * STEP;
+    body.vx *= FRICTION;
+    body.vy *= FRICTION;
+    body.spin *= SPIN_FRICTION;
+
+    if (isResting(body)) {
+      body.vx = 0;
+      body.vy = 0;
+      body.spin = 0;
+      body.moving = false;
+    }
+  }
+
+  for (let i = 0; i < bodies.length; i++) {
+    for (let j = i + 1; j < bodies.length; j++) {
+      collide(bodies[i], bodies[j]);
+    }
+  }
+
+  for (const body of bodies) {
+    if (body.moving) bounceOffWalls(body);
+  }
+}
+
+/**
+ * Separate two overlapping dice and bounce them apart. Dice that weren't
+ * thrown don't move, so they act as walls.
+ */
+function collide(a, b) {
+  if (!a.moving && !b.moving) return;
+
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const distanceSq = dx * dx + dy * dy;
+  if (distanceSq >= 4 * RADIUS * RADIUS) return;
+
+  // Dice on the same spot are pushed apart sideways
+  const distance = Math.sqrt(distanceSq);
+  const nx = distance > 0 ? dx / distance : 1;
+  const ny = distance > 0 ? dy / distance : 0;
+  const overlap = 2 * RADIUS - distance;
+
+  if (a.moving && b.moving) {
+    a.x -= (nx * overlap) / 2;
+    a.y -= (ny * overlap) / 2;
+    b.x += (nx * overlap) / 2;
+    b.y += (ny * overlap) / 2;
+
+    // Equal masses swap the part of their velocities along the normal
+    const approach = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+    if (approach < 0) {
+      const impulse = (-(1 + DIE_BOUNCE) * approach) / 2;
+      a.vx -= impulse * nx;
+      a.vy -= impulse * ny;
+      b.vx += impulse * nx;
+      b.vy += impulse * ny;
+      a.spin = -a.spin;
+      b.spin = -b.spin;
+    }
+  } else {
+    // Normal pointing from the resting die to the moving one
+    const moving = a.moving ? a : b;
+    const sign = a.moving ? -1 : 1;
+    moving.x += sign * nx * overlap;
+    moving.y += sign * ny * overlap;
+
+    const approach = sign * (moving.vx * nx + moving.vy * ny);
+    if (approach < 0) {
+      moving.vx -= sign * (1 + DIE_BOUNCE) * approach * nx;
+      moving.vy -= sign * (1 + DIE_BOUNCE) * approach * ny;
+      moving.spin = -moving.spin;
+    }
+  }
+}
+
+function bounceOffWalls(body) {
+  if (body.x < RADIUS) {
+    body.x = RADIUS;
+    body.vx = -body.vx * WALL_BOUNCE;
+  } else if (body.x > TRAY_WIDTH - RADIUS) {
+    body.x = TRAY_WIDTH - RADIUS;
+    body.vx = -body.vx * WALL_BOUNCE;
+  }
+
+  if (body.y < RADIUS) {
+    body.y = RADIUS;
+    body.vy = -body.vy * WALL_BOUNCE;
+  } else if (body.y > TRAY_HEIGHT - RADIUS) {
+    body.y = TRAY_HEIGHT - RADIUS;
+    body.vy = -body.vy * WALL_BOUNCE;
+  }
+}
+
+function isResting(body) {
+  return (
+    !body.moving ||
+    body.vx * body.vx + body.vy * body.vy < REST_SPEED * REST_SPEED
+  );
+}
+
+function snapshot(bodies) {
+  return bodies.map(({ x, y, angle }) => ({ x, y, angle }));
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import {
+  simulateThrow,
+  defaultLayout,
+  TRAY_WIDTH,
+  TRAY_HEIGHT,
+} from "./TraySimulation.js";
+
+describe("simulateThrow", () => {
+  const layout = defaultLayout(5);
+
+  it("should replay the same throw from the same seed and layout", () => {
+    const first = simulateThrow({ layout, thrown: [0, 1, 2], seed: "a:1,2" });
+    const second = simulateThrow({ layout, thrown: [0, 1, 2], seed: "a:1,2" });
+
+    expect(second).toEqual(first);
+    expect(first.frames.length).toBeGreaterThan(10);
+    expect(first.frames.at(-1)).toEqual(first.rest);
+  });
+
+  it("should throw differently for another seed", () => {
+    const first = simulateThrow({ layout, thrown: [0, 1], seed: "a:1,2" });
+    const other = simulateThrow({ layout, thrown: [0, 1], seed: "a:1,3" });
+
+    expect(other.rest).not.toEqual(first.rest);
+  });
+
+  it("should keep the dice in the tray and leave unthrown dice alone", () => {
+    const { frames, rest } = simulateThrow({
+      layout,
+      thrown: [0, 1, 2],
+      seed: "walls",
+    });
+
+    for (const frame of frames) {
+      for (const { x, y } of frame) {
+        expect(x).toBeGreaterThan(0);
+        expect(x).toBeLessThan(TRAY_WIDTH);
+        expect(y).toBeGreaterThan(0);
+        expect(y).toBeLessThan(TRAY_HEIGHT);
+      }
+    }
+    expect(rest.slice(3)).toEqual(layout.slice(3));
+    expect(rest[0]).not.toEqual(layout[0]);
+  });
+});
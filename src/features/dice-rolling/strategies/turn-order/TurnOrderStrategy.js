@@ -0,0 +1,235 @@
+import { DragPickupStrategy } from "../drag-pickup/DragPickupStrategy.js";
+import { TurnOrderView } from "./TurnOrderView.js";
+import {
+  string,
+  integer,
+  object,
+} from "../../../../infrastructure/network/index.js";
+
+/**
+ * "Take Turns" strategy - players roll one at a time, round-robin.
+ *
+ * Dice are picked up and rolled as in "Drag to Pick Up", but only by the
+ * player whose turn it is. A turn ends when they roll or pass.
+ *
+ * The order is the room's players sorted by ID, so every peer derives the
+ * same order from its own player list, and the player after someone who
+ * left is found even once they're gone. Turns are numbered: a peer only
+ * accepts a handover from the current player for the next number, and works
+ * out who is next itself. Only the current player's rolls, notation rolls
+ * and locks count. A player who joins learns whose turn it is from the
+ * room's state. Until the first turn ends, the turn belongs to whoever is
+ * first.
+ */
+export class TurnOrderStrategy extends DragPickupStrategy {
+  #onPlayersChanged = null;
+
+  get name() {
+    return "Take Turns";
+  }
+
+  get description() {
+    return "Players roll one at a time in a fixed order. Roll or pass to end your turn.";
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // VIEW FACTORY
+  // ─────────────────────────────────────────────────────────────
+
+  static get viewTagName() {
+    return "dice-turn-order";
+  }
+
+  static get viewComponent() {
+    return TurnOrderView;
+  }
+
+  createView() {
+    const view = document.createElement("dice-turn-order");
+    view.setStrategy(this);
+    return view;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // STRATEGY-SPECIFIC LOGIC
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Player IDs in turn order.
+   * @returns {string[]}
+   */
+  getOrder() {
+    const { players, localPlayer } = this.context;
+    const ids = new Set(players?.getPeerList().map((p) => p.peerId) ?? []);
+    ids.add(localPlayer.id);
+    return [...ids].sort();
+  }
+
+  /**
+   * Display name of a player in the room.
+   * @param {string} playerId
+   * @returns {string}
+   */
+  getUsername(playerId) {
+    const { players, localPlayer } = this.context;
+    if (playerId === localPlayer.id) return localPlayer.username;
+    return (
+      players?.getPeerList().find((p) => p.peerId === playerId)?.username ??
+      "Someone"
+    );
+  }
+
+  /**
+   * @returns {boolean} Whether the local player may roll
+   */
+  isMyTurn() {
+    const { state, localPlayer } = this.context;
+    return state.currentTurn?.playerId === localPlayer.id;
+  }
+
+  /**
+   * Roll picked dice, then hand the turn on.
+   * @param {Set<number>} pickedIndices
+   */
+  async rollPickedDice(pickedIndices) {
+    if (!this.isMyTurn()) return;
+
+    const turn = this.context.state.currentTurn;
+    const results = await super.rollPickedDice(pickedIndices);
+    if (results?.length > 0) this.#endTurn(turn);
+    return results;
+  }
+
+  toggleLock(globalIndex) {
+    if (this.isMyTurn()) super.toggleLock(globalIndex);
+  }
+
+  clearLocks() {
+    if (this.isMyTurn()) super.clearLocks();
+  }
+
+  /**
+   * End our turn without rolling.
+   */
+  pass() {
+    if (this.isMyTurn()) this.#endTurn(this.context.state.currentTurn);
+  }
+
+  /**
+   * Hand the turn from `turn` to the next player, for everyone.
+   */
+  #endTurn(turn) {
+    const { state, network } = this.context;
+    if (state.currentTurn?.number !== turn.number) return;
+
+    const next = {
+      playerId: this.#playerAfter(turn.playerId),
+      number: turn.number + 1,
+    };
+    state.setCurrentTurn(next);
+    network.broadcast("dice:turn", next);
+  }
+
+  /**
+   * The player after `playerId` in turn order, even if they've left.
+   */
+  #playerAfter(playerId) {
+    const order = this.getOrder();
+    return order.find((id) => id > playerId) ?? order[0];
+  }
+
+  /**
+   * Keep the turn valid as players join and leave.
+   */
+  #handlePlayersChanged(e) {
+    const { state } = this.context;
+    const turn = state.currentTurn;
+
+    if (!turn || turn.number === 0) {
+      // Nobody has had a turn yet: it's whoever is first now
+      const first = this.getOrder()[0];
+      if (turn?.playerId !== first) {
+        state.setCurrentTurn({ playerId: first, number: 0 });
+      }
+    } else if (e.type === "peer-removed" && e.detail.peerId === turn.playerId) {
+      state.setCurrentTurn({
+        playerId: this.#playerAfter(turn.playerId),
+        number: turn.number + 1,
+      });
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // CORE INTERFACE IMPLEMENTATION
+  // ─────────────────────────────────────────────────────────────
+
+  static get messageSchemas() {
+    return {
+      ...super.messageSchemas,
+      "dice:turn": object({
+        playerId: string(128),
+        number: integer(0, Number.MAX_SAFE_INTEGER),
+      }),
+    };
+  }
+
+  acceptsRoll(playerId, setId) {
+    // Out-of-turn rolls don't count
+    return this.context.state.currentTurn?.playerId === playerId;
+  }
+
+  acceptsNotationRoll(playerId) {
+    return this.context.state.currentTurn?.playerId === playerId;
+  }
+
+  handleMessage(type, payload, fromPeerId) {
+    const { state } = this.context;
+    const turn = state.currentTurn;
+
+    if (
+      type === "dice:roll" ||
+      type === "dice:lock" ||
+      type === "dice:locks-clear"
+    ) {
+      if (this.acceptsRoll(fromPeerId, payload.setId)) {
+        super.handleMessage(type, payload, fromPeerId);
+      }
+    } else if (type === "dice:turn") {
+      const { number } = payload;
+      if (!Number.isInteger(number)) return;
+
+      // Only the current player hands their turn on, to whoever is next
+      if (fromPeerId === turn?.playerId && number === turn.number + 1) {
+        state.setCurrentTurn({
+          playerId: this.#playerAfter(turn.playerId),
+          number,
+        });
+      }
+    } else {
+      super.handleMessage(type, payload, fromPeerId);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // LIFECYCLE
+  // ─────────────────────────────────────────────────────────────
+
+  activate() {
+    const { players } = this.context;
+    this.#onPlayersChanged = (e) => this.#handlePlayersChanged(e);
+    players?.addEventListener("peer-added", this.#onPlayersChanged);
+    players?.addEventListener("peer-removed", this.#onPlayersChanged);
+
+    this.#handlePlayersChanged(new Event("activate"));
+  }
+
+  deactivate() {
+    const { players, state } = this.context;
+    players?.removeEventListener("peer-added", this.#onPlayersChanged);
+    players?.removeEventListener("peer-removed", this.#onPlayersChanged);
+    this.#onPlayersChanged = null;
+
+    // Other strategies let anyone roll
+    state.setCurrentTurn(null);
+  }
+}
@@ -0,0 +1,224 @@
+import { describe, it, expect } from "vitest";
+import { TurnOrderStrategy } from "./TurnOrderStrategy.js";
+import { DiceStore } from "../../state/DiceStore.js";
+import { SeededRng } from "../../../../infrastructure/random/Rng.js";
+
+const CONFIG = {
+  diceSets: [{ id: "red", count: 2, color: "#ff0000", sides: 6 }],
+};
+
+/**
+ * A room of players, each with a strategy and a player list, whose
+ * messages are queued until `flush()`.
+ */
+function createRoom() {
+  const queue = [];
+  const players = new Map();
+
+  const room = {
+    players,
+    queue,
+    join(id) {
+      const peerList = new EventTarget();
+      peerList.getPeerList = () =>
+        [...players.keys()]
+          .filter((other) => other !== id)
+          .map((peerId) => ({ peerId, username: peerId.toUpperCase() }));
+
+      const state = new DiceStore();
+      state.setConfig(CONFIG);
+      const strategy = new TurnOrderStrategy({
+        state,
+        network: {
+          broadcast: (type, payload) => {
+            for (const to of players.keys()) {
+              if (to !== id) queue.push({ from: id, to, type, payload });
+            }
+          },
+        },
+        localPlayer: { id, username: id.toUpperCase() },
+        rng: new SeededRng(id),
+        fairRolls: null,
+        players: peerList,
+      });
+      players.set(id, strategy);
+
+      for (const [otherId, other] of players) {
+        if (otherId === id) continue;
+        other.context.players.dispatchEvent(
+          new CustomEvent("peer-added", { detail: { peerId: id } }),
+        );
+      }
+      strategy.activate();
+      return strategy;
+    },
+    leave(id) {
+      players.get(id).deactivate();
+      players.delete(id);
+      for (const other of players.values()) {
+        other.context.players.dispatchEvent(
+          new CustomEvent("peer-removed", { detail: { peerId: id } }),
+        );
+      }
+    },
+    flush() {
+      while (queue.length > 0) {
+        const { from, to, type, payload } = queue.shift();
+        players.get(to)?.handleMessage(type, structuredClone(payload), from);
+      }
+    },
+  };
+  return room;
+}
+
+const turnOf = (player) => player.context.state.currentTurn?.playerId;
+
+describe("TurnOrderStrategy", () => {
+  it("should start with the first player in order", () => {
+    const room = createRoom();
+    const bob = room.join("bob");
+    const alice = room.join("alice");
+    room.flush();
+
+    expect(alice.getOrder()).toEqual(["alice", "bob"]);
+    expect(turnOf(alice)).toBe("alice");
+    expect(turnOf(bob)).toBe("alice");
+    expect(alice.isMyTurn()).toBe(true);
+    expect(bob.isMyTurn()).toBe(false);
+  });
+
+  it("should pass the turn on after a roll or a pass", async () => {
+    const room = createRoom();
+    const alice = room.join("alice");
+    const bob = room.join("bob");
+    const carol = room.join("carol");
+    room.flush();
+
+    const results = await alice.rollPickedDice(new Set([0, 1]));
+    room.flush();
+    expect(bob.context.state.diceValues.get("red")).toEqual(results[0].values);
+    expect(turnOf(carol)).toBe("bob");
+
+    bob.pass();
+    room.flush();
+    expect(turnOf(alice)).toBe("carol");
+
+    carol.pass();
+    room.flush();
+    expect(turnOf(bob)).toBe("alice");
+    expect(alice.context.state.currentTurn.number).toBe(3);
+  });
+
+  it("should not let players roll out of turn", async () => {
+    const room = createRoom();
+    const alice = room.join("alice");
+    const bob = room.join("bob");
+    room.flush();
+
+    expect(await bob.rollPickedDice(new Set([0]))).toBeUndefined();
+    bob.pass();
+
+    // A roll sent anyway doesn't change the table
+    alice.handleMessage(
+      "dice:roll",
+      { setId: "red", values: [6, 6], playerId: "bob", username: "BOB" },
+      "bob",
+    );
+    room.flush();
+
+    expect(alice.context.state.diceValues.get("red")).toBeUndefined();
+    expect(turnOf(alice)).toBe("alice");
+  });
+
+  it("should skip a player who leaves during their turn", () => {
+    const room = createRoom();
+    const alice = room.join("alice");
+    room.join("bob");
+    const carol = room.join("carol");
+    room.flush();
+
+    alice.pass();
+    room.flush();
+    room.leave("bob");
+
+    expect(turnOf(alice)).toBe("carol");
+    expect(turnOf(carol)).toBe("carol");
+    expect(carol.isMyTurn()).toBe(true);
+  });
+
+  it("should only take a handover from the player whose turn it is", () => {
+    const room = createRoom();
+    const alice = room.join("alice");
+    room.join("bob");
+    room.join("carol");
+    room.flush();
+
+    // Carol claims a later turn for herself, then hands Alice's turn on
+    alice.handleMessage("dice:turn", { playerId: "carol", number: 5 }, "carol");
+    alice.handleMessage("dice:turn", { playerId: "carol", number: 1 }, "carol");
+
+    expect(alice.context.state.currentTurn).toEqual({
+      playerId: "alice",
+      number: 0,
+    });
+    expect(alice.acceptsRoll("carol", "red")).toBe(false);
+  });
+
+  it("should hand the turn to the next player whoever the handover names", () => {
+    const room = createRoom();
+    const alice = room.join("alice");
+    room.join("bob");
+    room.join("carol");
+    room.flush();
+
+    alice.handleMessage("dice:turn", { playerId: "alice", number: 1 }, "alice");
+
+    expect(alice.context.state.currentTurn).toEqual({
+      playerId: "bob",
+      number: 1,
+    });
+  });
+
+  it("should only take locks and notation rolls from the player whose turn it is", () => {
+    const room = createRoom();
+    const alice = room.join("alice");
+    room.join("bob");
+    room.flush();
+    const { state } = alice.context;
+
+    alice.handleMessage(
+      "dice:lock",
+      { setId: "red", dieIndex: 0, locked: true },
+      "bob",
+    );
+    expect(state.isLocked("red", 0)).toBe(false);
+    expect(alice.acceptsNotationRoll("bob")).toBe(false);
+
+    alice.handleMessage(
+      "dice:lock",
+      { setId: "red", dieIndex: 0, locked: true },
+      "alice",
+    );
+    alice.handleMessage("dice:locks-clear", {}, "bob");
+    expect(state.isLocked("red", 0)).toBe(true);
+    expect(alice.acceptsNotationRoll("alice")).toBe(true);
+  });
+
+  it("should tell a player who joins whose turn it is", () => {
+    const room = createRoom();
+    const alice = room.join("alice");
+    room.join("bob");
+    room.flush();
+
+    alice.pass();
+    room.flush();
+    const carol = room.join("carol");
+    carol.loadState(structuredClone(alice.getState()));
+    room.flush();
+
+    expect(carol.context.state.currentTurn).toEqual({
+      playerId: "bob",
+      number: 1,
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { escapeHtml } from "../../../../utils/html-utils.js";
+
+/**
+ * View component for the "Take Turns" strategy.
+ *
+ * Shows whose turn it is above the "Drag to Pick Up" dice, which only
+ * respond on your own turn. "Pass" ends your turn without rolling.
+ */
+export class TurnOrderView extends HTMLElement {
+  #strategy = null;
+  #unsubscribe = null;
+
+  setStrategy(strategy) {
+    this.#strategy = strategy;
+  }
+
+  connectedCallback() {
+    this.innerHTML = `
+      <div class="turn-order-bar">
+        <span class="turn-order-status"></span>
+        <button class="pass-btn">Pass</button>
+      </div>
+    `;
+
+    // The dice themselves work as in "Drag to Pick Up"
+    const dice = document.createElement("dice-drag-pickup");
+    dice.setStrategy(this.#strategy);
+    this.appendChild(dice);
+
+    this.querySelector(".pass-btn").addEventListener("click", () =>
+      this.#strategy.pass(),
+    );
+
+    this.#unsubscribe = this.#strategy.context.state.subscribe(() =>
+      this.#render(),
+    );
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    this.#unsubscribe?.();
+  }
+
+  #render() {
+    const turn = this.#strategy.context.state.currentTurn;
+    const myTurn = this.#strategy.isMyTurn();
+
+    this.classList.toggle("waiting", !myTurn);
+    this.querySelector(".pass-btn").disabled = !myTurn;
+    this.querySelector(".turn-order-status").innerHTML = myTurn
+      ? "Your turn"
+      : turn
+        ? `${escapeHtml(this.#strategy.getUsername(turn.playerId))}'s turn`
+        : "Waiting for players…";
+  }
+}
+
+// Register the custom element
+customElements.define("dice-turn-order", TurnOrderView);
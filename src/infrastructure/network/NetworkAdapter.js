@@ -35,8 +35,10 @@ export class NetworkAdapter {
   }
 
   #setupMessageListener() {
-    // Listen for messages from webrtcManager
-    this.#webrtcManager.addEventListener("message", (e) => {
+    // Listen for messages from the messageRouter once it has checked them,
+    // or straight from webrtcManager without one
+    const source = this.#messageRouter ?? this.#webrtcManager;
+    source.addEventListener("message", (e) => {
       const { peerId, message } = e.detail;
       this.#handleIncomingMessage(peerId, message);
     });
@@ -0,0 +1,106 @@
+/**
+ * Schema checks for messages from peers.
+ *
+ * A check is a function that returns null for a valid value, or
+ * `{ path, message }` saying what is wrong and where. Checks are built from
+ * the ones below and nest, so a message's schema reads like its shape.
+ * Fields a schema doesn't list are let through.
+ *
+ * @example
+ * const grab = object({ setId: string(128), version: integer(0, 1000) });
+ * checkSchema(grab, { setId: "red", version: -1 }, "dice:grab");
+ * // "dice:grab.version must be an integer from 0 to 1000"
+ */
+
+const MAX_TEXT = 1024; // Default length of a string
+const MAX_KEY = 128; // Keys of an object used as a map
+
+export const isObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+export const fail = (message) => ({ path: "", message });
+
+export const any = () => null;
+
+export const string =
+  (max = MAX_TEXT) =>
+  (value) =>
+    typeof value === "string" && value.length <= max
+      ? null
+      : fail(`must be a string of at most ${max} characters`);
+
+export const integer = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max
+    ? null
+    : fail(`must be an integer from ${min} to ${max}`);
+
+// A string matching `pattern`, e.g. a colour
+export const matches = (pattern, description) => (value) =>
+  typeof value === "string" && pattern.test(value)
+    ? null
+    : fail(`must be ${description}`);
+
+// One of a few given values
+export const oneOf =
+  (...values) =>
+  (value) =>
+    values.includes(value)
+      ? null
+      : fail(
+          `must be one of ${values.map((v) => JSON.stringify(v)).join(", ")}`,
+        );
+
+export const number = () => (value) =>
+  Number.isFinite(value) ? null : fail("must be a number");
+
+export const boolean = () => (value) =>
+  typeof value === "boolean" ? null : fail("must be true or false");
+
+export const optional = (check) => (value) =>
+  value === undefined || value === null ? null : check(value);
+
+export const object =
+  (shape = {}) =>
+  (value) => {
+    if (!isObject(value)) return fail("must be an object");
+    for (const [key, check] of Object.entries(shape)) {
+      const error = check(value[key]);
+      if (error) return { ...error, path: `.${key}${error.path}` };
+    }
+    return null;
+  };
+
+export const array = (check, max) => (value) => {
+  if (!Array.isArray(value) || value.length > max) {
+    return fail(`must be a list of at most ${max}`);
+  }
+  for (let i = 0; i < value.length; i++) {
+    const error = check(value[i]);
+    if (error) return { ...error, path: `[${i}]${error.path}` };
+  }
+  return null;
+};
+
+// An object used as a map, e.g. peerId -> commitment
+export const record = (check, max) => (value) => {
+  if (!isObject(value)) return fail("must be an object");
+  const entries = Object.entries(value);
+  if (entries.length > max) return fail(`must have at most ${max} entries`);
+  for (const [key, item] of entries) {
+    const error = string(MAX_KEY)(key) ?? check(item);
+    if (error) return { ...error, path: `.${key}${error.path}` };
+  }
+  return null;
+};
+
+/**
+ * Check a value against a schema.
+ * @param {function} schema - A check
+ * @param {*} value
+ * @param {string} name - What the value is, to start the error with
+ * @returns {string|null} Why the value is invalid, or null if it's fine
+ */
+export function checkSchema(schema, value, name) {
+  const error = schema(value);
+  return error ? `${name}${error.path} ${error.message}` : null;
+}
@@ -2,3 +2,18 @@
  * Network Infrastructure - Public API
  */
 export { NetworkAdapter, createMockNetwork } from "./NetworkAdapter.js";
+export {
+  isObject,
+  any,
+  string,
+  integer,
+  matches,
+  oneOf,
+  number,
+  boolean,
+  optional,
+  object,
+  array,
+  record,
+  checkSchema,
+} from "./Schema.js";
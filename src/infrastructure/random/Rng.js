@@ -0,0 +1,147 @@
+/**
+ * Random number sources.
+ *
+ * Every source produces 32-bit words and turns them into unbiased integers
+ * by rejection sampling (a plain `% n` favours low values). Use CryptoRng for
+ * real rolls and SeededRng where results must be reproducible: tests,
+ * replays, and rolls derived from a shared seed.
+ *
+ * @example
+ * const rng = new CryptoRng();
+ * rng.rollDie(20); // 1..20
+ *
+ * const replay = new SeededRng("table-42");
+ * replay.int(10); // Same sequence for the same seed, every time
+ */
+export class Rng {
+  /**
+   * Next uniformly distributed 32-bit unsigned integer.
+   * @abstract
+   * @returns {number}
+   */
+  nextUint32() {
+    throw new Error("Not implemented: nextUint32");
+  }
+
+  /**
+   * Uniform integer in 0..max-1.
+   * @param {number} max - Positive integer, at most 2^32
+   * @returns {number}
+   */
+  int(max) {
+    if (!Number.isInteger(max) || max < 1 || max > 0x100000000) {
+      throw new RangeError(`Invalid range: ${max}`);
+    }
+
+    // Drop values from the incomplete top bucket so every result is equally likely
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value;
+    do {
+      value = this.nextUint32();
+    } while (value >= limit);
+    return value % max;
+  }
+
+  /**
+   * Uniform integer in min..max (inclusive).
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  range(min, max) {
+    return min + this.int(max - min + 1);
+  }
+
+  /**
+   * Roll one die.
+   * @param {number} sides
+   * @returns {number} 1..sides
+   */
+  rollDie(sides) {
+    return this.int(sides) + 1;
+  }
+}
+
+/**
+ * Cryptographically secure source backed by crypto.getRandomValues.
+ */
+export class CryptoRng extends Rng {
+  #buffer = new Uint32Array(64);
+  #index = this.#buffer.length;
+
+  nextUint32() {
+    // Fetch words in batches; getRandomValues is comparatively slow per call
+    if (this.#index >= this.#buffer.length) {
+      crypto.getRandomValues(this.#buffer);
+      this.#index = 0;
+    }
+    return this.#buffer[this.#index++];
+  }
+}
+
+/**
+ * Deterministic source (sfc32 generator).
+ *
+ * A hex seed of at least 32 characters is used as the generator state
+ * directly; any other string or number is hashed into one first.
+ */
+export class SeededRng extends Rng {
+  #a;
+  #b;
+  #c;
+  #d;
+
+  /**
+   * @param {string|number} seed
+   */
+  constructor(seed) {
+    super();
+    [this.#a, this.#b, this.#c, this.#d] = seedToState(String(seed));
+
+    // Warm up so similar seeds don't produce similar first values
+    for (let i = 0; i < 12; i++) this.nextUint32();
+  }
+
+  nextUint32() {
+    const t = (((this.#a + this.#b) >>> 0) + this.#d) >>> 0;
+    this.#d = (this.#d + 1) >>> 0;
+    this.#a = this.#b ^ (this.#b >>> 9);
+    this.#b = (this.#c + (this.#c << 3)) >>> 0;
+    this.#c = ((this.#c << 21) | (this.#c >>> 11)) >>> 0;
+    this.#c = (this.#c + t) >>> 0;
+    return t;
+  }
+}
+
+/**
+ * Turn a seed into four 32-bit words of generator state.
+ * @param {string} seed
+ * @returns {number[]}
+ */
+function seedToState(seed) {
+  if (/^[0-9a-f]{32,}$/i.test(seed)) {
+    return [0, 8, 16, 24].map((i) => parseInt(seed.slice(i, i + 8), 16) >>> 0);
+  }
+
+  // cyrb128 string hash
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < seed.length; i++) {
+    const k = seed.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= h2 ^ h3 ^ h4;
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
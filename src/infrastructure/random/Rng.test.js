@@ -0,0 +1,74 @@
+import { describe, it, expect } from "vitest";
+import { Rng, CryptoRng, SeededRng } from "./Rng.js";
+
+/**
+ * Source that replays fixed 32-bit words, to exercise rejection sampling.
+ */
+class FixedRng extends Rng {
+  constructor(words) {
+    super();
+    this.words = [...words];
+  }
+
+  nextUint32() {
+    return this.words.shift();
+  }
+}
+
+describe("Rng", () => {
+  describe("int", () => {
+    it("should reject words from the incomplete top bucket", () => {
+      // 2^32 isn't divisible by 6: the last 4 words would favour faces 1-4
+      const rng = new FixedRng([0xffffffff, 0xfffffffc, 7]);
+
+      expect(rng.int(6)).toBe(1);
+    });
+
+    it("should reject invalid ranges", () => {
+      const rng = new SeededRng("test");
+
+      expect(() => rng.int(0)).toThrow(RangeError);
+      expect(() => rng.int(2.5)).toThrow(RangeError);
+    });
+  });
+
+  describe("CryptoRng", () => {
+    it("should stay in range and cover every face", () => {
+      const rng = new CryptoRng();
+      const seen = new Set();
+
+      for (let i = 0; i < 500; i++) {
+        const value = rng.rollDie(6);
+        expect(value).toBeGreaterThanOrEqual(1);
+        expect(value).toBeLessThanOrEqual(6);
+        seen.add(value);
+      }
+      expect(seen.size).toBe(6);
+    });
+  });
+
+  describe("SeededRng", () => {
+    it("should repeat the same sequence for the same seed", () => {
+      const first = new SeededRng("replay-1");
+      const second = new SeededRng("replay-1");
+      const other = new SeededRng("replay-2");
+
+      const a = Array.from({ length: 20 }, () => first.rollDie(20));
+      const b = Array.from({ length: 20 }, () => second.rollDie(20));
+      const c = Array.from({ length: 20 }, () => other.rollDie(20));
+
+      expect(a).toEqual(b);
+      expect(a).not.toEqual(c);
+    });
+
+    it("should keep range within its bounds", () => {
+      const rng = new SeededRng(42);
+
+      for (let i = 0; i < 200; i++) {
+        const value = rng.range(-5, 5);
+        expect(value).toBeGreaterThanOrEqual(-5);
+        expect(value).toBeLessThanOrEqual(5);
+      }
+    });
+  });
+});
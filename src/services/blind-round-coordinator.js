@@ -0,0 +1,369 @@
+/**
+ * BlindRoundCoordinator - Everyone rolls at once, nobody sees a result early
+ *
+ * Starter                                        Every participant
+ *   BLIND_ROUND_START { roundId, clock, expression, participants } ─▶
+ *   BLIND_ROUND_COMMIT { roundId, commitment } ◀────────────▶  when they roll
+ *   BLIND_ROUND_REVEAL { roundId, seed }       ◀────────────▶  once all committed
+ *
+ * Every participant picks a seed and commits to it. Nobody reveals until
+ * every participant has committed, and each player's roll is the round's
+ * expression rolled from all of the revealed seeds together, as in a fair
+ * roll (see FairRoll.js), so nobody can steer their own result or anyone
+ * else's. Results are only shown once every seed is in.
+ *
+ * A round only counts the players in the room. Participants who leave, or
+ * who don't commit within COMMIT_TIMEOUT, are dropped from the round, and
+ * ones who don't reveal within REVEAL_TIMEOUT of everyone committing get no
+ * result.
+ *
+ * Dispatches `round-updated` with `{ entry }`, a dice-history entry for the
+ * round, whenever its progress changes.
+ */
+import { MSG } from "./message-router.js";
+import {
+  createSeed,
+  commitSeed,
+  deriveSeed,
+  createSeededRoller,
+} from "../features/dice-rolling/fairness/FairRoll.js";
+import {
+  parseNotation,
+  evaluateNotation,
+} from "../features/dice-rolling/notation/DiceNotation.js";
+
+// How many rounds we keep (older ones are finished or abandoned)
+const MAX_ROUNDS = 50;
+
+// How long participants have to roll once a round starts (ms)
+const COMMIT_TIMEOUT = 120000;
+
+// How long participants have to reveal once everyone has committed (ms)
+const REVEAL_TIMEOUT = 10000;
+
+// Type of a round's entry in roll history
+export const BLIND_ROUND_ENTRY = "blind-round";
+
+export class BlindRoundCoordinator extends EventTarget {
+  /**
+   * @param {object} options
+   * @param {object} options.router - { broadcast(msg) }
+   * @param {function} options.getParticipants - Players in the room: [{ peerId, username }]
+   * @param {function} options.getLocalPeer - Our own player: { id, username }
+   * @param {LamportClock} [options.clock] - Gives rounds their place in roll history
+   */
+  constructor({ router, getParticipants, getLocalPeer, clock = null }) {
+    super();
+    this.router = router;
+    this.clock = clock;
+    this.getParticipants = getParticipants;
+    this.getLocalPeer = getLocalPeer;
+
+    this.rounds = new Map(); // roundId -> round
+    this.early = new Map(); // roundId -> Map of "type:peerId" -> handler to replay for messages that arrived before the start
+  }
+
+  /**
+   * Start a round for everyone currently in the room.
+   *
+   * @param {string} expression - Dice notation each participant rolls
+   * @returns {string} The round ID
+   * @throws {Error} If the expression is invalid
+   */
+  start(expression) {
+    const parsed = parseNotation(expression);
+    const local = this.getLocalPeer();
+    const roundId = `blind-${local.id}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    const participants = this.getParticipants().map(({ peerId, username }) => ({
+      peerId,
+      username,
+    }));
+    if (!participants.some((p) => p.peerId === local.id)) {
+      participants.push({ peerId: local.id, username: local.username });
+    }
+
+    const clock = this.clock?.tick() ?? null;
+    this.#addRound(roundId, parsed, participants, clock);
+    this.router.broadcast({
+      type: MSG.BLIND_ROUND_START,
+      roundId,
+      clock,
+      expression: parsed.expression,
+      participants,
+    });
+    this.#changed(this.rounds.get(roundId));
+
+    return roundId;
+  }
+
+  /**
+   * Roll our dice for a round and commit to the result.
+   * @param {string} roundId
+   */
+  async roll(roundId) {
+    const round = this.rounds.get(roundId);
+    const localId = this.getLocalPeer().id;
+    const own = round?.participants.get(localId);
+    if (!own || round.ownSeed) return;
+
+    round.ownSeed = createSeed();
+    own.commitment = await commitSeed(round.ownSeed, `${roundId}:${localId}`);
+
+    this.router.broadcast({
+      type: MSG.BLIND_ROUND_COMMIT,
+      roundId,
+      commitment: own.commitment,
+    });
+    this.#progress(round);
+  }
+
+  /**
+   * Drop a player who left from every unfinished round.
+   * @param {string} peerId
+   */
+  removePeer(peerId) {
+    for (const round of this.rounds.values()) {
+      if (!round.finishing && round.participants.delete(peerId)) {
+        this.#progress(round);
+      }
+    }
+  }
+
+  handleStart(peerId, { roundId, clock, expression, participants }) {
+    if (typeof roundId !== "string" || this.rounds.has(roundId)) return;
+    if (!Array.isArray(participants)) return;
+    if (!participants.some((p) => p?.peerId === peerId)) return;
+
+    // Only players in the room, once each
+    const room = new Map(
+      this.getParticipants().map((p) => [p.peerId, p.username]),
+    );
+    const local = this.getLocalPeer();
+    room.set(local.id, local.username);
+    const peerIds = participants.map((p) => p?.peerId);
+    if (
+      new Set(peerIds).size !== peerIds.length ||
+      !peerIds.every((id) => room.has(id))
+    ) {
+      console.warn(`Ignored blind round ${roundId} from ${peerId}`);
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = parseNotation(expression);
+    } catch {
+      return;
+    }
+
+    if (this.clock && !this.clock.accepts(clock)) return;
+    this.clock?.receive(clock);
+    this.#addRound(
+      roundId,
+      parsed,
+      peerIds.map((id) => ({ peerId: id, username: room.get(id) })),
+      Number.isInteger(clock) ? clock : null,
+    );
+
+    // Commits and reveals from others may overtake the start message
+    const early = this.early.get(roundId);
+    this.early.delete(roundId);
+    early?.forEach((replay) => replay());
+
+    this.#changed(this.rounds.get(roundId));
+  }
+
+  handleCommit(peerId, msg) {
+    const round = this.#getRound(msg, `commit:${peerId}`, () =>
+      this.handleCommit(peerId, msg),
+    );
+    const participant = round?.participants.get(peerId);
+    if (!participant || participant.commitment) return;
+
+    participant.commitment = String(msg.commitment);
+    this.#progress(round);
+  }
+
+  async handleReveal(peerId, msg) {
+    const round = this.#getRound(msg, `reveal:${peerId}`, () =>
+      this.handleReveal(peerId, msg),
+    );
+    const participant = round?.participants.get(peerId);
+    if (!participant?.commitment || participant.revealed) return;
+    participant.revealed = true;
+
+    const commitment = await commitSeed(
+      String(msg.seed),
+      `${round.id}:${peerId}`,
+    );
+    if (commitment !== participant.commitment) {
+      console.warn(`Peer ${peerId} revealed a seed that doesn't match`);
+      participant.failed = true;
+    } else {
+      participant.seed = String(msg.seed);
+    }
+    await this.#progress(round);
+  }
+
+  /**
+   * Find the round a commit or reveal belongs to, holding on to messages
+   * for rounds we haven't seen start yet: one of each kind per peer.
+   */
+  #getRound(msg, key, replay) {
+    const round = this.rounds.get(msg.roundId);
+    if (round) return round.finishing ? null : round;
+
+    if (typeof msg.roundId === "string") {
+      if (!this.early.has(msg.roundId)) {
+        this.early.set(msg.roundId, new Map());
+        this.#trim(this.early);
+      }
+      const early = this.early.get(msg.roundId);
+      if (!early.has(key)) early.set(key, replay);
+    }
+    return null;
+  }
+
+  #addRound(roundId, parsed, participants, clock) {
+    const round = {
+      id: roundId,
+      parsed,
+      clock,
+      startedAt: Date.now(),
+      ownSeed: null,
+      revealing: false,
+      finishing: false,
+      complete: false,
+      timer: null,
+      participants: new Map(
+        participants.map(({ peerId, username }) => [
+          peerId,
+          {
+            username,
+            commitment: null,
+            revealed: false,
+            seed: null,
+            notation: null,
+          },
+        ]),
+      ),
+    };
+    round.timer = setTimeout(() => this.#expire(round), COMMIT_TIMEOUT);
+    this.rounds.set(roundId, round);
+    this.#trim(this.rounds);
+  }
+
+  /**
+   * Give up on participants who are taking too long: ones who haven't
+   * committed leave the round, and ones who haven't revealed get no result.
+   */
+  #expire(round) {
+    if (round.finishing) return;
+    const waiting = [...round.participants].filter(([, p]) => !p.commitment);
+    if (waiting.length > 0) {
+      for (const [peerId] of waiting) round.participants.delete(peerId);
+    } else {
+      for (const p of round.participants.values()) {
+        if (!p.seed) p.failed = true;
+      }
+    }
+    this.#progress(round);
+  }
+
+  /**
+   * Reveal our seed once everyone has committed, and finish the round once
+   * every seed is in.
+   * @returns {Promise<void>|undefined} Resolves once the round is finished,
+   *   if this finishes it
+   */
+  #progress(round) {
+    if (round.finishing) return;
+
+    const participants = [...round.participants.values()];
+    const localId = this.getLocalPeer().id;
+    const own = round.participants.get(localId);
+    const committed = participants.every((p) => p.commitment);
+
+    if (committed && !round.revealing) {
+      round.revealing = true;
+      clearTimeout(round.timer);
+      round.timer = setTimeout(() => this.#expire(round), REVEAL_TIMEOUT);
+    }
+    if (own?.commitment && !own.revealed && committed) {
+      own.revealed = true;
+      own.seed = round.ownSeed;
+      this.router.broadcast({
+        type: MSG.BLIND_ROUND_REVEAL,
+        roundId: round.id,
+        seed: round.ownSeed,
+      });
+    }
+
+    if (participants.every((p) => p.seed || p.failed)) {
+      return this.#finish(round);
+    }
+    this.#changed(round);
+  }
+
+  /**
+   * Roll for every participant from all of the seeds.
+   */
+  async #finish(round) {
+    round.finishing = true;
+    clearTimeout(round.timer);
+
+    const seeds = {};
+    for (const [peerId, p] of round.participants) {
+      if (p.seed) seeds[peerId] = p.seed;
+    }
+    for (const [peerId, p] of round.participants) {
+      if (!p.seed) continue;
+      const seed = await deriveSeed(seeds, round.id, peerId);
+      p.notation = evaluateNotation(round.parsed, createSeededRoller(seed));
+    }
+
+    round.complete = true;
+    this.#changed(round);
+  }
+
+  #changed(round) {
+    this.dispatchEvent(
+      new CustomEvent("round-updated", {
+        detail: { entry: toHistoryEntry(round) },
+      }),
+    );
+  }
+
+  #trim(map) {
+    while (map.size > MAX_ROUNDS) {
+      const oldest = map.keys().next().value;
+      clearTimeout(map.get(oldest).timer);
+      map.delete(oldest);
+    }
+  }
+}
+
+/**
+ * The dice-history entry for a round. Results stay hidden until the round
+ * is complete, so they all appear together.
+ */
+function toHistoryEntry(round) {
+  return {
+    type: BLIND_ROUND_ENTRY,
+    rollId: round.id,
+    clock: round.clock,
+    timestamp: round.startedAt,
+    blindRound: {
+      expression: round.parsed.expression,
+      complete: round.complete,
+      participants: [...round.participants].map(([peerId, p]) => ({
+        peerId,
+        username: p.username,
+        committed: !!p.commitment,
+        failed: !!p.failed,
+        notation: round.complete ? p.notation : null,
+      })),
+    },
+  };
+}
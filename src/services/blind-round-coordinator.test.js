@@ -0,0 +1,303 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { BlindRoundCoordinator } from "./blind-round-coordinator.js";
+import { MSG } from "./message-router.js";
+import { LamportClock } from "../state/logical-clock.js";
+import {
+  deriveSeed,
+  createSeededRoller,
+} from "../features/dice-rolling/fairness/FairRoll.js";
+import {
+  parseNotation,
+  evaluateNotation,
+} from "../features/dice-rolling/notation/DiceNotation.js";
+import { createMesh } from "./test-mesh.js";
+
+// Keep the real WebRTC singleton (and its network calls) out of these tests
+vi.mock("./webrtc-manager.js", () => ({ webrtcManager: {} }));
+
+const HANDLERS = {
+  [MSG.BLIND_ROUND_START]: "handleStart",
+  [MSG.BLIND_ROUND_COMMIT]: "handleCommit",
+  [MSG.BLIND_ROUND_REVEAL]: "handleReveal",
+};
+
+/**
+ * Coordinators for the given peers. Every node records the history entries
+ * it would show.
+ */
+function createCoordinators(peerIds) {
+  return createMesh(
+    peerIds,
+    (peerId, router) => {
+      const node = new BlindRoundCoordinator({
+        router,
+        getParticipants: () =>
+          peerIds.map((p) => ({ peerId: p, username: p.toUpperCase() })),
+        getLocalPeer: () => ({ id: peerId, username: peerId.toUpperCase() }),
+      });
+      node.entries = [];
+      node.addEventListener("round-updated", (e) =>
+        node.entries.push(e.detail.entry),
+      );
+      return node;
+    },
+    { handlers: HANDLERS },
+  );
+}
+
+/**
+ * A coordinator for Alice in a room with Bob, whose messages go nowhere.
+ */
+function createAlone() {
+  const sent = [];
+  const alice = new BlindRoundCoordinator({
+    router: { broadcast: (message) => sent.push(message) },
+    getParticipants: () => [
+      { peerId: "alice", username: "ALICE" },
+      { peerId: "bob", username: "BOB" },
+    ],
+    getLocalPeer: () => ({ id: "alice", username: "ALICE" }),
+  });
+  alice.sent = sent;
+  alice.entries = [];
+  alice.addEventListener("round-updated", (e) =>
+    alice.entries.push(e.detail.entry),
+  );
+  return alice;
+}
+
+describe("BlindRoundCoordinator", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should reveal every roll together once all have committed", async () => {
+    const nodes = createCoordinators(["alice", "bob", "carol"]);
+
+    const roundId = nodes.get("alice").start("1d20");
+    await vi.waitFor(() =>
+      expect(nodes.get("bob").rounds.has(roundId)).toBe(true),
+    );
+    await nodes.get("alice").roll(roundId);
+    await nodes.get("bob").roll(roundId);
+
+    // Carol hasn't rolled: nothing is revealed and nobody sees a result
+    await vi.waitFor(() =>
+      expect(
+        nodes
+          .get("carol")
+          .entries.at(-1)
+          .blindRound.participants.map((p) => p.committed),
+      ).toEqual([true, true, false]),
+    );
+    expect(
+      nodes.sent.some((s) => s.message.type === MSG.BLIND_ROUND_REVEAL),
+    ).toBe(false);
+    const pending = nodes.get("carol").entries.at(-1).blindRound;
+    expect(pending.complete).toBe(false);
+    expect(pending.participants.every((p) => p.notation === null)).toBe(true);
+
+    await nodes.get("carol").roll(roundId);
+    await vi.waitFor(() => {
+      for (const node of nodes.values()) {
+        expect(node.entries.at(-1).blindRound.complete).toBe(true);
+      }
+    });
+
+    const results = [...nodes.values()].map(
+      (node) => node.entries.at(-1).blindRound,
+    );
+    for (const round of results) {
+      expect(round.complete).toBe(true);
+      expect(round.expression).toBe("1d20");
+      expect(round.participants).toHaveLength(3);
+    }
+    // Everyone derives the same values from the revealed seeds
+    expect(results[1]).toEqual(results[0]);
+    expect(results[2]).toEqual(results[0]);
+    for (const { notation } of results[0].participants) {
+      expect(notation.total).toBeGreaterThanOrEqual(1);
+      expect(notation.total).toBeLessThanOrEqual(20);
+    }
+  });
+
+  it("should roll every player's result from all of the seeds", async () => {
+    const nodes = createCoordinators(["alice", "bob"]);
+    const roundId = nodes.get("alice").start("3d6");
+    await nodes.settle();
+    await nodes.get("alice").roll(roundId);
+    await nodes.get("bob").roll(roundId);
+    await vi.waitFor(() =>
+      expect(nodes.get("alice").entries.at(-1).blindRound.complete).toBe(true),
+    );
+
+    const seeds = Object.fromEntries(
+      nodes.sent
+        .filter((s) => s.message.type === MSG.BLIND_ROUND_REVEAL)
+        .map((s) => [s.from, s.message.seed]),
+    );
+    const expected = async (peerId) =>
+      evaluateNotation(
+        parseNotation("3d6"),
+        createSeededRoller(await deriveSeed(seeds, roundId, peerId)),
+      );
+    const [alice, bob] = nodes.get("alice").entries.at(-1)
+      .blindRound.participants;
+    expect(alice.notation).toEqual(await expected("alice"));
+    expect(bob.notation).toEqual(await expected("bob"));
+  });
+
+  it("should flag a seed that doesn't match its commitment", async () => {
+    const nodes = createCoordinators(["alice", "bob"]);
+    const alice = nodes.get("alice");
+
+    const roundId = alice.start("2d6");
+    await alice.roll(roundId);
+    alice.handleCommit("bob", { roundId, commitment: "0".repeat(64) });
+    await alice.handleReveal("bob", { roundId, seed: "ab".repeat(32) });
+
+    const round = alice.entries.at(-1).blindRound;
+    expect(round.complete).toBe(true);
+    expect(round.participants[1]).toMatchObject({
+      peerId: "bob",
+      failed: true,
+      notation: null,
+    });
+  });
+
+  it("should finish without players who leave", async () => {
+    const nodes = createCoordinators(["alice", "bob", "carol"]);
+    const alice = nodes.get("alice");
+
+    const roundId = alice.start("1d6");
+    await vi.waitFor(() =>
+      expect(nodes.get("bob").rounds.has(roundId)).toBe(true),
+    );
+    await alice.roll(roundId);
+    await nodes.get("bob").roll(roundId);
+    alice.removePeer("carol");
+    nodes.get("bob").removePeer("carol");
+
+    await vi.waitFor(() =>
+      expect(alice.entries.at(-1).blindRound.complete).toBe(true),
+    );
+    const round = alice.entries.at(-1).blindRound;
+    expect(round.participants.map((p) => p.peerId)).toEqual(["alice", "bob"]);
+  });
+
+  it("should drop players who don't roll in time", async () => {
+    vi.useFakeTimers();
+    const alice = createAlone();
+
+    const roundId = alice.start("1d6");
+    await alice.roll(roundId);
+    await vi.advanceTimersByTimeAsync(120000);
+
+    await vi.waitFor(() =>
+      expect(alice.entries.at(-1).blindRound.complete).toBe(true),
+    );
+    const round = alice.entries.at(-1).blindRound;
+    expect(round.participants.map((p) => p.peerId)).toEqual(["alice"]);
+    expect(round.participants[0].notation.total).toBeGreaterThanOrEqual(1);
+  });
+
+  it("should give no result to players who don't reveal in time", async () => {
+    vi.useFakeTimers();
+    const alice = createAlone();
+
+    const roundId = alice.start("1d6");
+    await alice.roll(roundId);
+    alice.handleCommit("bob", { roundId, commitment: "c" });
+    await vi.advanceTimersByTimeAsync(10000);
+
+    await vi.waitFor(() =>
+      expect(alice.entries.at(-1).blindRound.complete).toBe(true),
+    );
+    const [, bob] = alice.entries.at(-1).blindRound.participants;
+    expect(bob).toMatchObject({
+      committed: true,
+      failed: true,
+      notation: null,
+    });
+  });
+
+  it("should only start rounds for players in the room", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const alice = createAlone();
+    const start = (participants) =>
+      alice.handleStart("bob", {
+        roundId: `r-${participants.length}`,
+        expression: "1d4",
+        participants: participants.map((peerId) => ({
+          peerId,
+          username: peerId,
+        })),
+      });
+
+    start(["bob", "mallory"]);
+    start(["bob", "bob", "alice"]);
+    expect(alice.rounds.size).toBe(0);
+
+    start(["bob", "alice"]);
+    expect(alice.entries.at(-1).blindRound.participants).toEqual([
+      expect.objectContaining({ peerId: "bob", username: "BOB" }),
+      expect.objectContaining({ peerId: "alice", username: "ALICE" }),
+    ]);
+  });
+
+  it("should hold on to one commit and reveal per peer for a round not yet started", () => {
+    const alice = createAlone();
+
+    for (let i = 0; i < 100; i++) {
+      alice.handleCommit("bob", { roundId: "r1", commitment: `c${i}` });
+    }
+
+    expect(alice.early.get("r1").size).toBe(1);
+  });
+
+  it("should accept commits that overtake the round start", async () => {
+    const nodes = createCoordinators(["alice", "bob", "carol"]);
+    const bob = nodes.get("bob");
+
+    bob.handleCommit("carol", { roundId: "r1", commitment: "c" });
+    bob.handleStart("alice", {
+      roundId: "r1",
+      expression: "1d4",
+      participants: [
+        { peerId: "alice", username: "ALICE" },
+        { peerId: "bob", username: "BOB" },
+        { peerId: "carol", username: "CAROL" },
+      ],
+    });
+
+    const round = bob.entries.at(-1).blindRound;
+    expect(round.participants.find((p) => p.peerId === "carol").committed).toBe(
+      true,
+    );
+  });
+
+  it("should file the round at the logical time it was started", () => {
+    const clock = new LamportClock();
+    const bob = new BlindRoundCoordinator({
+      router: { broadcast: () => {} },
+      getParticipants: () => [{ peerId: "alice", username: "ALICE" }],
+      getLocalPeer: () => ({ id: "bob", username: "BOB" }),
+      clock,
+    });
+    let entry;
+    bob.addEventListener("round-updated", (e) => (entry = e.detail.entry));
+
+    bob.handleStart("alice", {
+      roundId: "r1",
+      clock: 9,
+      expression: "1d4",
+      participants: [
+        { peerId: "alice", username: "ALICE" },
+        { peerId: "bob", username: "BOB" },
+      ],
+    });
+
+    expect(entry.clock).toBe(9);
+    expect(clock.tick()).toBe(10);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * DeliveryQueue - Makes sure peers get our messages across reconnects
+ *
+ * A data channel only delivers while it is open, so a message sent while a
+ * peer is reconnecting would be lost to it. Instead, every message to a peer
+ * is numbered and kept until the peer acknowledges it:
+ *
+ * Sender                                          Receiver
+ *   { ...message, delivery: { epoch, seq } } ─────▶
+ *              ◀───── DELIVERY_ACK { epoch, seq }   (everything up to seq)
+ *
+ * When a channel opens, both sides send DELIVERY_SYNC with the last message
+ * they received from the other, and the rest of the queue is sent again.
+ * Messages sent in the meantime wait in the queue, so they can't overtake
+ * the ones being sent again.
+ *
+ * The epoch is new every time the app starts. A peer that comes back with a
+ * new epoch has restarted and joins the room afresh, so what we had queued
+ * for it is dropped. Peers on protocol versions before 4 don't number their
+ * messages or send DELIVERY_SYNC. Once one speaks to us, it is sent what
+ * waited for it, and from then on messages as they come.
+ *
+ * Dispatches `delivered` with `{ peerId, message }` for each message a peer
+ * acknowledges.
+ */
+
+const DELIVERY_SYNC = "delivery-sync"; // Channel opened { epoch, received: { epoch, seq } }
+const DELIVERY_ACK = "delivery-ack"; // Received everything up to { epoch, seq }
+
+// Messages kept for a peer that hasn't acknowledged them (oldest are dropped)
+const MAX_QUEUE = 256;
+
+// How long to wait before acknowledging, so one ack covers a burst
+const ACK_DELAY = 50;
+
+export class DeliveryQueue extends EventTarget {
+  /**
+   * @param {object} options
+   * @param {function} options.transmit - (peerId, message) => send it on the peer's channel
+   * @param {number} [options.maxQueue] - Messages kept per peer
+   */
+  constructor({ transmit, maxQueue }) {
+    super();
+    this.transmit = transmit;
+    this.maxQueue = maxQueue ?? MAX_QUEUE;
+    this.epoch = crypto.randomUUID();
+    this.peers = new Map(); // peerId -> delivery state, see #getPeer()
+  }
+
+  /**
+   * Number a message and send it, or keep it until the peer's channel opens.
+   * @param {string} peerId
+   * @param {object} message
+   */
+  send(peerId, message) {
+    const peer = this.#getPeer(peerId);
+    const entry = {
+      seq: ++peer.nextSeq,
+      message,
+    };
+
+    // Until we know which kind of peer it is, even a legacy one's messages
+    // wait for its channel
+    if (!peer.legacy || peer.state !== "open") {
+      peer.queue.push(entry);
+      if (peer.queue.length > this.maxQueue) {
+        peer.queue.shift();
+        console.warn(`Delivery queue for ${peerId} is full, dropped a message`);
+      }
+    }
+    if (peer.state === "open") {
+      this.#transmit(peerId, entry);
+    }
+  }
+
+  /**
+   * Peers we are or were connected to and haven't forgotten.
+   * @returns {string[]}
+   */
+  getPeerIds() {
+    return [...this.peers.keys()];
+  }
+
+  /**
+   * A channel to the peer opened: tell it what we have, and wait to hear
+   * what it has before sending anything else.
+   */
+  open(peerId) {
+    const peer = this.#getPeer(peerId);
+    peer.state = "syncing";
+    peer.openedAt = peer.nextSeq;
+    this.transmit(peerId, {
+      type: DELIVERY_SYNC,
+      epoch: this.epoch,
+      received: { epoch: peer.remoteEpoch, seq: peer.received },
+    });
+  }
+
+  /**
+   * The channel to the peer closed. Messages are kept until it reopens.
+   */
+  close(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+    peer.state = "closed";
+    clearTimeout(peer.ackTimer);
+    peer.ackTimer = null;
+  }
+
+  /**
+   * Take in a message from a peer.
+   * @returns {object|null} The message to dispatch, or null if it was a
+   *   delivery message or one we already had
+   */
+  receive(peerId, message) {
+    if (typeof message !== "object" || message === null) return message;
+    const peer = this.#getPeer(peerId);
+
+    if (message.type === DELIVERY_SYNC) {
+      this.#handleSync(peerId, peer, message);
+      return null;
+    }
+    if (message.type === DELIVERY_ACK) {
+      if (message.epoch === this.epoch) {
+        this.#acknowledged(peerId, peer, message.seq);
+      }
+      return null;
+    }
+
+    const { delivery, ...rest } = message;
+    if (!delivery) {
+      // A peer from before numbered messages: it won't acknowledge anything
+      if (peer.state === "syncing") this.#startLegacy(peerId, peer);
+      return message;
+    }
+
+    if (delivery.epoch !== peer.remoteEpoch) {
+      peer.remoteEpoch = delivery.epoch;
+      peer.received = 0;
+    }
+    // Sent again after a reconnect, but we had it already
+    if (!(delivery.seq > peer.received)) return null;
+
+    peer.received = delivery.seq;
+    this.#scheduleAck(peerId, peer);
+    return rest;
+  }
+
+  /**
+   * Forget a peer that left the room, with everything queued for it.
+   */
+  forget(peerId) {
+    this.close(peerId);
+    this.peers.delete(peerId);
+  }
+
+  clear() {
+    for (const peerId of this.peers.keys()) this.close(peerId);
+    this.peers.clear();
+  }
+
+  #getPeer(peerId) {
+    let peer = this.peers.get(peerId);
+    if (!peer) {
+      peer = {
+        state: "closed", // closed | syncing | open
+        legacy: false, // Doesn't number or acknowledge messages
+        nextSeq: 0,
+        openedAt: 0, // nextSeq when the channel last opened
+        queue: [], // [{ seq, message }] not yet acknowledged, oldest first
+        remoteEpoch: null,
+        received: 0, // Last seq we got in the peer's epoch
+        ackTimer: null,
+      };
+      this.peers.set(peerId, peer);
+    }
+    return peer;
+  }
+
+  #handleSync(peerId, peer, { epoch, received }) {
+    if (typeof epoch !== "string") return;
+
+    // The peer restarted: it will get the room's state afresh, so only
+    // what we sent since the channel opened is still for it
+    if (peer.remoteEpoch !== null && epoch !== peer.remoteEpoch) {
+      peer.queue = peer.queue.filter((entry) => entry.seq > peer.openedAt);
+      peer.received = 0;
+    }
+    peer.remoteEpoch = epoch;
+    peer.legacy = false;
+
+    if (received?.epoch === this.epoch) {
+      this.#acknowledged(peerId, peer, received.seq);
+    }
+
+    peer.state = "open";
+    for (const entry of peer.queue) this.#transmit(peerId, entry);
+  }
+
+  #startLegacy(peerId, peer) {
+    peer.legacy = true;
+    peer.state = "open";
+    for (const entry of peer.queue) this.#transmit(peerId, entry);
+    peer.queue = [];
+  }
+
+  #acknowledged(peerId, peer, seq) {
+    if (!Number.isInteger(seq)) return;
+
+    while (peer.queue.length > 0 && peer.queue[0].seq <= seq) {
+      const { message } = peer.queue.shift();
+      this.dispatchEvent(
+        new CustomEvent("delivered", { detail: { peerId, message } }),
+      );
+    }
+  }
+
+  #scheduleAck(peerId, peer) {
+    if (peer.ackTimer) return;
+    peer.ackTimer = setTimeout(() => {
+      peer.ackTimer = null;
+      this.transmit(peerId, {
+        type: DELIVERY_ACK,
+        epoch: peer.remoteEpoch,
+        seq: peer.received,
+      });
+    }, ACK_DELAY);
+  }
+
+  #transmit(peerId, { seq, message }) {
+    this.transmit(peerId, {
+      ...message,
+      delivery: { epoch: this.epoch, seq },
+    });
+  }
+}
@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { DeliveryQueue } from "./delivery-queue.js";
+
+/**
+ * Alice and Bob's queues, joined by a channel that delivers in order on a
+ * timer and can be cut. Each side records the messages it dispatches.
+ */
+function createLink() {
+  const link = {
+    up: false,
+    received: { alice: [], bob: [] },
+    delivered: { alice: [], bob: [] },
+  };
+  const nodes = {};
+
+  const join = (id, other) => {
+    const node = new DeliveryQueue({
+      transmit: (peerId, message) => {
+        if (!link.up) return false;
+        const data = JSON.stringify(message);
+        setTimeout(() => {
+          if (!link.up) return;
+          const received = nodes[other].receive(id, JSON.parse(data));
+          if (received) link.received[other].push(received);
+        }, 0);
+        return true;
+      },
+    });
+    node.addEventListener("delivered", (e) =>
+      link.delivered[id].push(e.detail.message),
+    );
+    nodes[id] = node;
+  };
+  join("alice", "bob");
+  join("bob", "alice");
+
+  link.nodes = nodes;
+  link.connect = () => {
+    link.up = true;
+    nodes.alice.open("bob");
+    nodes.bob.open("alice");
+  };
+  link.disconnect = () => {
+    link.up = false;
+    nodes.alice.close("bob");
+    nodes.bob.close("alice");
+  };
+  // Bob's app restarts, with a new epoch
+  link.restartBob = () => join("bob", "alice");
+  return link;
+}
+
+const roll = (n) => ({ type: "dice-roll", rollId: `roll-${n}` });
+
+describe("DeliveryQueue", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should deliver messages and report them acknowledged", () => {
+    const link = createLink();
+    link.connect();
+
+    link.nodes.alice.send("bob", roll(1));
+    link.nodes.alice.send("bob", roll(2));
+    vi.runAllTimers();
+
+    expect(link.received.bob).toEqual([roll(1), roll(2)]);
+    expect(link.delivered.alice).toEqual([roll(1), roll(2)]);
+    expect(link.nodes.alice.peers.get("bob").queue).toEqual([]);
+  });
+
+  it("should send what a peer missed once it reconnects, only once", () => {
+    const link = createLink();
+    link.connect();
+    link.nodes.alice.send("bob", roll(1));
+    vi.advanceTimersByTime(1); // Bob has it, but hasn't acknowledged it
+    link.disconnect();
+
+    link.nodes.alice.send("bob", roll(2));
+    vi.runAllTimers();
+    expect(link.received.bob).toEqual([roll(1)]);
+
+    link.connect();
+    link.nodes.alice.send("bob", roll(3)); // Waits for the missed roll
+    vi.runAllTimers();
+
+    expect(link.received.bob).toEqual([roll(1), roll(2), roll(3)]);
+    expect(link.delivered.alice).toEqual([roll(1), roll(2), roll(3)]);
+  });
+
+  it("should drop what it kept for a peer that restarted", () => {
+    const link = createLink();
+    link.connect();
+    vi.runAllTimers();
+    link.disconnect();
+    link.nodes.alice.send("bob", roll(1));
+
+    link.restartBob();
+    link.connect();
+    link.nodes.alice.send("bob", { type: "hello" });
+    vi.runAllTimers();
+
+    expect(link.received.bob).toEqual([{ type: "hello" }]);
+  });
+
+  it("should send messages as they come to peers that don't number theirs", () => {
+    const sent = [];
+    const queue = new DeliveryQueue({
+      transmit: (peerId, message) => sent.push(message),
+    });
+    queue.open("old");
+    queue.send("old", { type: "hello" });
+    expect(sent.map((m) => m.type)).toEqual(["delivery-sync"]);
+
+    // Its HELLO, without a delivery number
+    expect(queue.receive("old", { type: "hello" })).toEqual({ type: "hello" });
+    queue.send("old", roll(1));
+
+    expect(sent.map((m) => m.type)).toEqual([
+      "delivery-sync",
+      "hello",
+      "dice-roll",
+    ]);
+    expect(queue.peers.get("old").queue).toEqual([]);
+  });
+
+  it("should keep only so many messages for a peer", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const queue = new DeliveryQueue({ transmit: () => false, maxQueue: 2 });
+
+    [1, 2, 3].forEach((n) => queue.send("bob", roll(n)));
+
+    expect(queue.peers.get("bob").queue.map((e) => e.message)).toEqual([
+      roll(2),
+      roll(3),
+    ]);
+  });
+});
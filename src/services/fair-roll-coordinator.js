@@ -0,0 +1,343 @@
+/**
+ * FairRollCoordinator - Runs the commit-reveal protocol for verifiable rolls
+ *
+ * Roller                               Other peers
+ *   FAIR_ROLL_START { id, commitment } ─────▶   pick a seed
+ *               ◀───── FAIR_ROLL_COMMIT { id, commitment }
+ *   FAIR_ROLL_COMMITMENTS { id, commitments } ─▶  (only peers listed reveal)
+ *               ◀───── FAIR_ROLL_REVEAL { id, seed }
+ *   DICE_ROLL { ..., fairness: proof } ────────▶  verifyRoll()
+ *
+ * Peers that don't commit in time are left out before anyone reveals, so
+ * dropping them can't bias the roll. Peers that commit but don't reveal are
+ * listed as `missing` and the roll can only count as unverified.
+ *
+ * A session belongs to one roller and one roll: its ID names the roller,
+ * and the roll made with it takes the session ID as its roll ID. Once we
+ * have revealed our seed, the roller knows the outcome, so a session it
+ * then drops without rolling leaves its next roll unverified.
+ */
+import { MSG } from "./message-router.js";
+import {
+  VERIFICATION,
+  createSeed,
+  commitSeed,
+  createProofRoller,
+  checkProofSeeds,
+  checkRollResults,
+} from "../features/dice-rolling/fairness/FairRoll.js";
+
+// How long the roller waits for each phase before moving on
+const PHASE_TIMEOUT = 3000;
+
+// How many sessions we remember taking part in (for verifying our own seed)
+const MAX_REMEMBERED_SESSIONS = 200;
+
+// How many proofs we remember checking (for spotting replays)
+const MAX_REMEMBERED_PROOFS = 500;
+
+export class FairRollCoordinator {
+  /**
+   * @param {object} options
+   * @param {object} options.router - { sendToPeer(peerId, msg), broadcast(msg) }
+   * @param {function} options.getPeerIds - Connected peer IDs
+   * @param {function} options.getLocalPeerId - Our own peer ID
+   * @param {function} options.getDiceStore - The DiceStore holding the room's dice config
+   * @param {number} [options.timeout] - Per-phase timeout in ms
+   */
+  constructor({ router, getPeerIds, getLocalPeerId, getDiceStore, timeout }) {
+    this.router = router;
+    this.getPeerIds = getPeerIds;
+    this.getLocalPeerId = getLocalPeerId;
+    this.getDiceStore = getDiceStore;
+    this.timeout = timeout ?? PHASE_TIMEOUT;
+
+    this.pending = new Map(); // Sessions we are rolling: id -> session
+    this.joined = new Map(); // Sessions we contributed to: id -> { roller, seed, commitment, rollerCommitment, revealed, rolled }
+    this.seen = new Map(); // Proofs we checked: id -> { rollId, abandoned }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // ROLLER SIDE
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Gather a jointly generated seed from all connected peers.
+   *
+   * @returns {Promise<{ proof: object, createRoller: function }|null>}
+   *   null when no other peer is connected (the roll is made locally).
+   *   `createRoller(label)` resolves to a die roller for one part of the roll.
+   */
+  async acquire() {
+    const peerIds = this.getPeerIds();
+    if (peerIds.length === 0) return null;
+
+    const localPeerId = this.getLocalPeerId();
+    const id = `${sessionPrefix(localPeerId)}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const seed = createSeed();
+    const commitment = await commitSeed(seed, id);
+
+    const session = {
+      expected: new Set(peerIds),
+      commitments: { [localPeerId]: commitment },
+      seeds: { [localPeerId]: seed },
+      onProgress: null,
+    };
+    this.pending.set(id, session);
+
+    try {
+      this.router.broadcast({ type: MSG.FAIR_ROLL_START, id, commitment });
+      await this.#waitFor(session, () =>
+        [...session.expected].every((p) => p in session.commitments),
+      );
+
+      // Commitments are now fixed: anyone who didn't commit is left out
+      session.expected = new Set(
+        Object.keys(session.commitments).filter((p) => p !== localPeerId),
+      );
+      session.locked = true;
+      this.router.broadcast({
+        type: MSG.FAIR_ROLL_COMMITMENTS,
+        id,
+        commitments: session.commitments,
+      });
+      await this.#waitFor(session, () =>
+        [...session.expected].every((p) => p in session.seeds),
+      );
+    } finally {
+      this.pending.delete(id);
+    }
+
+    const proof = {
+      id,
+      roller: localPeerId,
+      commitments: session.commitments,
+      seeds: session.seeds,
+      missing: Object.keys(session.commitments).filter(
+        (p) => !(p in session.seeds),
+      ),
+    };
+
+    return {
+      proof,
+      createRoller: (label) => createProofRoller(proof, label),
+    };
+  }
+
+  /**
+   * Resolve once `isDone()` holds or the phase times out.
+   */
+  #waitFor(session, isDone) {
+    if (isDone()) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(finish, this.timeout);
+      function finish() {
+        clearTimeout(timer);
+        session.onProgress = null;
+        resolve();
+      }
+      session.onProgress = () => {
+        if (isDone()) finish();
+      };
+    });
+  }
+
+  handleCommit(peerId, { id, commitment }) {
+    const session = this.pending.get(id);
+    if (!session || session.locked || !session.expected.has(peerId)) return;
+
+    session.commitments[peerId] = String(commitment);
+    session.onProgress?.();
+  }
+
+  async handleReveal(peerId, { id, seed }) {
+    const session = this.pending.get(id);
+    if (!session || !session.locked || !(peerId in session.commitments)) {
+      return;
+    }
+
+    // Ignore seeds that don't match what the peer committed to
+    if ((await commitSeed(seed, id)) !== session.commitments[peerId]) {
+      console.warn(`Peer ${peerId} revealed a seed that doesn't match`);
+      return;
+    }
+
+    session.seeds[peerId] = seed;
+    session.onProgress?.();
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // PARTICIPANT SIDE
+  // ─────────────────────────────────────────────────────────────
+
+  async handleStart(peerId, { id, commitment }) {
+    if (typeof id !== "string" || this.joined.has(id)) return;
+    // Only for a session in the roller's own name
+    if (!id.startsWith(sessionPrefix(peerId))) return;
+
+    const seed = createSeed();
+    const ownCommitment = await commitSeed(seed, id);
+    this.joined.set(id, {
+      roller: peerId,
+      seed,
+      commitment: ownCommitment,
+      rollerCommitment: commitment,
+    });
+    this.#forgetOldSessions();
+
+    this.router.sendToPeer(peerId, {
+      type: MSG.FAIR_ROLL_COMMIT,
+      id,
+      commitment: ownCommitment,
+    });
+  }
+
+  handleCommitments(peerId, { id, commitments }) {
+    const session = this.joined.get(id);
+    if (!session || session.roller !== peerId || session.revealed) return;
+
+    // Only reveal once our commitment is locked in; otherwise the roller
+    // could pick its outcome after seeing our seed
+    const localPeerId = this.getLocalPeerId();
+    if (commitments?.[localPeerId] !== session.commitment) return;
+
+    session.revealed = true;
+    this.router.sendToPeer(peerId, {
+      type: MSG.FAIR_ROLL_REVEAL,
+      id,
+      seed: session.seed,
+    });
+  }
+
+  #forgetOldSessions() {
+    while (this.joined.size > MAX_REMEMBERED_SESSIONS) {
+      this.joined.delete(this.joined.keys().next().value);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // VERIFICATION
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Check a roll message against its fairness proof.
+   *
+   * @param {object} roll - DICE_ROLL message
+   * @returns {Promise<string|null>} A VERIFICATION status, or null for our
+   *   own rolls made with nobody else around
+   */
+  async verifyRoll(roll) {
+    const proof = roll.fairness;
+    if (roll.redacted) {
+      // A secret roll was made with the session, even if we can't see it
+      const own = this.joined.get(proof?.id);
+      if (own?.roller === roll.holderId) own.rolled = true;
+      return null;
+    }
+    if (!proof) {
+      // Anyone else's roll reached us, so they had peers to roll with, and
+      // leaving out the proof mustn't pass for rolling alone
+      const rollerId =
+        roll.notation?.holderId ?? roll.setResults?.[0]?.holderId;
+      return rollerId === this.getLocalPeerId()
+        ? null
+        : VERIFICATION.UNVERIFIED;
+    }
+
+    if (!(await checkProofSeeds(proof))) return VERIFICATION.FAILED;
+
+    // The session must be the roller's, for this roll only
+    const rollerIds = roll.notation
+      ? [roll.notation.holderId]
+      : (roll.setResults || []).map((sr) => sr.holderId);
+    const seen = this.seen.get(proof.id);
+    if (
+      typeof proof.id !== "string" ||
+      !proof.id.startsWith(sessionPrefix(proof.roller)) ||
+      roll.rollId !== proof.id ||
+      rollerIds.some((id) => id !== proof.roller) ||
+      (seen && seen.rollId !== roll.rollId)
+    ) {
+      return VERIFICATION.FAILED;
+    }
+
+    // If we contributed, our own seed must be in there unchanged
+    const own = this.joined.get(proof.id);
+    const localPeerId = this.getLocalPeerId();
+    if (own) {
+      if (
+        proof.commitments[proof.roller] !== own.rollerCommitment ||
+        (localPeerId in proof.commitments &&
+          proof.seeds[localPeerId] !== own.seed)
+      ) {
+        return VERIFICATION.FAILED;
+      }
+    }
+
+    if (!(await checkRollResults(roll, proof, this.getDiceStore()))) {
+      return VERIFICATION.FAILED;
+    }
+
+    // Checking the same roll again (e.g. a revealed secret roll) keeps its
+    // verdict on sessions dropped before it
+    if (own) own.rolled = true;
+    const abandoned =
+      seen?.abandoned ?? (own ? this.#takeAbandoned(proof) : false);
+    this.#remember(proof.id, { rollId: roll.rollId, abandoned });
+
+    const participants = Object.keys(proof.commitments);
+    const excludedUs = own && !(localPeerId in proof.commitments);
+    if (
+      participants.length < 2 ||
+      proof.missing?.length > 0 ||
+      excludedUs ||
+      abandoned
+    ) {
+      return VERIFICATION.UNVERIFIED;
+    }
+
+    return VERIFICATION.VERIFIED;
+  }
+
+  /**
+   * Whether the roller dropped a session it started before this one (which
+   * we took part in), after we had revealed our seed to it. Each dropped
+   * session counts once.
+   */
+  #takeAbandoned(proof) {
+    let abandoned = false;
+    for (const [id, session] of this.joined) {
+      if (id === proof.id) break;
+      if (session.roller === proof.roller && session.revealed) {
+        abandoned ||= !session.rolled;
+        this.joined.delete(id);
+      }
+    }
+    return abandoned;
+  }
+
+  #remember(id, entry) {
+    this.seen.set(id, entry);
+    if (this.seen.size > MAX_REMEMBERED_PROOFS) {
+      this.seen.delete(this.seen.keys().next().value);
+    }
+  }
+
+  /**
+   * What everyone may see of a secret roll's proof: which session it used,
+   * so the session doesn't look dropped while the roll's values are hidden.
+   *
+   * @param {object} proof
+   * @returns {object|undefined}
+   */
+  redactProof(proof) {
+    if (!proof?.id) return undefined;
+    return { id: proof.id, roller: proof.roller };
+  }
+}
+
+// Session IDs start with their roller's peer ID
+function sessionPrefix(peerId) {
+  return `fair-${peerId}-`;
+}
@@ -0,0 +1,186 @@
+import { describe, it, expect, vi } from "vitest";
+import { FairRollCoordinator } from "./fair-roll-coordinator.js";
+import { MSG } from "./message-router.js";
+import { VERIFICATION } from "../features/dice-rolling/fairness/FairRoll.js";
+import {
+  normalizeRules,
+  rollSetWithRules,
+} from "../features/dice-rolling/rules/DiceRules.js";
+import { createMesh } from "./test-mesh.js";
+
+// Keep the real WebRTC singleton (and its network calls) out of these tests
+vi.mock("./webrtc-manager.js", () => ({ webrtcManager: {} }));
+
+const HANDLERS = {
+  [MSG.FAIR_ROLL_START]: "handleStart",
+  [MSG.FAIR_ROLL_COMMIT]: "handleCommit",
+  [MSG.FAIR_ROLL_COMMITMENTS]: "handleCommitments",
+  [MSG.FAIR_ROLL_REVEAL]: "handleReveal",
+};
+
+/**
+ * Coordinators for the given peers. `silent` peers never answer.
+ */
+function createCoordinators(peerIds, { silent } = {}) {
+  return createMesh(
+    peerIds,
+    (peerId, router) =>
+      new FairRollCoordinator({
+        router,
+        getPeerIds: () => peerIds.filter((p) => p !== peerId),
+        getLocalPeerId: () => peerId,
+        getDiceStore: () => null,
+        timeout: 50,
+      }),
+    { handlers: HANDLERS, silent },
+  );
+}
+
+/**
+ * Roll a d6 set with the shared randomness, as a strategy would.
+ */
+async function rollSet(randomness) {
+  const rolled = rollSetWithRules(
+    {
+      sides: 6,
+      rules: normalizeRules(),
+      currentValues: [1, 1, 1],
+      indices: [0, 1, 2],
+    },
+    await randomness.createRoller("set-1"),
+  );
+  return {
+    rollId: randomness.proof.id,
+    fairness: randomness.proof,
+    setResults: [
+      {
+        setId: "set-1",
+        sides: 6,
+        values: rolled.values,
+        rolledIndices: [0, 1, 2],
+        holderId: randomness.proof.roller,
+      },
+    ],
+  };
+}
+
+describe("FairRollCoordinator", () => {
+  it("should roll locally when no peers are connected", async () => {
+    const mesh = createCoordinators(["alice"]);
+
+    expect(await mesh.get("alice").acquire()).toBeNull();
+  });
+
+  it("should combine every peer's seed into a verified roll", async () => {
+    const mesh = createCoordinators(["alice", "bob", "carol"]);
+    const randomness = await mesh.get("alice").acquire();
+
+    expect(Object.keys(randomness.proof.seeds).sort()).toEqual([
+      "alice",
+      "bob",
+      "carol",
+    ]);
+
+    const roll = await rollSet(randomness);
+    for (const node of mesh.values()) {
+      expect(await node.verifyRoll(roll)).toBe(VERIFICATION.VERIFIED);
+    }
+  });
+
+  it("should flag values that don't match the seeds", async () => {
+    const mesh = createCoordinators(["alice", "bob"]);
+    const roll = await rollSet(await mesh.get("alice").acquire());
+    const [first, ...rest] = roll.setResults[0].values;
+    roll.setResults[0].values = [(first % 6) + 1, ...rest];
+
+    expect(await mesh.get("bob").verifyRoll(roll)).toBe(VERIFICATION.FAILED);
+  });
+
+  it("should flag a proof that replaces our seed", async () => {
+    const mesh = createCoordinators(["alice", "bob"]);
+    const roll = await rollSet(await mesh.get("alice").acquire());
+
+    // Alice rolls again with a fresh session and passes it off as the first
+    const other = await mesh.get("alice").acquire();
+    roll.fairness = { ...other.proof, id: roll.fairness.id };
+
+    expect(await mesh.get("bob").verifyRoll(roll)).toBe(VERIFICATION.FAILED);
+  });
+
+  it("should flag a proof used for another roll or by another roller", async () => {
+    const mesh = createCoordinators(["alice", "bob", "carol"]);
+    const bob = mesh.get("bob");
+    const roll = await rollSet(await mesh.get("alice").acquire());
+    expect(await bob.verifyRoll(roll)).toBe(VERIFICATION.VERIFIED);
+
+    // Replayed under a new roll ID, or passed off as Carol's
+    expect(await bob.verifyRoll({ ...roll, rollId: "roll-2" })).toBe(
+      VERIFICATION.FAILED,
+    );
+    const carols = structuredClone(roll);
+    carols.setResults[0].holderId = "carol";
+    expect(await bob.verifyRoll(carols)).toBe(VERIFICATION.FAILED);
+    carols.fairness.roller = "carol";
+    expect(await bob.verifyRoll(carols)).toBe(VERIFICATION.FAILED);
+  });
+
+  it("should not verify the roll after a session the roller dropped", async () => {
+    const mesh = createCoordinators(["alice", "bob"]);
+    const alice = mesh.get("alice");
+    const bob = mesh.get("bob");
+
+    // Alice sees how the first session falls, and rolls with another
+    await alice.acquire();
+    const roll = await rollSet(await alice.acquire());
+
+    expect(await bob.verifyRoll(roll)).toBe(VERIFICATION.UNVERIFIED);
+    expect(await bob.verifyRoll(roll)).toBe(VERIFICATION.UNVERIFIED);
+    expect(await bob.verifyRoll(await rollSet(await alice.acquire()))).toBe(
+      VERIFICATION.VERIFIED,
+    );
+  });
+
+  it("should count a session used for a secret roll as rolled", async () => {
+    const mesh = createCoordinators(["alice", "bob"]);
+    const alice = mesh.get("alice");
+    const bob = mesh.get("bob");
+
+    const { proof } = await alice.acquire();
+    expect(
+      await bob.verifyRoll({
+        rollId: proof.id,
+        redacted: true,
+        holderId: "alice",
+        fairness: alice.redactProof(proof),
+      }),
+    ).toBeNull();
+    expect(await bob.verifyRoll(await rollSet(await alice.acquire()))).toBe(
+      VERIFICATION.VERIFIED,
+    );
+  });
+
+  it("should leave out peers that don't commit", async () => {
+    const mesh = createCoordinators(["alice", "bob", "carol"], {
+      silent: ["carol"],
+    });
+    const randomness = await mesh.get("alice").acquire();
+
+    expect(Object.keys(randomness.proof.commitments).sort()).toEqual([
+      "alice",
+      "bob",
+    ]);
+    expect(await mesh.get("bob").verifyRoll(await rollSet(randomness))).toBe(
+      VERIFICATION.VERIFIED,
+    );
+  });
+
+  it("should only leave our own rolls made alone without a badge", async () => {
+    const mesh = createCoordinators(["alice", "bob"]);
+    const roll = { setResults: [{ holderId: "alice", values: [3] }] };
+
+    expect(await mesh.get("alice").verifyRoll(roll)).toBeNull();
+    expect(await mesh.get("bob").verifyRoll(roll)).toBe(
+      VERIFICATION.UNVERIFIED,
+    );
+  });
+});
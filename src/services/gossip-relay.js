@@ -0,0 +1,159 @@
+/**
+ * GossipRelay - Passes broadcasts on to peers the sender can't reach
+ *
+ * The mesh isn't always complete: Alice may reach Bob and Carol while Bob
+ * and Carol can't reach each other. So broadcasts are gossiped:
+ *
+ * Carol                      Alice                       Bob
+ *   { ...message, gossipId, gossip: { origin, ttl } } ─────▶
+ *                              { ..., ttl: ttl - 1 } ─────▶  (no link to Carol)
+ *
+ * Every peer tells its neighbours which peers it has a direct link to, in
+ * GOSSIP_LINKS. A peer that receives a broadcast passes it on to the
+ * neighbours that don't have a link to its origin, until its TTL runs out.
+ * Messages are dispatched as coming from their origin, and only once
+ * however many routes they arrive by. Any peer can claim any origin, so the
+ * router only takes in what was passed on if its origin signed it. The
+ * message's ID is part of what is signed, so a peer passing it on can't give
+ * it a new one to have it taken in again; the envelope is not.
+ *
+ * Only broadcasts are gossiped; messages to one peer still need a link to
+ * it. Peers on protocol versions before 5 don't send GOSSIP_LINKS, so they
+ * are never passed messages from peers other than the sender.
+ */
+
+const GOSSIP_LINKS = "gossip-links"; // Peers we have a direct link to { peerIds }
+
+// Hops a broadcast may take, including the first
+const MAX_HOPS = 4;
+
+// Message IDs remembered to drop ones that arrive again (oldest are dropped)
+const MAX_SEEN = 1024;
+
+export class GossipRelay {
+  /**
+   * @param {object} options
+   * @param {function} options.send - (peerId, message) => send it to a neighbour
+   * @param {function} options.getLocalPeerId - Our own peer ID
+   * @param {function} options.getNeighbours - Peers we have a direct link to
+   * @param {number} [options.ttl] - Hops a broadcast may take
+   */
+  constructor({ send, getLocalPeerId, getNeighbours, ttl }) {
+    this.send = send;
+    this.getLocalPeerId = getLocalPeerId;
+    this.getNeighbours = getNeighbours;
+    this.ttl = ttl ?? MAX_HOPS;
+
+    this.links = new Map(); // peerId -> Set of peers it has a direct link to
+    this.seen = new Set(); // Message IDs, oldest first
+  }
+
+  /**
+   * Give a broadcast of ours an ID, before it is signed.
+   * @returns {object} The message to sign
+   */
+  stamp(message) {
+    if (!this.getLocalPeerId()) return message;
+
+    const gossipId = crypto.randomUUID();
+    this.#markSeen(gossipId);
+    return { ...message, gossipId };
+  }
+
+  /**
+   * Put a stamped broadcast of ours in an envelope, so it can be passed on.
+   * @returns {object} The message to send
+   */
+  wrap(message) {
+    const origin = this.getLocalPeerId();
+    if (!origin || !message.gossipId) return message;
+    return { ...message, gossip: { origin, ttl: this.ttl } };
+  }
+
+  /**
+   * Tell every neighbour which peers we have a direct link to.
+   */
+  announce() {
+    const peerIds = this.getNeighbours();
+    for (const peerId of peerIds) {
+      this.send(peerId, { type: GOSSIP_LINKS, peerIds });
+    }
+  }
+
+  /**
+   * Take in a message from a neighbour, and pass it on if it's a broadcast
+   * other peers may not have.
+   * @returns {{ peerId: string, message: object }|null} The message to
+   *   dispatch and who it is from, or null if it was a gossip message or one
+   *   we already had
+   */
+  receive(fromPeerId, message) {
+    if (message?.type === GOSSIP_LINKS) {
+      if (Array.isArray(message.peerIds)) {
+        this.links.set(fromPeerId, new Set(message.peerIds));
+      }
+      return null;
+    }
+
+    const { gossip, ...rest } = message ?? {};
+    if (!gossip) return { peerId: fromPeerId, message };
+
+    const { origin, ttl } = gossip;
+    const id = rest.gossipId;
+    if (
+      typeof id !== "string" ||
+      typeof origin !== "string" ||
+      !Number.isInteger(ttl)
+    ) {
+      console.warn(
+        `Dropped gossip with a malformed envelope from ${fromPeerId}`,
+      );
+      return null;
+    }
+    if (origin === this.getLocalPeerId() || this.seen.has(id)) return null;
+    this.#markSeen(id);
+
+    if (ttl > 1) {
+      this.#forward(fromPeerId, {
+        ...rest,
+        gossip: { origin, ttl: ttl - 1 },
+      });
+    }
+    return { peerId: origin, message: rest };
+  }
+
+  /**
+   * Forget the links of a peer that left the room.
+   */
+  forget(peerId) {
+    this.links.delete(peerId);
+  }
+
+  clear() {
+    this.links.clear();
+    this.seen.clear();
+  }
+
+  // To the neighbours that can't have had it from its origin
+  #forward(fromPeerId, message) {
+    const { origin } = message.gossip;
+    for (const peerId of this.getNeighbours()) {
+      const links = this.links.get(peerId);
+      if (
+        peerId !== fromPeerId &&
+        peerId !== origin &&
+        links &&
+        !links.has(origin)
+      ) {
+        this.send(peerId, message);
+      }
+    }
+  }
+
+  #markSeen(id) {
+    this.seen.add(id);
+    if (this.seen.size > MAX_SEEN) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+  }
+}
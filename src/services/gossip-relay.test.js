@@ -0,0 +1,176 @@
+import { describe, it, expect, vi } from "vitest";
+import { GossipRelay } from "./gossip-relay.js";
+import { createMesh } from "./test-mesh.js";
+
+/**
+ * Relays for the given links between peers. Each node records what it
+ * dispatches.
+ */
+async function createRelays(links, { ttl } = {}) {
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (!neighbours.has(a)) neighbours.set(a, []);
+    neighbours.get(a).push(b);
+  };
+  for (const [a, b] of links) {
+    link(a, b);
+    link(b, a);
+  }
+
+  const nodes = createMesh(
+    [...neighbours.keys()],
+    (peerId, router) => {
+      const node = new GossipRelay({
+        send: router.sendToPeer,
+        getLocalPeerId: () => peerId,
+        getNeighbours: () => neighbours.get(peerId),
+        ttl,
+      });
+      node.received = [];
+      return node;
+    },
+    {
+      receive: (node, from, message) => {
+        const received = node.receive(from, message);
+        if (received) node.received.push(received);
+      },
+    },
+  );
+  for (const node of nodes.values()) node.announce();
+  await nodes.settle();
+  nodes.sent.length = 0;
+
+  // Send a broadcast the way WebRTCManager does
+  nodes.broadcast = (peerId, message) => {
+    const node = nodes.get(peerId);
+    const wrapped = node.wrap(node.stamp(message));
+    for (const to of neighbours.get(peerId)) node.send(to, wrapped);
+    return nodes.settle();
+  };
+  // How many messages a peer was sent
+  nodes.sentTo = (peerId) => nodes.sent.filter((s) => s.to === peerId).length;
+  return nodes;
+}
+
+const roll = { type: "dice-roll", rollId: "roll-1" };
+const gossiped = { ...roll, gossipId: expect.any(String) };
+
+describe("GossipRelay", () => {
+  it("should pass broadcasts on to peers the sender can't reach", async () => {
+    // Bob and Carol can't reach each other
+    const nodes = await createRelays([
+      ["alice", "bob"],
+      ["alice", "carol"],
+    ]);
+
+    await nodes.broadcast("carol", roll);
+
+    expect(nodes.get("alice").received).toEqual([
+      { peerId: "carol", message: gossiped },
+    ]);
+    expect(nodes.get("bob").received).toEqual([
+      { peerId: "carol", message: gossiped },
+    ]);
+  });
+
+  it("should not pass broadcasts on to peers linked to the sender", async () => {
+    const nodes = await createRelays([
+      ["alice", "bob"],
+      ["alice", "carol"],
+      ["bob", "carol"],
+    ]);
+
+    await nodes.broadcast("carol", roll);
+
+    expect(nodes.sentTo("alice")).toBe(1);
+    expect(nodes.sentTo("bob")).toBe(1);
+    expect(nodes.get("bob").received).toHaveLength(1);
+  });
+
+  it("should dispatch a broadcast once whatever routes it takes", async () => {
+    // Dave hears from Carol through both Alice and Bob
+    const nodes = await createRelays([
+      ["carol", "alice"],
+      ["carol", "bob"],
+      ["alice", "dave"],
+      ["bob", "dave"],
+    ]);
+
+    await nodes.broadcast("carol", roll);
+
+    expect(nodes.sentTo("dave")).toBe(2);
+    expect(nodes.get("dave").received).toEqual([
+      { peerId: "carol", message: gossiped },
+    ]);
+  });
+
+  it("should stop passing a broadcast on once its TTL runs out", async () => {
+    const nodes = await createRelays(
+      [
+        ["alice", "bob"],
+        ["bob", "carol"],
+        ["carol", "dave"],
+      ],
+      { ttl: 2 },
+    );
+
+    await nodes.broadcast("alice", roll);
+
+    expect(nodes.get("carol").received).toHaveLength(1);
+    expect(nodes.sentTo("dave")).toBe(0);
+  });
+
+  it("should not pass broadcasts on to peers that don't announce links", async () => {
+    const nodes = await createRelays([
+      ["alice", "bob"],
+      ["alice", "carol"],
+    ]);
+    nodes.get("alice").forget("bob"); // As if Bob were on an older version
+
+    await nodes.broadcast("carol", roll);
+
+    expect(nodes.sentTo("bob")).toBe(0);
+  });
+
+  it("should not take a broadcast in again under a new envelope", async () => {
+    const nodes = await createRelays([
+      ["alice", "bob"],
+      ["alice", "carol"],
+    ]);
+    await nodes.broadcast("carol", roll);
+    const [{ message }] = nodes.sent.filter((s) => s.to === "bob");
+
+    // Alice sends Carol's message on again, as if it were new
+    const bob = nodes.get("bob");
+    bob.receive("alice", {
+      ...message,
+      gossip: { origin: "carol", ttl: 4, id: "another" },
+    });
+
+    expect(bob.received).toHaveLength(1);
+  });
+
+  it("should drop broadcasts with a malformed envelope", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const relay = new GossipRelay({
+      send: vi.fn(),
+      getLocalPeerId: () => "alice",
+      getNeighbours: () => ["bob"],
+    });
+
+    expect(
+      relay.receive("bob", {
+        ...roll,
+        gossipId: 1,
+        gossip: { origin: "carol", ttl: 3 },
+      }),
+    ).toBeNull();
+    expect(
+      relay.receive("bob", { ...roll, gossip: { origin: "carol", ttl: 3 } }),
+    ).toBeNull();
+    expect(relay.receive("bob", roll)).toEqual({
+      peerId: "bob",
+      message: roll,
+    });
+  });
+});
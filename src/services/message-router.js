@@ -4,25 +4,78 @@
  */
 import { webrtcManager } from "./webrtc-manager.js";
 
+// Version of the message protocol this client speaks, sent in HELLO. Peers
+// whose HELLO has no version speak version 1. From version 4, messages are
+// numbered and acknowledged (see delivery-queue.js), from version 5
+// broadcasts are passed on to peers their sender can't reach (see
+// gossip-relay.js), and from version 6 messages are signed (see
+// peer-identity.js).
+export const PROTOCOL_VERSION = 6;
+
+// Protocol version from which peers sign their messages
+export const SIGNING_VERSION = 6;
+
 // Message types for P2P communication (mesh topology)
 export const MSG = {
   // Peer discovery & sync
-  HELLO: "hello", // New peer announces itself with username
-  WELCOME: "welcome", // Existing peer responds with current state
+  HELLO: "hello", // New peer announces itself { username, protocolVersion, publicKey }
+  WELCOME: "welcome", // Existing peer responds with current state { state, dice, keys }
   REQUEST_STATE: "request-state", // Peer requests state snapshot
+  ERROR: "error", // A message of ours was turned down { error, rejectedType }
+
+  // Anti-entropy (peers heal drifted state, see state-reconciler.js)
+  STATE_DIGEST: "state-digest", // Hashes of our state { rolls, peers, dice, latest }
+  STATE_PULL: "state-pull", // Ask for what we're missing { rollIds?, peers?, dice? }
+  STATE_ENTRIES: "state-entries", // What was asked for { rolls?, peers?, dice? }
 
   // Peer lifecycle (broadcast to all)
-  PEER_JOINED: "peer-joined", // Notify all peers of new peer
+  PEER_JOINED: "peer-joined", // Notify all peers of new peer { peerId, username, publicKey }
   PEER_LEFT: "peer-left", // Notify all peers of departed peer
 
   // Dice actions (broadcast to all)
   DICE_ROLL: "dice-roll", // Broadcast dice roll result
+  // Everything else a strategy sends ("dice:grab", "dice:turn", ...) is its
+  // own, and goes through the NetworkAdapter to the dice app
+  STRATEGY_CHANGE: "strategy-change", // Everyone switches dice rolling strategy { strategyId, changedAt }
+
+  // Secret rolls: recipients get the DICE_ROLL itself, everyone else this
+  SECRET_ROLL: "secret-roll", // Redacted roll { rollId, holderId, holderUsername }
+  SECRET_ROLL_REVEAL: "secret-roll-reveal", // Roller publishes a secret roll { roll }
+
+  // Fair rolls (commit-reveal, see fair-roll-coordinator.js)
+  FAIR_ROLL_START: "fair-roll-start", // Roller asks everyone for a seed commitment
+  FAIR_ROLL_COMMIT: "fair-roll-commit", // Peer sends its commitment to the roller
+  FAIR_ROLL_COMMITMENTS: "fair-roll-commitments", // Roller locks in all commitments
+  FAIR_ROLL_REVEAL: "fair-roll-reveal", // Peer reveals its seed to the roller
+
+  // Blind rounds (everyone rolls at once, see blind-round-coordinator.js)
+  BLIND_ROUND_START: "blind-round-start", // { roundId, expression, participants }
+  BLIND_ROUND_COMMIT: "blind-round-commit", // Participant commits to its roll { roundId, commitment }
+  BLIND_ROUND_REVEAL: "blind-round-reveal", // Sent once everyone committed { roundId, seed }
+};
+
+// Protocol version that introduced a message type, for types newer than
+// version 1. Peers on an older version aren't sent them.
+const MESSAGE_VERSIONS = {
+  [MSG.ERROR]: 2,
+  [MSG.STATE_DIGEST]: 3,
+  [MSG.STATE_PULL]: 3,
+  [MSG.STATE_ENTRIES]: 3,
 };
 
 export class MessageRouter extends EventTarget {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {function} [options.validate] - (message, { fromPeerId, peerVersion }) => why it's invalid, or null (see message-schemas.js)
+   * @param {PeerIdentity} [options.identity] - Checks that messages are signed by their sender
+   */
+  constructor({ validate = null, identity = null } = {}) {
     super();
     this.handlers = new Map();
+    this.validate = validate;
+    this.identity = identity;
+    this.peerVersions = new Map(); // peerId -> protocol version from their HELLO
+    this.routing = Promise.resolve(); // Messages waiting for their signature check
   }
 
   /**
@@ -34,9 +87,127 @@ export class MessageRouter extends EventTarget {
   }
 
   /**
-   * Route an incoming message to the appropriate handler
+   * Check a message from a peer before it is routed. Messages that don't
+   * pass validation are dropped, and the sender is told why if its protocol
+   * knows ERROR. A HELLO tells us which version the peer speaks.
+   * @param {string} fromPeerId
+   * @param {object} message
+   * @param {string} [relayedBy] - Peer that passed the message on, if it
+   *   isn't from a peer we are connected to
+   * @returns {boolean} Whether the message should be routed
+   */
+  accept(fromPeerId, message, relayedBy = null) {
+    // Only a peer itself can introduce itself, and hand us its key
+    if (relayedBy && message?.type === MSG.HELLO) {
+      console.warn(`Rejected HELLO for ${fromPeerId} from ${relayedBy}`);
+      return false;
+    }
+
+    const error = this.validate?.(message, {
+      fromPeerId,
+      peerVersion: this.getPeerVersion(fromPeerId),
+    });
+    if (error) {
+      console.warn(`Rejected message from ${fromPeerId}: ${error}`);
+      // Never answer an error with an error, or one the sender didn't send us
+      if (message?.type !== MSG.ERROR && !relayedBy) {
+        this.sendToPeer(fromPeerId, {
+          type: MSG.ERROR,
+          error,
+          rejectedType: String(message?.type),
+        });
+      }
+      return false;
+    }
+
+    if (message.type === MSG.HELLO) {
+      this.peerVersions.set(fromPeerId, message.protocolVersion ?? 1);
+    }
+    return true;
+  }
+
+  /**
+   * Protocol version a peer speaks: the one from its HELLO, or 1 until then.
+   */
+  getPeerVersion(peerId) {
+    return this.peerVersions.get(peerId) ?? 1;
+  }
+
+  forgetPeer(peerId) {
+    this.peerVersions.delete(peerId);
+  }
+
+  /**
+   * Route an incoming message to the appropriate handler. With an identity,
+   * its signature is checked first: messages are still handled in the order
+   * they arrived, and ones that fail are dropped and dispatched as
+   * `message-rejected` ({ peerId, type, error, relayedBy }). Messages keep
+   * their signature, so rolls can be checked again wherever they are passed
+   * on.
+   * Every message routed is dispatched as `message` ({ peerId, message }).
+   *
+   * Anyone can pass a message on in another peer's name, so one that was
+   * passed on is only routed if it is signed with a key we have for the
+   * peer it is from. Unsigned messages are only routed from peers whose
+   * HELLO said they speak a version from before signing.
+   * @param {string} fromPeerId
+   * @param {object} message
+   * @param {string} [relayedBy] - Peer that passed the message on, if it
+   *   isn't from a peer we are connected to
+   * @returns {Promise<void>} Resolves once the message has been handled
    */
-  route(fromPeerId, message) {
+  route(fromPeerId, message, relayedBy = null) {
+    if (!this.identity) {
+      if (relayedBy) {
+        console.warn(
+          `Dropped ${message.type} for ${fromPeerId} from ${relayedBy}: it can't be checked`,
+        );
+      } else {
+        this.#dispatch(fromPeerId, message);
+      }
+      return Promise.resolve();
+    }
+
+    this.routing = this.routing
+      .then(() => this.#verify(fromPeerId, message, relayedBy))
+      .catch((error) => console.error("Error handling message:", error));
+    return this.routing;
+  }
+
+  async #verify(fromPeerId, message, relayedBy) {
+    if (message.type === MSG.HELLO) {
+      this.identity.addKey(fromPeerId, message.publicKey ?? null, {
+        direct: true,
+      });
+    }
+
+    const error =
+      relayedBy && !this.identity.getKey(fromPeerId)
+        ? `${message.type} from ${fromPeerId} was passed on by ${relayedBy}, and we have no key to check it`
+        : await this.identity.verify(fromPeerId, message, {
+            signs: !this.#predatesSigning(fromPeerId),
+          });
+    if (error) {
+      console.warn(`Rejected message from ${fromPeerId}: ${error}`);
+      this.dispatchEvent(
+        new CustomEvent("message-rejected", {
+          detail: { peerId: fromPeerId, type: message.type, error, relayedBy },
+        }),
+      );
+      return;
+    }
+
+    this.#dispatch(fromPeerId, message);
+  }
+
+  #dispatch(fromPeerId, message) {
+    this.dispatchEvent(
+      new CustomEvent("message", { detail: { peerId: fromPeerId, message } }),
+    );
+
+    // Dice strategies' messages are the NetworkAdapter's
+    if (message.type?.startsWith("dice:")) return;
+
     console.log(`Message from ${fromPeerId}:`, message.type);
 
     if (this.handlers.has(message.type)) {
@@ -51,6 +222,7 @@ export class MessageRouter extends EventTarget {
    * Send a message to a specific peer
    */
   sendToPeer(peerId, message) {
+    if (!this.#understands(peerId, message.type)) return;
     webrtcManager.sendToPeer(peerId, message);
   }
 
@@ -58,6 +230,25 @@ export class MessageRouter extends EventTarget {
    * Broadcast a message to all connected peers
    */
   broadcast(message, excludePeerId = null) {
-    webrtcManager.broadcast(message, excludePeerId);
+    if (!MESSAGE_VERSIONS[message.type]) {
+      webrtcManager.broadcast(message, excludePeerId);
+      return;
+    }
+
+    // Only to the peers whose protocol has this message
+    for (const peerId of webrtcManager.getConnectedPeers()) {
+      if (peerId !== excludePeerId) this.sendToPeer(peerId, message);
+    }
+  }
+
+  #predatesSigning(peerId) {
+    return (
+      this.peerVersions.has(peerId) &&
+      this.getPeerVersion(peerId) < SIGNING_VERSION
+    );
+  }
+
+  #understands(peerId, type) {
+    return (MESSAGE_VERSIONS[type] ?? 1) <= this.getPeerVersion(peerId);
   }
 }
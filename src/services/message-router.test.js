@@ -0,0 +1,224 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { MessageRouter, MSG, PROTOCOL_VERSION } from "./message-router.js";
+import { validateMessage } from "./message-schemas.js";
+import { PeerIdentity } from "./peer-identity.js";
+import { webrtcManager } from "./webrtc-manager.js";
+
+// Keep the real WebRTC singleton (and its network calls) out of these tests
+vi.mock("./webrtc-manager.js", () => ({
+  webrtcManager: {
+    sendToPeer: vi.fn(),
+    broadcast: vi.fn(),
+    getConnectedPeers: vi.fn(() => ["old", "new"]),
+  },
+}));
+
+// A HELLO from a peer that signs has its key
+const publicKey = { kty: "EC", crv: "P-256", x: "x", y: "y" };
+
+describe("MessageRouter", () => {
+  let router;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    router = new MessageRouter({ validate: validateMessage });
+  });
+
+  describe("accept", () => {
+    it("should learn each peer's protocol version from its HELLO", () => {
+      expect(router.accept("old", { type: MSG.HELLO, username: "Old" })).toBe(
+        true,
+      );
+      expect(
+        router.accept("new", {
+          type: MSG.HELLO,
+          username: "New",
+          protocolVersion: PROTOCOL_VERSION,
+          publicKey,
+        }),
+      ).toBe(true);
+
+      expect(router.getPeerVersion("old")).toBe(1);
+      expect(router.getPeerVersion("new")).toBe(PROTOCOL_VERSION);
+
+      router.forgetPeer("new");
+      expect(router.getPeerVersion("new")).toBe(1);
+    });
+
+    it("should tell the sender why its message was turned down", () => {
+      router.accept("new", {
+        type: MSG.HELLO,
+        username: "New",
+        protocolVersion: PROTOCOL_VERSION,
+        publicKey,
+      });
+
+      expect(router.accept("new", { type: MSG.PEER_JOINED })).toBe(false);
+      expect(webrtcManager.sendToPeer).toHaveBeenCalledWith("new", {
+        type: MSG.ERROR,
+        error: "peer-joined.peerId must be a string of at most 128 characters",
+        rejectedType: MSG.PEER_JOINED,
+      });
+    });
+
+    it("should not send errors to peers that don't know them", () => {
+      router.accept("old", { type: MSG.HELLO, username: "Old" });
+
+      expect(router.accept("old", { type: MSG.PEER_JOINED })).toBe(false);
+      expect(webrtcManager.sendToPeer).not.toHaveBeenCalled();
+    });
+
+    it("should not answer a bad error with another", () => {
+      router.accept("new", {
+        type: MSG.HELLO,
+        username: "New",
+        protocolVersion: PROTOCOL_VERSION,
+        publicKey,
+      });
+
+      expect(router.accept("new", { type: MSG.ERROR, error: 42 })).toBe(false);
+      expect(webrtcManager.sendToPeer).not.toHaveBeenCalled();
+    });
+
+    it("should only take a HELLO without a key from a peer that doesn't sign", () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      const hello = { type: MSG.HELLO, username: "Carol" };
+
+      expect(
+        router.accept("carol", { ...hello, protocolVersion: PROTOCOL_VERSION }),
+      ).toBe(false);
+      expect(router.accept("carol", { ...hello, protocolVersion: 5 })).toBe(
+        true,
+      );
+    });
+
+    it("should only take a HELLO from the peer itself", () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      const hello = { type: MSG.HELLO, username: "Carol" };
+
+      expect(router.accept("carol", hello, "mallory")).toBe(false);
+      expect(router.accept("carol", hello)).toBe(true);
+    });
+  });
+
+  describe("route", () => {
+    let alice;
+    let mallory;
+    let routed;
+    let rejected;
+
+    beforeEach(async () => {
+      alice = new PeerIdentity();
+      mallory = new PeerIdentity();
+      await Promise.all([alice.init(), mallory.init()]);
+
+      router = new MessageRouter({ identity: new PeerIdentity() });
+      routed = [];
+      rejected = [];
+      router.onMessage(MSG.HELLO, (peerId, msg) => routed.push(msg));
+      router.onMessage(MSG.DICE_ROLL, (peerId, msg) => routed.push(msg));
+      router.addEventListener("message-rejected", (e) =>
+        rejected.push(e.detail),
+      );
+
+      const hello = await alice.sign({
+        type: MSG.HELLO,
+        username: "Alice",
+        publicKey: alice.getPublicKey(),
+      });
+      await router.route("alice", hello);
+    });
+
+    it("should route messages signed by their sender, with the signature", async () => {
+      const roll = await alice.sign({ type: MSG.DICE_ROLL, rollId: "roll-1" });
+
+      await router.route("alice", roll);
+
+      expect(routed.map((msg) => msg.type)).toEqual([MSG.HELLO, MSG.DICE_ROLL]);
+      expect(routed[1]).toEqual(roll);
+    });
+
+    it("should turn down messages in another peer's name", async () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      const roll = { type: MSG.DICE_ROLL, rollId: "roll-1" };
+
+      await router.route("alice", await mallory.sign(roll));
+      await router.route("alice", roll);
+
+      expect(routed.map((msg) => msg.type)).toEqual([MSG.HELLO]);
+      expect(rejected).toEqual([
+        expect.objectContaining({ peerId: "alice", type: MSG.DICE_ROLL }),
+        expect.objectContaining({ peerId: "alice", type: MSG.DICE_ROLL }),
+      ]);
+    });
+
+    it("should only route messages passed on if their sender signed them", async () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      const roll = { type: MSG.DICE_ROLL, rollId: "roll-1" };
+
+      await router.route("alice", await alice.sign(roll), "bob");
+      await router.route("alice", await mallory.sign(roll), "bob");
+      await router.route("alice", roll, "bob");
+      await router.route("carol", roll, "bob"); // We have no key for Carol
+
+      expect(routed.map((msg) => msg.type)).toEqual([MSG.HELLO, MSG.DICE_ROLL]);
+      expect(rejected.map((r) => r.peerId)).toEqual([
+        "alice",
+        "alice",
+        "carol",
+      ]);
+      expect(rejected.every((r) => r.relayedBy === "bob")).toBe(true);
+      expect(rejected[2].error).toMatch(/no key/);
+    });
+
+    it("should only route unsigned messages from peers that don't sign", async () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      const roll = { type: MSG.DICE_ROLL, rollId: "roll-1" };
+      router.accept("old", { type: MSG.HELLO, username: "Old" });
+
+      await router.route("old", roll);
+      await router.route("carol", roll); // No HELLO yet
+
+      expect(routed.map((msg) => msg.type)).toEqual([MSG.HELLO, MSG.DICE_ROLL]);
+      expect(rejected).toEqual([
+        expect.objectContaining({ peerId: "carol", type: MSG.DICE_ROLL }),
+      ]);
+    });
+
+    it("should handle messages in the order they arrived", async () => {
+      const first = await alice.sign({ type: MSG.DICE_ROLL, rollId: "roll-1" });
+      const second = await alice.sign({
+        type: MSG.DICE_ROLL,
+        rollId: "roll-2",
+      });
+
+      router.route("alice", first);
+      await router.route("alice", second);
+
+      expect(routed.slice(1).map((msg) => msg.rollId)).toEqual([
+        "roll-1",
+        "roll-2",
+      ]);
+    });
+  });
+
+  describe("broadcast", () => {
+    it("should only send newer messages to peers that know them", () => {
+      router.accept("new", {
+        type: MSG.HELLO,
+        username: "New",
+        protocolVersion: PROTOCOL_VERSION,
+        publicKey,
+      });
+
+      const error = { type: MSG.ERROR, error: "test" };
+      router.broadcast(error);
+      expect(webrtcManager.sendToPeer).toHaveBeenCalledTimes(1);
+      expect(webrtcManager.sendToPeer).toHaveBeenCalledWith("new", error);
+
+      const hello = { type: MSG.HELLO, username: "Me" };
+      router.broadcast(hello);
+      expect(webrtcManager.broadcast).toHaveBeenCalledWith(hello, null);
+    });
+  });
+});
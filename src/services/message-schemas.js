@@ -0,0 +1,312 @@
+/**
+ * Message schemas - What each P2P message must look like before it is routed
+ *
+ * Every message from a peer is checked against the schema of its type, so
+ * handlers can rely on its shape: strings are strings, numbers are finite,
+ * lists are bounded, and rolls are made by the peer that sent them. Handlers
+ * still check what only they know, such as whether a die exists in the
+ * room's config or a proof holds up.
+ *
+ * Fields a schema doesn't list are let through, so newer peers can add
+ * fields without older ones turning their messages down. The dice
+ * strategies' own messages ("dice:grab", ...) are checked against the
+ * schemas the strategies declare.
+ *
+ * @example
+ * validateMessage({ type: MSG.HELLO, username: 42 }, { fromPeerId: "p1" });
+ * // "hello.username must be a string of at most 64 characters"
+ */
+import { MSG, PROTOCOL_VERSION, SIGNING_VERSION } from "./message-router.js";
+import { BLIND_ROUND_ENTRY } from "./blind-round-coordinator.js";
+import {
+  isObject,
+  any,
+  string,
+  integer,
+  matches,
+  oneOf,
+  number,
+  boolean,
+  optional,
+  object,
+  array,
+  record,
+  checkSchema,
+} from "../infrastructure/network/index.js";
+
+// Bounds generous enough for any real room
+const MAX_ID = 128; // Peer, roll, set and round IDs
+const MAX_NAME = 64; // Usernames
+const MAX_PEERS = 50;
+const MAX_SETS = 20;
+const MAX_DICE = 100; // Dice in one set or term
+const MAX_SIDES = 1000;
+const MAX_CHAIN = 21; // Rolls in one exploding die's chain
+const MAX_HISTORY = 100;
+const MAX_VERSION = 1000;
+
+// ─────────────────────────────────────────────────────────────
+// SCHEMAS
+// ─────────────────────────────────────────────────────────────
+
+const id = string(MAX_ID);
+const username = string(MAX_NAME);
+const face = integer(1, MAX_SIDES);
+const clock = optional(integer(0, Number.MAX_SAFE_INTEGER)); // Logical time
+const color = matches(/^#[0-9a-f]{6}$/i, "a colour such as #ff0000");
+const sign = oneOf(1, -1);
+
+const setResult = object({
+  setId: id,
+  color: optional(color),
+  sides: optional(integer(1, MAX_SIDES)),
+  values: array(face, MAX_DICE),
+  rolledIndices: optional(array(integer(0, MAX_DICE - 1), MAX_DICE)),
+  transforms: optional(array(any, MAX_DICE)), // Checked by the strategy
+  faces: optional(
+    array(object({ label: string(), value: optional(number()) }), MAX_SIDES),
+  ),
+  details: optional(
+    array(
+      object({
+        index: integer(0, MAX_DICE - 1),
+        rolls: array(face, MAX_CHAIN),
+        rerolled: optional(face),
+      }),
+      MAX_DICE,
+    ),
+  ),
+  successes: optional(integer(0, MAX_DICE * MAX_CHAIN)),
+  successAt: optional(face),
+  holderId: id,
+  holderUsername: username,
+});
+
+const modifierTerm = object({
+  type: oneOf("modifier"),
+  sign,
+  value: integer(0, MAX_SIDES),
+  total: number(),
+});
+
+const diceTermShape = object({
+  type: oneOf("dice"),
+  sign,
+  count: integer(1, MAX_DICE),
+  sides: integer(2, MAX_SIDES),
+  modifier: optional(
+    object({
+      mode: oneOf("kh", "kl", "dh", "dl"),
+      amount: integer(0, MAX_DICE),
+    }),
+  ),
+  rolls: array(object({ value: face, kept: boolean() }), MAX_DICE),
+  total: number(),
+});
+
+const diceTerm = (value) => {
+  const error = diceTermShape(value);
+  if (error) return error;
+  if (value.rolls.length !== value.count) {
+    return { path: ".rolls", message: "must have a roll for every die" };
+  }
+  if (value.rolls.some((roll) => roll.value > value.sides)) {
+    return { path: ".rolls", message: "can't be higher than the dice's sides" };
+  }
+  return null;
+};
+
+// A term of a notation roll: a flat modifier, or dice with what they rolled
+const term = (value) =>
+  value?.type === "dice" ? diceTerm(value) : modifierTerm(value);
+
+const notationResult = {
+  expression: string(),
+  terms: array(term, MAX_SETS),
+  total: number(),
+};
+
+const notation = object({
+  ...notationResult,
+  holderId: id,
+  holderUsername: username,
+});
+
+const roll = object({
+  rollId: id,
+  clock,
+  timestamp: number(),
+  total: number(),
+  fairness: optional(object()), // Checked against the roll by verifyRoll()
+  secret: optional(object({ recipients: array(id, MAX_PEERS) })),
+  setResults: array(setResult, MAX_SETS),
+  notation: optional(notation),
+});
+
+const secretRoll = object({
+  rollId: id,
+  clock,
+  timestamp: number(),
+  redacted: optional(boolean()),
+  holderId: id,
+  holderUsername: username,
+  fairness: optional(object()),
+});
+
+const blindRoundEntry = object({
+  rollId: id,
+  clock,
+  timestamp: number(),
+  blindRound: object({
+    expression: string(),
+    complete: boolean(),
+    participants: array(
+      object({
+        peerId: id,
+        username,
+        committed: boolean(),
+        failed: boolean(),
+        notation: optional(object(notationResult)),
+      }),
+      MAX_PEERS,
+    ),
+  }),
+});
+
+// Every entry in history is of a kind we know, and checked like the
+// message it came from
+const HISTORY_ENTRIES = {
+  [MSG.DICE_ROLL]: roll,
+  [MSG.SECRET_ROLL]: secretRoll,
+  [BLIND_ROUND_ENTRY]: blindRoundEntry,
+};
+
+const historyEntry = (value) =>
+  HISTORY_ENTRIES[value?.type]?.(value) ??
+  object({ type: oneOf(...Object.keys(HISTORY_ENTRIES)) })(value);
+
+const peer = object({ peerId: id, username });
+const publicKey = object({ kty: id, crv: id, x: id, y: id }); // ECDSA JWK
+
+const hello = object({
+  username,
+  protocolVersion: optional(integer(1, MAX_VERSION)),
+  publicKey: optional(publicKey),
+});
+
+const SCHEMAS = {
+  // Peers that sign must send the key to check them with
+  [MSG.HELLO]: (value) =>
+    hello(value) ??
+    ((value.protocolVersion ?? 1) >= SIGNING_VERSION
+      ? object({ publicKey })(value)
+      : null),
+  [MSG.WELCOME]: object({
+    state: object({
+      peers: optional(array(peer, MAX_PEERS)),
+      rollHistory: optional(array(historyEntry, MAX_HISTORY)),
+      diceConfig: optional(
+        object({
+          diceSets: array(object({ id, color: optional(color) }), MAX_SETS),
+        }),
+      ),
+      holders: optional(array(array(any, 2), MAX_SETS)),
+      lastRoller: optional(array(array(any, 2), MAX_SETS)),
+    }),
+    dice: optional(object()), // Checked against the config by the dice app
+    keys: optional(record(publicKey, MAX_PEERS)),
+  }),
+  [MSG.REQUEST_STATE]: object(),
+  [MSG.PEER_JOINED]: object({
+    peerId: id,
+    username,
+    publicKey: optional(publicKey),
+  }),
+  [MSG.PEER_LEFT]: object({ peerId: id, username: optional(username) }),
+  [MSG.ERROR]: object({ error: string(), rejectedType: optional(string()) }),
+
+  [MSG.STATE_DIGEST]: object({
+    rolls: string(MAX_ID),
+    peers: string(MAX_ID),
+    dice: string(MAX_ID),
+    latest: optional(id), // Our latest roll
+  }),
+  [MSG.STATE_PULL]: object({
+    rollIds: optional(array(id, MAX_HISTORY)),
+    peers: optional(boolean()),
+    dice: optional(boolean()),
+  }),
+  [MSG.STATE_ENTRIES]: object({
+    rolls: optional(array(historyEntry, MAX_HISTORY)),
+    peers: optional(array(peer, MAX_PEERS)),
+    dice: optional(object()), // Checked against the config by the dice app
+  }),
+
+  [MSG.DICE_ROLL]: roll,
+  [MSG.STRATEGY_CHANGE]: object({ strategyId: id, changedAt: number() }),
+
+  [MSG.SECRET_ROLL]: secretRoll,
+  [MSG.SECRET_ROLL_REVEAL]: object({ roll }),
+
+  [MSG.FAIR_ROLL_START]: object({ id, commitment: string() }),
+  [MSG.FAIR_ROLL_COMMIT]: object({ id, commitment: string() }),
+  [MSG.FAIR_ROLL_COMMITMENTS]: object({
+    id,
+    commitments: record(string(), MAX_PEERS),
+  }),
+  [MSG.FAIR_ROLL_REVEAL]: object({ id, seed: string() }),
+
+  [MSG.BLIND_ROUND_START]: object({
+    roundId: id,
+    clock,
+    expression: string(),
+    participants: array(peer, MAX_PEERS),
+  }),
+  [MSG.BLIND_ROUND_COMMIT]: object({ roundId: id, commitment: string() }),
+  [MSG.BLIND_ROUND_REVEAL]: object({ roundId: id, seed: string() }),
+};
+
+// Who a message says did something, which must be the peer that sent it
+const CLAIMS = {
+  [MSG.DICE_ROLL]: (msg) => [
+    ...msg.setResults.map((sr) => sr.holderId),
+    ...(msg.notation ? [msg.notation.holderId] : []),
+  ],
+  [MSG.SECRET_ROLL]: (msg) => [msg.holderId],
+  [MSG.SECRET_ROLL_REVEAL]: (msg) => [
+    ...msg.roll.setResults.map((sr) => sr.holderId),
+    ...(msg.roll.notation ? [msg.roll.notation.holderId] : []),
+  ],
+};
+
+/**
+ * Check a message from a peer against the schema of its type.
+ *
+ * @param {object} message - Message as parsed from the data channel
+ * @param {object} options
+ * @param {string} options.fromPeerId - Peer that sent it
+ * @param {number} [options.peerVersion] - Protocol version the peer speaks
+ * @returns {string|null} Why the message is invalid, or null if it's fine
+ */
+export function validateMessage(message, { fromPeerId, peerVersion = 1 }) {
+  if (!isObject(message) || typeof message.type !== "string") {
+    return "message must be an object with a type";
+  }
+
+  const { type } = message;
+  if (type.startsWith("dice:")) return null;
+
+  const schema = SCHEMAS[type];
+  if (!schema) {
+    // A newer peer may send messages we don't know yet; they go unhandled
+    return peerVersion > PROTOCOL_VERSION ? null : `unknown type ${type}`;
+  }
+
+  const error = checkSchema(schema, message, type);
+  if (error) return error;
+
+  for (const claimed of CLAIMS[type]?.(message) ?? []) {
+    if (claimed !== fromPeerId) return `${type} is not from ${claimed}`;
+  }
+  return null;
+}
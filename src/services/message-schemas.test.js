@@ -0,0 +1,202 @@
+import { describe, it, expect, vi } from "vitest";
+import { validateMessage } from "./message-schemas.js";
+import { MSG, PROTOCOL_VERSION } from "./message-router.js";
+import { BLIND_ROUND_ENTRY } from "./blind-round-coordinator.js";
+import {
+  parseNotation,
+  evaluateNotation,
+} from "../features/dice-rolling/notation/DiceNotation.js";
+
+// Keep the real WebRTC singleton (and its network calls) out of these tests
+vi.mock("./webrtc-manager.js", () => ({ webrtcManager: {} }));
+
+function createRoll(overrides = {}) {
+  return {
+    type: MSG.DICE_ROLL,
+    rollId: "roll-1",
+    timestamp: 1700000000000,
+    total: 9,
+    setResults: [
+      {
+        setId: "red",
+        color: "#ff0000",
+        sides: 6,
+        values: [4, 5],
+        rolledIndices: [0, 1],
+        holderId: "alice",
+        holderUsername: "Alice",
+      },
+    ],
+    ...overrides,
+  };
+}
+
+const validate = (message, options = {}) =>
+  validateMessage(message, { fromPeerId: "alice", ...options });
+
+describe("validateMessage", () => {
+  it("should accept well-formed messages", () => {
+    expect(
+      validate({
+        type: MSG.HELLO,
+        username: "Alice",
+        protocolVersion: PROTOCOL_VERSION,
+        publicKey: { kty: "EC", crv: "P-256", x: "x", y: "y" },
+      }),
+    ).toBeNull();
+    expect(validate(createRoll())).toBeNull();
+    expect(
+      validate({
+        type: MSG.WELCOME,
+        state: {
+          peers: [{ peerId: "alice", username: "Alice", connectedAt: 1 }],
+          rollHistory: [createRoll({ setResults: [] })],
+          diceConfig: { diceSets: [{ id: "red", count: 2 }] },
+          holders: [],
+          lastRoller: [],
+        },
+      }),
+    ).toBeNull();
+  });
+
+  it("should have a schema for every message type", () => {
+    for (const type of Object.values(MSG)) {
+      expect(validate({ type })).not.toBe(`unknown type ${type}`);
+    }
+  });
+
+  it("should turn down rolls with too many or made-up values", () => {
+    const roll = createRoll();
+    roll.setResults[0].values = Array(10000).fill(1);
+    expect(validate(roll)).toBe(
+      "dice-roll.setResults[0].values must be a list of at most 100",
+    );
+
+    roll.setResults[0].values = [4, "six"];
+    expect(validate(roll)).toMatch(/^dice-roll\.setResults\[0\]\.values\[1\]/);
+
+    roll.setResults[0].values = [4, 5];
+    roll.setResults[0].faces = [{ label: "+", value: "lots" }];
+    expect(validate(roll)).toBe(
+      "dice-roll.setResults[0].faces[0].value must be a number",
+    );
+  });
+
+  it("should check every term of a notation roll", () => {
+    const notation = {
+      ...evaluateNotation(parseNotation("4d6kh3-2"), () => 3),
+      holderId: "alice",
+      holderUsername: "Alice",
+    };
+    const roll = createRoll({ setResults: [], notation });
+    expect(validate(roll)).toBeNull();
+
+    notation.terms[0].rolls[1] = { value: 9, kept: true };
+    expect(validate(roll)).toBe(
+      "dice-roll.notation.terms[0].rolls can't be higher than the dice's sides",
+    );
+
+    delete notation.terms[0].rolls;
+    expect(validate(roll)).toBe(
+      "dice-roll.notation.terms[0].rolls must be a list of at most 100",
+    );
+
+    notation.terms = [{ type: "modifier", sign: "+", value: 2, total: 2 }];
+    expect(validate(roll)).toMatch(/^dice-roll\.notation\.terms\[0\]\.sign/);
+  });
+
+  it("should only take hex colours for dice", () => {
+    const roll = createRoll();
+    roll.setResults[0].color = '#fff" onmouseover="alert(1)';
+    expect(validate(roll)).toBe(
+      "dice-roll.setResults[0].color must be a colour such as #ff0000",
+    );
+
+    roll.setResults[0].color = "#f00";
+    expect(validate(roll)).toBe(
+      "dice-roll.setResults[0].color must be a colour such as #ff0000",
+    );
+  });
+
+  it("should turn down rolls made in someone else's name", () => {
+    expect(validate(createRoll(), { fromPeerId: "mallory" })).toBe(
+      "dice-roll is not from alice",
+    );
+    expect(
+      validate(
+        {
+          type: MSG.SECRET_ROLL_REVEAL,
+          roll: createRoll({ revealed: true }),
+        },
+        { fromPeerId: "mallory" },
+      ),
+    ).toBe("secret-roll-reveal is not from alice");
+  });
+
+  it("should check rolls passed on in a welcome", () => {
+    const roll = createRoll();
+    roll.setResults[0].holderUsername = { name: "Alice" };
+    expect(
+      validate({ type: MSG.WELCOME, state: { rollHistory: [roll] } }),
+    ).toMatch(/^welcome\.state\.rollHistory\[0\]\.setResults\[0\]/);
+  });
+
+  it("should only take history entries of a known type", () => {
+    const blindRound = {
+      type: BLIND_ROUND_ENTRY,
+      rollId: "round-1",
+      clock: 3,
+      timestamp: 1700000000000,
+      blindRound: {
+        expression: "2d6",
+        complete: false,
+        participants: [
+          {
+            peerId: "alice",
+            username: "Alice",
+            committed: true,
+            failed: false,
+          },
+        ],
+      },
+    };
+    const welcome = (entry) => ({
+      type: MSG.WELCOME,
+      state: { rollHistory: [entry] },
+    });
+
+    expect(validate(welcome(blindRound))).toBeNull();
+    expect(validate(welcome({ ...blindRound, type: undefined }))).toMatch(
+      /^welcome\.state\.rollHistory\[0\]\.type must be one of /,
+    );
+    expect(
+      validate({
+        type: MSG.STATE_ENTRIES,
+        rolls: [{ rollId: "roll-2", setResults: "<img>" }],
+      }),
+    ).toMatch(/^state-entries\.rolls\[0\]\.type must be one of /);
+  });
+
+  it("should only take a HELLO without a key from peers that don't sign", () => {
+    const hello = { type: MSG.HELLO, username: "Alice" };
+    expect(validate({ ...hello, protocolVersion: PROTOCOL_VERSION })).toBe(
+      "hello.publicKey must be an object",
+    );
+    expect(validate({ ...hello, protocolVersion: 5 })).toBeNull();
+  });
+
+  it("should leave unknown types to newer peers only", () => {
+    const message = { type: "emote", emoji: "🎲" };
+    expect(validate(message)).toBe("unknown type emote");
+    expect(validate(message, { peerVersion: PROTOCOL_VERSION + 1 })).toBeNull();
+  });
+
+  it("should leave strategy messages to the strategies", () => {
+    expect(validate({ type: "dice:grab", setId: 42 })).toBeNull();
+  });
+
+  it("should turn down messages that aren't objects", () => {
+    expect(validate(null)).toBe("message must be an object with a type");
+    expect(validate([MSG.HELLO])).toBe("message must be an object with a type");
+  });
+});
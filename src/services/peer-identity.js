@@ -0,0 +1,207 @@
+/**
+ * PeerIdentity - Signs our messages, and checks that other peers' messages
+ * come from who they claim to
+ *
+ * Every session makes an ECDSA P-256 key pair. The public key goes out in
+ * HELLO, and every message we send carries a signature over the rest of it:
+ *
+ * Sender                                              Receiver
+ *   HELLO { username, protocolVersion, publicKey, signature } ─────▶  keeps the key
+ *   { ...message, signature }                              ─────▶  checks it
+ *
+ * Keys come from the peer's own HELLO, or second hand in PEER_JOINED and
+ * WELCOME for peers we have no link to. A key from the peer itself always
+ * replaces one we were given, but a key we were given never replaces one we
+ * already have. If peers give us different keys for the same peer, we can't
+ * tell which is right, so we use neither until the peer sends us its own. A
+ * message from a peer whose key we know must be signed with it, and a key is
+ * only dropped when the peer leaves. Peers on protocol versions before 6
+ * don't sign, so their messages are let through as long as we have no key
+ * for them; a peer on a later version needs one.
+ */
+
+const ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+const SIGNATURE = { name: "ECDSA", hash: "SHA-256" };
+
+export class PeerIdentity {
+  constructor() {
+    this.keyPair = null;
+    this.publicKey = null; // Our public key as a JWK
+    this.keys = new Map(); // peerId -> { jwk, key: Promise<CryptoKey>, direct }
+    this.disputed = new Set(); // Peers we were given different keys for
+    this.ready = null;
+  }
+
+  /**
+   * Make this session's key pair. The private key can't be exported.
+   * @returns {Promise<void>}
+   */
+  init() {
+    this.ready ??= (async () => {
+      this.keyPair = await crypto.subtle.generateKey(ALGORITHM, false, [
+        "sign",
+        "verify",
+      ]);
+      const { kty, crv, x, y } = await crypto.subtle.exportKey(
+        "jwk",
+        this.keyPair.publicKey,
+      );
+      this.publicKey = { kty, crv, x, y };
+    })();
+    return this.ready;
+  }
+
+  /**
+   * Our public key, or null until init() has finished.
+   * @returns {object|null} JWK
+   */
+  getPublicKey() {
+    return this.publicKey;
+  }
+
+  /**
+   * Sign a message with our private key.
+   * @returns {Promise<object>} The message with a `signature`
+   */
+  async sign(message) {
+    // As it is now, should it change while we wait, and without any
+    // signature it had
+    const { signature: _, ...signed } = message;
+    const data = encode(signed);
+
+    await this.init();
+    const signature = await crypto.subtle.sign(
+      SIGNATURE,
+      this.keyPair.privateKey,
+      data,
+    );
+    return { ...signed, signature: bytesToBase64(signature) };
+  }
+
+  /**
+   * Keep a peer's public key.
+   * @param {string} peerId
+   * @param {object|null} jwk - The key, or null if the peer has none
+   * @param {object} [options]
+   * @param {boolean} [options.direct] - Whether the peer sent it itself
+   */
+  addKey(peerId, jwk, { direct = false } = {}) {
+    // Without WebCrypto (pages not served over HTTPS) nothing can be checked
+    if (!crypto.subtle || !jwk) return;
+
+    const known = this.keys.get(peerId);
+    if (direct) {
+      this.disputed.delete(peerId);
+    } else if (known?.direct || this.disputed.has(peerId)) {
+      return;
+    } else if (known && !sameKey(known.jwk, jwk)) {
+      console.warn(`Peers disagree on ${peerId}'s key, not using either`);
+      this.keys.delete(peerId);
+      this.disputed.add(peerId);
+      return;
+    }
+
+    if (known && sameKey(known.jwk, jwk)) {
+      known.direct ||= direct;
+      return;
+    }
+
+    const key = crypto.subtle.importKey("jwk", jwk, ALGORITHM, false, [
+      "verify",
+    ]);
+    key.catch(() => {}); // Turns up as a failed check
+    this.keys.set(peerId, { jwk, key, direct });
+  }
+
+  /**
+   * A peer's public key, or null if we don't have one.
+   * @returns {object|null} JWK
+   */
+  getKey(peerId) {
+    return this.keys.get(peerId)?.jwk ?? null;
+  }
+
+  /**
+   * Every public key we have, for a peer joining the room.
+   * @returns {object} peerId -> JWK
+   */
+  getKeys() {
+    return Object.fromEntries(
+      [...this.keys].map(([peerId, { jwk }]) => [peerId, jwk]),
+    );
+  }
+
+  forget(peerId) {
+    this.keys.delete(peerId);
+    this.disputed.delete(peerId);
+  }
+
+  /**
+   * Check that a message was signed by the peer it is from.
+   * @param {string} peerId
+   * @param {object} message
+   * @param {object} [options]
+   * @param {boolean} [options.signs] - Whether the peer's protocol signs
+   *   messages, so it must have sent us its key
+   * @returns {Promise<string|null>} Why the message is rejected, or null if
+   *   it's fine
+   */
+  async verify(peerId, message, { signs = false } = {}) {
+    const known = this.keys.get(peerId);
+    if (!known) {
+      return signs && crypto.subtle
+        ? `${message.type} from ${peerId} can't be checked, we have no key for it`
+        : null;
+    }
+
+    const { signature, ...signed } = message;
+    if (typeof signature !== "string") {
+      return `${message.type} from ${peerId} is not signed`;
+    }
+
+    const valid = await known.key
+      .then((key) =>
+        crypto.subtle.verify(
+          SIGNATURE,
+          key,
+          base64ToBytes(signature),
+          encode(signed),
+        ),
+      )
+      .catch(() => false);
+    return valid
+      ? null
+      : `${message.type} signature doesn't match ${peerId}'s key`;
+  }
+}
+
+/**
+ * The bytes that are signed: the message as JSON, with object keys sorted
+ * so the signature survives fields being reordered on the way.
+ */
+function encode(message) {
+  const json = JSON.stringify(message, (key, value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(
+          Object.entries(value).sort(([a], [b]) => (a < b ? -1 : 1)),
+        )
+      : value,
+  );
+  return new TextEncoder().encode(json);
+}
+
+function sameKey(a, b) {
+  return a.x === b.x && a.y === b.y && a.crv === b.crv;
+}
+
+function bytesToBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function base64ToBytes(text) {
+  try {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  } catch {
+    return new Uint8Array();
+  }
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { PeerIdentity } from "./peer-identity.js";
+
+const roll = { type: "dice-roll", rollId: "roll-1", total: 7 };
+
+describe("PeerIdentity", () => {
+  let alice;
+  let mallory;
+  let bob;
+
+  beforeEach(async () => {
+    alice = new PeerIdentity();
+    mallory = new PeerIdentity();
+    bob = new PeerIdentity();
+    await Promise.all([alice.init(), mallory.init(), bob.init()]);
+  });
+
+  it("should accept a message signed with the sender's key, in any field order", async () => {
+    bob.addKey("alice", alice.getPublicKey(), { direct: true });
+    const { signature } = await alice.sign(roll);
+
+    const received = { total: 7, rollId: "roll-1", type: "dice-roll" };
+    expect(await bob.verify("alice", { ...received, signature })).toBeNull();
+  });
+
+  it("should turn down messages that are changed, unsigned or signed by another key", async () => {
+    bob.addKey("alice", alice.getPublicKey(), { direct: true });
+    const signed = await alice.sign(roll);
+
+    expect(await bob.verify("alice", { ...signed, total: 12 })).toMatch(
+      /doesn't match/,
+    );
+    expect(await bob.verify("alice", roll)).toMatch(/not signed/);
+    expect(await bob.verify("alice", await mallory.sign(roll))).toMatch(
+      /doesn't match/,
+    );
+  });
+
+  it("should let messages through from peers it has no key for", async () => {
+    expect(await bob.verify("carol", roll)).toBeNull();
+  });
+
+  it("should not let a key it was given replace one it has", async () => {
+    bob.addKey("alice", alice.getPublicKey(), { direct: true });
+    bob.addKey("alice", mallory.getPublicKey());
+
+    expect(await bob.verify("alice", await alice.sign(roll))).toBeNull();
+    expect(await bob.verify("alice", await mallory.sign(roll))).toMatch(
+      /doesn't match/,
+    );
+  });
+
+  it("should use neither of two keys it was given for a peer until the peer sends its own", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    bob.addKey("alice", mallory.getPublicKey());
+    bob.addKey("alice", alice.getPublicKey());
+    bob.addKey("alice", mallory.getPublicKey());
+    expect(bob.getKey("alice")).toBeNull();
+
+    // Alice's own HELLO settles it
+    bob.addKey("alice", alice.getPublicKey(), { direct: true });
+    bob.addKey("alice", mallory.getPublicKey());
+    expect(await bob.verify("alice", await alice.sign(roll))).toBeNull();
+    expect(await bob.verify("alice", await mallory.sign(roll))).toMatch(
+      /doesn't match/,
+    );
+  });
+
+  it("should keep checking a peer whose HELLO has no key", async () => {
+    bob.addKey("alice", alice.getPublicKey(), { direct: true });
+    bob.addKey("alice", null, { direct: true });
+
+    expect(await bob.verify("alice", roll)).toMatch(/not signed/);
+  });
+
+  it("should only let unsigned messages through from peers that don't sign", async () => {
+    expect(await bob.verify("carol", roll)).toBeNull();
+    expect(await bob.verify("carol", roll, { signs: true })).toMatch(/no key/);
+  });
+});
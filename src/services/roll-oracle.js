@@ -0,0 +1,268 @@
+/**
+ * RollOracle - Server-signed rolls for rooms in "server" roll mode
+ *
+ * Roller                      Signaling server
+ *   request-roll { requestId } ──────▶  picks a seed, signs it
+ *        ◀────── roll-signed { requestId, payload, signature }
+ *   DICE_ROLL { ..., fairness: { mode: "server", payload, signature } } ──▶ peers
+ *
+ * The signed payload is { roomId, peerId, requestId, sequence, seed, issuedAt }.
+ * Peers check the signature against the key from /api/roll-key, then re-derive
+ * the dice values from the seed. The per-peer sequence shows when a player
+ * threw away a signed roll they didn't like.
+ *
+ * Offers the same interface as FairRollCoordinator, so strategies can use either.
+ */
+import { getApiBaseUrl } from "../config.js";
+import {
+  VERIFICATION,
+  createProofRoller,
+  checkRollResults,
+} from "../features/dice-rolling/fairness/FairRoll.js";
+
+// How long we wait for the server to sign a roll
+const REQUEST_TIMEOUT = 5000;
+
+// How many signed rolls we remember (for spotting replays)
+const MAX_REMEMBERED_ROLLS = 500;
+
+/**
+ * Fetch and import the server's roll signing key.
+ * @returns {Promise<CryptoKey>}
+ */
+async function fetchRollKey() {
+  const response = await fetch(`${getApiBaseUrl()}/api/roll-key`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch roll key: ${response.status}`);
+  }
+  const { publicKey } = await response.json();
+  return crypto.subtle.importKey(
+    "jwk",
+    publicKey,
+    { name: "ECDSA", namedCurve: "P-256" },
+    false,
+    ["verify"],
+  );
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+export class RollOracle {
+  /**
+   * @param {object} options
+   * @param {EventTarget} options.signaling - Signaling client ({ requestRoll(id) } + server events)
+   * @param {function} options.getRoomId - Current room ID
+   * @param {function} options.getDiceStore - The DiceStore holding the room's dice config
+   * @param {function} [options.getKey] - Resolves to the server's public CryptoKey
+   * @param {number} [options.timeout] - Request timeout in ms
+   */
+  constructor({ signaling, getRoomId, getDiceStore, getKey, timeout }) {
+    this.signaling = signaling;
+    this.getRoomId = getRoomId;
+    this.getDiceStore = getDiceStore;
+    this.fetchKey = getKey ?? fetchRollKey;
+    this.timeout = timeout ?? REQUEST_TIMEOUT;
+
+    this.keyPromise = null;
+    this.keyChecked = false; // A signature has checked out against our key
+    this.seen = new Map(); // `${peerId}:${requestId}` -> { rollId, inSequence }
+    this.sequences = new Map(); // peerId -> { last, hidden: Set of secret roll sequences }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // ROLLER SIDE
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Ask the server for a signed seed.
+   *
+   * @returns {Promise<{ proof: object, createRoller: function }>}
+   * @throws {Error} If the server can't be reached or refuses to sign
+   */
+  acquire() {
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.signaling.removeEventListener("roll-signed", onSigned);
+        this.signaling.removeEventListener("roll-failed", onFailed);
+      };
+      const onSigned = ({ detail }) => {
+        if (detail.requestId !== requestId) return;
+        cleanup();
+
+        const { payload, signature } = detail;
+        const { seed } = JSON.parse(payload);
+        const proof = { mode: "server", payload, signature };
+        resolve({
+          proof,
+          createRoller: (label) =>
+            createProofRoller(
+              { id: requestId, seeds: { server: seed } },
+              label,
+            ),
+        });
+      };
+      const onFailed = ({ detail }) => {
+        if (detail.requestId !== requestId) return;
+        cleanup();
+        reject(new Error(`Server refused to sign roll: ${detail.reason}`));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error("Timed out waiting for a signed roll"));
+      }, this.timeout);
+
+      this.signaling.addEventListener("roll-signed", onSigned);
+      this.signaling.addEventListener("roll-failed", onFailed);
+
+      if (!this.signaling.requestRoll(requestId)) {
+        cleanup();
+        reject(new Error("Not connected to the server"));
+      }
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // VERIFICATION
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Check a roll message against the server's signature.
+   * Rolls must be checked in the order they were made, for the sequence check.
+   *
+   * @param {object} roll - DICE_ROLL message, or a redacted secret roll
+   * @returns {Promise<string|null>} A VERIFICATION status; unsigned rolls are
+   *   unverified, redacted secret rolls have nothing to check (null)
+   */
+  async verifyRoll(roll) {
+    const proof = roll.fairness;
+    if (roll.redacted) {
+      if (proof?.mode === "server") {
+        this.#checkSequence(roll.holderId, proof.sequence, { hidden: true });
+      }
+      return null;
+    }
+    if (proof?.mode !== "server") return VERIFICATION.UNVERIFIED;
+
+    let signed;
+    try {
+      signed = JSON.parse(proof.payload);
+    } catch {
+      return VERIFICATION.FAILED;
+    }
+
+    let valid;
+    try {
+      valid = await this.#checkSignature(proof);
+      // The server may have restarted with a new key since we fetched ours.
+      // Fetch it again, but not twice before a signature checks out.
+      if (!valid && this.keyChecked) {
+        this.keyChecked = false;
+        this.keyPromise = null;
+        valid = await this.#checkSignature(proof);
+      }
+    } catch (error) {
+      console.warn("Can't check signed roll:", error);
+      return VERIFICATION.UNVERIFIED;
+    }
+    if (!valid) return VERIFICATION.FAILED;
+    this.keyChecked = true;
+
+    // The seed must have been issued to this roller, in this room, for this roll only
+    const rollerIds = roll.notation
+      ? [roll.notation.holderId]
+      : (roll.setResults || []).map((sr) => sr.holderId);
+    const seenKey = `${signed.peerId}:${signed.requestId}`;
+    const seen = this.seen.get(seenKey);
+    if (
+      signed.roomId !== this.getRoomId() ||
+      rollerIds.some((id) => id !== signed.peerId) ||
+      (seen && seen.rollId !== roll.rollId)
+    ) {
+      return VERIFICATION.FAILED;
+    }
+
+    const proofSeeds = {
+      id: signed.requestId,
+      seeds: { server: signed.seed },
+    };
+    if (!(await checkRollResults(roll, proofSeeds, this.getDiceStore()))) {
+      return VERIFICATION.FAILED;
+    }
+
+    // A gap means the roller asked for a roll they didn't show us.
+    // Checking the same roll again (e.g. a revealed secret roll) keeps its verdict.
+    const inSequence =
+      seen?.inSequence ?? this.#checkSequence(signed.peerId, signed.sequence);
+    this.#remember(seenKey, { rollId: roll.rollId, inSequence });
+
+    return inSequence ? VERIFICATION.VERIFIED : VERIFICATION.UNVERIFIED;
+  }
+
+  /**
+   * What everyone may see of a secret roll's proof: only its sequence number,
+   * so the roll doesn't look discarded while its values are hidden.
+   *
+   * @param {object} proof
+   * @returns {object|undefined}
+   */
+  redactProof(proof) {
+    if (proof?.mode !== "server") return undefined;
+    return { mode: "server", sequence: JSON.parse(proof.payload).sequence };
+  }
+
+  /**
+   * Record a peer's sequence number.
+   * @returns {boolean} false if rolls are missing before it
+   */
+  #checkSequence(peerId, sequence, { hidden = false } = {}) {
+    if (!this.sequences.has(peerId)) {
+      this.sequences.set(peerId, { last: undefined, hidden: new Set() });
+    }
+    const entry = this.sequences.get(peerId);
+    const { last } = entry;
+    if (hidden) entry.hidden.add(sequence);
+    if (last === undefined || sequence > last) entry.last = sequence;
+
+    // Secret rolls are revealed after later rolls, out of order
+    return (
+      last === undefined ||
+      sequence === last + 1 ||
+      (sequence <= last && entry.hidden.has(sequence))
+    );
+  }
+
+  async #checkSignature({ payload, signature }) {
+    const key = await this.#getKey();
+    return crypto.subtle
+      .verify(
+        { name: "ECDSA", hash: "SHA-256" },
+        key,
+        base64ToBytes(signature),
+        new TextEncoder().encode(payload),
+      )
+      .catch(() => false);
+  }
+
+  #getKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = this.fetchKey().catch((error) => {
+        // Try again on the next roll
+        this.keyPromise = null;
+        throw error;
+      });
+    }
+    return this.keyPromise;
+  }
+
+  #remember(seenKey, entry) {
+    this.seen.set(seenKey, entry);
+    while (this.seen.size > MAX_REMEMBERED_ROLLS) {
+      this.seen.delete(this.seen.keys().next().value);
+    }
+  }
+}
@@ -0,0 +1,231 @@
+import { describe, it, expect, beforeAll } from "vitest";
+import { RollOracle } from "./roll-oracle.js";
+import { VERIFICATION } from "../features/dice-rolling/fairness/FairRoll.js";
+import {
+  normalizeRules,
+  rollSetWithRules,
+} from "../features/dice-rolling/rules/DiceRules.js";
+
+let keys;
+
+beforeAll(async () => {
+  keys = await crypto.subtle.generateKey(
+    { name: "ECDSA", namedCurve: "P-256" },
+    false,
+    ["sign", "verify"],
+  );
+});
+
+/**
+ * Stand-in for the signaling server: signs every roll request like server.js.
+ */
+function createServer({ roomId = "1234", peerId = "alice" } = {}) {
+  const signaling = new EventTarget();
+  let sequence = 0;
+
+  // Swapping the keys stands in for a restart; sequences live on in storage
+  signaling.keys = keys;
+  signaling.skip = () => sequence++;
+  signaling.requestRoll = (requestId) => {
+    const payload = JSON.stringify({
+      roomId,
+      peerId,
+      requestId,
+      sequence: ++sequence,
+      seed: "ab".repeat(32),
+      issuedAt: Date.now(),
+    });
+    crypto.subtle
+      .sign(
+        { name: "ECDSA", hash: "SHA-256" },
+        signaling.keys.privateKey,
+        new TextEncoder().encode(payload),
+      )
+      .then((signature) => {
+        const detail = {
+          requestId,
+          payload,
+          signature: btoa(String.fromCharCode(...new Uint8Array(signature))),
+        };
+        signaling.dispatchEvent(new CustomEvent("roll-signed", { detail }));
+      });
+    return true;
+  };
+
+  return signaling;
+}
+
+function createOracle(signaling) {
+  return new RollOracle({
+    signaling,
+    getRoomId: () => "1234",
+    getDiceStore: () => null,
+    getKey: async () => keys.publicKey,
+    timeout: 50,
+  });
+}
+
+/**
+ * Roll a d6 set with the signed randomness, as a strategy would.
+ */
+async function rollSet(randomness, rollId = "roll-1") {
+  const rolled = rollSetWithRules(
+    {
+      sides: 6,
+      rules: normalizeRules(),
+      currentValues: [1, 1],
+      indices: [0, 1],
+    },
+    await randomness.createRoller("set-1"),
+  );
+  return {
+    rollId,
+    fairness: randomness.proof,
+    setResults: [
+      {
+        setId: "set-1",
+        sides: 6,
+        values: rolled.values,
+        rolledIndices: [0, 1],
+        holderId: "alice",
+      },
+    ],
+  };
+}
+
+describe("RollOracle", () => {
+  it("should verify rolls made from a signed seed", async () => {
+    const server = createServer();
+    const roll = await rollSet(await createOracle(server).acquire());
+
+    expect(await createOracle(server).verifyRoll(roll)).toBe(
+      VERIFICATION.VERIFIED,
+    );
+  });
+
+  it("should reject altered values", async () => {
+    const server = createServer();
+    const roll = await rollSet(await createOracle(server).acquire());
+    const [first, ...rest] = roll.setResults[0].values;
+    roll.setResults[0].values = [(first % 6) + 1, ...rest];
+
+    expect(await createOracle(server).verifyRoll(roll)).toBe(
+      VERIFICATION.FAILED,
+    );
+  });
+
+  it("should reject a tampered payload", async () => {
+    const server = createServer();
+    const roll = await rollSet(await createOracle(server).acquire());
+    roll.fairness = {
+      ...roll.fairness,
+      payload: roll.fairness.payload.replace(
+        '"roomId":"1234"',
+        '"roomId":"9999"',
+      ),
+    };
+
+    expect(await createOracle(server).verifyRoll(roll)).toBe(
+      VERIFICATION.FAILED,
+    );
+  });
+
+  it("should reject seeds issued to another player or room", async () => {
+    const fromBob = await rollSet(
+      await createOracle(createServer({ peerId: "bob" })).acquire(),
+    );
+    const otherRoom = await rollSet(
+      await createOracle(createServer({ roomId: "5555" })).acquire(),
+    );
+    const verifier = createOracle(createServer());
+
+    expect(await verifier.verifyRoll(fromBob)).toBe(VERIFICATION.FAILED);
+    expect(await verifier.verifyRoll(otherRoom)).toBe(VERIFICATION.FAILED);
+  });
+
+  it("should reject a signed seed reused for another roll", async () => {
+    const server = createServer();
+    const randomness = await createOracle(server).acquire();
+    const verifier = createOracle(server);
+
+    expect(await verifier.verifyRoll(await rollSet(randomness, "a"))).toBe(
+      VERIFICATION.VERIFIED,
+    );
+    expect(await verifier.verifyRoll(await rollSet(randomness, "b"))).toBe(
+      VERIFICATION.FAILED,
+    );
+  });
+
+  it("should flag a roll after a skipped sequence number", async () => {
+    const server = createServer();
+    const roller = createOracle(server);
+    const verifier = createOracle(server);
+
+    await verifier.verifyRoll(await rollSet(await roller.acquire(), "a"));
+    server.skip();
+
+    expect(
+      await verifier.verifyRoll(await rollSet(await roller.acquire(), "b")),
+    ).toBe(VERIFICATION.UNVERIFIED);
+  });
+
+  it("should accept a secret roll revealed after later rolls", async () => {
+    const server = createServer();
+    const roller = createOracle(server);
+    const verifier = createOracle(server);
+
+    await verifier.verifyRoll(await rollSet(await roller.acquire(), "a"));
+    const secret = await rollSet(await roller.acquire(), "b");
+    const redacted = {
+      rollId: "b",
+      redacted: true,
+      holderId: "alice",
+      fairness: roller.redactProof(secret.fairness),
+    };
+
+    expect(await verifier.verifyRoll(redacted)).toBeNull();
+    expect(
+      await verifier.verifyRoll(await rollSet(await roller.acquire(), "c")),
+    ).toBe(VERIFICATION.VERIFIED);
+    expect(await verifier.verifyRoll(secret)).toBe(VERIFICATION.VERIFIED);
+  });
+
+  it("should fetch the key again when the server signs with a new one", async () => {
+    const server = createServer();
+    const roller = createOracle(server);
+    let fetches = 0;
+    const verifier = new RollOracle({
+      signaling: server,
+      getRoomId: () => "1234",
+      getDiceStore: () => null,
+      getKey: async () => (fetches++, server.keys.publicKey),
+    });
+
+    await verifier.verifyRoll(await rollSet(await roller.acquire(), "a"));
+    server.keys = await crypto.subtle.generateKey(
+      { name: "ECDSA", namedCurve: "P-256" },
+      false,
+      ["sign", "verify"],
+    );
+    expect(
+      await verifier.verifyRoll(await rollSet(await roller.acquire(), "b")),
+    ).toBe(VERIFICATION.VERIFIED);
+    expect(fetches).toBe(2);
+
+    // A bad signature only makes us fetch again once a good one has come
+    const forged = await rollSet(await roller.acquire(), "c");
+    forged.fairness = { ...forged.fairness, signature: btoa("forged") };
+    expect(await verifier.verifyRoll(forged)).toBe(VERIFICATION.FAILED);
+    expect(await verifier.verifyRoll(forged)).toBe(VERIFICATION.FAILED);
+    expect(fetches).toBe(3);
+  });
+
+  it("should fail to acquire when the server doesn't answer", async () => {
+    const signaling = new EventTarget();
+    signaling.requestRoll = () => true;
+
+    await expect(createOracle(signaling).acquire()).rejects.toThrow(
+      "Timed out",
+    );
+  });
+});
@@ -1,6 +1,7 @@
 /**
  * SignalingClient - Handles WebSocket connection for mesh topology signaling
- * Handles: peer ID assignment, room queries, room creation/joining, and WebRTC signaling
+ * Handles: peer ID assignment, room queries, room creation/joining, WebRTC signaling,
+ * and relaying data messages for peers that can't connect directly
  */
 
 import { getWebSocketUrl } from "../config.js";
@@ -8,6 +9,14 @@ import { getWebSocketUrl } from "../config.js";
 // Heartbeat interval (should be less than server's SESSION_EXPIRY)
 const HEARTBEAT_INTERVAL = 30000; // 30 seconds
 
+// Relayed data messages longer than this are sent in parts, to stay under
+// the server's 64KB message limit (must match RELAY_LIMIT in server.js)
+const RELAY_PART_LENGTH = 16 * 1024; // Characters, at most 3 bytes each
+const MAX_RELAY_PARTS = 16;
+
+// Relayed messages being put together at once (oldest are dropped)
+const MAX_PARTIAL_RELAYS = 8;
+
 export class SignalingClient extends EventTarget {
   constructor() {
     super();
@@ -19,6 +28,7 @@ export class SignalingClient extends EventTarget {
     this._connectPromise = null;
     this._heartbeatInterval = null;
     this._sessionToken = null;
+    this._relayParts = new Map(); // `${fromPeerId}:${id}` -> parts so far
   }
 
   /**
@@ -206,10 +216,40 @@ export class SignalingClient extends EventTarget {
   }
 
   handleMessage(message) {
+    if (message.type === "relay" && message.part) {
+      this.takeRelayPart(message.fromPeerId, message.part);
+      return;
+    }
     // Dispatch all messages as events - let the app handle them
     this.dispatchEvent(new CustomEvent(message.type, { detail: message }));
   }
 
+  // Put a relayed message sent in parts together, and dispatch it once
+  // every part is in
+  takeRelayPart(fromPeerId, { id, index, count, text }) {
+    const key = `${fromPeerId}:${id}`;
+    let parts = this._relayParts.get(key);
+    if (!parts) {
+      parts = new Array(count);
+      this._relayParts.set(key, parts);
+      if (this._relayParts.size > MAX_PARTIAL_RELAYS) {
+        this._relayParts.delete(this._relayParts.keys().next().value);
+      }
+    }
+    if (parts.length !== count || !Number.isInteger(index)) return;
+    if (index < 0 || index >= count || typeof text !== "string") return;
+    parts[index] = text;
+    if (parts.includes(undefined)) return;
+
+    this._relayParts.delete(key);
+    try {
+      const data = JSON.parse(parts.join(""));
+      this.handleMessage({ type: "relay", fromPeerId, data });
+    } catch {
+      console.warn(`Dropped a relayed message from ${fromPeerId} in bad parts`);
+    }
+  }
+
   /**
    * Send a message to the server
    * @returns {boolean} true if message was sent, false if not connected
@@ -269,6 +309,11 @@ export class SignalingClient extends EventTarget {
     return success;
   }
 
+  // Ask the server for a signed roll seed (rooms in "server" roll mode)
+  requestRoll(requestId) {
+    return this.send({ type: "request-roll", requestId });
+  }
+
   // WebRTC signaling
   sendOffer(targetPeerId, offer) {
     return this.send({ type: "offer", targetPeerId, offer });
@@ -282,6 +327,35 @@ export class SignalingClient extends EventTarget {
     return this.send({ type: "ice-candidate", targetPeerId, candidate });
   }
 
+  // Data message for a peer in our room, through the server. Arrives as a
+  // "relay" event: { fromPeerId, data }. Long messages go in parts.
+  sendRelay(targetPeerId, data) {
+    const text = JSON.stringify(data);
+    if (text.length <= RELAY_PART_LENGTH) {
+      return this.send({ type: "relay", targetPeerId, data });
+    }
+
+    const count = Math.ceil(text.length / RELAY_PART_LENGTH);
+    if (count > MAX_RELAY_PARTS) {
+      console.warn(`Message too long to relay to ${targetPeerId}`);
+      return false;
+    }
+    const id = crypto.randomUUID();
+    for (let index = 0; index < count; index++) {
+      const part = {
+        id,
+        index,
+        count,
+        text: text.slice(
+          index * RELAY_PART_LENGTH,
+          (index + 1) * RELAY_PART_LENGTH,
+        ),
+      };
+      if (!this.send({ type: "relay", targetPeerId, part })) return false;
+    }
+    return true;
+  }
+
   disconnect() {
     this.stopHeartbeat();
     if (this.ws) {
@@ -292,6 +366,7 @@ export class SignalingClient extends EventTarget {
     this.peerId = null;
     this.roomId = null;
     this._connectPromise = null;
+    this._relayParts.clear();
   }
 
   // Reset reconnection state (useful when user explicitly disconnects)
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { SignalingClient } from "./signaling-client.js";
+
+/**
+ * A client on an open socket that records what it sends.
+ */
+function createClient() {
+  const client = new SignalingClient();
+  client.sent = [];
+  client.ws = {
+    readyState: WebSocket.OPEN,
+    send: (text) => client.sent.push(JSON.parse(text)),
+  };
+  return client;
+}
+
+// What the server passes on for a relay message from `fromPeerId`
+const forward = (fromPeerId, { data, part }) =>
+  part
+    ? { type: "relay", fromPeerId, part }
+    : { type: "relay", fromPeerId, data };
+
+describe("SignalingClient relay", () => {
+  let alice;
+  let bob;
+  let received;
+
+  beforeEach(() => {
+    alice = createClient();
+    bob = createClient();
+    received = [];
+    bob.addEventListener("relay", (e) => received.push(e.detail));
+  });
+
+  it("should relay short messages whole", () => {
+    const roll = { type: "dice-roll", rollId: "roll-1" };
+
+    expect(alice.sendRelay("bob", roll)).toBe(true);
+    expect(alice.sent).toEqual([
+      { type: "relay", targetPeerId: "bob", data: roll },
+    ]);
+
+    bob.handleMessage(forward("alice", alice.sent[0]));
+    expect(received).toEqual([
+      { type: "relay", fromPeerId: "alice", data: roll },
+    ]);
+  });
+
+  it("should split long messages into parts under the server's limit", () => {
+    const snapshot = { type: "welcome", notes: "é".repeat(40000) };
+
+    expect(alice.sendRelay("bob", snapshot)).toBe(true);
+    expect(alice.sent).toHaveLength(3);
+    for (const message of alice.sent) {
+      expect(
+        new TextEncoder().encode(JSON.stringify(message)).length,
+      ).toBeLessThan(64 * 1024);
+    }
+
+    // Parts may arrive in any order
+    for (const message of alice.sent.reverse()) {
+      bob.handleMessage(forward("alice", message));
+    }
+    expect(received).toEqual([
+      { type: "relay", fromPeerId: "alice", data: snapshot },
+    ]);
+  });
+
+  it("should not relay messages too long for the server to take", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(alice.sendRelay("bob", { notes: "x".repeat(300 * 1024) })).toBe(
+      false,
+    );
+    expect(alice.sent).toEqual([]);
+  });
+
+  it("should drop parts that don't fit the message they claim to be from", () => {
+    alice.sendRelay("bob", { notes: "x".repeat(20000) });
+    const [first, second] = alice.sent;
+
+    bob.handleMessage(forward("alice", first));
+    bob.handleMessage(
+      forward("alice", { part: { ...second.part, count: 3, index: 2 } }),
+    );
+    bob.handleMessage(forward("mallory", second));
+    expect(received).toEqual([]);
+
+    bob.handleMessage(forward("alice", second));
+    expect(received).toHaveLength(1);
+  });
+});
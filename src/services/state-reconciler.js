@@ -0,0 +1,317 @@
+/**
+ * StateReconciler - Heals room state that drifted apart between peers
+ *
+ * Every peer                                    Every other peer
+ *   STATE_DIGEST { rolls, peers, dice, latest } ────▶  compare with its own
+ *              ◀───── STATE_PULL { rollIds?, peers?, dice? }  if they differ
+ *   STATE_ENTRIES { rolls?, peers?, dice? }     ─────▶  take what was missing
+ *
+ * Digests are hashes of the room's roll IDs, its player list and the dice
+ * app's state, sent every few seconds. A peer whose digest differs from ours
+ * is asked for what we don't have: the rolls missing from our history, its
+ * player list, or its dice. Both sides do this, so every peer ends up with
+ * every roll after a partition or reconnect.
+ *
+ * Only rolls are passed on, with their roller's signature, ours signed as
+ * they go. A roll is only taken if we have its roller's key and the
+ * signature holds, so nobody can add rolls in someone else's name. Rolls by
+ * peers that have left, or that don't sign, stay with the peers that saw them.
+ *
+ * Player lists and dice can't simply be merged. We only take in players the
+ * other peer has that we are connected to ourselves, and drop ones it
+ * doesn't unless we are connected to them. Dice are taken from one side
+ * only: the peer with the lower peer ID, once neither has rolls the other
+ * lacks, and only once its dice have stayed the same for a whole digest, so
+ * moves still in flight aren't undone. Peers rank on the latest roll in
+ * their history, which must be one we have, never on a clock they report.
+ * Dice for another strategy than ours are left alone, as strategy changes
+ * have their own message. The dice app checks dice against the room's
+ * config as it loads them.
+ *
+ * Dispatches `rolls-recovered` with `{ rolls }` (oldest first) once rolls
+ * are added to mesh state, and `peers-changed` with `{ added, removed }`.
+ */
+import { MSG } from "./message-router.js";
+
+// How often peers compare digests (ms)
+const DIGEST_INTERVAL = 10000;
+
+export class StateReconciler extends EventTarget {
+  /**
+   * @param {object} options
+   * @param {object} options.router - { sendToPeer(peerId, msg), broadcast(msg) }
+   * @param {MeshState} options.meshState - The room's state
+   * @param {PeerIdentity} options.identity - Signs our rolls and checks others'
+   * @param {function} options.getLocalPeerId - Our own peer ID
+   * @param {function} options.isConnectedTo - (peerId) => whether we have a channel to the peer
+   * @param {function} options.getDiceState - The dice app's state, or null
+   * @param {function} options.loadDiceState - (state) => load another peer's dice
+   * @param {number} [options.interval] - Time between digests in ms
+   */
+  constructor({
+    router,
+    meshState,
+    identity,
+    getLocalPeerId,
+    isConnectedTo,
+    getDiceState,
+    loadDiceState,
+    interval,
+  }) {
+    super();
+    this.router = router;
+    this.meshState = meshState;
+    this.identity = identity;
+    this.getLocalPeerId = getLocalPeerId;
+    this.isConnectedTo = isConnectedTo;
+    this.getDiceState = getDiceState;
+    this.loadDiceState = loadDiceState;
+    this.interval = interval ?? DIGEST_INTERVAL;
+
+    this.timer = null;
+    this.lastDice = new Map(); // peerId -> dice hash from their last digest
+  }
+
+  /**
+   * Start sending digests. Digests from others are ignored until then.
+   */
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.sendDigest(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.lastDice.clear();
+  }
+
+  /**
+   * Forget what we know of a peer that left.
+   * @param {string} peerId
+   */
+  removePeer(peerId) {
+    this.lastDice.delete(peerId);
+  }
+
+  /**
+   * Hashes of our state, to compare with other peers'.
+   */
+  getDigest() {
+    const rollIds = this.#getRolls().map((r) => r.rollId);
+    const peerIds = this.meshState
+      .getPeerList()
+      .map((p) => p.peerId)
+      .sort();
+    return {
+      rolls: hash(rollIds),
+      peers: hash(peerIds),
+      dice: hash(this.getDiceState() ?? null),
+      latest: rollIds[0],
+    };
+  }
+
+  sendDigest() {
+    this.router.broadcast({ type: MSG.STATE_DIGEST, ...this.getDigest() });
+  }
+
+  handleDigest(peerId, digest) {
+    if (!this.timer) return;
+
+    const own = this.getDigest();
+    const pull = {};
+    if (digest.rolls !== own.rolls) {
+      pull.rollIds = this.meshState.getRollHistory().map((r) => r.rollId);
+    }
+    if (digest.peers !== own.peers) {
+      pull.peers = true;
+    }
+
+    const settled = this.lastDice.get(peerId) === digest.dice;
+    this.lastDice.set(peerId, digest.dice);
+    if (digest.dice !== own.dice && settled && this.#outranks(peerId, digest)) {
+      pull.dice = true;
+    }
+
+    if (Object.keys(pull).length > 0) {
+      this.router.sendToPeer(peerId, { type: MSG.STATE_PULL, ...pull });
+    }
+  }
+
+  async handlePull(peerId, { rollIds, peers, dice }) {
+    if (!this.timer) return;
+
+    const reply = {};
+    if (rollIds) {
+      const known = new Set(rollIds);
+      reply.rolls = await Promise.all(
+        this.#getRolls()
+          .filter((r) => !known.has(r.rollId))
+          .reverse()
+          .map((roll) => this.#signOwn(roll)),
+      );
+    }
+    if (peers) {
+      reply.peers = this.meshState
+        .getPeerList()
+        .map(({ peerId, username }) => ({ peerId, username }));
+    }
+    if (dice) {
+      reply.dice = this.getDiceState() ?? undefined;
+    }
+    this.router.sendToPeer(peerId, { type: MSG.STATE_ENTRIES, ...reply });
+  }
+
+  async handleEntries(peerId, { rolls, peers, dice }) {
+    if (!this.timer) return;
+
+    if (rolls) {
+      const signed = [];
+      for (const roll of rolls) {
+        const error = await this.#checkRoller(roll);
+        if (error) {
+          console.warn(`Dropped a roll recovered from ${peerId}: ${error}`);
+        } else {
+          signed.push(roll);
+        }
+      }
+
+      // Rolls older than all of our history are trimmed straight away
+      const added = signed.filter(
+        (roll) =>
+          this.meshState.addRoll(roll) && this.meshState.hasRoll(roll.rollId),
+      );
+      if (added.length > 0) {
+        this.dispatchEvent(
+          new CustomEvent("rolls-recovered", { detail: { rolls: added } }),
+        );
+      }
+    }
+    if (peers) {
+      this.#reconcilePeers(peerId, peers);
+    }
+    if (dice && dice.strategyId === this.getDiceState()?.strategyId) {
+      this.loadDiceState(dice);
+    }
+  }
+
+  /**
+   * The rolls in our history, latest first. Secret rolls and blind rounds
+   * have no roller's signature to check, so they aren't passed on.
+   */
+  #getRolls() {
+    return this.meshState
+      .getRollHistory()
+      .filter((r) => r.type === MSG.DICE_ROLL);
+  }
+
+  /**
+   * Sign a roll of ours that we pass on, so peers can check it's ours.
+   */
+  #signOwn(roll) {
+    if (
+      roll.type !== MSG.DICE_ROLL ||
+      roll.signature ||
+      rollerOf(roll) !== this.getLocalPeerId()
+    ) {
+      return roll;
+    }
+    return this.identity.sign(roll).catch(() => roll);
+  }
+
+  /**
+   * Check that a recovered roll comes from its roller.
+   * @returns {Promise<string|null>} Why it's turned down, or null if it's fine
+   */
+  async #checkRoller(roll) {
+    if (roll.type !== MSG.DICE_ROLL) {
+      return `${roll.rollId} is not a roll`;
+    }
+    if (this.meshState.hasRoll(roll.rollId)) return null;
+
+    const rollerId = rollerOf(roll);
+    if (rollerId === this.getLocalPeerId()) {
+      return `${roll.rollId} is in our name, but we don't have it`;
+    }
+    if (!rollerId || !this.identity.getKey(rollerId)) {
+      return `${roll.rollId} is by a peer we have no key for`;
+    }
+    return this.identity.verify(rollerId, roll);
+  }
+
+  /**
+   * Take in the players another peer has that we can see for ourselves,
+   * and drop the ones it doesn't that we can't.
+   */
+  #reconcilePeers(fromPeerId, peers) {
+    const localId = this.getLocalPeerId();
+    const listed = new Set(peers.map((p) => p.peerId));
+
+    const added = peers.filter(
+      ({ peerId, username }) =>
+        peerId !== localId &&
+        this.isConnectedTo(peerId) &&
+        this.meshState.addPeer(peerId, username),
+    );
+    const removed = this.meshState
+      .getPeerList()
+      .filter(
+        ({ peerId }) =>
+          !listed.has(peerId) &&
+          peerId !== localId &&
+          peerId !== fromPeerId &&
+          !this.isConnectedTo(peerId),
+      );
+    for (const { peerId } of removed) {
+      this.meshState.removePeer(peerId);
+    }
+
+    if (added.length > 0 || removed.length > 0) {
+      this.dispatchEvent(
+        new CustomEvent("peers-changed", { detail: { added, removed } }),
+      );
+    }
+  }
+
+  /**
+   * Whether a peer's dice win over ours: its latest roll is as late as ours
+   * and it has the lower peer ID. A latest roll we don't have yet doesn't
+   * count, we take the rolls first.
+   */
+  #outranks(peerId, digest) {
+    const rolls = this.#getRolls();
+    const theirs = digest.latest
+      ? rolls.find((r) => r.rollId === digest.latest)
+      : null;
+    if (theirs === undefined) return false;
+    if ((theirs?.clock ?? -1) < (rolls[0]?.clock ?? -1)) return false;
+    return peerId < this.getLocalPeerId();
+  }
+}
+
+// Who made a roll
+function rollerOf(roll) {
+  return roll.notation?.holderId ?? roll.setResults?.[0]?.holderId;
+}
+
+/**
+ * Short hash of a JSON value, the same whatever order object keys are in.
+ * Only used to spot differences, so it needn't resist forgery.
+ * @returns {string}
+ */
+function hash(value) {
+  const json = JSON.stringify(value, (key, v) =>
+    v && typeof v === "object" && !Array.isArray(v)
+      ? Object.fromEntries(
+          Object.entries(v).sort(([a], [b]) => (a < b ? -1 : 1)),
+        )
+      : v,
+  );
+
+  // FNV-1a
+  let h = 2166136261;
+  for (let i = 0; i < json.length; i++) {
+    h = Math.imul(h ^ json.charCodeAt(i), 16777619);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
@@ -0,0 +1,237 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { StateReconciler } from "./state-reconciler.js";
+import { MSG } from "./message-router.js";
+import { MeshState } from "../state/mesh-state.js";
+import { PeerIdentity } from "./peer-identity.js";
+import { createMesh } from "./test-mesh.js";
+
+// Keep the real WebRTC singleton (and its network calls) out of these tests
+vi.mock("./webrtc-manager.js", () => ({ webrtcManager: {} }));
+
+const HANDLERS = {
+  [MSG.STATE_DIGEST]: "handleDigest",
+  [MSG.STATE_PULL]: "handlePull",
+  [MSG.STATE_ENTRIES]: "handleEntries",
+};
+
+/**
+ * Reconcilers for the given peers. Each node has its own mesh state, dice
+ * and identity, is connected to every other node and has their keys.
+ */
+async function createReconcilers(peerIds) {
+  const identities = new Map(peerIds.map((p) => [p, new PeerIdentity()]));
+  await Promise.all([...identities.values()].map((i) => i.init()));
+  for (const [peerId, identity] of identities) {
+    for (const [other, { publicKey }] of identities) {
+      if (other !== peerId) identity.addKey(other, publicKey, { direct: true });
+    }
+  }
+
+  return createMesh(
+    peerIds,
+    (peerId, router) => {
+      const meshState = new MeshState();
+      const node = new StateReconciler({
+        router,
+        meshState,
+        identity: identities.get(peerId),
+        getLocalPeerId: () => peerId,
+        isConnectedTo: (other) => peerIds.includes(other),
+        getDiceState: () => node.dice,
+        loadDiceState: (dice) => (node.dice = dice),
+      });
+      node.dice = { strategyId: "grab-hold" };
+      node.recovered = [];
+      node.addEventListener("rolls-recovered", (e) =>
+        node.recovered.push(...e.detail.rolls),
+      );
+      for (const other of peerIds) {
+        meshState.addPeer(other, other.toUpperCase());
+      }
+      node.start();
+      return node;
+    },
+    { handlers: HANDLERS },
+  );
+}
+
+const roll = (rollId, clock, holderId) => ({
+  type: MSG.DICE_ROLL,
+  rollId,
+  clock,
+  setResults: holderId ? [{ setId: "red", values: [3], holderId }] : [],
+});
+const history = (node) => node.meshState.getRollHistory().map((r) => r.rollId);
+
+describe("StateReconciler", () => {
+  let nodes;
+
+  afterEach(() => {
+    for (const node of nodes.values()) node.stop();
+  });
+
+  it("should give every peer the rolls it missed", async () => {
+    nodes = await createReconcilers(["alice", "bob"]);
+    const alice = nodes.get("alice");
+    const bob = nodes.get("bob");
+    alice.meshState.addRoll(roll("roll-a", 1, "alice"));
+    alice.meshState.addRoll(roll("roll-c", 3, "alice"));
+    bob.meshState.addRoll(roll("roll-a", 1, "alice"));
+    bob.meshState.addRoll(roll("roll-b", 2, "bob"));
+
+    alice.sendDigest();
+    bob.sendDigest();
+    await nodes.settle();
+
+    expect(history(alice)).toEqual(["roll-c", "roll-b", "roll-a"]);
+    expect(history(bob)).toEqual(history(alice));
+    expect(alice.recovered.map((r) => r.rollId)).toEqual(["roll-b"]);
+    expect(bob.recovered.map((r) => r.rollId)).toEqual(["roll-c"]);
+    expect(alice.getDigest()).toEqual(bob.getDigest());
+  });
+
+  it("should only take in players it can see, and drop ones nobody can see", async () => {
+    nodes = await createReconcilers(["alice", "bob", "carol"]);
+    const alice = nodes.get("alice");
+    const bob = nodes.get("bob");
+    bob.meshState.removePeer("carol"); // Bob missed her joining
+    bob.meshState.addPeer("dave", "DAVE"); // Bob missed him leaving
+    alice.meshState.addPeer("mallory", "MALLORY"); // Nobody can reach her
+    const changes = [];
+    bob.addEventListener("peers-changed", (e) => changes.push(e.detail));
+
+    alice.sendDigest();
+    await nodes.settle();
+
+    expect(bob.meshState.getPeer("carol")).toEqual(
+      expect.objectContaining({ username: "CAROL" }),
+    );
+    expect(bob.meshState.getPeer("mallory")).toBeNull();
+    expect(bob.meshState.getPeer("dave")).toBeNull();
+    expect(changes).toEqual([
+      {
+        added: [{ peerId: "carol", username: "CAROL" }],
+        removed: [expect.objectContaining({ peerId: "dave" })],
+      },
+    ]);
+  });
+
+  it("should take dice from the lower peer ID once they settle", async () => {
+    nodes = await createReconcilers(["alice", "bob"]);
+    const alice = nodes.get("alice");
+    const bob = nodes.get("bob");
+    bob.dice = { strategyId: "grab-hold", strategyState: { holders: [] } };
+
+    // Dice that just changed may still be on their way
+    alice.sendDigest();
+    bob.sendDigest();
+    await nodes.settle();
+    expect(bob.dice.strategyState).toEqual({ holders: [] });
+
+    alice.sendDigest();
+    bob.sendDigest();
+    await nodes.settle();
+    expect(bob.dice).toEqual({ strategyId: "grab-hold" });
+    expect(alice.dice).toEqual({ strategyId: "grab-hold" });
+  });
+
+  it("should only take dice from a peer with the rolls we have", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    nodes = await createReconcilers(["alice", "bob", "carol"]);
+    const alice = nodes.get("alice");
+    const bob = nodes.get("bob");
+    alice.meshState.addRoll(roll("roll-a", 1, "alice"));
+    alice.meshState.addRoll(roll("roll-d", 2, "dave")); // Bob can't check it
+    bob.meshState.addRoll(roll("roll-a", 1, "alice"));
+    bob.dice = { strategyId: "grab-hold", strategyState: { holders: [] } };
+    const pulls = () =>
+      nodes.sent.filter(({ message }) => message.dice === true);
+
+    for (let i = 0; i < 2; i++) {
+      alice.handleDigest("bob", bob.getDigest());
+      bob.handleDigest("alice", { ...alice.getDigest(), latest: "roll-z" });
+    }
+    await nodes.settle();
+
+    expect(pulls()).toEqual([]);
+    expect(alice.dice).toEqual({ strategyId: "grab-hold" });
+    expect(history(bob)).toEqual(["roll-a"]);
+  });
+
+  it("should leave dice for another strategy alone", async () => {
+    nodes = await createReconcilers(["alice", "bob"]);
+    const bob = nodes.get("bob");
+    bob.dice = { strategyId: "drag-pickup" };
+
+    for (let i = 0; i < 2; i++) {
+      nodes.get("alice").sendDigest();
+      bob.sendDigest();
+      await nodes.settle();
+    }
+
+    expect(bob.dice).toEqual({ strategyId: "drag-pickup" });
+  });
+
+  it("should only take rolls signed by their roller", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    nodes = await createReconcilers(["alice", "bob", "carol"]);
+    const alice = nodes.get("alice");
+    const bob = nodes.get("bob");
+    const carol = nodes.get("carol");
+    const signed = await carol.identity.sign(roll("roll-c", 1, "carol"));
+    alice.meshState.addRoll(roll("roll-a", 2, "alice")); // Signed as it goes
+    alice.meshState.addRoll(signed);
+    alice.meshState.addRoll({ ...signed, rollId: "roll-forged" });
+    alice.meshState.addRoll(roll("roll-unsigned", 3, "carol"));
+    alice.meshState.addRoll(roll("roll-b", 4, "bob")); // Bob never made it
+    alice.meshState.addRoll(roll("roll-d", 5, "dave")); // No key for Dave
+    alice.meshState.addRoll(roll("roll-x", 6)); // Nobody's
+
+    alice.sendDigest();
+    await nodes.settle();
+
+    expect(history(bob)).toEqual(["roll-a", "roll-c"]);
+    const own = bob.meshState
+      .getRollHistory()
+      .find((r) => r.rollId === "roll-a");
+    expect(await bob.identity.verify("alice", own)).toBeNull();
+  });
+
+  it("should only pass on rolls", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    nodes = await createReconcilers(["alice", "bob"]);
+    const alice = nodes.get("alice");
+    const bob = nodes.get("bob");
+    alice.meshState.addRoll({
+      type: MSG.SECRET_ROLL,
+      rollId: "roll-secret",
+      clock: 1,
+      redacted: true,
+      holderId: "alice",
+    });
+
+    alice.sendDigest();
+    await nodes.settle();
+    await bob.handleEntries("alice", {
+      rolls: [{ type: MSG.SECRET_ROLL, rollId: "roll-forged", clock: 2 }],
+    });
+
+    expect(nodes.sent.map(({ message }) => message.type)).toEqual([
+      MSG.STATE_DIGEST,
+    ]);
+    expect(history(bob)).toEqual([]);
+  });
+
+  it("should ignore digests until started", async () => {
+    nodes = await createReconcilers(["alice", "bob"]);
+    const alice = nodes.get("alice");
+    const bob = nodes.get("bob");
+    bob.stop();
+    alice.meshState.addRoll(roll("roll-a", 1, "alice"));
+
+    alice.sendDigest();
+    await nodes.settle();
+
+    expect(history(bob)).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * An in-memory mesh for the services tests. Each peer gets a node, and a
+ * router that hands its messages to the other nodes asynchronously, like a
+ * data channel, as copies.
+ *
+ * @example
+ * const nodes = createMesh(["alice", "bob"], (peerId, router) =>
+ *   new FairRollCoordinator({ router, ... }),
+ * { handlers: { [MSG.FAIR_ROLL_START]: "handleStart", ... } });
+ * await nodes.settle();
+ */
+
+/**
+ * @param {string[]} peerIds
+ * @param {function} createNode - (peerId, router) => the peer's node
+ * @param {object} options
+ * @param {object} [options.handlers] - Message type -> name of the node's
+ *   method that takes it, as (fromPeerId, message)
+ * @param {function} [options.receive] - (node, fromPeerId, message) => hands
+ *   a message to a node, instead of `handlers`
+ * @param {string[]} [options.silent] - Peers that are sent messages but
+ *   never take them in
+ * @returns {Map} peerId -> node, with `sent`, every message sent as
+ *   { from, to, message }, and `settle()`, which waits until every message
+ *   and the ones it led to have been taken in
+ */
+export function createMesh(
+  peerIds,
+  createNode,
+  {
+    handlers,
+    receive = (node, from, message) =>
+      node[handlers[message.type]](from, message),
+    silent = [],
+  },
+) {
+  const nodes = new Map();
+  const sent = [];
+  const inFlight = [];
+
+  const deliver = (from, to, message) => {
+    sent.push({ from, to, message });
+    if (silent.includes(to)) return;
+    const copy = structuredClone(message);
+    inFlight.push(
+      new Promise((resolve) => setTimeout(resolve, 0)).then(
+        () => nodes.has(to) && receive(nodes.get(to), from, copy),
+      ),
+    );
+  };
+
+  for (const peerId of peerIds) {
+    const router = {
+      sendToPeer: (to, message) => deliver(peerId, to, message),
+      broadcast: (message) =>
+        peerIds
+          .filter((p) => p !== peerId)
+          .forEach((to) => deliver(peerId, to, message)),
+    };
+    nodes.set(peerId, createNode(peerId, router));
+  }
+
+  nodes.sent = sent;
+  nodes.settle = async () => {
+    while (inFlight.length > 0) await inFlight.shift();
+  };
+  return nodes;
+}
@@ -2,6 +2,23 @@
  * WebRTCManager - Handles peer-to-peer connections using WebRTC
  * Mesh topology: connects all peers directly, app controls connection initiation
  *
+ * Relay fallback:
+ * When a direct connection to a peer times out or fails, its messages go
+ * through the signaling server instead, for as long as no data channel opens.
+ * A relayed peer counts as connected, and `channel-open` is dispatched for it
+ * with `relayed: true`. `transport-change` ({ peerId, relayed }) is dispatched
+ * whenever a peer switches between relayed and direct.
+ *
+ * Gossip:
+ * Broadcasts are passed on by peers to the ones their sender has no link to
+ * (see gossip-relay.js), so a message event's peerId is the peer a message
+ * is from, which may not be one we are connected to. Its relayedBy is then
+ * the peer that passed it on.
+ *
+ * Signing:
+ * With a messageSigner, every message we send is signed first. Signing takes
+ * a moment, so messages wait for the ones sent before them.
+ *
  * TURN Server Configuration:
  * For production deployment, configure TURN servers to handle symmetric NAT traversal.
  * TURN credentials can be:
@@ -25,6 +42,8 @@
  */
 import { signalingClient } from "./signaling-client.js";
 import { getApiBaseUrl } from "../config.js";
+import { DeliveryQueue } from "./delivery-queue.js";
+import { GossipRelay } from "./gossip-relay.js";
 
 // Default STUN servers (free, public)
 const DEFAULT_STUN_SERVERS = [
@@ -49,6 +68,29 @@ export class WebRTCManager extends EventTarget {
     this.dataChannels = new Map(); // peerId -> RTCDataChannel
     this.pendingCandidates = new Map(); // peerId -> ICE candidates received before connection ready
     this.connectionTimeouts = new Map(); // peerId -> timeout ID
+    this.relayedPeers = new Set(); // Peers reached through the signaling server
+    this.messageFilter = null; // (peerId, message, relayedBy) => whether to dispatch it
+    this.messageSigner = null; // (message) => Promise of the signed message
+    this.signing = Promise.resolve(); // Last message being signed
+    this.session = 0; // Counts closeAll(), so it drops messages still being signed
+
+    // Messages are kept for peers until they acknowledge them
+    this.delivery = new DeliveryQueue({
+      transmit: (peerId, message) => this.transmit(peerId, message),
+    });
+    this.delivery.addEventListener("delivered", (e) => {
+      this.dispatchEvent(
+        new CustomEvent("message-delivered", { detail: e.detail }),
+      );
+    });
+
+    // Broadcasts are passed on to peers their sender can't reach
+    this.gossip = new GossipRelay({
+      // Already signed by their sender
+      send: (peerId, message) => this.delivery.send(peerId, message),
+      getLocalPeerId: () => signalingClient.peerId,
+      getNeighbours: () => this.getConnectedPeers(),
+    });
 
     // ICE server configuration
     this.stunServers = [...DEFAULT_STUN_SERVERS];
@@ -233,6 +275,16 @@ export class WebRTCManager extends EventTarget {
       }
     });
 
+    // Data messages from peers that are relayed through the server. A peer
+    // that gave up on connecting directly to us is relayed both ways.
+    signalingClient.addEventListener("relay", (e) => {
+      const { fromPeerId, data } = e.detail;
+      if (!this.isConnectedTo(fromPeerId)) {
+        this.startRelay(fromPeerId);
+      }
+      this.receiveMessage(fromPeerId, data);
+    });
+
     // Handle incoming ICE candidates
     signalingClient.addEventListener("ice-candidate", async (e) => {
       const { fromPeerId, candidate } = e.detail;
@@ -267,7 +319,7 @@ export class WebRTCManager extends EventTarget {
       const pc = this.peerConnections.get(peerId);
       if (pc && pc.connectionState !== "connected") {
         console.log(`Connection to ${peerId} timed out`);
-        this.closePeerConnection(peerId);
+        if (this.fallBackToRelay(peerId)) return;
         this.dispatchEvent(
           new CustomEvent("connection-timeout", { detail: { peerId } }),
         );
@@ -352,7 +404,9 @@ export class WebRTCManager extends EventTarget {
       } else if (pc.connectionState === "failed") {
         // Only close on 'failed', not 'disconnected'
         // 'disconnected' is often temporary and can recover (e.g., when switching from IPv6 to IPv4)
-        this.closePeerConnection(peerId);
+        if (this.peerConnections.get(peerId) === pc) {
+          this.fallBackToRelay(peerId);
+        }
       }
     };
 
@@ -364,7 +418,9 @@ export class WebRTCManager extends EventTarget {
       // Handle ICE restart if connection fails but peer connection is still valid
       if (pc.iceConnectionState === "failed") {
         console.log(`ICE connection failed for ${peerId}, closing...`);
-        this.closePeerConnection(peerId);
+        if (this.peerConnections.get(peerId) === pc) {
+          this.fallBackToRelay(peerId);
+        }
       }
     };
 
@@ -426,6 +482,11 @@ export class WebRTCManager extends EventTarget {
 
     const dispatchOpen = () => {
       console.log(`Data channel with ${peerId} opened`);
+      if (this.relayedPeers.delete(peerId)) {
+        this.dispatchTransportChange(peerId);
+      }
+      this.delivery.open(peerId);
+      this.gossip.announce();
       this.dispatchEvent(
         new CustomEvent("channel-open", {
           detail: { peerId, channel },
@@ -443,7 +504,12 @@ export class WebRTCManager extends EventTarget {
 
     channel.onclose = () => {
       console.log(`Data channel with ${peerId} closed`);
+      // A channel replaced by a newer one may close after it opened
+      if (this.dataChannels.get(peerId) === channel) {
+        this.delivery.close(peerId);
+      }
       this.dataChannels.delete(peerId);
+      this.gossip.announce();
       this.dispatchEvent(
         new CustomEvent("channel-closed", { detail: { peerId } }),
       );
@@ -460,18 +526,85 @@ export class WebRTCManager extends EventTarget {
 
     channel.onmessage = (e) => {
       try {
-        const message = JSON.parse(e.data);
-        this.dispatchEvent(
-          new CustomEvent("message", {
-            detail: { peerId, message },
-          }),
-        );
+        this.receiveMessage(peerId, JSON.parse(e.data));
       } catch (err) {
         console.error("Error parsing message from peer:", err);
       }
     };
   }
 
+  /**
+   * Dispatch a message from a peer, from its data channel or the relay.
+   */
+  receiveMessage(peerId, data) {
+    const received = this.delivery.receive(peerId, data);
+    if (!received) return;
+
+    const gossiped = this.gossip.receive(peerId, received);
+    if (!gossiped) return;
+
+    const { peerId: fromPeerId, message } = gossiped;
+    const relayedBy = fromPeerId !== peerId ? peerId : undefined;
+    if (
+      this.messageFilter &&
+      !this.messageFilter(fromPeerId, message, relayedBy)
+    ) {
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("message", {
+        detail: { peerId: fromPeerId, message, relayedBy },
+      }),
+    );
+  }
+
+  /**
+   * Give up on a direct connection to a peer, and reach it through the
+   * signaling server instead while we are connected to it.
+   * @returns {boolean} Whether the peer is now relayed
+   */
+  fallBackToRelay(peerId) {
+    if (!signalingClient.isConnected()) {
+      this.closePeerConnection(peerId);
+      return false;
+    }
+
+    // The peer stays connected, so no peer-disconnected
+    this.closeDirectConnection(peerId);
+    if (!this.relayedPeers.has(peerId)) {
+      this.delivery.close(peerId);
+      this.startRelay(peerId);
+    }
+    return true;
+  }
+
+  startRelay(peerId) {
+    if (this.relayedPeers.has(peerId)) return;
+
+    console.log(`Relaying messages for ${peerId} through the server`);
+    this.relayedPeers.add(peerId);
+    this.dispatchTransportChange(peerId);
+    this.delivery.open(peerId);
+    this.gossip.announce();
+    this.dispatchEvent(
+      new CustomEvent("channel-open", {
+        detail: { peerId, channel: null, relayed: true },
+      }),
+    );
+  }
+
+  dispatchTransportChange(peerId) {
+    this.dispatchEvent(
+      new CustomEvent("transport-change", {
+        detail: { peerId, relayed: this.relayedPeers.has(peerId) },
+      }),
+    );
+  }
+
+  isRelayed(peerId) {
+    return this.relayedPeers.has(peerId);
+  }
+
   async handleOffer(peerId, offer) {
     const pc = await this.createPeerConnection(peerId, false);
 
@@ -541,6 +674,20 @@ export class WebRTCManager extends EventTarget {
   }
 
   closePeerConnection(peerId) {
+    this.closeDirectConnection(peerId);
+    this.delivery.close(peerId);
+    if (this.relayedPeers.delete(peerId)) {
+      this.dispatchTransportChange(peerId);
+    }
+    this.gossip.announce();
+
+    this.dispatchEvent(
+      new CustomEvent("peer-disconnected", { detail: { peerId } }),
+    );
+  }
+
+  // Tear down the RTCPeerConnection and data channel only
+  closeDirectConnection(peerId) {
     this.clearConnectionTimeout(peerId);
     this.pendingCandidates.delete(peerId);
 
@@ -555,18 +702,59 @@ export class WebRTCManager extends EventTarget {
       channel.close();
       this.dataChannels.delete(peerId);
     }
-
-    this.dispatchEvent(
-      new CustomEvent("peer-disconnected", { detail: { peerId } }),
-    );
   }
 
   getDataChannel(peerId) {
     return this.dataChannels.get(peerId);
   }
 
+  /**
+   * Send a message to a peer, now or once its channel reopens.
+   */
   sendToPeer(peerId, message) {
+    this.sendSigned(message, (signed) => this.delivery.send(peerId, signed));
+  }
+
+  /**
+   * Send a message to every peer we are connected to, or are waiting to
+   * reconnect to. They pass it on to peers we can't reach.
+   */
+  broadcast(message, excludePeerId = null) {
+    this.sendSigned(this.gossip.stamp(message), (signed) => {
+      const wrapped = this.gossip.wrap(signed);
+      for (const peerId of this.getKnownPeers()) {
+        if (peerId !== excludePeerId) this.delivery.send(peerId, wrapped);
+      }
+    });
+  }
+
+  // Pass a message to send(), signed if we sign messages, in the order
+  // messages were sent
+  sendSigned(message, send) {
+    if (!this.messageSigner) {
+      send(message);
+      return;
+    }
+
+    const signing = this.messageSigner(message);
+    const session = this.session;
+    this.signing = this.signing
+      .then(() => signing)
+      .then((signed) => {
+        if (this.session === session) send(signed);
+      })
+      .catch((error) => console.error("Failed to sign message:", error));
+  }
+
+  /**
+   * Put a message on a peer's channel if it is open, or relay it.
+   * @returns {boolean} Whether it went out
+   */
+  transmit(peerId, message) {
     const channel = this.dataChannels.get(peerId);
+    if (this.relayedPeers.has(peerId) && channel?.readyState !== "open") {
+      return signalingClient.sendRelay(peerId, message);
+    }
     if (channel && channel.readyState === "open") {
       try {
         channel.send(JSON.stringify(message));
@@ -579,25 +767,25 @@ export class WebRTCManager extends EventTarget {
     return false;
   }
 
-  broadcast(message, excludePeerId = null) {
-    const messageStr = JSON.stringify(message);
-    for (const [peerId, channel] of this.dataChannels) {
-      if (peerId !== excludePeerId && channel.readyState === "open") {
-        try {
-          channel.send(messageStr);
-        } catch (error) {
-          console.error(`Failed to broadcast to peer ${peerId}:`, error);
-        }
-      }
-    }
+  /**
+   * Stop keeping messages for a peer that left the room.
+   */
+  forgetPeer(peerId) {
+    this.delivery.forget(peerId);
+    this.gossip.forget(peerId);
   }
 
   closeAll() {
     // Create a copy of keys to avoid modifying map while iterating
-    const peerIds = Array.from(this.peerConnections.keys());
+    const peerIds = [
+      ...new Set([...this.peerConnections.keys(), ...this.relayedPeers]),
+    ];
     for (const peerId of peerIds) {
       this.closePeerConnection(peerId);
     }
+    this.delivery.clear();
+    this.gossip.clear();
+    this.session++;
 
     // Clean up TURN credential refresh timer
     if (this.turnCredentialRefreshTimer) {
@@ -606,15 +794,27 @@ export class WebRTCManager extends EventTarget {
     }
   }
 
+  /**
+   * Peers we are connected to, and ones we are waiting to reconnect to.
+   */
+  getKnownPeers() {
+    return this.delivery.getPeerIds();
+  }
+
+  // Peers with an open data channel, or relayed
   getConnectedPeers() {
-    return Array.from(this.dataChannels.entries())
+    const direct = Array.from(this.dataChannels.entries())
       .filter(([_, channel]) => channel.readyState === "open")
       .map(([peerId]) => peerId);
+    return [...new Set([...direct, ...this.relayedPeers])];
   }
 
   isConnectedTo(peerId) {
     const channel = this.dataChannels.get(peerId);
-    return channel && channel.readyState === "open";
+    return (
+      (channel && channel.readyState === "open") ||
+      this.relayedPeers.has(peerId)
+    );
   }
 
   /**
@@ -0,0 +1,83 @@
+/**
+ * Logical clock for ordering the room's roll history
+ *
+ * Every roll carries the Lamport clock value of the peer that made it, and
+ * every peer moves its clock past the values it sees. A roll made after
+ * seeing another therefore always has the higher value, and rolls made at
+ * the same time are ordered by their roll IDs, so every peer sorts history
+ * the same way whatever order the rolls arrived in.
+ *
+ * A peer could send a time so far ahead that every later roll sorts below
+ * its own, or the clock runs out of whole numbers. Times more than
+ * MAX_JUMP ahead of ours are turned down, along with what carries them.
+ */
+
+// How far ahead of ours another peer's time may be: more events than a room
+// has in any session, yet far too few to run the clock out
+const MAX_JUMP = 1_000_000;
+
+export class LamportClock {
+  constructor() {
+    this.time = 0;
+  }
+
+  /**
+   * Advance the clock for an event of our own, such as a roll.
+   * @returns {number} The event's time
+   */
+  tick() {
+    this.time += 1;
+    return this.time;
+  }
+
+  /**
+   * Whether a time seen on another peer's event is one we can take. Events
+   * from peers that don't send a time are fine.
+   * @param {number} [time]
+   * @returns {boolean}
+   */
+  accepts(time) {
+    if (time === undefined || time === null) return true;
+    return Number.isInteger(time) && time >= 0 && time <= this.time + MAX_JUMP;
+  }
+
+  /**
+   * Move the clock past a time seen on another peer's event.
+   * @param {number} [time] - Ignored unless a whole number we accept
+   */
+  receive(time) {
+    if (Number.isInteger(time) && this.accepts(time) && time > this.time) {
+      this.time = time;
+    }
+  }
+}
+
+/**
+ * A roll ID no other roll will have, in any room.
+ * @returns {string}
+ */
+export function createRollId() {
+  return `roll-${crypto.randomUUID()}`;
+}
+
+/**
+ * Sort order of history entries, newest first: by clock, then by roll ID.
+ * Entries from peers that don't send a clock sort as the oldest.
+ * @returns {number}
+ */
+export function compareRolls(a, b) {
+  const byClock = (b.clock ?? 0) - (a.clock ?? 0);
+  if (byClock !== 0) return byClock;
+  if (a.rollId === b.rollId) return 0;
+  return a.rollId < b.rollId ? 1 : -1;
+}
+
+/**
+ * Insert an entry into a history kept newest first.
+ * @param {object[]} history - Sorted by compareRolls(); changed in place
+ * @param {object} roll
+ */
+export function insertRoll(history, roll) {
+  const index = history.findIndex((other) => compareRolls(roll, other) < 0);
+  history.splice(index === -1 ? history.length : index, 0, roll);
+}
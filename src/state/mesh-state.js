@@ -1,3 +1,5 @@
+import { LamportClock, compareRolls, insertRoll } from "./logical-clock.js";
+
 /**
  * MeshState - Manages local state in mesh topology
  * Each peer maintains their own copy, synchronized via broadcast messages
@@ -11,6 +13,7 @@ export class MeshState extends EventTarget {
     this.holders = new Map(); // setId -> { peerId, username }
     this.maxHistorySize = 100;
     this.knownRollIds = new Set(); // For deduplication
+    this.clock = new LamportClock(); // Orders roll history the same on every peer
 
     this.lastRoller = new Map(); // setId -> { peerId, username } - who last rolled this set
   }
@@ -83,11 +86,15 @@ export class MeshState extends EventTarget {
     if (this.knownRollIds.has(roll.rollId)) {
       return false;
     }
+    if (!this.clock.accepts(roll.clock)) {
+      return false;
+    }
 
     this.knownRollIds.add(roll.rollId);
-    this.rollHistory.unshift(roll);
+    this.clock.receive(roll.clock);
+    insertRoll(this.rollHistory, roll);
 
-    // Trim history
+    // Trim history (the oldest rolls are last)
     while (this.rollHistory.length > this.maxHistorySize) {
       const removed = this.rollHistory.pop();
       this.knownRollIds.delete(removed.rollId);
@@ -100,6 +107,26 @@ export class MeshState extends EventTarget {
     return this.knownRollIds.has(rollId);
   }
 
+  /**
+   * Replace a roll in history (e.g. a secret roll once it is revealed),
+   * moving it to where its clock puts it. Adds it if we never had it.
+   * @param {object} roll
+   * @param {function} [canReplace] - (entry) => whether the entry we have
+   *   may be replaced
+   * @returns {boolean} Whether history changed
+   */
+  replaceRoll(roll, canReplace = () => true) {
+    const index = this.rollHistory.findIndex((r) => r.rollId === roll.rollId);
+    if (index === -1) return this.addRoll(roll);
+    if (!canReplace(this.rollHistory[index])) return false;
+    if (!this.clock.accepts(roll.clock)) return false;
+
+    this.rollHistory.splice(index, 1);
+    this.clock.receive(roll.clock);
+    insertRoll(this.rollHistory, roll);
+    return true;
+  }
+
   getRollHistory() {
     return this.rollHistory;
   }
@@ -238,10 +265,13 @@ export class MeshState extends EventTarget {
     }
 
     // Load roll history
-    this.rollHistory = snapshot.rollHistory || [];
+    this.rollHistory = (snapshot.rollHistory || [])
+      .filter((roll) => this.clock.accepts(roll.clock))
+      .sort(compareRolls);
     this.knownRollIds.clear();
     for (const roll of this.rollHistory) {
       this.knownRollIds.add(roll.rollId);
+      this.clock.receive(roll.clock);
     }
 
     // Load dice config
@@ -272,6 +302,7 @@ export class MeshState extends EventTarget {
     this.peers.clear();
     this.rollHistory = [];
     this.knownRollIds.clear();
+    this.clock = new LamportClock();
     this.diceConfig = null;
     this.holders.clear();
     this.lastRoller.clear();
@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import { MeshState } from "./mesh-state.js";
+
+const roll = (rollId, clock) => ({ type: "dice-roll", rollId, clock });
+const ids = (state) => state.getRollHistory().map((r) => r.rollId);
+
+describe("MeshState", () => {
+  describe("roll history", () => {
+    it("should order rolls the same whatever order they arrive in", () => {
+      const rolls = [
+        roll("roll-a", 1),
+        roll("roll-b", 2),
+        roll("roll-c", 2), // Rolled at the same time as roll-b
+        roll("roll-d", 3),
+      ];
+      const alice = new MeshState();
+      const bob = new MeshState();
+
+      rolls.forEach((r) => alice.addRoll(r));
+      [...rolls].reverse().forEach((r) => bob.addRoll(r));
+
+      expect(ids(alice)).toEqual(["roll-d", "roll-c", "roll-b", "roll-a"]);
+      expect(ids(bob)).toEqual(ids(alice));
+    });
+
+    it("should give our next roll a later time than any we've seen", () => {
+      const state = new MeshState();
+      state.addRoll(roll("roll-a", 41));
+
+      const clock = state.clock.tick();
+      state.addRoll(roll("roll-b", clock));
+
+      expect(clock).toBe(42);
+      expect(ids(state)).toEqual(["roll-b", "roll-a"]);
+    });
+
+    it("should turn down rolls whose clock is too far ahead", () => {
+      const state = new MeshState();
+      state.addRoll(roll("roll-a", 5));
+
+      expect(state.addRoll(roll("roll-b", Number.MAX_SAFE_INTEGER))).toBe(
+        false,
+      );
+      state.loadSnapshot({
+        rollHistory: [roll("roll-a", 5), roll("roll-c", 2 ** 40)],
+      });
+
+      expect(ids(state)).toEqual(["roll-a"]);
+      expect(state.clock.tick()).toBe(6);
+    });
+
+    it("should move a replaced roll to where its clock puts it", () => {
+      const state = new MeshState();
+      state.addRoll(roll("roll-a", 1));
+      state.addRoll({ ...roll("roll-secret", 2), type: "secret-roll" });
+      state.addRoll(roll("roll-b", 3));
+      const isSecret = (entry) => entry.type === "secret-roll";
+
+      expect(state.replaceRoll(roll("roll-a", 9), isSecret)).toBe(false);
+      expect(state.replaceRoll(roll("roll-secret", 4), isSecret)).toBe(true);
+
+      expect(ids(state)).toEqual(["roll-secret", "roll-b", "roll-a"]);
+      expect(state.getRollHistory()[2].clock).toBe(1);
+    });
+
+    it("should drop the oldest rolls once history is full", () => {
+      const state = new MeshState();
+      state.maxHistorySize = 2;
+
+      state.addRoll(roll("roll-b", 2));
+      state.addRoll(roll("roll-c", 3));
+      state.addRoll(roll("roll-a", 1)); // Arrives late
+
+      expect(ids(state)).toEqual(["roll-c", "roll-b"]);
+    });
+
+    it("should order history from a snapshot and catch the clock up", () => {
+      const state = new MeshState();
+      state.loadSnapshot({
+        rollHistory: [roll("roll-a", 1), roll("roll-c", 7), roll("roll-b", 4)],
+      });
+
+      expect(ids(state)).toEqual(["roll-c", "roll-b", "roll-a"]);
+      expect(state.clock.tick()).toBe(8);
+    });
+  });
+});
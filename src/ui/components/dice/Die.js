@@ -1,19 +1,38 @@
+import {
+  getPolygonSvg,
+  getLabelSvg,
+  DEFAULT_SIDES,
+} from "../../../utils/dice-utils.js";
+
 /**
  * Shared Die component.
  * A single die display that can be used by any strategy.
  *
  * Attributes:
- * - value: Die face value (1-6), empty for blank
+ * - value: Die face value (1 to sides), empty for blank
+ * - sides: Number of sides (default 6). Non-d6 dice render as numbered polygons
+ * - faces: JSON array of face labels for custom dice; `value` picks the face (1-based)
  * - color: Die background color (hex)
  * - selected: Present if die is selected
  * - rolling: Present if die is animating
+ * - locked: Present if die is kept out of rolls
  *
  * @example
  * <dice-die value="6" color="#ef4444"></dice-die>
+ * <dice-die value="17" sides="20" color="#3b82f6"></dice-die>
+ * <dice-die value="3" sides="3" faces='["-","0","+"]'></dice-die>
  */
 export class Die extends HTMLElement {
   static get observedAttributes() {
-    return ["value", "color", "selected", "rolling"];
+    return [
+      "value",
+      "color",
+      "sides",
+      "faces",
+      "selected",
+      "rolling",
+      "locked",
+    ];
   }
 
   constructor() {
@@ -49,6 +68,33 @@ export class Die extends HTMLElement {
           animation: roll 0.15s linear infinite;
         }
 
+        .die--locked {
+          box-shadow: 0 0 0 3px #f59e0b, 0 2px 4px rgba(0, 0, 0, 0.2);
+        }
+
+        .die__lock {
+          display: none;
+          position: absolute;
+          top: -6px;
+          left: -6px;
+          width: 18px;
+          height: 18px;
+          border-radius: 50%;
+          background: #f59e0b;
+          color: #ffffff;
+          align-items: center;
+          justify-content: center;
+        }
+
+        .die--locked .die__lock {
+          display: flex;
+        }
+
+        .die__lock svg {
+          width: 10px;
+          height: 10px;
+        }
+
         @keyframes roll {
           0% { transform: rotate(0deg); }
           25% { transform: rotate(8deg); }
@@ -71,6 +117,12 @@ export class Die extends HTMLElement {
 
       <div class="die">
         <div class="die__face"></div>
+        <div class="die__lock">
+          <svg viewBox="0 0 16 16" aria-hidden="true">
+            <rect x="3" y="7" width="10" height="8" rx="1.5" fill="currentColor"/>
+            <path d="M5 7V5a3 3 0 0 1 6 0v2" fill="none" stroke="currentColor" stroke-width="1.6"/>
+          </svg>
+        </div>
       </div>
     `;
     this.#dieEl = this.shadowRoot.querySelector(".die");
@@ -90,21 +142,42 @@ export class Die extends HTMLElement {
   #update() {
     const value = this.getAttribute("value");
     const color = this.getAttribute("color") || "#ffffff";
+    const sides = parseInt(this.getAttribute("sides"), 10) || DEFAULT_SIDES;
     const selected = this.hasAttribute("selected");
     const rolling = this.hasAttribute("rolling");
+    const locked = this.hasAttribute("locked");
 
     this.#dieEl.style.backgroundColor = color;
     this.#dieEl.classList.toggle("die--selected", selected);
     this.#dieEl.classList.toggle("die--rolling", rolling);
+    this.#dieEl.classList.toggle("die--locked", locked);
 
     const pipColor = this.#getPipColor(color);
     this.#faceEl.innerHTML = value
-      ? this.#renderFace(parseInt(value), pipColor)
+      ? this.#renderFace(parseInt(value), pipColor, sides, this.#getFaces())
       : "";
   }
 
-  #renderFace(value, pipColor) {
-    if (value < 1 || value > 6) return "";
+  #getFaces() {
+    try {
+      const faces = JSON.parse(this.getAttribute("faces"));
+      return Array.isArray(faces) ? faces : null;
+    } catch {
+      return null;
+    }
+  }
+
+  #renderFace(value, pipColor, sides, faces) {
+    if (faces) {
+      const label = faces[value - 1];
+      return label === undefined ? "" : getLabelSvg(String(label), pipColor);
+    }
+
+    if (value < 1 || value > sides) return "";
+
+    if (sides !== DEFAULT_SIDES) {
+      return getPolygonSvg(value, pipColor, sides);
+    }
 
     const pipPositions = {
       topLeft: { cx: 14, cy: 14 },
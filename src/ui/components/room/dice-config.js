@@ -1,7 +1,23 @@
 /**
  * DiceConfig - Component for configuring room dice settings
- * Used during room creation to set up dice sets with different colors
+ * Used during room creation to set up dice sets with different colors and sizes,
+ * including custom-face dice (Fudge, coins, symbols or typed labels)
  */
+import { DICE_SIDES, DEFAULT_SIDES } from "../../../utils/dice-utils.js";
+import {
+  DEFAULT_RULES,
+  normalizeRules,
+} from "../../../features/dice-rolling/rules/DiceRules.js";
+import {
+  FACE_PRESETS,
+  parseFaces,
+  formatFaces,
+  findPreset,
+} from "../../../features/dice-rolling/faces/DiceFaces.js";
+import { escapeAttribute } from "../../../utils/html-utils.js";
+
+// Starting faces when switching a set to typed custom faces
+const DEFAULT_CUSTOM_FACES = "Hit=1, Hit=1, Miss, Miss";
 
 // Predefined color palette
 const DICE_COLORS = [
@@ -19,8 +35,12 @@ const DICE_COLORS = [
 class DiceConfig extends HTMLElement {
   constructor() {
     super();
-    this.diceSets = [{ id: "set-1", count: 2, color: "#ffffff" }];
+    this.diceSets = [
+      { id: "set-1", count: 2, color: "#ffffff", sides: DEFAULT_SIDES },
+    ];
     this.nextSetId = 2;
+    this.openRules = new Set(); // Set IDs whose rules panel is expanded
+    this.customFaces = new Set(); // Set IDs editing typed faces rather than a preset
     this._listenersAttached = false;
     this._boundDocClickHandler = null;
   }
@@ -55,6 +75,7 @@ class DiceConfig extends HTMLElement {
   renderDiceSet(set, index) {
     const colorIndex = DICE_COLORS.findIndex((c) => c.hex === set.color);
     return `
+      <div class="dice-set">
       <div class="dice-set-row" data-set-id="${set.id}">
         <div class="color-picker">
           <button class="color-btn" style="background: ${set.color}" data-action="color" data-set-id="${set.id}">
@@ -70,6 +91,9 @@ class DiceConfig extends HTMLElement {
             ).join("")}
           </div>
         </div>
+        <select class="sides-select" data-set-id="${set.id}" aria-label="Die type">
+          ${this.renderDieTypeOptions(set)}
+        </select>
         <div class="count-controls">
           <button class="config-btn" data-action="decrease" data-set-id="${set.id}">-</button>
           <span class="config-value">${set.count}</span>
@@ -83,6 +107,76 @@ class DiceConfig extends HTMLElement {
             : ""
         }
       </div>
+      ${set.faces ? this.renderFacesInput(set) : this.renderRules(set)}
+      </div>
+    `;
+  }
+
+  renderDieTypeOptions(set) {
+    const selected = set.faces
+      ? `faces:${this.getFaceSelection(set)}`
+      : String(set.sides || DEFAULT_SIDES);
+    const option = (value, label) =>
+      `<option value="${value}" ${value === selected ? "selected" : ""}>${label}</option>`;
+
+    return `
+      ${DICE_SIDES.map((sides) => option(String(sides), `d${sides}`)).join("")}
+      <optgroup label="Custom faces">
+        ${Object.entries(FACE_PRESETS)
+          .map(([id, preset]) => option(`faces:${id}`, preset.name))
+          .join("")}
+        ${option("faces:custom", "Custom…")}
+      </optgroup>
+    `;
+  }
+
+  getFaceSelection(set) {
+    if (this.customFaces.has(set.id)) return "custom";
+    return findPreset(set.faces) || "custom";
+  }
+
+  renderFacesInput(set) {
+    if (this.getFaceSelection(set) !== "custom") return "";
+
+    return `
+      <label class="dice-set-faces">
+        Faces
+        <input type="text" class="faces-input" data-set-id="${set.id}"
+               value="${escapeAttribute(formatFaces(set.faces))}"
+               placeholder="${DEFAULT_CUSTOM_FACES}"
+               autocomplete="off" spellcheck="false"
+               title="Comma-separated labels, add =N to give a face a value">
+      </label>
+    `;
+  }
+
+  renderRules(set) {
+    const rules = normalizeRules(set.rules);
+    const sides = set.sides || DEFAULT_SIDES;
+    const active = [
+      rules.explode && "exploding",
+      rules.rerollOnes && "reroll 1s",
+      rules.successAt !== null && `successes ${rules.successAt}+`,
+    ].filter(Boolean);
+
+    return `
+      <details class="dice-set-rules" data-set-id="${set.id}" ${this.openRules.has(set.id) ? "open" : ""}>
+        <summary>Rules${active.length ? `: ${active.join(", ")}` : ""}</summary>
+        <label>
+          <input type="checkbox" class="rule-input" data-rule="explode" data-set-id="${set.id}" ${rules.explode ? "checked" : ""}>
+          Exploding (roll again on ${sides})
+        </label>
+        <label>
+          <input type="checkbox" class="rule-input" data-rule="rerollOnes" data-set-id="${set.id}" ${rules.rerollOnes ? "checked" : ""}>
+          Reroll 1s
+        </label>
+        <label>
+          Count successes at
+          <input type="number" class="rule-input" data-rule="successAt" data-set-id="${set.id}"
+                 min="2" max="${sides}" placeholder="off" value="${rules.successAt ?? ""}">
+          or higher
+        </label>
+      </details>
     `;
   }
 
@@ -140,6 +234,50 @@ class DiceConfig extends HTMLElement {
       }
     };
     document.addEventListener("click", this._boundDocClickHandler);
+
+    this.addEventListener("change", (e) => {
+      const select = e.target.closest(".sides-select");
+      if (select) {
+        if (select.value.startsWith("faces:")) {
+          this.selectFaces(select.dataset.setId, select.value.slice(6));
+        } else {
+          this.updateSides(select.dataset.setId, parseInt(select.value, 10));
+        }
+        return;
+      }
+
+      const facesInput = e.target.closest(".faces-input");
+      if (facesInput) {
+        this.updateCustomFaces(facesInput);
+        return;
+      }
+
+      const ruleInput = e.target.closest(".rule-input");
+      if (ruleInput) {
+        const { setId, rule } = ruleInput.dataset;
+        const value =
+          ruleInput.type === "checkbox"
+            ? ruleInput.checked
+            : parseInt(ruleInput.value, 10);
+        this.updateRule(setId, rule, value);
+      }
+    });
+
+    // Remember which rules panels are open across re-renders
+    // (toggle doesn't bubble, so listen in the capture phase)
+    this.addEventListener(
+      "toggle",
+      (e) => {
+        const details = e.target.closest?.(".dice-set-rules");
+        if (!details) return;
+        if (details.open) {
+          this.openRules.add(details.dataset.setId);
+        } else {
+          this.openRules.delete(details.dataset.setId);
+        }
+      },
+      true,
+    );
   }
 
   toggleColorDropdown(setId) {
@@ -172,6 +310,7 @@ class DiceConfig extends HTMLElement {
       id: `set-${this.nextSetId++}`,
       count: 2,
       color: availableColor.hex,
+      sides: DEFAULT_SIDES,
     });
     this.render();
     this.emitChange();
@@ -206,6 +345,76 @@ class DiceConfig extends HTMLElement {
     this.emitChange();
   }
 
+  updateSides(setId, sides) {
+    const set = this.diceSets.find((s) => s.id === setId);
+    if (!set || !DICE_SIDES.includes(sides)) return;
+
+    set.sides = sides;
+    delete set.faces;
+    this.customFaces.delete(setId);
+    // A success target above the new max face could never be reached
+    if (set.rules?.successAt > sides) {
+      set.rules = { ...set.rules, successAt: null };
+    }
+    this.render();
+    this.emitChange();
+  }
+
+  selectFaces(setId, presetId) {
+    const set = this.diceSets.find((s) => s.id === setId);
+    if (!set) return;
+
+    if (presetId === "custom") {
+      this.customFaces.add(setId);
+      set.faces = set.faces || parseFaces(DEFAULT_CUSTOM_FACES);
+    } else if (FACE_PRESETS[presetId]) {
+      this.customFaces.delete(setId);
+      set.faces = structuredClone(FACE_PRESETS[presetId].faces);
+    } else {
+      return;
+    }
+
+    // Rules are based on face numbers, so they don't apply to custom faces
+    set.sides = set.faces.length;
+    delete set.rules;
+    this.render();
+    this.emitChange();
+  }
+
+  updateCustomFaces(input) {
+    const set = this.diceSets.find((s) => s.id === input.dataset.setId);
+    if (!set) return;
+
+    let faces;
+    try {
+      faces = parseFaces(input.value);
+    } catch (error) {
+      // Keep the last valid faces until the input is fixed
+      input.classList.add("invalid");
+      input.title = error.message;
+      return;
+    }
+
+    set.faces = faces;
+    set.sides = faces.length;
+    this.render();
+    this.emitChange();
+  }
+
+  updateRule(setId, rule, value) {
+    const set = this.diceSets.find((s) => s.id === setId);
+    if (!set || !(rule in DEFAULT_RULES)) return;
+
+    if (rule === "successAt") {
+      const sides = set.sides || DEFAULT_SIDES;
+      value = value >= 2 && value <= sides ? value : null;
+    }
+
+    set.rules = { ...normalizeRules(set.rules), [rule]: value };
+    this.render();
+    this.emitChange();
+  }
+
   updateDisplay() {
     this.diceSets.forEach((set) => {
       const row = this.querySelector(`.dice-set-row[data-set-id="${set.id}"]`);
@@ -237,7 +446,14 @@ class DiceConfig extends HTMLElement {
       this.nextSetId = maxId + 1;
     } else if (config.count !== undefined) {
       // Legacy support: convert old format
-      this.diceSets = [{ id: "set-1", count: config.count, color: "#ffffff" }];
+      this.diceSets = [
+        {
+          id: "set-1",
+          count: config.count,
+          color: "#ffffff",
+          sides: DEFAULT_SIDES,
+        },
+      ];
     }
     this.render();
   }
@@ -1,9 +1,40 @@
 /**
  * DiceHistory - Web Component for displaying roll history
- * Shows each dice set with its holder and color
+ * Shows each dice set with its holder and color.
+ * Dispatches `reveal-roll` when the player reveals one of their secret rolls,
+ * and `blind-roll` when they roll in a blind round.
+ * The player's own rolls show how many of the other players have them.
  */
-import { getDiceSvg, getPipColor } from "../../../utils/dice-utils.js";
-import { escapeHtml } from "../../../utils/html-utils.js";
+import {
+  getDiceSvg,
+  getLabelSvg,
+  getPipColor,
+} from "../../../utils/dice-utils.js";
+import {
+  normalizeFaces,
+  getFace,
+  hasFaceValues,
+  facesTotal,
+} from "../../../features/dice-rolling/faces/DiceFaces.js";
+import { VERIFICATION } from "../../../features/dice-rolling/fairness/FairRoll.js";
+import { escapeHtml, escapeAttribute } from "../../../utils/html-utils.js";
+import { insertRoll } from "../../../state/logical-clock.js";
+
+// Labels for fairness verification statuses
+const VERIFICATION_BADGES = {
+  [VERIFICATION.VERIFIED]: {
+    label: "✓ Verified",
+    title: "The values check out against the roll's random seed",
+  },
+  [VERIFICATION.UNVERIFIED]: {
+    label: "Unverified",
+    title: "This roll couldn't be fully checked",
+  },
+  [VERIFICATION.FAILED]: {
+    label: "✗ Failed check",
+    title: "These values don't match the roll's random seed",
+  },
+};
 
 class DiceHistory extends HTMLElement {
   constructor() {
@@ -11,6 +42,30 @@ class DiceHistory extends HTMLElement {
     this.history = [];
     this.maxItems = 50;
     this.selfPeerId = null;
+    this.deliveries = new Map(); // rollId -> { delivered, total } for our own rolls
+
+    this.addEventListener("click", (e) => {
+      const revealButton = e.target.closest(".reveal-roll-btn");
+      if (revealButton) {
+        this.dispatchEvent(
+          new CustomEvent("reveal-roll", {
+            bubbles: true,
+            detail: { rollId: revealButton.dataset.rollId },
+          }),
+        );
+      }
+
+      const blindButton = e.target.closest(".blind-roll-btn");
+      if (blindButton) {
+        blindButton.disabled = true;
+        this.dispatchEvent(
+          new CustomEvent("blind-roll", {
+            bubbles: true,
+            detail: { roundId: blindButton.dataset.roundId },
+          }),
+        );
+      }
+    });
   }
 
   connectedCallback() {
@@ -34,14 +89,20 @@ class DiceHistory extends HTMLElement {
 
   /**
    * Add a roll to history
-   * New format: { setResults: [{ setId, color, values, holderId, holderUsername }], total, rollId, timestamp }
+   * New format: { setResults: [{ setId, color, sides, values, faces?, details?, successes?, successAt?, holderId, holderUsername }], total, rollId, timestamp }
+   * Notation format: { setResults: [], notation: { expression, terms, total, holderId, holderUsername }, total, rollId, timestamp }
    * Legacy format: { username, peerId, values, total }
+   * New and notation formats may carry `verification` (a VERIFICATION status) from the fairness check,
+   * and `secret` / `revealed` for secret rolls
+   * Redacted secret roll: { redacted: true, holderId, holderUsername, rollId, timestamp }
+   * Blind round: { blindRound: { expression, complete, participants: [{ peerId, username, committed, failed, notation }] }, rollId, timestamp }
+   * Every format may carry `clock`, the roll's logical time, which orders history the same for every peer
    */
   addRoll(roll) {
     // Normalize roll format
     const normalizedRoll = this.normalizeRoll(roll);
 
-    this.history.unshift(normalizedRoll);
+    insertRoll(this.history, normalizedRoll);
 
     // Keep history limited
     if (this.history.length > this.maxItems) {
@@ -51,13 +112,71 @@ class DiceHistory extends HTMLElement {
     this.renderHistory();
   }
 
+  /**
+   * Replace a roll in place (e.g. when a secret roll is revealed).
+   * Rolls we don't have yet are added.
+   */
+  updateRoll(roll) {
+    const index = this.history.findIndex((r) => r.rollId === roll.rollId);
+    if (index === -1) {
+      this.addRoll(roll);
+      return;
+    }
+
+    this.history.splice(index, 1);
+    insertRoll(this.history, this.normalizeRoll(roll));
+    this.renderHistory();
+  }
+
+  /**
+   * Show how many players one of our rolls has reached so far.
+   * May come before the roll itself is added.
+   */
+  setDelivery(rollId, delivered, total) {
+    this.deliveries.delete(rollId);
+    this.deliveries.set(rollId, { delivered, total });
+    if (this.deliveries.size > this.maxItems) {
+      this.deliveries.delete(this.deliveries.keys().next().value);
+    }
+
+    if (this.history.some((r) => r.rollId === rollId)) {
+      this.renderHistory();
+    }
+  }
+
   normalizeRoll(roll) {
+    if (roll.blindRound) {
+      return {
+        blindRound: roll.blindRound,
+        rollId: roll.rollId,
+        clock: roll.clock,
+        timestamp: roll.timestamp || Date.now(),
+      };
+    }
+
+    // Secret roll we aren't allowed to see
+    if (roll.redacted) {
+      return {
+        redacted: true,
+        holderId: roll.holderId,
+        holderUsername: roll.holderUsername,
+        rollId: roll.rollId,
+        clock: roll.clock,
+        timestamp: roll.timestamp || Date.now(),
+      };
+    }
+
     // New multi-set format
     if (roll.setResults) {
       return {
         setResults: roll.setResults,
+        notation: roll.notation,
+        verification: roll.verification,
+        secret: roll.secret,
+        revealed: roll.revealed,
         total: roll.total,
         rollId: roll.rollId,
+        clock: roll.clock,
         timestamp: roll.timestamp || Date.now(),
       };
     }
@@ -75,6 +194,7 @@ class DiceHistory extends HTMLElement {
       ],
       total: roll.total || (roll.values || []).reduce((a, b) => a + b, 0),
       rollId: roll.rollId,
+      clock: roll.clock,
       timestamp: roll.timestamp || Date.now(),
     };
   }
@@ -94,12 +214,28 @@ class DiceHistory extends HTMLElement {
   }
 
   renderRollEntry(roll) {
-    // Helper to render a single die
-    const renderDie = (value, color, pipColor) => {
-      return `<span class="history-die-wrapper">
-        <span class="history-die" style="background: ${color}">${getDiceSvg(value, pipColor)}</span>
-      </span>`;
-    };
+    if (roll.blindRound) {
+      return this.renderBlindRoundEntry(roll);
+    }
+
+    if (roll.redacted) {
+      const isSelf = roll.holderId === this.selfPeerId;
+      return `
+        <div class="history-item secret-roll">
+          <span class="username ${isSelf ? "self" : ""}">${escapeHtml(roll.holderUsername)}</span>
+          <span class="secret-note">rolled in secret</span>
+        </div>
+      `;
+    }
+
+    const badgeHtml =
+      this.renderSecretBadge(roll) +
+      this.renderDeliveryBadge(roll.rollId) +
+      this.renderVerificationBadge(roll.verification);
+
+    if (roll.notation) {
+      return this.renderNotationEntry(roll.notation, badgeHtml);
+    }
 
     // Group set results by holder for cleaner display
     const holderGroups = new Map();
@@ -123,14 +259,9 @@ class DiceHistory extends HTMLElement {
       const diceHtml = roll.setResults
         .map((setResult) => {
           const color = setResult.color || "#ffffff";
-          const pipColor = getPipColor(color);
           return `
-          <span class="history-dice-group" style="--group-color: ${color}">
-            ${setResult.values
-              .map((v) =>
-                renderDie(v, color, pipColor),
-              )
-              .join("")}
+          <span class="history-dice-group" style="--group-color: ${escapeAttribute(color)}">
+            ${this.renderSetDice(setResult)}
           </span>
         `;
         })
@@ -140,6 +271,7 @@ class DiceHistory extends HTMLElement {
         <div class="history-item single-holder">
           <span class="username ${isSelf ? "self" : ""}">${escapeHtml(group.username)}</span>
           <span class="history-dice">${diceHtml}</span>
+          ${badgeHtml}
         </div>
       `;
     }
@@ -149,16 +281,11 @@ class DiceHistory extends HTMLElement {
       .map((setResult) => {
         const isSelf = setResult.holderId === this.selfPeerId;
         const color = setResult.color || "#ffffff";
-        const pipColor = getPipColor(color);
-        const diceHtml = setResult.values
-          .map((v) =>
-            renderDie(v, color, pipColor),
-          )
-          .join("");
+        const diceHtml = this.renderSetDice(setResult);
 
         return `
         <div class="history-set-entry">
-          <span class="set-indicator" style="background: ${color}"></span>
+          <span class="set-indicator" style="background: ${escapeAttribute(color)}"></span>
           <span class="username ${isSelf ? "self" : ""}">${escapeHtml(setResult.holderUsername)}</span>
           <span class="history-dice">${diceHtml}</span>
         </div>
@@ -169,12 +296,207 @@ class DiceHistory extends HTMLElement {
     return `
       <div class="history-item multi-holder">
         ${setEntries}
+        ${badgeHtml}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the dice of one set result. Exploded dice show their whole chain,
+   * rerolled dice show the discarded face first, and success counts get a badge.
+   * Custom-face dice show their labels and the total of their face values.
+   */
+  renderSetDice(setResult) {
+    const color = setResult.color || "#ffffff";
+    const pipColor = getPipColor(color);
+    const { sides, successAt } = setResult;
+    const faces = normalizeFaces(setResult.faces);
+    const details = new Map((setResult.details || []).map((d) => [d.index, d]));
+    const successClass = (value) =>
+      successAt != null && value >= successAt ? "success" : "";
+
+    const renderDie = (value, extraClass = "") => {
+      const svg = faces
+        ? getLabelSvg(getFace(faces, value)?.label ?? "?", pipColor)
+        : getDiceSvg(value, pipColor, sides);
+      return `<span class="history-die-wrapper ${extraClass}">
+        <span class="history-die" style="background: ${escapeAttribute(color)}">${svg}</span>
+      </span>`;
+    };
+
+    const diceHtml = setResult.values
+      .map((value, index) => {
+        const detail = details.get(index);
+        if (!detail) {
+          return renderDie(value);
+        }
+
+        const rerolledHtml =
+          detail.rerolled != null ? renderDie(detail.rerolled, "rerolled") : "";
+        const chainHtml = detail.rolls
+          .map((v) => renderDie(v, successClass(v)))
+          .join('<span class="chain-link">+</span>');
+
+        return `<span class="history-die-chain ${detail.rolls.length > 1 ? "exploded" : ""}">${rerolledHtml}${chainHtml}</span>`;
+      })
+      .join("");
+
+    const successHtml =
+      setResult.successes != null
+        ? `<span class="history-successes">${setResult.successes} ${setResult.successes === 1 ? "success" : "successes"}</span>`
+        : "";
+
+    const facesTotalHtml =
+      faces && hasFaceValues(faces)
+        ? `<span class="history-faces-total">= ${facesTotal(faces, setResult.values)}</span>`
+        : "";
+
+    return diceHtml + successHtml + facesTotalHtml;
+  }
+
+  /**
+   * Mark secret rolls we can see. The roller gets a button to reveal them.
+   */
+  renderSecretBadge(roll) {
+    if (roll.revealed) {
+      return '<span class="secret-badge revealed" title="Rolled in secret, then revealed">Revealed</span>';
+    }
+    if (!roll.secret) return "";
+
+    const holderId = roll.notation?.holderId ?? roll.setResults[0]?.holderId;
+    const revealHtml =
+      holderId === this.selfPeerId
+        ? `<button class="reveal-roll-btn" data-roll-id="${escapeAttribute(roll.rollId)}">Reveal</button>`
+        : "";
+
+    return `<span class="secret-badge" title="Only the roller and the players they picked can see this roll">Secret</span>${revealHtml}`;
+  }
+
+  /**
+   * Show how many players have one of our rolls.
+   */
+  renderDeliveryBadge(rollId) {
+    const delivery = this.deliveries.get(rollId);
+    if (!delivery) return "";
+
+    const { delivered, total } = delivery;
+    const complete = delivered >= total;
+    return `<span class="delivery-badge ${complete ? "complete" : ""}" title="Players whose devices have received this roll">Delivered to ${delivered} of ${total}</span>`;
+  }
+
+  /**
+   * Render the fairness check of a roll (see FairRollCoordinator.verifyRoll).
+   * Our own rolls made without other peers have no proof and get no badge.
+   */
+  renderVerificationBadge(verification) {
+    const badge = VERIFICATION_BADGES[verification];
+    if (!badge) return "";
+
+    return `<span class="verification-badge ${verification}" title="${badge.title}">${badge.label}</span>`;
+  }
+
+  /**
+   * Render a blind round as one group: who has rolled while it's running,
+   * then everyone's results once they are revealed together.
+   */
+  renderBlindRoundEntry(roll) {
+    const { expression, complete, participants } = roll.blindRound;
+    const waiting = participants.filter((p) => !p.committed).length;
+    const status = complete
+      ? "Revealed"
+      : waiting > 0
+        ? `Waiting for ${waiting}`
+        : "Revealing…";
+
+    const rowsHtml = participants
+      .map((p) => {
+        const isSelf = p.peerId === this.selfPeerId;
+        let resultHtml;
+        if (p.notation) {
+          resultHtml = `
+            <span class="history-dice">${this.renderNotationTerms(p.notation)}</span>
+            <span class="notation-total">= ${Number(p.notation.total)}</span>
+          `;
+        } else if (p.failed) {
+          resultHtml =
+            '<span class="verification-badge failed" title="The revealed roll doesn\'t match what this player committed to">✗ Failed check</span>';
+        } else if (isSelf && !p.committed) {
+          resultHtml = `<button class="blind-roll-btn" data-round-id="${escapeAttribute(roll.rollId)}">Roll</button>`;
+        } else {
+          resultHtml = `<span class="secret-note">${p.committed ? "rolled" : "waiting…"}</span>`;
+        }
+
+        return `
+          <div class="blind-round-row">
+            <span class="username ${isSelf ? "self" : ""}">${escapeHtml(p.username)}</span>
+            ${resultHtml}
+          </div>
+        `;
+      })
+      .join("");
+
+    return `
+      <div class="history-item blind-round">
+        <div class="blind-round-header">
+          <span class="blind-round-title">Blind round</span>
+          <span class="notation-expression">${escapeHtml(expression)}</span>
+          <span class="blind-round-status ${complete ? "complete" : ""}">${status}</span>
+        </div>
+        ${rowsHtml}
       </div>
     `;
   }
 
+  /**
+   * Render a typed dice notation roll: expression, every die and the total.
+   * Dice discarded by keep/drop modifiers are shown struck out.
+   */
+  renderNotationEntry(notation, badgeHtml = "") {
+    const isSelf = notation.holderId === this.selfPeerId;
+
+    return `
+      <div class="history-item notation-roll">
+        <span class="username ${isSelf ? "self" : ""}">${escapeHtml(notation.holderUsername)}</span>
+        <span class="notation-expression">${escapeHtml(notation.expression)}</span>
+        <span class="history-dice">${this.renderNotationTerms(notation)}</span>
+        <span class="notation-total">= ${Number(notation.total)}</span>
+        ${badgeHtml}
+      </div>
+    `;
+  }
+
+  renderNotationTerms(notation) {
+    const color = "#ffffff";
+    const pipColor = getPipColor(color);
+
+    return notation.terms
+      .map((term, index) => {
+        const sign = term.sign < 0 ? "-" : index > 0 ? "+" : "";
+        const signHtml = sign
+          ? `<span class="notation-sign">${sign}</span>`
+          : "";
+
+        if (term.type === "modifier") {
+          return `${signHtml}<span class="notation-modifier">${Number(term.value)}</span>`;
+        }
+
+        const diceHtml = term.rolls
+          .map((r) => {
+            const dieSvg = getDiceSvg(Number(r.value), pipColor, term.sides);
+            return `<span class="history-die-wrapper ${r.kept ? "" : "dropped"}">
+              <span class="history-die" style="background: ${escapeAttribute(color)}">${dieSvg}</span>
+            </span>`;
+          })
+          .join("");
+
+        return `${signHtml}<span class="history-dice-group" style="--group-color: ${escapeAttribute(color)}">${diceHtml}</span>`;
+      })
+      .join("");
+  }
+
   clear() {
     this.history = [];
+    this.deliveries.clear();
     this.renderHistory();
   }
 }
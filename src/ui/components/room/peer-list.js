@@ -12,6 +12,12 @@ class PeerList extends HTMLElement {
     this.selfStatus = "connected";
     // Map of peer IDs to dice set color
     this.holderInfo = new Map();
+    // Peer ID of the player whose turn it is, in turn-based play
+    this.currentTurnPeerId = null;
+    // Peers we reach through the server, as a direct connection failed
+    this.relayedPeers = new Set();
+    // Peers in whose name we got messages with bad signatures
+    this.flaggedPeers = new Set();
   }
 
   connectedCallback() {
@@ -53,6 +59,27 @@ class PeerList extends HTMLElement {
     this.renderPeers();
   }
 
+  setRelayed(peerId, relayed) {
+    if (relayed) {
+      this.relayedPeers.add(peerId);
+    } else {
+      this.relayedPeers.delete(peerId);
+    }
+    this.renderPeers();
+  }
+
+  flagPeer(peerId) {
+    if (this.flaggedPeers.has(peerId)) return;
+    this.flaggedPeers.add(peerId);
+    this.renderPeers();
+  }
+
+  setCurrentTurn(peerId) {
+    if (peerId === this.currentTurnPeerId) return;
+    this.currentTurnPeerId = peerId;
+    this.renderPeers();
+  }
+
   render() {
     this.innerHTML = `
       <div class="card">
@@ -102,7 +129,7 @@ class PeerList extends HTMLElement {
     content.innerHTML = allPeers
       .map(
         ({ peerId, username, status, isSelf, isHolder, holderColor }) => `
-      <div class="peer-item ${isHolder ? "holding" : ""} ${isSelf && isHolder ? "can-drop" : ""}"
+      <div class="peer-item ${isHolder ? "holding" : ""} ${isSelf && isHolder ? "can-drop" : ""} ${peerId === this.currentTurnPeerId ? "current-turn" : ""}"
            data-peer-id="${peerId}"
            data-is-self="${isSelf}"
            data-is-holder="${isHolder}"
@@ -112,6 +139,9 @@ class PeerList extends HTMLElement {
           ${isHolder ? '<div class="peer-dice-icon">&#127922;</div>' : ""}
         </div>
         <div class="peer-name ${isSelf ? "self" : ""}">${escapeHtml(username)}</div>
+        ${peerId === this.currentTurnPeerId ? '<div class="peer-turn-label">Turn</div>' : ""}
+        ${this.relayedPeers.has(peerId) ? '<div class="peer-relay-label" title="Connected through the server, as a direct connection failed">Relayed</div>' : ""}
+        ${this.flaggedPeers.has(peerId) ? '<div class="peer-flag-label" title="Messages claiming to be from this player were turned down, as their signatures didn\'t match">Forged messages</div>' : ""}
         <div class="peer-status ${status !== "connected" ? status : ""}"></div>
       </div>
     `,
@@ -140,6 +170,9 @@ class PeerList extends HTMLElement {
     this.selfUsername = null;
     this.selfStatus = "connected";
     this.holderInfo.clear();
+    this.currentTurnPeerId = null;
+    this.relayedPeers.clear();
+    this.flaggedPeers.clear();
     this.renderPeers();
   }
 }
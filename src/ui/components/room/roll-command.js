@@ -0,0 +1,164 @@
+/**
+ * RollCommand - Text input for rolling dice notation (e.g. "3d6+2")
+ * Validates the expression locally and dispatches a `notation-roll` event.
+ * A secret roll is only shown to the players picked from `peers`.
+ * "Blind round" dispatches `blind-round` instead, for everyone to roll at once.
+ */
+import { parseNotation } from "../../../features/dice-rolling/notation/DiceNotation.js";
+import { escapeHtml, escapeAttribute } from "../../../utils/html-utils.js";
+
+class RollCommand extends HTMLElement {
+  constructor() {
+    super();
+    this._peers = []; // Other players: [{ peerId, username }]
+    this._recipients = new Set(); // Peer IDs picked for secret rolls
+  }
+
+  /**
+   * Players that can be picked as secret roll recipients.
+   * @param {Array<{ peerId: string, username: string }>} peers
+   */
+  set peers(peers) {
+    this._peers = peers;
+    const ids = new Set(peers.map((p) => p.peerId));
+    for (const peerId of this._recipients) {
+      if (!ids.has(peerId)) this._recipients.delete(peerId);
+    }
+    this._renderRecipients();
+  }
+
+  connectedCallback() {
+    this.innerHTML = `
+      <form class="roll-command">
+        <input type="text"
+               class="roll-command-input"
+               placeholder="Type a roll, e.g. 4d6kh3 or 2d20kl1+5"
+               autocomplete="off"
+               spellcheck="false"
+               maxlength="100"
+               aria-label="Dice notation">
+        <label class="roll-command-secret" title="Only you and the players you pick see the result">
+          <input type="checkbox" class="secret-toggle">
+          Secret
+        </label>
+        <button type="submit" class="roll-command-btn">Roll</button>
+        <button type="button" class="roll-command-blind-btn" title="Everyone rolls this at once; results show when all have rolled">
+          Blind round
+        </button>
+      </form>
+      <div class="secret-recipients" hidden></div>
+      <div class="roll-command-error" role="alert"></div>
+    `;
+
+    this.querySelector(".secret-toggle").addEventListener("change", (e) => {
+      this.querySelector(".secret-recipients").hidden = !e.target.checked;
+    });
+
+    this.querySelector(".secret-recipients").addEventListener("change", (e) => {
+      const { peerId } = e.target.dataset;
+      if (!peerId) return;
+      if (e.target.checked) {
+        this._recipients.add(peerId);
+      } else {
+        this._recipients.delete(peerId);
+      }
+    });
+
+    this._renderRecipients();
+
+    this.querySelector("form").addEventListener("submit", (e) => {
+      e.preventDefault();
+      this._handleSubmit();
+    });
+
+    this.querySelector(".roll-command-blind-btn").addEventListener(
+      "click",
+      () => this._handleBlindRound(),
+    );
+
+    this.querySelector("input").addEventListener("input", () =>
+      this._showError(null),
+    );
+  }
+
+  _handleSubmit() {
+    const input = this.querySelector("input");
+    const expression = this._readExpression();
+    if (!expression) return;
+
+    const secret = this.querySelector(".secret-toggle").checked;
+
+    this.dispatchEvent(
+      new CustomEvent("notation-roll", {
+        bubbles: true,
+        detail: {
+          expression,
+          secretTo: secret ? [...this._recipients] : null,
+        },
+      }),
+    );
+
+    // Keep the expression so the same roll can be repeated quickly
+    input.select();
+  }
+
+  _handleBlindRound() {
+    const expression = this._readExpression();
+    if (!expression) return;
+
+    this.dispatchEvent(
+      new CustomEvent("blind-round", {
+        bubbles: true,
+        detail: { expression },
+      }),
+    );
+  }
+
+  /**
+   * The typed expression, or null (with the error shown) if it's invalid.
+   */
+  _readExpression() {
+    const expression = this.querySelector("input").value.trim();
+
+    try {
+      parseNotation(expression);
+    } catch (error) {
+      this._showError(error.message);
+      return null;
+    }
+    return expression;
+  }
+
+  _renderRecipients() {
+    const container = this.querySelector(".secret-recipients");
+    if (!container) return;
+
+    if (this._peers.length === 0) {
+      container.innerHTML =
+        '<span class="secret-recipients-empty">Only you will see the result</span>';
+      return;
+    }
+
+    container.innerHTML = `
+      <span class="secret-recipients-label">Show to:</span>
+      ${this._peers
+        .map(
+          (peer) => `
+        <label class="secret-recipient">
+          <input type="checkbox" data-peer-id="${escapeAttribute(peer.peerId)}" ${this._recipients.has(peer.peerId) ? "checked" : ""}>
+          ${escapeHtml(peer.username)}
+        </label>
+      `,
+        )
+        .join("")}
+    `;
+  }
+
+  _showError(message) {
+    const errorEl = this.querySelector(".roll-command-error");
+    errorEl.innerHTML = message ? escapeHtml(message) : "";
+    this.classList.toggle("has-error", !!message);
+  }
+}
+
+customElements.define("roll-command", RollCommand);
@@ -3,6 +3,13 @@
  */
 import "../shared/username-input.js";
 import "./dice-config.js";
+import "./strategy-select.js";
+
+// How rolls are made verifiable (stored as diceConfig.rollMode)
+const ROLL_MODES = [
+  { id: "peer", label: "Players verify each other" },
+  { id: "server", label: "Server signs every roll" },
+];
 
 class RoomCreate extends HTMLElement {
   connectedCallback() {
@@ -11,6 +18,13 @@ class RoomCreate extends HTMLElement {
       <div class="dice-config-group">
         <dice-config></dice-config>
       </div>
+      <strategy-select></strategy-select>
+      <label class="roll-mode">
+        Fair rolls
+        <select class="roll-mode-select">
+          ${ROLL_MODES.map((mode) => `<option value="${mode.id}">${mode.label}</option>`).join("")}
+        </select>
+      </label>
       <div class="join-buttons">
         <button class="btn-create" id="submit-btn">Start Room</button>
       </div>
@@ -42,6 +56,8 @@ class RoomCreate extends HTMLElement {
           isHost: true,
           diceConfig: {
             diceSets: [...diceConfig.diceSets],
+            rollMode: this.querySelector(".roll-mode-select").value,
+            strategyId: this.querySelector("strategy-select").value,
           },
         },
       }),
@@ -1,6 +1,7 @@
 /**
  * RoomView - Web Component for the main room interface
- * Contains the peer list, dice roller, and dice history components
+ * Contains the peer list, strategy picker, dice roller, roll command and dice
+ * history components
  *
  * Now uses the new strategy-based dice-roller-container.
  */
@@ -18,7 +19,9 @@ class RoomView extends HTMLElement {
       <div class="room-content">
         <peer-list></peer-list>
         <div class="main-area">
+          <strategy-select></strategy-select>
           <dice-roller-container></dice-roller-container>
+          <roll-command></roll-command>
           <dice-history></dice-history>
         </div>
       </div>
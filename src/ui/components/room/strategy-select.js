@@ -0,0 +1,64 @@
+/**
+ * StrategySelect - Picker for how players roll the dice (the dice rolling
+ * strategy), showing the chosen strategy's description.
+ * Used when creating a room and to switch strategy in the room.
+ */
+import {
+  describeStrategies,
+  DEFAULT_STRATEGY,
+} from "../../../features/dice-rolling/strategies/index.js";
+import { escapeAttribute, escapeHtml } from "../../../utils/html-utils.js";
+
+class StrategySelect extends HTMLElement {
+  constructor() {
+    super();
+    this.strategies = describeStrategies();
+    this._value = DEFAULT_STRATEGY;
+  }
+
+  get value() {
+    return this._value;
+  }
+
+  // Setting the value shows it without dispatching "strategy-change"
+  set value(strategyId) {
+    this._value = strategyId;
+    this._update();
+  }
+
+  connectedCallback() {
+    this.innerHTML = `
+      <label class="strategy-picker">
+        Rolling
+        <select class="strategy-select">
+          ${this.strategies.map((s) => `<option value="${escapeAttribute(s.id)}">${escapeHtml(s.name)}</option>`).join("")}
+        </select>
+      </label>
+      <div class="strategy-description"></div>
+    `;
+
+    this.querySelector(".strategy-select").addEventListener("change", (e) => {
+      this._value = e.target.value;
+      this._update();
+      this.dispatchEvent(
+        new CustomEvent("strategy-change", {
+          bubbles: true,
+          detail: { strategyId: this._value },
+        }),
+      );
+    });
+    this._update();
+  }
+
+  _update() {
+    const select = this.querySelector(".strategy-select");
+    if (!select) return;
+
+    select.value = this._value;
+    const strategy = this.strategies.find((s) => s.id === this._value);
+    this.querySelector(".strategy-description").textContent =
+      strategy?.description ?? "";
+  }
+}
+
+customElements.define("strategy-select", StrategySelect);
@@ -1,6 +1,7 @@
 /**
  * Dice Utilities - Shared functions for rendering dice
  */
+import { escapeAttribute } from "./html-utils.js";
 
 // Pip positions for a standard die (relative to 50x50 viewBox)
 const PIP_POSITIONS = {
@@ -30,13 +31,34 @@ const PIP_CONFIGS = {
   ],
 };
 
+// Supported die sizes, in the order they are offered in the UI
+export const DICE_SIDES = [4, 6, 8, 10, 12, 20, 100];
+
+// Number of sides used when a dice set doesn't specify one
+export const DEFAULT_SIDES = 6;
+
+// Outline for each polyhedral die (points relative to 50x50 viewBox)
+const POLYGON_SHAPES = {
+  4: "25,4 47,44 3,44",
+  8: "25,3 47,25 25,47 3,25",
+  10: "25,3 46,21 25,47 4,21",
+  12: "25,4 45.9,19.2 37.9,43.8 12.1,43.8 4.1,19.2",
+  20: "25,3 44.1,14 44.1,36 25,47 5.9,36 5.9,14",
+  100: "25,3 46,21 25,47 4,21",
+};
+
 /**
  * Generate SVG markup for a die face
- * @param {number} value - Die face value (1-6)
+ * @param {number} value - Die face value (1 to sides)
  * @param {string} pipColor - Color of the pips (default: '#0f172a')
+ * @param {number} sides - Number of sides (default: 6)
  * @returns {string} SVG markup
  */
-export function getDiceSvg(value, pipColor = "#0f172a") {
+export function getDiceSvg(value, pipColor = "#0f172a", sides = DEFAULT_SIDES) {
+  if (sides !== DEFAULT_SIDES) {
+    return getPolygonSvg(value, pipColor, sides);
+  }
+
   const pips = PIP_CONFIGS[value]
     .map((pos) => {
       const p = PIP_POSITIONS[pos];
@@ -46,6 +68,41 @@ export function getDiceSvg(value, pipColor = "#0f172a") {
   return `<svg viewBox="0 0 50 50" xmlns="http://www.w3.org/2000/svg">${pips}</svg>`;
 }
 
+/**
+ * Generate SVG markup for a numbered polyhedral die face (d4, d8, d10, ...)
+ * @param {number} value - Die face value
+ * @param {string} textColor - Color of the number and outline
+ * @param {number} sides - Number of sides
+ * @returns {string} SVG markup
+ */
+export function getPolygonSvg(value, textColor, sides) {
+  const points = POLYGON_SHAPES[sides] || POLYGON_SHAPES[20];
+  const label = escapeAttribute(value);
+  const fontSize = label.length > 2 ? 14 : 18;
+  // Triangles have their visual center lower than the other shapes
+  const textY = sides === 4 ? 34 : 26;
+
+  return `<svg viewBox="0 0 50 50" xmlns="http://www.w3.org/2000/svg">
+    <polygon points="${points}" fill="none" stroke="${textColor}" stroke-width="2" stroke-linejoin="round" opacity="0.5"/>
+    <text x="25" y="${textY}" text-anchor="middle" dominant-baseline="central" font-family="Oswald, sans-serif" font-weight="700" font-size="${fontSize}" fill="${textColor}">${label}</text>
+  </svg>`;
+}
+
+/**
+ * Generate SVG markup for a custom die face (Fudge, coin, symbols, ...)
+ * @param {string} label - Face label, shrunk to fit when long
+ * @param {string} textColor - Color of the label
+ * @returns {string} SVG markup
+ */
+export function getLabelSvg(label, textColor) {
+  const length = [...label].length;
+  const fontSize = length > 4 ? 11 : length > 2 ? 14 : 24;
+
+  return `<svg viewBox="0 0 50 50" xmlns="http://www.w3.org/2000/svg">
+    <text x="25" y="26" text-anchor="middle" dominant-baseline="central" font-family="Oswald, sans-serif" font-weight="700" font-size="${fontSize}" fill="${textColor}">${escapeAttribute(label)}</text>
+  </svg>`;
+}
+
 /**
  * Get appropriate pip color based on dice background color
  * Light backgrounds get dark pips, dark backgrounds get light pips
@@ -72,3 +129,28 @@ export function hexToRgba(hex, alpha) {
   const b = parseInt(hex.slice(5, 7), 16);
   return `rgba(${r}, ${g}, ${b}, ${alpha})`;
 }
+
+// Colors that tell players apart, e.g. on dice they are picking up
+const PLAYER_COLORS = [
+  "#ef4444",
+  "#3b82f6",
+  "#10b981",
+  "#f59e0b",
+  "#ec4899",
+  "#6366f1",
+  "#06b6d4",
+  "#eab308",
+];
+
+/**
+ * Get a player's color. Every peer picks the same color for a player.
+ * @param {string} playerId - Player (peer) ID
+ * @returns {string} Hex color
+ */
+export function getPlayerColor(playerId) {
+  let hash = 0;
+  for (let i = 0; i < playerId.length; i++) {
+    hash = (hash * 31 + playerId.charCodeAt(i)) >>> 0;
+  }
+  return PLAYER_COLORS[hash % PLAYER_COLORS.length];
+}
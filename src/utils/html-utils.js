@@ -12,3 +12,17 @@ export function escapeHtml(text) {
   div.textContent = text;
   return div.innerHTML;
 }
+
+/**
+ * Escape text for use inside a double-quoted attribute (or SVG text).
+ * Unlike escapeHtml this also escapes quotes and doesn't need the DOM.
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped string
+ */
+export function escapeAttribute(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
@@ -21,16 +21,22 @@ const SESSION_EXPIRY_SECONDS = 5 * 60; // 5 minutes
 const KEYS = {
   room: (roomId) => `dicebox:room:${roomId}`,
   roomMembers: (roomId) => `dicebox:room:${roomId}:members`,
+  roomRolls: (roomId) => `dicebox:room:${roomId}:rolls`,
   peer: (peerId) => `dicebox:peer:${peerId}`,
   session: (token) => `dicebox:session:${token}`,
 };
 
+// Keys under dicebox:room:* that belong to a room rather than being one
+const isRoomKey = (key) =>
+  !key.endsWith(':members') && !key.endsWith(':rolls');
+
 /**
  * In-memory storage implementation (fallback when Redis is not configured)
  */
 class MemoryStorage {
   constructor() {
     this.rooms = new Map();
+    this.rollSequences = new Map(); // roomId -> Map(peerId -> sequence)
     this.peers = new Map();
     this.sessions = new Map();
   }
@@ -56,6 +62,7 @@ class MemoryStorage {
 
   async deleteRoom(roomId) {
     this.rooms.delete(roomId);
+    this.rollSequences.delete(roomId);
   }
 
   async getRoomMembers(roomId) {
@@ -85,6 +92,13 @@ class MemoryStorage {
     return Array.from(this.rooms.keys());
   }
 
+  async nextRollSequence(roomId, peerId) {
+    const sequences = this.rollSequences.get(roomId) || new Map();
+    const sequence = (sequences.get(peerId) || 0) + 1;
+    this.rollSequences.set(roomId, sequences.set(peerId, sequence));
+    return sequence;
+  }
+
   // Peer operations
   async getPeer(peerId) {
     return this.peers.get(peerId) || null;
@@ -212,6 +226,7 @@ class RedisStorage {
     return {
       hostPeerId: data.hostPeerId || null,
       createdAt: data.createdAt ? parseInt(data.createdAt, 10) : Date.now(),
+      diceConfig: data.diceConfig ? JSON.parse(data.diceConfig) : undefined,
     };
   }
 
@@ -225,6 +240,9 @@ class RedisStorage {
     if (data.createdAt !== undefined) {
       hashData.createdAt = String(data.createdAt);
     }
+    if (data.diceConfig !== undefined) {
+      hashData.diceConfig = JSON.stringify(data.diceConfig);
+    }
 
     if (Object.keys(hashData).length > 0) {
       await this.client.hSet(key, hashData);
@@ -234,6 +252,7 @@ class RedisStorage {
   async deleteRoom(roomId) {
     await this.client.del(KEYS.room(roomId));
     await this.client.del(KEYS.roomMembers(roomId));
+    await this.client.del(KEYS.roomRolls(roomId));
   }
 
   async getRoomMembers(roomId) {
@@ -250,17 +269,22 @@ class RedisStorage {
 
   async getRoomCount() {
     const keys = await this.client.keys('dicebox:room:*');
-    // Filter out member keys
-    return keys.filter(k => !k.includes(':members')).length;
+    // Filter out member and roll sequence keys
+    return keys.filter(isRoomKey).length;
   }
 
   async getAllRoomIds() {
     const keys = await this.client.keys('dicebox:room:*');
     return keys
-      .filter(k => !k.includes(':members'))
+      .filter(isRoomKey)
       .map(k => k.replace('dicebox:room:', ''));
   }
 
+  // Roll sequences, shared by every server so they keep counting up
+  async nextRollSequence(roomId, peerId) {
+    return await this.client.hIncrBy(KEYS.roomRolls(roomId), peerId, 1);
+  }
+
   // Peer operations
   async getPeer(peerId) {
     const data = await this.client.hGetAll(KEYS.peer(peerId));
@@ -9,7 +9,7 @@ export default defineConfig({
       provider: 'v8',
       reporter: ['text', 'html'],
       include: ['src/**/*.js'],
-      exclude: ['src/**/*.test.js'],
+      exclude: ['src/**/*.test.js', 'src/**/test-*.js'],
     },
   },
 });